@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Batch scenario runner for overnight studies: evaluates every scenario JSON file in a folder
+ * (the format the app's "Download JSON" writes) and writes one results row per file.
+ *
+ *   npm run batch -- --scenarios runs/ --out results.csv [--network net.json | --network csv-dir/]
+ *                    [--optimize] [--budget 10000] [--splits] [--mc 10000] [--seed 12345] [--sensitivity]
+ *
+ * Without --network each scenario uses the network embedded in its file, or the built-in mock
+ * network when it has none. Output is CSV, or JSON (rows plus full engine detail) when --out ends
+ * in .json. A file that fails is reported in its row and the run continues; the exit code is 1
+ * if any file failed.
+ */
+import { readFile, readdir, stat, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { formatImportError, generateMockNetwork, importNetworkFiles, networkFromJSON } from "../src/engine/network.js";
+import { defaultMonteCarlo } from "../src/engine/montecarlo.js";
+import { BATCH_COLUMNS, runScenario } from "../src/engine/batch.js";
+import { toCSV } from "../src/engine/csv.js";
+
+const USAGE = "Usage: pcs-batch --scenarios <dir> --out <file.csv|file.json> [--network <file.json|dir>] [--optimize] [--budget ms] [--splits] [--mc samples] [--seed n] [--sensitivity]";
+
+function fail(message) { console.error(`pcs-batch: ${message}\n${USAGE}`); process.exit(2); }
+
+async function loadNetwork(where) {
+  const files = (await stat(where)).isDirectory()
+    ? await Promise.all((await readdir(where)).filter((f) => /\.(csv|json)$/i.test(f)).sort().map(async (f) => ({ name: f, text: await readFile(path.join(where, f), "utf8") })))
+    : [{ name: path.basename(where), text: await readFile(where, "utf8") }];
+  if (!files.length) throw new Error(`${where} has no .csv or .json files.`);
+  const { network, errors } = importNetworkFiles(files, generateMockNetwork());
+  if (!network) throw new Error(errors.map(formatImportError).join("\n"));
+  return network;
+}
+
+async function main() {
+  let args;
+  try {
+    ({ values: args } = parseArgs({ options: {
+      network: { type: "string" }, scenarios: { type: "string" }, out: { type: "string" },
+      optimize: { type: "boolean" }, budget: { type: "string" }, splits: { type: "boolean" },
+      mc: { type: "string" }, seed: { type: "string" }, sensitivity: { type: "boolean" }, help: { type: "boolean", short: "h" },
+    } }));
+  } catch (err) { fail(err.message); }
+  if (args.help) { console.log(USAGE); return; }
+  if (!args.scenarios || !args.out) fail("--scenarios and --out are required.");
+  const budget = Number(args.budget ?? 10_000); const samples = Number(args.mc ?? 0); const seed = Number(args.seed ?? defaultMonteCarlo().seed);
+  if (!(budget >= 100)) fail("--budget must be at least 100 (ms).");
+  if (!(samples >= 0) || !Number.isInteger(seed)) fail("--mc must be a sample count and --seed an integer.");
+
+  let shared = null;
+  if (args.network) try { shared = await loadNetwork(args.network); } catch (err) { fail(`cannot load network ${args.network}: ${err.message}`); }
+  const mock = generateMockNetwork();
+  const files = (await readdir(args.scenarios)).filter((f) => /\.json$/i.test(f)).sort();
+  if (!files.length) fail(`${args.scenarios} has no .json scenario files.`);
+  const options = { optimize: !!args.optimize, timeBudgetMs: budget, allowSplits: !!args.splits, monteCarlo: samples ? { ...defaultMonteCarlo(), samples, seed } : null, sensitivity: !!args.sensitivity };
+
+  const rows = []; const details = []; let failed = 0;
+  for (const [i, file] of files.entries()) {
+    const t0 = Date.now();
+    try {
+      const raw = JSON.parse(await readFile(path.join(args.scenarios, file), "utf8"));
+      let network = shared;
+      if (!network && raw.network) {
+        const out = networkFromJSON(raw.network, mock);
+        if (!out.network) throw new Error(`embedded network: ${out.errors.map(formatImportError).join("; ")}`);
+        network = out.network;
+      }
+      const { row, detail } = runScenario(raw, network ?? mock, options);
+      rows.push({ file, ...row }); details.push({ file, ...detail });
+    } catch (err) {
+      failed++; rows.push({ file, status: "error", error: err.message }); details.push({ file, error: err.message });
+    }
+    console.error(`[${i + 1}/${files.length}] ${file} — ${rows.at(-1).status} (${((Date.now() - t0) / 1000).toFixed(1)}s)`);
+  }
+
+  const json = /\.json$/i.test(args.out);
+  await writeFile(args.out, json ? JSON.stringify({ generatedAt: new Date().toISOString(), options, columns: BATCH_COLUMNS, rows, details }, null, 2) : toCSV(rows, BATCH_COLUMNS));
+  console.error(`Wrote ${rows.length} rows to ${args.out}${failed ? ` (${failed} failed)` : ""}.`);
+  if (failed) process.exitCode = 1;
+}
+
+main().catch((err) => { console.error(`pcs-batch: ${err.stack || err.message}`); process.exit(1); });
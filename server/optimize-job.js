@@ -0,0 +1,14 @@
+/**
+ * Worker thread for one optimize job, so the server keeps answering polls while it solves
+ * and cancelling is just terminating the thread.
+ */
+import { parentPort, workerData } from "node:worker_threads";
+import { optimize } from "../src/engine/optimize.js";
+import { optimizeResult } from "../src/engine/optimizeApi.js";
+
+const onProgress = ({ nodes, evaluated, bestObjective, elapsedMs }) => parentPort.postMessage({ type: "progress", progress: { nodes, evaluated, bestObjective, elapsedMs } });
+try {
+  parentPort.postMessage({ type: "done", result: optimizeResult(optimize({ ...workerData, onProgress })) });
+} catch (err) {
+  parentPort.postMessage({ type: "error", error: err?.message || String(err) });
+}
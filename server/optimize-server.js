@@ -0,0 +1,99 @@
+/**
+ * Reference implementation of the remote /optimize service (contract: src/engine/optimizeApi.js).
+ * Zero dependencies: `npm run server` (PORT, default 8787). Each job solves in its own worker
+ * thread; finished jobs are kept for JOB_TTL_MS so clients can poll for the result.
+ */
+import http from "node:http";
+import { Worker } from "node:worker_threads";
+import { randomUUID } from "node:crypto";
+import { API_VERSION, SOLVER_NAME, apiError, validateOptimizeRequest } from "../src/engine/optimizeApi.js";
+
+const PORT = Number(process.env.PORT) || 8787;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const MAX_RUNNING = Number(process.env.MAX_RUNNING) || 2;
+const JOB_TTL_MS = 15 * 60 * 1000;
+
+const jobs = new Map();
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(status === 204 ? undefined : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []; let size = 0;
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY_BYTES) { reject(Object.assign(new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`), { code: "too_large" })); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function publicJob(job) {
+  const { worker, ...rest } = job;
+  return { version: API_VERSION, ...rest };
+}
+
+function finish(job, patch) {
+  if (job.status !== "running") return;
+  Object.assign(job, patch, { finishedAt: new Date().toISOString() });
+  job.worker.terminate();
+  setTimeout(() => jobs.delete(job.jobId), JOB_TTL_MS).unref();
+}
+
+function startJob(request) {
+  const job = { jobId: randomUUID(), status: "running", solver: SOLVER_NAME, createdAt: new Date().toISOString(), progress: null };
+  job.worker = new Worker(new URL("./optimize-job.js", import.meta.url), { workerData: request });
+  job.worker.on("message", (msg) => {
+    if (msg.type === "progress") job.progress = msg.progress;
+    else if (msg.type === "done") finish(job, { status: "done", result: msg.result });
+    else if (msg.type === "error") finish(job, { status: "failed", error: { message: msg.error } });
+  });
+  job.worker.on("error", (err) => finish(job, { status: "failed", error: { message: err.message } }));
+  job.worker.on("exit", (code) => finish(job, { status: "failed", error: { message: `Solver thread exited with code ${code}` } }));
+  jobs.set(job.jobId, job);
+  return job;
+}
+
+async function handle(req, res) {
+  const { pathname } = new URL(req.url, "http://localhost");
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (pathname === "/health" && req.method === "GET") return send(res, 200, { ok: true, version: API_VERSION, solver: SOLVER_NAME });
+
+  if (pathname === "/optimize") {
+    if (req.method !== "POST") return send(res, 405, apiError("method_not_allowed", "Use POST /optimize to submit a job."));
+    let body;
+    try { body = JSON.parse(await readBody(req)); } catch (err) {
+      return err.code === "too_large" ? send(res, 413, apiError("too_large", err.message)) : send(res, 400, apiError("invalid_json", `Request body is not valid JSON: ${err.message}`));
+    }
+    const { request, errors } = validateOptimizeRequest(body);
+    if (!request) return send(res, 400, apiError("invalid_request", "The optimize request is invalid.", errors));
+    const running = [...jobs.values()].filter((j) => j.status === "running").length;
+    if (running >= MAX_RUNNING) return send(res, 429, apiError("busy", `${running} jobs are already running; retry when one finishes.`));
+    const job = startJob(request);
+    return send(res, 202, { version: API_VERSION, jobId: job.jobId, status: job.status, pollUrl: `/optimize/${job.jobId}` });
+  }
+
+  const m = pathname.match(/^\/optimize\/([\w-]+)$/);
+  if (m) {
+    const job = jobs.get(m[1]);
+    if (!job) return send(res, 404, apiError("not_found", `No job "${m[1]}" (finished jobs expire after ${JOB_TTL_MS / 60000} minutes).`));
+    if (req.method === "GET") return send(res, 200, publicJob(job));
+    if (req.method === "DELETE") { finish(job, { status: "cancelled" }); return send(res, 200, publicJob(job)); }
+    return send(res, 405, apiError("method_not_allowed", "Use GET to poll or DELETE to cancel a job."));
+  }
+  return send(res, 404, apiError("not_found", `No route for ${req.method} ${pathname}.`));
+}
+
+http.createServer((req, res) => {
+  handle(req, res).catch((err) => send(res, 500, apiError("internal", err?.message || String(err))));
+}).listen(PORT, () => console.log(`optimize service v${API_VERSION} listening on http://localhost:${PORT}`));
@@ -1,4 +1,28 @@
-import React, { useMemo, useState, useEffect, useRef } from "react";
+import React, { createContext, useContext, useMemo, useState, useEffect, useRef } from "react";
+import { clamp, computeLoads, normalizeAssignment, evaluateSolution, splitsOf, withSplit } from "./engine/evaluate.js";
+import { defaultHorizon, resizeHorizon, evaluateHorizon } from "./engine/horizon.js";
+import { PARETO_METRICS, nonDominated } from "./engine/pareto.js";
+import { DISTRIBUTIONS, defaultMonteCarlo } from "./engine/montecarlo.js";
+import { runSensitivity as sensitivityRows } from "./engine/sensitivity.js";
+import { MASTER_SCENARIOS, VARIANT_MULTIPLIERS, OEM_PROFILES, KNOWN_IDS, demandMultiplierFor } from "./engine/presets.js";
+import { LEDGER_COMPONENTS, LEDGER_DIMENSIONS, filterLedger, rollupLedger } from "./engine/ledger.js";
+import { DISRUPTION_TYPES, describeDisruption, disruptionLibrary, stressTest, survivabilityTable } from "./engine/disruptions.js";
+import { runSolverTask, SolverCancelledError } from "./solverClient.js";
+import { runRemoteOptimize, RemoteOptimizeError } from "./remoteClient.js";
+import { listScenarios, putScenarios, deleteScenario, clearScenarios } from "./scenarioStore.js";
+import { toScenarioDoc, migrateScenario, validateScenario, encodeShareHash, openShareHash } from "./engine/scenarioSchema.js";
+import { SCENARIO_SORTS, newScenarioId, uniqueName, duplicateScenario, parseTags, scenarioFolders, scenarioTags, filterScenarios, sortScenarios, toBundle, fromBundle } from "./engine/scenarios.js";
+import { generateMockNetwork, importNetworkFiles, networkFromJSON, toNetworkJSON, formatImportError, NETWORK_TABLES, addEntity, removeEntity, updateEntity, addLane, updateLane, updateLaneMode, removeLane, addMode, updateMode, removeMode, modesRemovedWith, updateCustomerShare } from "./engine/network.js";
+import { MISSING_LANE_MILES, laneMode, missingLanes, modesBetween } from "./engine/lanes.js";
+import { DERIVED_FIELDS, MODE_PRESETS, modeLabel, formatVia, parseVia } from "./engine/transport.js";
+import { customerShares, hasCustomers, withServe } from "./engine/customers.js";
+import { EMISSION_DIMENSIONS, emissionsReport } from "./engine/carbon.js";
+import { RULE_KINDS, RULE_TARGETS, describeRule, newRule, validateRules } from "./engine/rules.js";
+import { NODE_SIZE, graphNodes, layoutBounds, nodePositions, validateLayout } from "./engine/layout.js";
+import { MAX_SWEEP_STEPS, SWEEP_METRICS, SWEEP_PARAMS, defaultAxis, sweepCSV, validateSweep } from "./engine/sweep.js";
+import { SWITCH_COST_FIELDS, SWITCH_DEFAULTS, defaultTransition, transitionPlan } from "./engine/transition.js";
+import { BASE_CURRENCY, DEFAULT_FX, CURRENCY_CODE, usdPer, networkCurrencies, fxExposure } from "./engine/fx.js";
+import { ANY, TARIFF_CLASSES, defaultTariffs, dutiesByLane, newTariffEntry, sampleTariffs, tariffClassOf, validateTariffs } from "./engine/tariffs.js";
 
 /**
  * P&C Supply Chain Strategy Simulator — Zero‑dependency build (Enhanced)
@@ -10,315 +34,1498 @@ import React, { useMemo, useState, useEffect, useRef } from "react";
 /********************
  * Utility helpers
  ********************/
-function seedRandom(seed) {
-  let t = seed % 2147483647;
-  return () => (t = (t * 48271) % 2147483647) / 2147483647;
+// The engine's amounts are USD; money is shown in the reporting currency of params.fx. App provides
+// the formatter for its fx through MoneyContext, and components read it with useMoney().
+function makeFormatMoney(fx) {
+  const currency = fx?.reporting ?? BASE_CURRENCY; const rate = usdPer(fx, currency);
+  return (usd, options) => (usd / rate).toLocaleString(undefined, { style: "currency", currency, ...options });
 }
-function formatUSD(n) { return n.toLocaleString(undefined, { style: "currency", currency: "USD" }); }
-function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
-function normalRand() { let u=0,v=0; while(u===0)u=Math.random(); while(v===0)v=Math.random(); return Math.sqrt(-2*Math.log(u))*Math.cos(2*Math.PI*v); }
+const MoneyContext = createContext(makeFormatMoney(null));
+function useMoney() { return useContext(MoneyContext); }
 
-/********************
- * Data generation
- ********************/
-function generateMockNetwork(seed = 42) {
-  const rnd = seedRandom(seed);
-  const regions = [
-    { id: "NA", name: "North America", risk: 0.10, carbon: 0.6 },
-    { id: "EU", name: "Europe", risk: 0.08, carbon: 0.5 },
-    { id: "AP", name: "Asia Pacific", risk: 0.14, carbon: 0.8 },
-    { id: "MX", name: "Mexico", risk: 0.11, carbon: 0.65 },
-  ];
-  const suppliers = [
-    { id: "S1", name: "Supplier A", region: regions[0], unitCost: 120 + 20 * rnd(), leadTimeDays: 18 + Math.floor(6 * rnd()), reliability: 0.96 - 0.03 * rnd(), capacity: 12000, tariffRate: 0.02 },
-    { id: "S2", name: "Supplier B", region: regions[2], unitCost: 95 + 15 * rnd(), leadTimeDays: 28 + Math.floor(8 * rnd()), reliability: 0.93 - 0.03 * rnd(), capacity: 18000, tariffRate: 0.05 },
-    { id: "S3", name: "Supplier C", region: regions[1], unitCost: 110 + 20 * rnd(), leadTimeDays: 20 + Math.floor(8 * rnd()), reliability: 0.95 - 0.02 * rnd(), capacity: 15000, tariffRate: 0.03 },
-    { id: "S4", name: "Supplier D", region: regions[3], unitCost: 100 + 20 * rnd(), leadTimeDays: 22 + Math.floor(5 * rnd()), reliability: 0.94 - 0.02 * rnd(), capacity: 13000, tariffRate: 0.04 },
-  ];
-  const assemblySites = [
-    { id: "A1", name: "Assembly East", region: regions[0], laborCostMultiplier: 1.0, fixedOverhead: 1_000_000, capacity: 15000 },
-    { id: "A2", name: "Assembly West", region: regions[0], laborCostMultiplier: 0.95, fixedOverhead: 900_000, capacity: 14000 },
-  ];
-  const dcs = [ { id: "D1", name: "DC East", region: regions[0] }, { id: "D2", name: "DC West", region: regions[0] } ];
-  const lrus = [
-    { id: "L1", name: "LRU-Avionics", baseDemand: 8000, bomLaborHours: 2.4, bomScrapRate: 0.02 },
-    { id: "L2", name: "LRU-Power Unit", baseDemand: 6500, bomLaborHours: 3.1, bomScrapRate: 0.03 },
-    { id: "L3", name: "LRU-Cooling Module", baseDemand: 5000, bomLaborHours: 2.0, bomScrapRate: 0.025 },
-  ];
-  const transport = {
-    air: { costPerTonMi: 0.95, leadPenaltyDays: -5, carbonPerTonMi: 1.8 },
-    ocean: { costPerTonMi: 0.12, leadPenaltyDays: +14, carbonPerTonMi: 0.25 },
-    ground: { costPerTonMi: 0.35, leadPenaltyDays: 0, carbonPerTonMi: 0.6 },
-  };
-  const distances = { "NA-NA": 0.8, "AP-NA": 6.2, "EU-NA": 3.8, "MX-NA": 1.1 };
-  return { suppliers, assemblySites, dcs, lrus, transport, distances, regions };
-}
-
-/********************
- * Scenario templates & OEM profiles
- ********************/
-const MASTER_SCENARIOS = [
-  { id: "baseline", name: "Baseline" },
-  { id: "lowcost", name: "Low-Cost Focus" },
-  { id: "service", name: "Service Focus" },
-  { id: "resiliency", name: "Resiliency Focus" },
-  { id: "sustain", name: "Sustainability Focus" },
-];
-const VARIANT_MULTIPLIERS = [
-  { id: "low", name: "Low Volume", demand: 0.85 },
-  { id: "base", name: "Base", demand: 1.0 },
-  { id: "high", name: "High", demand: 1.15 },
-  { id: "surge", name: "Surge", demand: 1.35 },
-  { id: "crisis", name: "Crisis", demand: 0.7 },
-];
-const OEM_PROFILES = [
-  { id: "airbus", name: "Airbus", defaults: { serviceTarget: 0.97, riskWeight: 0.50, carbonPrice: 0.03, tariffMultiplier: 1.10 } },
-  { id: "boeing", name: "Boeing", defaults: { serviceTarget: 0.96, riskWeight: 0.40, carbonPrice: 0.02, tariffMultiplier: 1.00 } },
-  { id: "pnc", name: "P&C Internal", defaults: { serviceTarget: 0.95, riskWeight: 0.40, carbonPrice: 0.02, tariffMultiplier: 1.00 } },
-];
-
-/********************
- * Helpers for edits & loads
- ********************/
-function effectiveLrus(lrus, edits) { return lrus.map((l) => ({ ...l, ...(edits[l.id] || {}) })); }
-function computeLoads(network, assignment, demandMultiplier, lruEdits) {
-  const lrusEff = effectiveLrus(network.lrus, lruEdits);
-  const supplierLoad = Object.fromEntries(network.suppliers.map((s) => [s.id, 0]));
-  const assemblyLoad = Object.fromEntries(network.assemblySites.map((a) => [a.id, 0]));
-  for (const l of lrusEff) {
-    const dem = Math.round(l.baseDemand * demandMultiplier);
-    const pick = assignment[l.id];
-    if (!pick) continue;
-    supplierLoad[pick.supplierId] += dem;
-    assemblyLoad[pick.assemblyId] += dem;
-  }
-  const supplierUtil = network.suppliers.map((s) => ({ id: s.id, name: s.name, load: supplierLoad[s.id], cap: s.capacity, util: supplierLoad[s.id] / s.capacity }));
-  const assemblyUtil = network.assemblySites.map((a) => ({ id: a.id, name: a.name, load: assemblyLoad[a.id], cap: a.capacity, util: assemblyLoad[a.id] / a.capacity }));
-  return { supplierUtil, assemblyUtil };
-}
-
-function normalizeAssignment(raw, network) {
-  const defaultDc = network.dcs[0]?.id;
-  const converted = {};
-  for (const [lruId, pick] of Object.entries(raw || {})) {
-    converted[lruId] = {
-      supplierId: pick.supplierId,
-      assemblyId: pick.assemblyId,
-      dcId: pick.dcId ?? defaultDc,
-      supMode: pick.supMode ?? pick.mode ?? 'ground',
-      dcMode: pick.dcMode ?? pick.mode ?? 'ground',
-    };
-  }
-  return converted;
+// Edge stroke per transport mode: the original three keep their look, other modes take the next dash pattern.
+const MODE_STYLES = { air: { dash: "0", width: 3 }, ground: { dash: "6 6", width: 2.5 }, ocean: { dash: "2 6", width: 2 } };
+const EXTRA_DASHES = ["12 4", "10 4 2 4", "1 3", "14 4 2 4 2 4", "4 2"];
+function modeStyles(transport) {
+  let next = 0;
+  return Object.fromEntries(Object.keys(transport).map((m) => [m, MODE_STYLES[m] ?? { dash: EXTRA_DASHES[next++ % EXTRA_DASHES.length], width: transport[m].via ? 2 : 2.5 }]));
 }
 
 /********************
- * Core calculations (capacity & overflow, per-site penalty)
+ * Network graph (SVG): draggable nodes, click-to-wire, zoom & pan, volume-weighted edges
  ********************/
-function evaluateSolution({ assignment, params, network, lruEdits = {} }) {
-  const { suppliers, assemblySites, dcs, transport, distances } = network;
-  const supMap = Object.fromEntries(suppliers.map((s) => [s.id, s]));
-  const asmMap = Object.fromEntries(assemblySites.map((a) => [a.id, a]));
-  const dcMap = Object.fromEntries(dcs.map((d) => [d.id, d]));
-  const lrus = effectiveLrus(network.lrus, lruEdits);
-  const { serviceTarget, laborRate, tariffMultiplier, carbonPrice, inventoryCarryPct, riskWeight, demandMultiplier, allowOverflow } = params;
-
-  let totals = { units: 0, material: 0, tariffs: 0, transportCost: 0, assembly: 0, overhead: 0, inventory: 0, carbonKg: 0, riskIndex: 0, serviceLevel: 1 };
-  const supplierCounts = {}; const supLoad = Object.fromEntries(suppliers.map((s) => [s.id, 0])); const asmLoad = Object.fromEntries(assemblySites.map((a) => [a.id, 0]));
-  // per-site cost accumulation for accurate penalties and bottlenecks
-  const matBySup = Object.fromEntries(suppliers.map((s) => [s.id, 0]));
-  const asmCostBySite = Object.fromEntries(assemblySites.map((a) => [a.id, 0]));
-
-  for (const lru of lrus) {
-    const pick = assignment[lru.id];
-    const sup = supMap[pick.supplierId];
-    const asm = asmMap[pick.assemblyId];
-    const dc = dcMap[pick.dcId];
-    const demand = Math.round(lru.baseDemand * demandMultiplier);
-    const scrapFactor = 1 + lru.bomScrapRate;
-
-    const materialCost = demand * scrapFactor * sup.unitCost;
-    const tariffs = materialCost * sup.tariffRate * tariffMultiplier;
-
-    const thousandMilesSup = (distances[`${sup.region.id}-${asm.region.id}`] ?? 2.0);
-    const supModeDef = transport[pick.supMode];
-    const tonMilesSup = demand * 0.02 * thousandMilesSup * 1000;
-    const transportCostSup = tonMilesSup * supModeDef.costPerTonMi;
-    const carbonKgSup = tonMilesSup * supModeDef.carbonPerTonMi;
-
-    const thousandMilesDc = (distances[`${asm.region.id}-${dc.region.id}`] ?? 2.0);
-    const dcModeDef = transport[pick.dcMode];
-    const tonMilesDc = demand * 0.02 * thousandMilesDc * 1000;
-    const transportCostDc = tonMilesDc * dcModeDef.costPerTonMi;
-    const carbonKgDc = tonMilesDc * dcModeDef.carbonPerTonMi;
-
-    const transportCost = transportCostSup + transportCostDc;
-    const carbonKg = carbonKgSup + carbonKgDc;
-    const assemblyCost = demand * lru.bomLaborHours * laborRate * asm.laborCostMultiplier;
-    const overhead = asm.fixedOverhead * (demand / asm.capacity);
-
-    const cogs = materialCost + tariffs + assemblyCost + overhead + transportCost;
-    const inventory = cogs * inventoryCarryPct;
-
-    totals.units += demand;
-    totals.material += materialCost;
-    totals.tariffs += tariffs;
-    totals.transportCost += transportCost;
-    totals.assembly += assemblyCost;
-    totals.overhead += overhead;
-    totals.inventory += inventory;
-    totals.carbonKg += carbonKg;
-
-    matBySup[sup.id] += materialCost;
-    asmCostBySite[asm.id] += assemblyCost;
-
-    const leadFactor = clamp(1 - Math.max(0, (sup.leadTimeDays + supModeDef.leadPenaltyDays - 20)) / 60, 0.7, 1);
-    const lruService = clamp(sup.reliability * leadFactor, 0, 1);
-    totals.serviceLevel = Math.min(totals.serviceLevel, lruService);
-
-    supplierCounts[sup.id] = (supplierCounts[sup.id] || 0) + demand;
-    supLoad[sup.id] += demand;
-    asmLoad[asm.id] += demand;
-    const regionRisk = sup.region.risk;
-    const relRisk = clamp(1 - sup.reliability, 0, 0.2);
-    const modeRiskSup = pick.supMode === "air" ? 0.02 : pick.supMode === "ground" ? 0.04 : 0.06;
-    const modeRiskDc = pick.dcMode === "air" ? 0.02 : pick.dcMode === "ground" ? 0.04 : 0.06;
-    totals.riskIndex += (regionRisk + relRisk + (modeRiskSup + modeRiskDc) / 2) * (demand / 10000);
-  }
-  const totalUnits = Object.values(supplierCounts).reduce((a, b) => a + b, 0) || 1;
-  const hhi = Object.values(supplierCounts).reduce((acc, u) => acc + Math.pow(u / totalUnits, 2), 0); totals.riskIndex += hhi * 0.5;
-
-  // Accurate per-site overflow penalties
-  let overflowPenalty = 0; let serviceDegrade = 0;
-  for (const s of suppliers) {
-    const load = supLoad[s.id]; if (load > s.capacity) {
-      const ratio = (load - s.capacity) / load; if (!allowOverflow) return { totals, cost: Infinity, feasible: false, objective: Infinity, capacity: { supLoad, asmLoad, matBySup, asmCostBySite } };
-      overflowPenalty += matBySup[s.id] * ratio * 0.20; serviceDegrade = Math.max(serviceDegrade, 0.03 * ratio * 5);
-    }
-  }
-  for (const a of assemblySites) {
-    const load = asmLoad[a.id]; if (load > a.capacity) {
-      const ratio = (load - a.capacity) / load; if (!allowOverflow) return { totals, cost: Infinity, feasible: false, objective: Infinity, capacity: { supLoad, asmLoad, matBySup, asmCostBySite } };
-      overflowPenalty += asmCostBySite[a.id] * ratio * 0.30; serviceDegrade = Math.max(serviceDegrade, 0.04 * ratio * 5);
-    }
-  }
-  if (serviceDegrade > 0) totals.serviceLevel = clamp(totals.serviceLevel * (1 - serviceDegrade), 0, 1);
-
-  const cost = totals.material + totals.tariffs + totals.transportCost + totals.assembly + totals.overhead + totals.inventory + totals.carbonKg * carbonPrice + overflowPenalty;
-  const feasible = totals.serviceLevel >= serviceTarget && cost < Infinity; const objective = cost + riskWeight * totals.riskIndex * 1_000_000;
-  return { totals, cost, feasible, objective, capacity: { supLoad, asmLoad, matBySup, asmCostBySite } };
-}
-
-function enumerateBestSolution({ network, params, lruEdits }) {
-  const { lrus, suppliers, assemblySites, dcs } = network;
-  const modes = ["air", "ground", "ocean"];
-  let best = null;
-  function dfs(idx, currentAssign) {
-    if (idx === lrus.length) {
-      const res = evaluateSolution({ assignment: currentAssign, params, network, lruEdits });
-      if (res.feasible) if (!best || res.objective < best.objective) best = { ...res, assignment: { ...currentAssign } };
-      return;
-    }
-    const lru = lrus[idx];
-    for (const s of suppliers)
-      for (const a of assemblySites)
-        for (const d of dcs)
-          for (const m1 of modes)
-            for (const m2 of modes) {
-              currentAssign[lru.id] = { supplierId: s.id, assemblyId: a.id, dcId: d.id, supMode: m1, dcMode: m2 };
-              dfs(idx + 1, currentAssign);
-            }
-  }
-  dfs(0, {});
-  return best;
-}
-
-/********************
- * Simple Graph (SVG) with draggable nodes & click-to-connect
- ********************/
-function useDrag(position, onChange) {
+// Pointer drag in SVG units: `scale` (a ref) converts screen pixels to the current zoom.
+function useDrag(position, onChange, scale) {
   const ref = useRef(null);
   const baseRef = useRef({ x: position.x, y: position.y });
   useEffect(() => { baseRef.current = { x: position.x, y: position.y }; }, [position.x, position.y]);
   useEffect(() => {
     const el = ref.current; if (!el) return;
     let dragging = false; let startX = 0, startY = 0;
-    const down = (e) => { dragging = true; startX = e.clientX; startY = e.clientY; el.setPointerCapture?.(e.pointerId); e.preventDefault(); };
-    const move = (e) => { if (!dragging) return; const dx = e.clientX - startX; const dy = e.clientY - startY; onChange({ x: baseRef.current.x + dx, y: baseRef.current.y + dy }); };
+    const down = (e) => { dragging = true; startX = e.clientX; startY = e.clientY; el.setPointerCapture?.(e.pointerId); e.preventDefault(); e.stopPropagation(); };
+    const move = (e) => { if (!dragging) return; const k = scale?.current ?? 1; const dx = (e.clientX - startX) * k; const dy = (e.clientY - startY) * k; onChange({ x: baseRef.current.x + dx, y: baseRef.current.y + dy }); };
     const up = (e) => { dragging = false; try { el.releasePointerCapture?.(e.pointerId); } catch{} };
     el.addEventListener('pointerdown', down); window.addEventListener('pointermove', move); window.addEventListener('pointerup', up);
     return () => { el.removeEventListener('pointerdown', down); window.removeEventListener('pointermove', move); window.removeEventListener('pointerup', up); };
-  }, [onChange]);
+  }, [onChange, scale]);
   return ref;
 }
 
-function Graph({ network, assignment, setAssignment, activeLruId, pendingSupplier, setPendingSupplier }) {
-  const width = 1000; const height = 520; const nodeW = 140; const nodeH = 36;
-  const [positions, setPositions] = useState(() => {
-    const p = {}; const xGap = 220;
-    network.suppliers.forEach((s, i) => { p[s.id] = { x: 40 + i * xGap, y: 40 }; });
-    network.assemblySites.forEach((a, i) => { p[a.id] = { x: 150 + i * xGap, y: 240 }; });
-    network.dcs.forEach((d, i) => { p[d.id] = { x: 200 + i * xGap, y: 420 }; });
-    return p;
+// Edge colouring: by mode (lane status), by the utilization of the capacitated site it leaves, or by its cost per unit.
+const EDGE_COLOR_BY = [{ id: "mode", name: "Mode" }, { id: "utilization", name: "Utilization" }, { id: "cost", name: "Cost / unit" }];
+const HEAT = ["#34d399", "#a3e635", "#fbbf24", "#fb923c", "#f43f5e"];
+function heatColor(t) { return HEAT[clamp(Math.floor(t * HEAT.length), 0, HEAT.length - 1)]; }
+// What clicking a node of each kind does while another is armed: the kind it wires from, and the hint.
+const WIRE_FROM = { assembly: "supplier", dc: "assembly", customer: "dc" };
+const WIRE_HINT = { supplier: "Supplier selected… pick an Assembly", assembly: "Assembly selected… pick a DC", dc: "DC selected… pick a Customer" };
+
+function Graph({ network, assignment, setAssignment, result, activeLruId, pending, setPending, focus, onFocus, layout, setLayout }) {
+  const formatMoney = useMoney();
+  const nodeW = NODE_SIZE.width; const nodeH = NODE_SIZE.height;
+  const positions = nodePositions(network, layout);
+  const fit = layoutBounds(network, positions);
+  const [view, setView] = useState(null); const box = view ?? fit;
+  const [colorBy, setColorBy] = useState("mode");
+  const [hidden, setHidden] = useState([]);
+  const svgRef = useRef(null); const scale = useRef(1);
+  useEffect(() => { scale.current = box.width / (svgRef.current?.clientWidth || box.width); });
+  const height = Math.round(Math.min(720, Math.max(520, fit.height)));
+
+  // zoom around the cursor; the listener is not passive so the page does not scroll
+  useEffect(() => {
+    const el = svgRef.current; if (!el) return;
+    const wheel = (e) => {
+      e.preventDefault();
+      const r = el.getBoundingClientRect(); const k = e.deltaY > 0 ? 1.15 : 1 / 1.15;
+      setView((v) => { const b = v ?? fit; const px = b.x + ((e.clientX - r.left) / r.width) * b.width; const py = b.y + ((e.clientY - r.top) / r.height) * b.height; return { x: px - (px - b.x) * k, y: py - (py - b.y) * k, width: b.width * k, height: b.height * k }; });
+    };
+    el.addEventListener('wheel', wheel, { passive: false });
+    return () => el.removeEventListener('wheel', wheel);
   });
-  function setPos(id, xy) { setPositions((prev) => ({ ...prev, [id]: xy })); }
+  const zoom = (k) => setView((v) => { const b = v ?? fit; return { x: b.x + (b.width * (1 - k)) / 2, y: b.y + (b.height * (1 - k)) / 2, width: b.width * k, height: b.height * k }; });
+  function pan(e) {
+    const start = { x: e.clientX, y: e.clientY, b: box };
+    const move = (m) => { const k = scale.current; setView({ ...start.b, x: start.b.x - (m.clientX - start.x) * k, y: start.b.y - (m.clientY - start.y) * k }); };
+    const up = () => { window.removeEventListener('pointermove', move); window.removeEventListener('pointerup', up); };
+    window.addEventListener('pointermove', move); window.addEventListener('pointerup', up);
+  }
+
   function centerOf(id) { const p = positions[id]; return { cx: (p?.x || 0) + nodeW / 2, cy: (p?.y || 0) + nodeH / 2 }; }
-  const edges = Object.entries(assignment).flatMap(([lruId, pick]) => [
-    { lruId, from: pick.supplierId, to: pick.assemblyId, mode: pick.supMode, kind: 'sup' },
-    { lruId, from: pick.assemblyId, to: pick.dcId, mode: pick.dcMode, kind: 'dc' },
-  ]);
-  const modeStyle = { air: { dash: "0", width: 3 }, ground: { dash: "6 6", width: 2.5 }, ocean: { dash: "2 6", width: 2 } };
+  const nodeOf = Object.fromEntries(graphNodes(network).map(({ n }) => [n.id, n]));
+  const lruOf = Object.fromEntries(network.lrus.map((l) => [l.id, l]));
+  const edgeCost = {};
+  for (const e of result.ledger ?? []) { const k = `${e.lruId}|${e.from}|${e.to}`; edgeCost[k] = (edgeCost[k] ?? 0) + e.amount; }
+  const util = (kind, id) => (kind === 'sup' ? result.capacity.supLoad[id] / (nodeOf[id]?.capacity || 1) : kind === 'dc' ? result.capacity.asmLoad[id] / (nodeOf[id]?.capacity || 1) : null);
+  const edges = Object.entries(assignment).filter(([lruId]) => !hidden.includes(lruId)).flatMap(([lruId, pick]) => {
+    const sups = splitsOf(pick, 'supplier'); const asms = splitsOf(pick, 'assembly'); const dcs = splitsOf(pick, 'dc');
+    return [
+      ...sups.flatMap(([s, ss]) => asms.map(([a, sa]) => ({ lruId, from: s, to: a, mode: pick.supMode, kind: 'sup', share: ss * sa }))),
+      ...asms.flatMap(([a, sa]) => dcs.map(([d, sd]) => ({ lruId, from: a, to: d, mode: pick.dcMode, kind: 'dc', share: sa * sd }))),
+      ...customerShares(network, lruOf[lruId]).filter(([c]) => pick.serve?.[c]).map(([c, sc]) => ({ lruId, from: pick.serve[c], to: c, mode: pick.lastMode, kind: 'last', share: sc })),
+    ];
+  }).map((e) => {
+    const units = e.share * (result.lines[e.lruId]?.demand ?? 0); const cost = edgeCost[`${e.lruId}|${e.from}|${e.to}`];
+    return { ...e, units, perUnit: cost != null && units > 0 ? cost / units : null, util: util(e.kind, e.from), open: modesBetween(network, nodeOf[e.from], nodeOf[e.to]) };
+  });
+  const maxUnits = Math.max(1, ...edges.map((e) => e.units)); const maxPerUnit = Math.max(1, ...edges.map((e) => e.perUnit ?? 0));
+  const modeStyle = modeStyles(network.transport);
+  function edgeColor(e) {
+    if (!e.open.includes(e.mode)) return "#f43f5e";
+    if (colorBy === "utilization") return e.util == null ? "#64748b" : e.util > 1 ? "#d946ef" : heatColor(e.util);
+    if (colorBy === "cost") return e.perUnit == null ? "#64748b" : heatColor(e.perUnit / maxPerUnit);
+    return "#7dd3fc";
+  }
+
+  function wire(kind, id) {
+    const from = pending?.kind === WIRE_FROM[kind] ? pending.id : null;
+    if (!from) { if (kind !== 'customer' && (kind !== 'dc' || hasCustomers(network))) setPending({ kind, id }); return; }
+    setAssignment((prev) => {
+      const pick = prev[activeLruId]; const lru = lruOf[activeLruId];
+      const dcOnly = (d) => (hasCustomers(network) ? withServe(pick, network, lru, Object.fromEntries(network.customers.map((c) => [c.id, d]))) : withSplit(pick, 'dc', { [d]: 1 }));
+      const next = kind === 'assembly' ? withSplit(withSplit(pick, 'supplier', { [from]: 1 }), 'assembly', { [id]: 1 })
+        : kind === 'dc' ? withSplit(dcOnly(id), 'assembly', { [from]: 1 })
+        : withServe(pick, network, lru, { ...pick.serve, [id]: from });
+      return { ...prev, [activeLruId]: next };
+    });
+    setPending(null);
+  }
 
   return (
     <div className="relative w-full">
-      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-[520px] bg-slate-950">
+      <div className="flex flex-wrap items-center gap-3 px-2 py-1.5 bg-slate-900/80 border-b border-slate-800 text-[11px] text-slate-400">
+        <span>Color by</span>
+        <select className="bg-slate-800 text-slate-100 rounded-lg px-2 py-0.5 border border-slate-700" value={colorBy} onChange={(e) => setColorBy(e.target.value)}>{EDGE_COLOR_BY.map((o) => <option key={o.id} value={o.id}>{o.name}</option>)}</select>
+        <span className="ml-2">Show</span>
+        {network.lrus.map((l) => <label key={l.id} className="flex items-center gap-1"><input type="checkbox" checked={!hidden.includes(l.id)} onChange={() => setHidden((h) => (h.includes(l.id) ? h.filter((x) => x !== l.id) : [...h, l.id]))} />{l.id}</label>)}
+        <span className="ml-auto flex items-center gap-1">
+          <button className="px-2 rounded bg-slate-800 hover:bg-slate-700" onClick={() => zoom(1 / 1.25)} title="Zoom in">+</button>
+          <button className="px-2 rounded bg-slate-800 hover:bg-slate-700" onClick={() => zoom(1.25)} title="Zoom out">−</button>
+          <button className="px-2 rounded bg-slate-800 hover:bg-slate-700" onClick={() => setView(null)}>Fit</button>
+          <button className="px-2 rounded bg-slate-800 hover:bg-slate-700" onClick={() => { setLayout({}); setView(null); }} title="Put every node back on its tier">Auto-layout</button>
+        </span>
+      </div>
+      <svg ref={svgRef} viewBox={`${box.x} ${box.y} ${box.width} ${box.height}`} preserveAspectRatio="xMidYMid meet" className="w-full bg-slate-950" style={{ height }}>
+        <rect x={box.x} y={box.y} width={box.width} height={box.height} fill="transparent" onPointerDown={pan} style={{ cursor: 'grab' }} />
         {/* edges */}
-        {edges.map((e, idx) => { const a = centerOf(e.from); const b = centerOf(e.to); return (
+        {edges.map((e, idx) => { const a = centerOf(e.from); const b = centerOf(e.to); const lane = `${e.from}→${e.to}`; const focused = focus?.lane === lane && (!focus.lru || focus.lru === e.lruId); return (
           <g key={idx}>
-            <line x1={a.cx} y1={a.cy} x2={b.cx} y2={b.cy} stroke="#7dd3fc" strokeWidth={modeStyle[e.mode].width} strokeDasharray={modeStyle[e.mode].dash} />
-            <rect x={(a.cx + b.cx)/2 - 28} y={(a.cy + b.cy)/2 - 10} width="56" height="18" rx="6" fill="#0b1220" stroke="#1f2937" onClick={() => {
+            <line x1={a.cx} y1={a.cy} x2={b.cx} y2={b.cy} stroke={focused ? "#fbbf24" : edgeColor(e)} strokeOpacity={0.85} strokeWidth={1.5 + 7 * Math.sqrt(e.units / maxUnits)} strokeDasharray={(modeStyle[e.mode] ?? MODE_STYLES.ground).dash} />
+            <line x1={a.cx} y1={a.cy} x2={b.cx} y2={b.cy} stroke="transparent" strokeWidth="12" onClick={() => onFocus({ lane, lru: e.lruId })} style={{ cursor: 'pointer' }}><title>{`${e.lruId} ${lane}: ${Math.round(e.units).toLocaleString()} units${e.perUnit != null ? `, ${formatMoney(e.perUnit)}/unit` : ""}${e.util != null ? `, ${e.from} at ${Math.round(e.util * 100)}%` : ""} — click to show in the cost ledger`}</title></line>
+            <rect x={(a.cx + b.cx)/2 - (e.share < 1 ? 40 : 28)} y={(a.cy + b.cy)/2 - 10} width={e.share < 1 ? 80 : 56} height="18" rx="6" fill="#0b1220" stroke="#1f2937" onClick={() => {
               setAssignment((prev) => {
                 const cur = prev[e.lruId];
-                const field = e.kind === 'sup' ? 'supMode' : 'dcMode';
-                const current = cur[field];
-                const nextMode = current === 'air' ? 'ground' : current === 'ground' ? 'ocean' : 'air';
+                const field = { sup: 'supMode', dc: 'dcMode', last: 'lastMode' }[e.kind];
+                // cycle through the modes this lane offers
+                const order = e.open.length ? e.open : Object.keys(network.transport);
+                const nextMode = order[(order.indexOf(cur[field]) + 1) % order.length];
                 return { ...prev, [e.lruId]: { ...cur, [field]: nextMode } };
               });
             }} style={{ cursor: 'pointer' }} />
-            <text x={(a.cx + b.cx)/2} y={(a.cy + b.cy)/2 + 3} textAnchor="middle" fontSize="10" fill="#e2e8f0">{e.lruId}•{e.mode}</text>
+            <text x={(a.cx + b.cx)/2} y={(a.cy + b.cy)/2 + 3} textAnchor="middle" fontSize="10" fill="#e2e8f0" pointerEvents="none">{e.lruId}•{e.mode}{e.share < 1 && ` ${Math.round(e.share * 100)}%`}</text>
           </g>
         ); })}
         {/* nodes */}
-        {[...network.suppliers, ...network.assemblySites, ...network.dcs].map((n) => (
-          <Node key={n.id} id={n.id} label={(n.name || n.id) + (n.region?` (${n.region.id})`:"")} x={positions[n.id]?.x||0} y={positions[n.id]?.y||0} width={nodeW} height={nodeH}
-            onMove={(xy)=> setPos(n.id, xy)}
-            onClick={() => {
-              if (n.id.startsWith('S')) { setPendingSupplier(n.id); }
-              if (n.id.startsWith('A') && pendingSupplier) { const sId = pendingSupplier; const aId = n.id; setAssignment((prev)=> ({ ...prev, [activeLruId]: { ...prev[activeLruId], supplierId: sId, assemblyId: aId } })); setPendingSupplier(null); }
-            }}
-            armed={pendingSupplier && n.id === pendingSupplier}
+        {graphNodes(network).map(({ n, kind }) => (
+          <Node key={n.id} kind={kind} label={(n.name || n.id) + (n.region?` (${n.region.id})`:"")} x={positions[n.id]?.x||0} y={positions[n.id]?.y||0} width={nodeW} height={nodeH} scale={scale}
+            onMove={(xy)=> setLayout((prev) => ({ ...prev, [n.id]: [Math.round(xy.x), Math.round(xy.y)] }))}
+            onClick={() => { onFocus({ node: n.id }); wire(kind, n.id); }}
+            armed={pending?.id === n.id} focused={focus?.node === n.id}
           />
         ))}
       </svg>
-      <div className="absolute top-2 right-2 text-[11px] text-slate-400">Click Supplier then Assembly to connect • Click edge tag to change mode</div>
+      <div className="absolute top-11 right-2 text-[11px] text-slate-400 pointer-events-none">Click Supplier → Assembly → DC{hasCustomers(network) ? " → Customer" : ""} to wire the active LRU • Click edge tag to change mode • Drag nodes, scroll to zoom, drag the background to pan</div>
+      <div className="absolute bottom-2 left-2 flex flex-wrap gap-3 text-[10px] text-slate-400">
+        {Object.entries(modeStyle).map(([m, s]) => <span key={m} className="flex items-center gap-1"><svg width="28" height="6"><line x1="0" y1="3" x2="28" y2="3" stroke="#7dd3fc" strokeWidth={s.width} strokeDasharray={s.dash} /></svg>{modeLabel(network.transport, m)}</span>)}
+        <span className="flex items-center gap-1"><svg width="28" height="6"><line x1="0" y1="3" x2="28" y2="3" stroke="#f43f5e" strokeWidth="2.5" /></svg>mode not open on lane</span>
+        {colorBy !== "mode" && <span className="flex items-center gap-1">{HEAT.map((c) => <span key={c} className="inline-block w-3 h-2" style={{ background: c }} />)}{colorBy === "utilization" ? <>0–100% of the sending site<span className="inline-block w-3 h-2 ml-1" style={{ background: "#d946ef" }} />over capacity</> : <>low → high {formatMoney(maxPerUnit)}/unit</>}</span>}
+        <span>width ∝ √units</span>
+      </div>
     </div>
   );
 }
 
-function Node({ id, label, x, y, width, height, onMove, onClick, armed }) {
-  const ref = useDrag({ x, y }, onMove);
+function Node({ kind, label, x, y, width, height, onMove, onClick, armed, focused, scale }) {
+  const ref = useDrag({ x, y }, onMove, scale);
   return (
     <foreignObject x={x} y={y} width={width} height={height}>
-      <div ref={ref} onClick={onClick} className={`select-none ${armed? 'ring-2 ring-amber-400':''} cursor-move rounded-xl border px-2 py-1 text-xs ${id.startsWith('S')? 'bg-slate-900/90 border-slate-700':'bg-slate-900/70 border-slate-700'}`}>{label}</div>
+      <div ref={ref} onClick={onClick} className={`select-none ${armed? 'ring-2 ring-amber-400': focused? 'ring-2 ring-sky-400':''} cursor-move rounded-xl border px-2 py-1 text-xs ${kind === 'supplier'? 'bg-slate-900/90 border-slate-700':'bg-slate-900/70 border-slate-700'}`}>{label}</div>
     </foreignObject>
   );
 }
 
+/********************
+ * Cost ledger (drill-down by LRU, leg, lane, component)
+ ********************/
+const TREEMAP_COLORS = ["#4f46e5", "#0891b2", "#059669", "#ca8a04", "#db2777", "#7c3aed", "#ea580c", "#475569"];
+
+// Binary split treemap in percent units: halve the items by value, cut the longer side, recurse.
+function treemapLayout(items, x = 0, y = 0, w = 100, h = 100) {
+  if (items.length <= 1) return items.map((it) => ({ ...it, x, y, w, h }));
+  const total = items.reduce((a, it) => a + it.value, 0);
+  let k = 1; let left = items[0].value;
+  while (k < items.length - 1 && left + items[k].value <= total / 2) left += items[k++].value;
+  const f = total > 0 ? left / total : 0.5;
+  return w >= h
+    ? [...treemapLayout(items.slice(0, k), x, y, w * f, h), ...treemapLayout(items.slice(k), x + w * f, y, w * (1 - f), h)]
+    : [...treemapLayout(items.slice(0, k), x, y, w, h * f), ...treemapLayout(items.slice(k), x, y + h * f, w, h * (1 - f))];
+}
+
+function CostLedger({ network, ledger, filter, setFilter }) {
+  const formatMoney = useMoney();
+  const [groupBy, setGroupBy] = useState("lru");
+  const rows = useMemo(() => rollupLedger(filterLedger(ledger, filter), groupBy, network), [ledger, filter, groupBy, network]);
+  const total = rows.reduce((a, r) => a + r.amount, 0);
+  const nodeName = (id) => [...network.suppliers, ...network.assemblySites, ...network.dcs].find((n) => n.id === id)?.name ?? id;
+  const chips = [...(filter.node ? [["node", "Node", nodeName(filter.node)]] : []), ...Object.entries(LEDGER_DIMENSIONS).filter(([dim]) => filter[dim] != null).map(([dim, d]) => [dim, d.label, d.name(filter[dim], network)])];
+  function drill(key) {
+    const next = { ...filter, [groupBy]: key }; setFilter(next);
+    setGroupBy(Object.keys(LEDGER_DIMENSIONS).find((dim) => next[dim] == null) ?? groupBy);
+  }
+  function unset(dim) { const { [dim]: _, ...rest } = filter; setFilter(rest); }
+  const tiles = treemapLayout(rows.filter((r) => r.amount > 0).map((r) => ({ key: r.key, label: r.name, value: r.amount })));
+  return (
+    <div className="text-xs">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <span className="text-slate-400">Group by</span>
+        <div className="w-32"><Select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} options={Object.entries(LEDGER_DIMENSIONS).map(([id, d]) => ({ id, name: d.label }))} /></div>
+        {chips.map(([dim, label, name]) => <button key={dim} onClick={() => unset(dim)} className="px-2 py-1 rounded-lg bg-slate-800 border border-slate-700 hover:bg-slate-700" title="Remove filter">{label}: {name} ×</button>)}
+        {chips.length > 0 && <button onClick={() => setFilter({})} className="text-indigo-400 hover:text-indigo-300">Clear filters</button>}
+      </div>
+      <div className="relative h-40 rounded-lg overflow-hidden bg-slate-950 border border-slate-800">
+        {tiles.map((t, i) => (
+          <div key={t.key} onClick={() => drill(t.key)} title={`${t.label}: ${formatMoney(t.value)} — click to drill in`} className="absolute border border-slate-950 p-1 overflow-hidden cursor-pointer hover:brightness-125" style={{ left: `${t.x}%`, top: `${t.y}%`, width: `${t.w}%`, height: `${t.h}%`, background: TREEMAP_COLORS[i % TREEMAP_COLORS.length] }}>
+            <div className="text-[10px] text-white truncate">{t.label}</div><div className="text-[10px] text-white/70 truncate">{Math.round((t.value / (total || 1)) * 100)}%</div>
+          </div>
+        ))}
+        {!tiles.length && <div className="p-3 text-slate-500">No costs match these filters.</div>}
+      </div>
+      <div className="mt-2 overflow-x-auto">
+        <table className="w-full text-[11px]">
+          <thead className="text-slate-400"><tr><th className="text-left p-1">{LEDGER_DIMENSIONS[groupBy].label}</th>{LEDGER_COMPONENTS.map((c) => <th key={c.key} className="text-right p-1">{c.label}</th>)}<th className="text-right p-1">Total</th><th className="text-right p-1">Share</th></tr></thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.key} onClick={() => drill(r.key)} className="border-t border-slate-800 hover:bg-slate-800/60 cursor-pointer">
+                <td className="p-1 text-slate-200">{r.name}</td>
+                {LEDGER_COMPONENTS.map((c) => <td key={c.key} className="p-1 text-right text-slate-300">{r.byComponent[c.key] ? formatMoney(Math.round(r.byComponent[c.key])) : "—"}</td>)}
+                <td className="p-1 text-right text-slate-100">{formatMoney(Math.round(r.amount))}</td>
+                <td className="p-1 text-right text-slate-400">{((r.amount / (total || 1)) * 100).toFixed(1)}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/********************
+ * Inventory positions (per DC)
+ ********************/
+function InventoryPositions({ network, positions }) {
+  const formatMoney = useMoney();
+  const lruName = Object.fromEntries(network.lrus.map((l) => [l.id, l.name]));
+  const byDc = network.dcs.map((d) => ({ dc: d, rows: positions.filter((p) => p.dcId === d.id) })).filter((g) => g.rows.length);
+  const units = (v) => Math.round(v).toLocaleString();
+  const sum = (rows, k) => rows.reduce((a, r) => a + r[k], 0);
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-[11px]">
+        <thead className="text-slate-400"><tr>{["LRU", "Demand/yr", "Lead time", "Order qty", "Reorder pt", "Cycle", "Safety", "In transit", "Fill rate", "Holding/yr"].map((h, i) => <th key={h} className={`p-1 ${i ? "text-right" : "text-left"}`}>{h}</th>)}</tr></thead>
+        <tbody>
+          {byDc.map(({ dc, rows }) => (
+            <React.Fragment key={dc.id}>
+              <tr className="border-t border-slate-700 bg-slate-800/50 text-slate-200">
+                <td className="p-1 font-semibold">{dc.name}</td><td className="p-1 text-right">{units(sum(rows, "annualDemand"))}</td><td /><td /><td />
+                <td className="p-1 text-right">{units(sum(rows, "cycle"))}</td><td className="p-1 text-right">{units(sum(rows, "safety"))}</td><td className="p-1 text-right">{units(sum(rows, "pipeline"))}</td><td />
+                <td className="p-1 text-right">{formatMoney(Math.round(sum(rows, "holdingCost")))}</td>
+              </tr>
+              {rows.map((r) => (
+                <tr key={r.lruId} className="border-t border-slate-800 text-slate-300">
+                  <td className="p-1 pl-3">{lruName[r.lruId] ?? r.lruId}</td><td className="p-1 text-right">{units(r.annualDemand)}</td><td className="p-1 text-right">{r.leadTimeDays.toFixed(1)} d</td>
+                  <td className="p-1 text-right">{units(r.orderQty)}</td><td className="p-1 text-right">{units(r.reorderPoint)}</td><td className="p-1 text-right">{units(r.cycle)}</td><td className="p-1 text-right">{units(r.safety)}</td><td className="p-1 text-right">{units(r.pipeline)}</td>
+                  <td className="p-1 text-right">{(r.fillRate * 100).toFixed(2)}%</td><td className="p-1 text-right">{formatMoney(Math.round(r.holdingCost))}</td>
+                </tr>
+              ))}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+      <div className="mt-1 text-[10px] text-slate-500">Holding covers cycle, safety and in-transit stock into the DC; stock in transit to assembly is charged on the inbound lanes of the cost ledger.</div>
+    </div>
+  );
+}
+
+/********************
+ * Pareto frontier explorer
+ ********************/
+function formatMetric(key, v, formatMoney) {
+  if (key === "cost") return formatMoney(v, { notation: "compact", maximumFractionDigits: 2 });
+  if (key === "carbon") return `${(v / 1000).toFixed(0)} t`;
+  if (key === "service") return `${(v * 100).toFixed(1)}%`;
+  return v.toFixed(3);
+}
+const PROJECTIONS = [["cost", "risk"], ["cost", "carbon"], ["risk", "carbon"], ["cost", "service"]];
+
+function ParetoScatter({ points, context, xKey, yKey, selected, onSelect }) {
+  const formatMoney = useMoney();
+  const W = 640; const H = 360; const L = 64; const B = 36; const T = 12; const R = 16;
+  const all = [...points, ...context];
+  const ext = (k) => { const vs = all.map((p) => p.metrics[k]); const lo = Math.min(...vs); const hi = Math.max(...vs); const pad = (hi - lo || Math.abs(hi) || 1) * 0.05; return [lo - pad, hi + pad]; };
+  const [x0, x1] = ext(xKey); const [y0, y1] = ext(yKey);
+  const sx = (v) => L + ((v - x0) / (x1 - x0)) * (W - L - R); const sy = (v) => H - B - ((v - y0) / (y1 - y0)) * (H - B - T);
+  const front2d = nonDominated(points, [xKey, yKey]).sort((a, b) => a.metrics[xKey] - b.metrics[xKey]);
+  const label = (k) => PARETO_METRICS.find((m) => m.key === k).label;
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full bg-slate-950 rounded-xl border border-slate-800">
+      <line x1={L} y1={H - B} x2={W - R} y2={H - B} stroke="#334155" /><line x1={L} y1={T} x2={L} y2={H - B} stroke="#334155" />
+      <text x={L} y={H - B + 14} fontSize="10" fill="#64748b">{formatMetric(xKey, x0, formatMoney)}</text>
+      <text x={W - R} y={H - B + 14} fontSize="10" fill="#64748b" textAnchor="end">{formatMetric(xKey, x1, formatMoney)}</text>
+      <text x={(L + W - R) / 2} y={H - 6} fontSize="11" fill="#94a3b8" textAnchor="middle">{label(xKey)}</text>
+      <text x={L - 4} y={H - B} fontSize="10" fill="#64748b" textAnchor="end">{formatMetric(yKey, y0, formatMoney)}</text>
+      <text x={L - 4} y={T + 8} fontSize="10" fill="#64748b" textAnchor="end">{formatMetric(yKey, y1, formatMoney)}</text>
+      <text x={12} y={(T + H - B) / 2} fontSize="11" fill="#94a3b8" textAnchor="middle" transform={`rotate(-90 12 ${(T + H - B) / 2})`}>{label(yKey)}</text>
+      {context.map((p, i) => <circle key={`c${i}`} cx={sx(p.metrics[xKey])} cy={sy(p.metrics[yKey])} r="1.5" fill="#334155" />)}
+      <polyline points={front2d.map((p) => `${sx(p.metrics[xKey])},${sy(p.metrics[yKey])}`).join(" ")} fill="none" stroke="#f59e0b" strokeWidth="1.5" />
+      {points.map((p, i) => (
+        <circle key={i} cx={sx(p.metrics[xKey])} cy={sy(p.metrics[yKey])} r={p === selected ? 6 : 3.5} fill={p.feasible ? "#818cf8" : "#64748b"} stroke={p === selected ? "#fbbf24" : "none"} strokeWidth="2" style={{ cursor: "pointer" }} onClick={() => onSelect(p)}>
+          <title>{PARETO_METRICS.map((m) => `${m.label}: ${formatMetric(m.key, p.metrics[m.key], formatMoney)}`).join("\n")}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+function ParetoExplorer({ network, params, lruEdits, allowSplits, onClose, onLoad, onSave }) {
+  const formatMoney = useMoney();
+  const [busy, setBusy] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  const [axes, setAxes] = useState(["cost", "risk"]);
+  const [feasibleOnly, setFeasibleOnly] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const job = useRef(null);
+  useEffect(() => () => job.current?.cancel(), []);
+
+  async function compute() {
+    setBusy(true); setError(null); setSelected(null); setProgress(null);
+    try {
+      job.current = runSolverTask("pareto", { network, params, lruEdits, allowSplits }, { onProgress: setProgress });
+      setData(await job.current.promise);
+    } catch (err) { if (!(err instanceof SolverCancelledError)) setError(err.message); }
+    finally { job.current = null; setBusy(false); }
+  }
+  const points = data ? data.frontier.filter((p) => !feasibleOnly || p.feasible) : [];
+  const lruName = Object.fromEntries(network.lrus.map((l) => [l.id, l.name]));
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+      <div className="w-[1000px] max-h-[90vh] overflow-auto rounded-2xl bg-slate-900 border border-slate-700 p-4">
+        <div className="flex justify-between items-center mb-3">
+          <div className="text-slate-200 font-semibold">Trade-off Explorer (Pareto frontier: cost • risk • carbon • service)</div>
+          <button className="text-slate-300" onClick={onClose}>Close</button>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 mb-3 text-xs">
+          {busy
+            ? <button onClick={() => job.current?.cancel()} className="px-3 py-2 rounded-xl bg-rose-700 hover:bg-rose-600">Cancel</button>
+            : <button onClick={compute} className="px-3 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500">{data ? "Recompute" : "Compute frontier"}</button>}
+          {busy && progress && <span className="text-slate-400">{progress.phase}: {progress.done}/{progress.total} • {progress.frontier} non-dominated so far</span>}
+          {data && !busy && <span className="text-slate-400">{data.frontier.length} non-dominated of {data.evaluated.toLocaleString()} evaluated ({(data.elapsedMs / 1000).toFixed(1)}s)</span>}
+          {error && <span className="text-rose-400">{error}</span>}
+        </div>
+        {data && (
+          <div className="grid grid-cols-3 gap-4">
+            <div className="col-span-2">
+              <div className="flex flex-wrap items-center gap-1 mb-2 text-[11px]">
+                {PROJECTIONS.map(([x, y]) => (
+                  <button key={`${x}-${y}`} onClick={() => setAxes([x, y])} className={`px-2 py-1 rounded-lg ${axes[0] === x && axes[1] === y ? 'bg-slate-700 text-slate-100' : 'bg-slate-800 text-slate-400'}`}>{PARETO_METRICS.find((m) => m.key === x).label} vs {PARETO_METRICS.find((m) => m.key === y).label}</button>
+                ))}
+                <label className="ml-auto flex items-center gap-1 text-slate-400"><input type="checkbox" checked={feasibleOnly} onChange={(e) => setFeasibleOnly(e.target.checked)} />Only points meeting service target</label>
+              </div>
+              {points.length ? <ParetoScatter points={points} context={data.dominated} xKey={axes[0]} yKey={axes[1]} selected={selected} onSelect={(p) => { setSelected(p); setSaved(false); }} /> : <div className="text-sm text-slate-400">No frontier points meet the service target.</div>}
+              <div className="mt-1 text-[11px] text-slate-500">Amber line: points also non-dominated in this 2D projection. Grey: sample of dominated candidates. Click a point to inspect it.</div>
+            </div>
+            <div className="text-xs text-slate-300">
+              {!selected ? <div className="text-slate-500">Select a frontier point.</div> : (
+                <div className="space-y-2">
+                  <div className="grid grid-cols-2 gap-2">{PARETO_METRICS.map((m) => <KPI key={m.key} label={m.label} value={formatMetric(m.key, selected.metrics[m.key], formatMoney)} />)}</div>
+                  <div className="text-[11px] text-slate-500">Found by: {selected.source}{!selected.feasible && " • misses service target"}</div>
+                  <div className="space-y-1">
+                    {Object.entries(selected.assignment).map(([lruId, pick]) => (
+                      <div key={lruId} className="text-[11px]"><span className="text-slate-400">{lruName[lruId] || lruId}:</span> {splitLabel(pick, 'supplier')}→{splitLabel(pick, 'assembly')}→{splitLabel(pick, 'dc')} • {pick.supMode}/{pick.dcMode}{pick.lastMode && `/${pick.lastMode}`}</div>
+                    ))}
+                  </div>
+                  <div className="flex gap-2">
+                    <button onClick={() => onLoad(selected.assignment)} className="px-3 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500">Load into main view</button>
+                    <button onClick={() => { onSave(selected.assignment); setSaved(true); }} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700">{saved ? "Saved" : "Save as scenario"}</button>
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/********************
+ * Emissions report, carbon caps and the carbon/cost trade-off
+ ********************/
+function formatTons(kg) { return `${(kg / 1000).toLocaleString(undefined, { maximumFractionDigits: 1 })} t`; }
+
+// Caps are entered in tonnes CO2e; blank removes the cap.
+function CapInput({ label, kg, onChange }) { return (
+  <label className="flex items-center justify-between gap-2 text-xs text-slate-400"><span>{label}</span>
+    <input key={kg ?? "none"} type="number" min={0} step={10} placeholder="none" defaultValue={kg != null ? +(kg / 1000).toFixed(1) : ""} className="w-24 bg-slate-800 text-slate-100 rounded px-1 py-0.5 border border-slate-700"
+      onBlur={(e) => { const raw = e.target.value.trim(); const t = parseFloat(raw); if (!raw) onChange(null); else if (Number.isFinite(t) && t >= 0) onChange(t * 1000); }} />
+  </label>
+); }
+
+function TradeoffChart({ points, current, onSelect }) {
+  const formatMoney = useMoney();
+  const W = 640; const H = 300; const L = 72; const B = 36; const T = 12; const R = 16;
+  const found = points.filter((p) => p.carbonKg != null).sort((a, b) => a.carbonKg - b.carbonKg);
+  const all = [...found, current];
+  const ext = (k) => { const vs = all.map((p) => p[k]); const lo = Math.min(...vs); const hi = Math.max(...vs); const pad = (hi - lo || Math.abs(hi) || 1) * 0.05; return [lo - pad, hi + pad]; };
+  const [x0, x1] = ext("carbonKg"); const [y0, y1] = ext("cost");
+  const sx = (v) => L + ((v - x0) / (x1 - x0)) * (W - L - R); const sy = (v) => H - B - ((v - y0) / (y1 - y0)) * (H - B - T);
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full bg-slate-950 rounded-xl border border-slate-800">
+      <line x1={L} y1={H - B} x2={W - R} y2={H - B} stroke="#334155" /><line x1={L} y1={T} x2={L} y2={H - B} stroke="#334155" />
+      <text x={L} y={H - B + 14} fontSize="10" fill="#64748b">{formatTons(x0)}</text>
+      <text x={W - R} y={H - B + 14} fontSize="10" fill="#64748b" textAnchor="end">{formatTons(x1)}</text>
+      <text x={(L + W - R) / 2} y={H - 6} fontSize="11" fill="#94a3b8" textAnchor="middle">Carbon (t CO2e)</text>
+      <text x={L - 4} y={H - B} fontSize="10" fill="#64748b" textAnchor="end">{formatMetric("cost", y0, formatMoney)}</text>
+      <text x={L - 4} y={T + 8} fontSize="10" fill="#64748b" textAnchor="end">{formatMetric("cost", y1, formatMoney)}</text>
+      <polyline points={found.map((p) => `${sx(p.carbonKg)},${sy(p.cost)}`).join(" ")} fill="none" stroke="#34d399" strokeWidth="1.5" />
+      {found.map((p, i) => (
+        <circle key={i} cx={sx(p.carbonKg)} cy={sy(p.cost)} r="4" fill="#34d399" style={{ cursor: "pointer" }} onClick={() => onSelect(p)}>
+          <title>{`${p.capKg == null ? "No cap" : `Cap ${formatTons(p.capKg)}`}: ${formatMoney(p.cost)} at ${formatTons(p.carbonKg)}${p.status === "timeout" ? " (not proven optimal)" : ""}`}</title>
+        </circle>
+      ))}
+      <circle cx={sx(current.carbonKg)} cy={sy(current.cost)} r="5" fill="none" stroke="#fbbf24" strokeWidth="2"><title>Current assignment</title></circle>
+    </svg>
+  );
+}
+
+function EmissionsReport({ network, params, result, lruEdits, allowSplits, setCarbonCapKg, setRegionCarbonCapsKg, onClose, onLoad }) {
+  const formatMoney = useMoney();
+  const report = useMemo(() => emissionsReport(result, network), [result, network]);
+  const [dim, setDim] = useState("stage");
+  const [busy, setBusy] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [curve, setCurve] = useState(null);
+  const [error, setError] = useState(null);
+  const job = useRef(null);
+  useEffect(() => () => job.current?.cancel(), []);
+
+  async function compute() {
+    setBusy(true); setError(null); setProgress(null);
+    try {
+      job.current = runSolverTask("carbonTradeoff", { network, params, lruEdits, allowSplits }, { onProgress: setProgress });
+      setCurve(await job.current.promise);
+    } catch (err) { if (!(err instanceof SolverCancelledError)) setError(err.message); }
+    finally { job.current = null; setBusy(false); }
+  }
+  const over = (regionId) => result.carbon.over.find((c) => c.regionId === regionId);
+  const regionCaps = params.regionCarbonCapsKg ?? {};
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+      <div className="w-[1000px] max-h-[90vh] overflow-auto rounded-2xl bg-slate-900 border border-slate-700 p-4">
+        <div className="flex justify-between items-center mb-3">
+          <div className="text-slate-200 font-semibold">Emissions (CO2e) — report, caps and carbon vs cost</div>
+          <button className="text-slate-300" onClick={onClose}>Close</button>
+        </div>
+        <div className="grid grid-cols-3 gap-4">
+          <div className="col-span-2">
+            <div className="grid grid-cols-3 gap-2 mb-2">
+              <KPI label="Total" value={formatTons(report.totalKg)} />
+              <KPI label="Intensity" value={`${report.kgPerUnit.toFixed(1)} kg/unit`} />
+              <KPI label="Caps" value={result.carbon.over.length ? <span className="text-rose-400">{result.carbon.over.length} exceeded</span> : <span className="text-emerald-400">within</span>} />
+            </div>
+            <div className="flex gap-1 mb-2 text-[11px]">
+              {Object.entries(EMISSION_DIMENSIONS).map(([k, d]) => <button key={k} onClick={() => setDim(k)} className={`px-2 py-1 rounded-lg ${dim === k ? 'bg-slate-700 text-slate-100' : 'bg-slate-800 text-slate-400'}`}>By {d.label.toLowerCase()}</button>)}
+            </div>
+            <table className="w-full text-[11px] text-slate-300">
+              <thead><tr className="text-slate-500 text-left"><th className="py-1 font-normal">{EMISSION_DIMENSIONS[dim].label}</th><th className="py-1 font-normal text-right">t CO2e</th><th className="py-1 font-normal w-1/3">Share</th><th className="py-1 font-normal text-right">kg / unit</th></tr></thead>
+              <tbody>
+                {report.byDimension[dim].map((r) => (
+                  <tr key={r.key} className="border-t border-slate-800">
+                    <td className="py-1">{r.name}</td>
+                    <td className="py-1 text-right">{(r.carbonKg / 1000).toFixed(1)}</td>
+                    <td className="py-1"><div className="h-2 bg-slate-800 rounded"><div className="h-2 rounded bg-emerald-500" style={{ width: `${r.share * 100}%` }} /></div></td>
+                    <td className="py-1 text-right">{r.kgPerUnit.toFixed(1)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="mt-1 text-[11px] text-slate-500">All modelled emissions are purchased freight (GHG Protocol Scope 3, category 4); region is where a leg departs. LRU intensity is per unit of that LRU's demand, other rows per unit of total demand.</div>
+          </div>
+          <div className="space-y-2">
+            <div className="text-xs text-slate-300 font-semibold">Carbon caps (t CO2e)</div>
+            <div className="text-[11px] text-slate-500">Hard limits: an assignment over any cap is infeasible and the optimizer stays within them.</div>
+            <CapInput label={<>Network <span className={over(null) ? "text-rose-400" : "text-slate-500"}>({formatTons(report.totalKg)})</span></>} kg={params.carbonCapKg} onChange={setCarbonCapKg} />
+            {network.regions.map((r) => (
+              <CapInput key={r.id} label={<>{r.name} <span className={over(r.id) ? "text-rose-400" : "text-slate-500"}>({formatTons(result.carbon.byRegion[r.id] ?? 0)})</span></>} kg={regionCaps[r.id]}
+                onChange={(kg) => { const { [r.id]: _, ...rest } = regionCaps; setRegionCarbonCapsKg(kg == null ? rest : { ...rest, [r.id]: kg }); }} />
+            ))}
+          </div>
+        </div>
+        <div className="mt-4 border-t border-slate-800 pt-3">
+          <div className="flex flex-wrap items-center gap-2 mb-2 text-xs">
+            <span className="text-slate-300 font-semibold">Carbon vs cost</span>
+            {busy
+              ? <button onClick={() => job.current?.cancel()} className="px-3 py-2 rounded-xl bg-rose-700 hover:bg-rose-600">Cancel</button>
+              : <button onClick={compute} className="px-3 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500">{curve ? "Recompute" : "Compute trade-off"}</button>}
+            {busy && progress && <span className="text-slate-400">optimizing {progress.done}/{progress.total} caps…</span>}
+            {curve && !busy && <span className="text-slate-400">Cheapest network at each cap, from the uncapped optimum down to the {formatTons(curve.carbonFloorKg)} floor ({(curve.elapsedMs / 1000).toFixed(1)}s)</span>}
+            {error && <span className="text-rose-400">{error}</span>}
+          </div>
+          {curve && (
+            <div className="grid grid-cols-3 gap-4">
+              <div className="col-span-2">
+                <TradeoffChart points={curve.points} current={{ carbonKg: result.totals.carbonKg, cost: result.cost }} onSelect={(p) => onLoad(p.assignment)} />
+                <div className="mt-1 text-[11px] text-slate-500">Amber ring: current assignment. Click a point to load it.</div>
+              </div>
+              <table className="text-[11px] text-slate-300 self-start">
+                <thead><tr className="text-slate-500 text-left"><th className="py-1 font-normal">Cap</th><th className="py-1 font-normal text-right">Cost</th><th className="py-1 font-normal text-right">Emitted</th><th /></tr></thead>
+                <tbody>
+                  {curve.points.map((p, i) => (
+                    <tr key={i} className="border-t border-slate-800">
+                      <td className="py-1">{p.capKg == null ? "none" : formatTons(p.capKg)}</td>
+                      <td className="py-1 text-right">{p.cost != null ? formatMetric("cost", p.cost, formatMoney) : p.status === "timeout" ? <span className="text-amber-400">not found in time</span> : <span className="text-rose-400">infeasible</span>}</td>
+                      <td className="py-1 text-right">{p.carbonKg != null ? formatTons(p.carbonKg) : "—"}</td>
+                      <td className="py-1 text-right">{p.assignment && <button className="text-indigo-400 hover:text-indigo-300" onClick={() => onLoad(p.assignment)}>Load</button>}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/********************
+ * Two-parameter sweep
+ ********************/
+function formatSweep(metric, v, formatMoney) { return metric === "serviceLevel" ? `${(v * 100).toFixed(1)}%` : formatMetric("cost", v, formatMoney); }
+function formatLever(v) { return String(+v.toPrecision(4)); }
+
+function SweepAxisInput({ name, axis, other, params, onChange }) { return (
+  <div className="grid grid-cols-4 gap-2 items-end">
+    <div className="col-span-4 sm:col-span-1"><Label>{name} axis</Label><Select value={axis.key} onChange={(e) => onChange(defaultAxis(e.target.value, params[e.target.value], axis.steps))} options={Object.entries(SWEEP_PARAMS).filter(([k]) => k !== other).map(([id, p]) => ({ id, name: p.label }))} /></div>
+    <NumberInput label="From" value={axis.min} step={0.01} onChange={(v) => onChange({ ...axis, min: v })} />
+    <NumberInput label="To" value={axis.max} step={0.01} onChange={(v) => onChange({ ...axis, max: v })} />
+    <NumberInput label={`Steps (2–${MAX_SWEEP_STEPS})`} value={axis.steps} min={2} max={MAX_SWEEP_STEPS} onChange={(v) => onChange({ ...axis, steps: v })} />
+  </div>
+); }
+
+function SweepHeatmap({ sweep, metric, current, onSelect }) {
+  const formatMoney = useMoney();
+  const CW = 56; const CH = 26; const L = 64; const T = 8; const B = 40;
+  const W = L + CW * sweep.x.values.length + 8; const H = T + CH * sweep.y.values.length + B;
+  const vs = sweep.cells.flat().filter((c) => c[metric] != null && Number.isFinite(c[metric])).map((c) => c[metric]);
+  const lo = Math.min(...vs); const hi = Math.max(...vs);
+  // Low cost and objective are good, low service is bad: green is always the better end
+  const color = (c) => {
+    if (metric === "feasible") return c.feasible == null ? "#334155" : c.feasible ? "#34d399" : "#f43f5e";
+    if (c[metric] == null || !Number.isFinite(c[metric])) return "#1e293b";
+    const t = hi > lo ? (c[metric] - lo) / (hi - lo) : 0;
+    return heatColor(metric === "serviceLevel" ? 1 - t : t);
+  };
+  const label = (c) => (metric === "feasible" ? (c.feasible == null ? c.status : c.feasible ? "✓" : "✗") : c[metric] == null ? c.status : formatSweep(metric, c[metric], formatMoney));
+  const rows = [...sweep.cells].reverse(); // highest y value on top
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full bg-slate-950 rounded-xl border border-slate-800" style={{ maxHeight: 460 }}>
+      {rows.map((row, j) => (
+        <g key={j}>
+          <text x={L - 4} y={T + j * CH + CH / 2 + 3} fontSize="9" fill="#94a3b8" textAnchor="end">{formatLever(row[0].y)}</text>
+          {row.map((c, i) => (
+            <g key={i} style={{ cursor: c.assignment && sweep.reoptimize ? "pointer" : "default" }} onClick={() => c.assignment && sweep.reoptimize && onSelect(c)}>
+              <rect x={L + i * CW} y={T + j * CH} width={CW - 2} height={CH - 2} rx="3" fill={color(c)} opacity={metric !== "feasible" && c.feasible === false ? 0.45 : 0.9} />
+              <text x={L + i * CW + CW / 2 - 1} y={T + j * CH + CH / 2 + 3} fontSize="8.5" fill="#0f172a" textAnchor="middle" pointerEvents="none">{label(c)}</text>
+              <title>{`${SWEEP_PARAMS[sweep.x.key].label} ${formatLever(c.x)}, ${SWEEP_PARAMS[sweep.y.key].label} ${formatLever(c.y)}: ${c.status}${c.objective != null ? ` — objective ${formatMoney(c.objective)}, cost ${formatMoney(c.cost)}, service ${(c.serviceLevel * 100).toFixed(2)}%` : ""}`}</title>
+            </g>
+          ))}
+        </g>
+      ))}
+      {sweep.x.values.map((v, i) => <text key={i} x={L + i * CW + CW / 2 - 1} y={T + rows.length * CH + 10} fontSize="9" fill="#94a3b8" textAnchor="middle">{formatLever(v)}</text>)}
+      <text x={L + (W - L) / 2} y={H - 8} fontSize="10" fill="#94a3b8" textAnchor="middle">{SWEEP_PARAMS[sweep.x.key].label}</text>
+      <text x={10} y={T + (rows.length * CH) / 2} fontSize="10" fill="#94a3b8" textAnchor="middle" transform={`rotate(-90 10 ${T + (rows.length * CH) / 2})`}>{SWEEP_PARAMS[sweep.y.key].label}</text>
+      {current && <circle cx={L + ((current.x - sweep.x.min) / (sweep.x.max - sweep.x.min || 1)) * (sweep.x.values.length - 1) * CW + CW / 2 - 1} cy={T + (1 - (current.y - sweep.y.min) / (sweep.y.max - sweep.y.min || 1)) * (rows.length - 1) * CH + CH / 2 - 1} r="5" fill="none" stroke="#f8fafc" strokeWidth="1.5"><title>Current settings</title></circle>}
+    </svg>
+  );
+}
+
+function SweepTool({ network, params, assignment, lruEdits, allowSplits, onClose, onLoad }) {
+  const [x, setX] = useState(() => defaultAxis("tariffMultiplier", params.tariffMultiplier));
+  const [y, setY] = useState(() => defaultAxis("carbonPrice", params.carbonPrice));
+  const [reoptimize, setReoptimize] = useState(false);
+  const [metric, setMetric] = useState("objective");
+  const [busy, setBusy] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [sweep, setSweep] = useState(null);
+  const [error, setError] = useState(null);
+  const job = useRef(null);
+  useEffect(() => () => job.current?.cancel(), []);
+  const problems = validateSweep(x, y);
+
+  async function compute() {
+    setBusy(true); setError(null); setProgress(null);
+    try {
+      job.current = runSolverTask("sweep", { network, params, assignment, lruEdits, x, y, reoptimize, allowSplits }, { onProgress: setProgress });
+      setSweep(await job.current.promise);
+    } catch (err) { if (!(err instanceof SolverCancelledError)) setError(err.message); }
+    finally { job.current = null; setBusy(false); }
+  }
+  function downloadCSV() { const blob = new Blob([sweepCSV(sweep)], { type: "text/csv" }); const url = URL.createObjectURL(blob); const a = document.createElement("a"); a.href = url; a.download = `sweep_${sweep.x.key}_${sweep.y.key}.csv`; a.click(); URL.revokeObjectURL(url); }
+  const inRange = (axis, v) => v >= axis.min && v <= axis.max;
+  const current = sweep && inRange(sweep.x, params[sweep.x.key]) && inRange(sweep.y, params[sweep.y.key]) ? { x: params[sweep.x.key], y: params[sweep.y.key] } : null;
+  const feasibleShare = sweep && sweep.cells.flat().filter((c) => c.feasible).length / sweep.cells.flat().length;
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+      <div className="w-[1000px] max-h-[90vh] overflow-auto rounded-2xl bg-slate-900 border border-slate-700 p-4">
+        <div className="flex justify-between items-center mb-3">
+          <div className="text-slate-200 font-semibold">Two-parameter sweep</div>
+          <button className="text-slate-300" onClick={onClose}>Close</button>
+        </div>
+        <div className="space-y-2 mb-3">
+          <SweepAxisInput name="X" axis={x} other={y.key} params={params} onChange={setX} />
+          <SweepAxisInput name="Y" axis={y} other={x.key} params={params} onChange={setY} />
+        </div>
+        <div className="flex flex-wrap items-center gap-3 mb-2 text-xs">
+          <label className="flex items-center gap-1 text-slate-300"><input type="radio" checked={!reoptimize} onChange={() => setReoptimize(false)} /> Current assignment</label>
+          <label className="flex items-center gap-1 text-slate-300"><input type="radio" checked={reoptimize} onChange={() => setReoptimize(true)} /> Re-optimize at each point{allowSplits && " (with splits)"}</label>
+          {busy
+            ? <button onClick={() => job.current?.cancel()} className="px-3 py-2 rounded-xl bg-rose-700 hover:bg-rose-600">Cancel</button>
+            : <button onClick={compute} disabled={problems.length > 0} className="px-3 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50">Run sweep ({x.steps * y.steps || 0} points)</button>}
+          {sweep && !busy && <button onClick={downloadCSV} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700">Download CSV</button>}
+          {busy && progress && <span className="text-slate-400">{reoptimize ? "optimizing" : "evaluating"} {progress.done}/{progress.total} points…</span>}
+          {error && <span className="text-rose-400">{error}</span>}
+        </div>
+        {problems.map((p) => <div key={p} className="text-[11px] text-rose-400">{p}</div>)}
+        {sweep && (
+          <div>
+            <div className="flex flex-wrap items-center gap-1 my-2 text-[11px]">
+              {Object.entries(SWEEP_METRICS).map(([k, m]) => <button key={k} onClick={() => setMetric(k)} className={`px-2 py-1 rounded-lg ${metric === k ? 'bg-slate-700 text-slate-100' : 'bg-slate-800 text-slate-400'}`}>{m.label}</button>)}
+              <span className="ml-2 text-slate-400">{sweep.reoptimize ? "Best assignment at each point" : "Current assignment at each point"} • feasible at {Math.round(feasibleShare * 100)}% of {sweep.cells.flat().length} points • {(sweep.elapsedMs / 1000).toFixed(1)}s{!sweep.complete && " • some solves were cut short"}</span>
+            </div>
+            <SweepHeatmap sweep={sweep} metric={metric} current={current} onSelect={(c) => onLoad(c.assignment)} />
+            <div className="mt-1 text-[11px] text-slate-500">Green is the better end of the range; faded cells are infeasible; the white ring marks the current settings.{sweep.reoptimize && " Click a cell to load its assignment."}</div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/********************
+ * Business rules
+ ********************/
+function RuleEditor({ network, rules, setRules, violations, onClose }) {
+  const [draft, setDraft] = useState(() => newRule(rules, network));
+  const [notes, setNotes] = useState([]);
+  const kept = new Set(validateRules(rules, network).rules.map((r) => r.id));
+  const limited = draft.kind === "share" || draft.kind === "volume";
+  const targets = [...(limited ? [{ id: "*", name: `Each ${RULE_TARGETS[draft.on].label.toLowerCase()}` }] : []), ...RULE_TARGETS[draft.on].list(network)];
+  const ons = Object.entries(RULE_TARGETS).filter(([id]) => !(draft.kind === "share" && id === "mode")).map(([id, t]) => ({ id, name: t.label }));
+  const setKind = (kind) => setDraft((d) => {
+    const on = kind === "share" && d.on === "mode" ? "supplier" : d.on; const keep = on === d.on && (d.target !== "*" || kind === "share" || kind === "volume");
+    return { ...d, kind, on, target: keep ? d.target : RULE_TARGETS[on].list(network)[0]?.id, min: undefined, max: undefined };
+  });
+  const setOn = (on) => setDraft((d) => ({ ...d, on, target: d.target === "*" ? "*" : RULE_TARGETS[on].list(network)[0]?.id }));
+  const toggleLru = (id) => setDraft((d) => ({ ...d, lruIds: d.lruIds.includes(id) ? d.lruIds.filter((x) => x !== id) : [...d.lruIds, id] }));
+  // share limits are typed as percentages, volume limits as units; blank = no bound
+  const bound = (key) => (e) => { const v = e.target.value.trim(); setDraft((d) => ({ ...d, [key]: v === "" ? undefined : Number(v) / (d.kind === "share" ? 100 : 1) })); };
+  function addRule() {
+    const out = validateRules([draft], network);
+    setNotes(out.notes);
+    if (!out.rules.length) return;
+    const next = [...rules, ...out.rules]; setRules(next); setDraft({ ...newRule(next, network), kind: draft.kind, on: draft.on, target: draft.target });
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+      <div className="w-[900px] max-h-[90vh] overflow-auto rounded-2xl bg-slate-900 border border-slate-700 p-4">
+        <div className="flex justify-between items-center mb-3">
+          <div className="text-slate-200 font-semibold">Business Rules</div>
+          <button className="text-slate-300" onClick={onClose}>Close</button>
+        </div>
+        <div className="text-[11px] text-slate-500 mb-2">Rules are hard constraints: an assignment that breaks one is infeasible, and Optimize only returns assignments that keep them all. Share rules cap or floor the share of each LRU through a site or region (dual sourcing must be on to meet a cap below 100%); volume rules limit the units summed over the LRUs.</div>
+        <table className="w-full text-xs text-slate-300">
+          <thead><tr className="text-slate-400"><th className="text-left py-1">Rule</th><th className="text-left py-1">Constraint</th><th className="text-left py-1">Current assignment</th><th /></tr></thead>
+          <tbody>
+            {rules.map((r) => {
+              const broken = violations.filter((v) => v.ruleId === r.id);
+              return (
+                <tr key={r.id} className="border-t border-slate-800 align-top">
+                  <td className="py-1">{r.id}</td>
+                  <td className="py-1">{describeRule(r, network)}</td>
+                  <td className="py-1">{!kept.has(r.id) ? <span className="text-amber-300">refers to something no longer in the network; ignored</span> : broken.length ? <span className="text-rose-300" title={broken.map((v) => v.message).join('\n')}>{broken.length} violation{broken.length > 1 ? "s" : ""}</span> : <span className="text-emerald-400">kept</span>}</td>
+                  <td className="py-1 text-right"><button className="text-slate-500 hover:text-rose-300" onClick={() => setRules(rules.filter((x) => x.id !== r.id))}>✕</button></td>
+                </tr>
+              );
+            })}
+            {!rules.length && <tr><td colSpan={4} className="py-2 text-slate-500">No rules yet.</td></tr>}
+          </tbody>
+        </table>
+        <div className="flex flex-wrap items-end gap-2 mt-3 text-xs">
+          <div className="w-40"><Label>Kind</Label><Select value={draft.kind} onChange={(e) => setKind(e.target.value)} options={Object.entries(RULE_KINDS).map(([id, k]) => ({ id, name: k.label }))} /></div>
+          <div className="w-40"><Label>Applies to</Label><Select value={draft.on} onChange={(e) => setOn(e.target.value)} options={ons} /></div>
+          <div className="w-52"><Label>Target</Label><Select value={draft.target} onChange={(e) => setDraft({ ...draft, target: e.target.value })} options={targets} /></div>
+          {limited && ["min", "max"].map((key) => (
+            <div key={`${draft.id}-${draft.kind}-${key}`} className="w-24 text-[11px]"><div className="text-slate-500 mb-1">{key === "min" ? "Min" : "Max"} {draft.kind === "share" ? "%" : "units"}</div>
+              <input type="number" min={0} defaultValue={draft[key] != null ? draft[key] * (draft.kind === "share" ? 100 : 1) : ""} onBlur={bound(key)} placeholder="—" className="w-full bg-slate-800 text-slate-100 rounded-lg px-2 py-1 border border-slate-700" /></div>
+          ))}
+          <button onClick={addRule} className="px-3 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500">Add rule</button>
+        </div>
+        <div className="flex flex-wrap gap-3 mt-2 text-xs text-slate-300">
+          <span className="text-slate-500">LRUs (none ticked = all):</span>
+          {network.lrus.map((l) => <label key={l.id} className="flex items-center gap-1"><input type="checkbox" checked={draft.lruIds.includes(l.id)} onChange={() => toggleLru(l.id)} />{l.name}</label>)}
+        </div>
+        {notes.length > 0 && <ul className="list-disc ml-5 mt-2 text-xs text-amber-300">{notes.map((n, i) => <li key={i}>{n}</li>)}</ul>}
+      </div>
+    </div>
+  );
+}
+
+/********************
+ * Transition from the as-is baseline
+ ********************/
+function TransitionPlanner({ network, params, lruEdits, assignment, result, transition, setTransition, onLoad, onClose }) {
+  const formatMoney = useMoney();
+  const baselineResult = useMemo(() => (transition ? evaluateSolution({ assignment: transition.baseline, params, network, lruEdits }) : null), [transition, params, network, lruEdits]);
+  const plan = useMemo(() => (transition ? transitionPlan({ result, baselineResult, assignment, transition }) : null), [transition, result, baselineResult, assignment]);
+  const lruName = Object.fromEntries(network.lrus.map((l) => [l.id, l.name]));
+  const siteName = Object.fromEntries([...network.suppliers, ...network.assemblySites].map((s) => [s.id, s.name]));
+  const route = (pick) => `${splitLabel(pick, "supplier")} → ${splitLabel(pick, "assembly")}`;
+  const months = (m) => (m == null ? "never" : `${m.toFixed(1)} mo`);
+  // a blank field falls back to the site kind's default
+  const setCost = (id, field) => (e) => {
+    const v = e.target.value.trim(); const { [field]: _, ...rest } = transition.siteCosts[id] ?? {};
+    const next = v === "" || !(Number(v) >= 0) ? rest : { ...rest, [field]: Number(v) };
+    setTransition({ ...transition, siteCosts: { ...transition.siteCosts, [id]: next } });
+  };
+  const fields = [...Object.entries(SWITCH_COST_FIELDS), ["leadWeeks", "Lead (wk)"]];
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+      <div className="w-[1000px] max-h-[90vh] overflow-auto rounded-2xl bg-slate-900 border border-slate-700 p-4">
+        <div className="flex justify-between items-center mb-3">
+          <div className="text-slate-200 font-semibold">Transition Plan (as-is baseline → current assignment)</div>
+          <button className="text-slate-300" onClick={onClose}>Close</button>
+        </div>
+        <div className="text-[11px] text-slate-500 mb-2">Bringing a supplier or assembly site into an LRU's sourcing costs tooling, qualification and first-article inspection once, and the move is ready only once the site is qualified. Optimize charges these costs spread over the amortization period and keeps within the change budget; DC and mode moves are free.</div>
+        <div className="flex flex-wrap items-end gap-2 text-xs">
+          <button onClick={() => setTransition({ ...(transition ?? defaultTransition(assignment)), baseline: assignment })} className="px-3 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500">{transition ? "Reset baseline to current" : "Use current assignment as baseline"}</button>
+          {transition && <>
+            <button onClick={() => onLoad(transition.baseline)} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700">Load baseline</button>
+            <button onClick={() => setTransition(null)} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700">Clear baseline</button>
+            <div className="w-32 text-[11px]"><div className="text-slate-500 mb-1">Max changed LRUs</div>
+              <input key={`max-${transition.maxChanges}`} type="number" min={0} step={1} defaultValue={transition.maxChanges ?? ""} placeholder="no limit" onBlur={(e) => { const v = e.target.value.trim(); setTransition({ ...transition, maxChanges: v === "" || !(Number(v) >= 0) ? null : Math.round(Number(v)) }); }} className="w-full bg-slate-800 text-slate-100 rounded-lg px-2 py-1 border border-slate-700" /></div>
+            <div className="w-32"><NumberInput label="Amortize over (yr)" value={transition.amortizeYears} min={0.25} step={0.25} onChange={(v) => Number.isFinite(v) && v >= 0.25 && setTransition({ ...transition, amortizeYears: v })} /></div>
+          </>}
+        </div>
+        {transition && plan && (
+          <>
+            <div className="grid grid-cols-5 gap-2 mt-3">
+              <KPI label="Changed LRUs" value={<span className={result.transition.overBudget ? "text-rose-400" : undefined}>{plan.totals.changes}{transition.maxChanges != null ? ` / ${transition.maxChanges}` : ""}</span>} />
+              <KPI label="One-time Cost" value={formatMoney(plan.totals.oneTime)} />
+              <KPI label="Run-rate Savings / yr" value={<span className={plan.totals.annualSavings < 0 ? "text-rose-400" : undefined}>{formatMoney(plan.totals.annualSavings)}</span>} />
+              <KPI label="Payback" value={months(plan.totals.paybackMonths)} />
+              <KPI label="All Qualified" value={`week ${plan.totals.readyWeek}`} />
+            </div>
+            <table className="w-full text-xs text-slate-300 mt-3">
+              <thead><tr className="text-slate-400"><th className="text-left py-1">LRU</th><th className="text-left py-1">From</th><th className="text-left py-1">To</th><th className="text-left py-1">New sites</th><th className="text-right py-1">One-time</th><th className="text-right py-1">Ready</th><th className="text-right py-1">Savings / yr</th><th className="text-right py-1">Payback</th></tr></thead>
+              <tbody>
+                {plan.moves.map((m) => (
+                  <tr key={m.lruId} className="border-t border-slate-800">
+                    <td className="py-1">{lruName[m.lruId]}</td>
+                    <td className="py-1">{route(m.from)}</td>
+                    <td className="py-1">{route(m.to)}</td>
+                    <td className="py-1" title={m.newSites.map((s) => `${siteName[s.id] ?? s.id}: ${Object.entries(SWITCH_COST_FIELDS).map(([k, label]) => `${label} ${formatMoney(s[k])}`).join(", ")}, ${s.leadWeeks} wk`).join("\n")}>{m.newSites.length ? m.newSites.map((s) => siteName[s.id] ?? s.id).join(", ") : "— (re-balance)"}</td>
+                    <td className="py-1 text-right">{formatMoney(m.oneTime)}</td>
+                    <td className="py-1 text-right">week {m.readyWeek}</td>
+                    <td className={`py-1 text-right ${m.annualSavings < 0 ? "text-rose-300" : ""}`}>{formatMoney(m.annualSavings)}</td>
+                    <td className="py-1 text-right">{months(m.paybackMonths)}</td>
+                  </tr>
+                ))}
+                {!plan.moves.length && <tr><td colSpan={8} className="py-2 text-slate-500">No sourcing changes from the baseline{plan.totals.annualSavings > 0 ? "; the savings come from DC and mode moves" : ""}.</td></tr>}
+              </tbody>
+            </table>
+            <div className="text-slate-400 text-xs mt-4 mb-1">Switching costs and qualification lead times by site (blank = default for its kind)</div>
+            <table className="w-full text-xs text-slate-300">
+              <thead><tr className="text-slate-400"><th className="text-left py-1">Site</th>{fields.map(([k, label]) => <th key={k} className="text-right py-1">{label}</th>)}</tr></thead>
+              <tbody>
+                {[...network.suppliers.map((e) => ["supplier", e]), ...network.assemblySites.map((e) => ["assembly", e])].map(([kind, e]) => (
+                  <tr key={e.id} className="border-t border-slate-800">
+                    <td className="py-1">{e.name} <span className="text-slate-500">({kind === "supplier" ? "supplier" : "assembly"})</span></td>
+                    {fields.map(([k]) => (
+                      <td key={k} className="py-1 text-right"><input key={`${e.id}-${k}-${transition.siteCosts[e.id]?.[k]}`} type="number" min={0} defaultValue={transition.siteCosts[e.id]?.[k] ?? ""} placeholder={SWITCH_DEFAULTS[kind][k].toLocaleString()} onBlur={setCost(e.id, k)} className="w-24 bg-slate-800 text-slate-100 rounded-lg px-2 py-1 border border-slate-700 text-right" /></td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/********************
+ * FX rates & currency exposure
+ ********************/
+function FxEditor({ network, result, fx, setFx, onClose }) {
+  const formatMoney = useMoney();
+  const [draft, setDraft] = useState({ code: "", rate: "" });
+  const used = Object.fromEntries(networkCurrencies(network).map((c) => [c.code, c.sites]));
+  const codes = [...new Set([...Object.keys(used), ...Object.keys(fx.rates)])].filter((c) => c !== BASE_CURRENCY).sort();
+  const exposure = fxExposure(result);
+  // a blank or non-positive rate removes the currency; reporting in it falls back to USD
+  const setRate = (code, raw) => {
+    const v = parseFloat(raw); const { [code]: _, ...rest } = fx.rates;
+    if (Number.isFinite(v) && v > 0) setFx({ ...fx, rates: { ...rest, [code]: v } });
+    else setFx({ reporting: fx.reporting === code ? BASE_CURRENCY : fx.reporting, rates: rest });
+  };
+  const draftCode = draft.code.trim().toUpperCase(); const draftRate = parseFloat(draft.rate);
+  const canAdd = CURRENCY_CODE.test(draftCode) && draftCode !== BASE_CURRENCY && Number.isFinite(draftRate) && draftRate > 0;
+  const input = "bg-slate-800 text-slate-100 rounded-lg px-2 py-1 border border-slate-700";
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+      <div className="w-[760px] max-h-[90vh] overflow-auto rounded-2xl bg-slate-900 border border-slate-700 p-4">
+        <div className="flex justify-between items-center mb-3">
+          <div className="text-slate-200 font-semibold">FX Rates & Currency Exposure</div>
+          <button className="text-slate-300" onClick={onClose}>Close</button>
+        </div>
+        <div className="text-[11px] text-slate-500 mb-2">Suppliers quote unit cost, and assembly sites pay labor and overhead, in their own currency (set it in Network). Costs convert to {BASE_CURRENCY} at these rates and are shown in the reporting currency; freight, inventory, carbon and the labor rate are in {BASE_CURRENCY}.</div>
+        {result.fx.missing.length > 0 && <div className="mb-2 rounded-xl bg-amber-950 border border-amber-700 p-2 text-xs text-amber-200">No rate for {result.fx.missing.join(", ")}; those costs convert 1:1 to {BASE_CURRENCY} until a rate is set.</div>}
+        <div className="flex items-end gap-2 text-xs mb-3">
+          <div className="w-40"><Label>Reporting currency</Label><Select value={fx.reporting} onChange={(e) => setFx({ ...fx, reporting: e.target.value })} options={[BASE_CURRENCY, ...Object.keys(fx.rates).sort()].map((c) => ({ id: c, name: c }))} /></div>
+        </div>
+        <table className="w-full text-xs text-slate-300">
+          <thead><tr className="text-slate-400"><th className="text-left py-1">Currency</th><th className="text-left py-1">Used by</th><th className="text-right py-1">{BASE_CURRENCY} per unit</th><th className="text-right py-1">Units per {BASE_CURRENCY}</th><th /></tr></thead>
+          <tbody>
+            <tr className="border-t border-slate-800"><td className="py-1">{BASE_CURRENCY} <span className="text-slate-500">(base)</span></td><td className="py-1 text-slate-400">{used[BASE_CURRENCY].join(", ") || "—"}</td><td className="py-1 text-right text-slate-400">1</td><td className="py-1 text-right text-slate-400">1</td><td /></tr>
+            {codes.map((c) => (
+              <tr key={c} className="border-t border-slate-800">
+                <td className="py-1">{c}</td>
+                <td className="py-1 text-slate-400">{used[c]?.join(", ") ?? "—"}</td>
+                <td className="py-1 text-right"><input key={`${c}-${fx.rates[c]}`} type="number" min={0} step="any" defaultValue={fx.rates[c] ?? ""} placeholder="no rate" onBlur={(e) => setRate(c, e.target.value)} className={`w-24 text-right ${input} ${fx.rates[c] ? "" : "border-amber-600"}`} /></td>
+                <td className="py-1 text-right text-slate-400">{fx.rates[c] ? +(1 / fx.rates[c]).toPrecision(4) : "—"}</td>
+                <td className="py-1 text-right">{fx.rates[c] != null && <button onClick={() => setRate(c, "")} className="text-slate-500 hover:text-rose-300">Remove</button>}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="flex items-end gap-2 text-xs mt-2">
+          <div className="w-24"><Label>Currency</Label><input value={draft.code} maxLength={3} placeholder="GBP" onChange={(e) => setDraft({ ...draft, code: e.target.value })} className={`w-full uppercase ${input}`} /></div>
+          <div className="w-32"><Label>{BASE_CURRENCY} per unit</Label><input type="number" min={0} step="any" value={draft.rate} onChange={(e) => setDraft({ ...draft, rate: e.target.value })} className={`w-full ${input}`} /></div>
+          <button disabled={!canAdd} onClick={() => { setFx({ ...fx, rates: { ...fx.rates, [draftCode]: draftRate } }); setDraft({ code: "", rate: "" }); }} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 disabled:opacity-40">Add / update rate</button>
+        </div>
+        <div className="text-slate-400 text-xs mt-4 mb-1">Cost exposure by currency (current assignment, in {fx.reporting})</div>
+        <table className="w-full text-xs text-slate-300">
+          <tbody>
+            {exposure.map((e) => (
+              <tr key={e.currency} className="border-t border-slate-800">
+                <td className="py-1 w-16">{e.currency}</td>
+                <td className="py-1"><div className="h-2 rounded bg-slate-800"><div className="h-2 rounded bg-indigo-500" style={{ width: `${e.share * 100}%` }} /></div></td>
+                <td className="py-1 w-14 text-right">{(e.share * 100).toFixed(1)}%</td>
+                <td className="py-1 w-36 text-right">{formatMoney(e.amount)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="mt-1 text-[10px] text-slate-500">Material and its tariffs count in the supplier's currency, labor and overhead (and overflow penalties on them) in the assembly site's; freight, inventory and carbon are {BASE_CURRENCY}. Add an FX driver in Monte Carlo to see what rate swings do to cost.</div>
+      </div>
+    </div>
+  );
+}
+
+/********************
+ * Tariff schedules & duties by lane
+ ********************/
+function DutiesByLane({ network, duties }) {
+  const formatMoney = useMoney();
+  const lanes = dutiesByLane(duties);
+  const region = (id) => network.regions.find((r) => r.id === id)?.name ?? id;
+  if (!lanes.length) return <div className="text-[11px] text-slate-500">No duties paid.</div>;
+  return (
+    <table className="w-full text-[11px] text-slate-300">
+      <thead><tr className="text-slate-500"><th className="text-left font-normal py-1">Crossing</th><th className="text-right font-normal py-1">Rate</th><th className="text-right font-normal py-1">Duties</th></tr></thead>
+      <tbody>
+        {lanes.map((l) => (
+          <tr key={`${l.origin}-${l.destination}`} className="border-t border-slate-800" title={`${l.legs} leg${l.legs > 1 ? "s" : ""}, ${formatMoney(l.value)} dutiable value${l.shocked ? "; a tariff shock applies" : ""}`}>
+            <td className="py-1">{region(l.origin)} → {region(l.destination)}{l.agreements.length > 0 && <span className="ml-1 text-emerald-400">{l.agreements.join(", ")}</span>}{l.shocked && <span className="ml-1 text-rose-300">shock</span>}</td>
+            <td className="py-1 text-right">{(l.rate * 100).toFixed(1)}%</td>
+            <td className="py-1 text-right">{formatMoney(l.duty)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function TariffEditor({ network, result, tariffs, setTariffs, onClose }) {
+  const formatMoney = useMoney();
+  const [notes, setNotes] = useState([]);
+  const regions = [{ id: ANY, name: "* (any other)" }, ...network.regions.map((r) => ({ id: r.id, name: r.name }))];
+  const classes = [...new Set([...TARIFF_CLASSES, ...network.lrus.map(tariffClassOf)])];
+  const cell = "bg-slate-800 text-slate-100 rounded px-1 py-0.5 border border-slate-700";
+  const select = (value, options, onChange) => <select value={value} onChange={(e) => onChange(e.target.value)} className={cell}>{options.map((o) => <option key={o.id} value={o.id}>{o.name}</option>)}</select>;
+  const update = (list, id, patch) => setTariffs({ ...tariffs, [list]: tariffs[list].map((e) => (e.id === id ? { ...e, ...patch } : e)) });
+  const remove = (list, id) => setTariffs({ ...tariffs, [list]: tariffs[list].filter((e) => e.id !== id) });
+  const add = (list) => setTariffs({ ...tariffs, [list]: [...tariffs[list], newTariffEntry(list, tariffs, network)] });
+  // rates and content are typed as percentages; a blank date means open-ended
+  const pct = (list, e, key, { blank } = {}) => (
+    <input key={`${e.id}-${key}-${e[key]}`} type="number" min={0} step="any" defaultValue={e[key] != null ? +(e[key] * 100).toFixed(4) : ""} placeholder={blank} className={`w-16 text-right ${cell}`}
+      onBlur={(ev) => { const v = ev.target.value.trim(); if (v === "" && blank) update(list, e.id, { [key]: undefined }); else if (Number(v) >= 0 && v !== "") update(list, e.id, { [key]: Number(v) / 100 }); }} />
+  );
+  const date = (list, e, key) => <input key={`${e.id}-${key}-${e[key]}`} type="date" defaultValue={e[key] ?? ""} onBlur={(ev) => update(list, e.id, { [key]: ev.target.value || undefined })} className={cell} />;
+  const classCell = (list, e) => select(e.tariffClass, [{ id: ANY, name: "* (any)" }, ...classes.map((c) => ({ id: c, name: c }))], (v) => update(list, e.id, { tariffClass: v }));
+  const th = (labels) => <thead><tr className="text-slate-400">{labels.map((l, i) => <th key={i} className="text-left font-normal py-1 pr-1">{l}</th>)}</tr></thead>;
+  const remover = (list, id) => <td className="py-1 text-right"><button className="text-slate-500 hover:text-rose-300" onClick={() => remove(list, id)}>✕</button></td>;
+  function load(next) { const out = validateTariffs(next, network); setNotes(out.notes); setTariffs(out.tariffs); }
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+      <div className="w-[1040px] max-h-[90vh] overflow-auto rounded-2xl bg-slate-900 border border-slate-700 p-4">
+        <div className="flex justify-between items-center mb-3">
+          <div className="text-slate-200 font-semibold">Tariff Schedules & Trade Agreements</div>
+          <button className="text-slate-300" onClick={onClose}>Close</button>
+        </div>
+        <div className="text-[11px] text-slate-500 mb-2">Duties are charged where goods cross into another region: components into the assembly site's region, the finished LRU into the DC's and the customer's. The most specific schedule row in force sets the rate for the LRU's tariff class ("*" covers any other region or class); an agreement lowers it when both regions are members and enough of the goods' value was made in member regions; shocks then replace or add to it. Without a schedule, each supplier's flat tariff rate applies to its material. All rates scale with the Tariff Multiplier.</div>
+        <div className="flex flex-wrap items-end gap-2 text-xs mb-3">
+          {tariffs ? <>
+            <div className="w-40 text-[11px]"><div className="text-slate-500 mb-1">Rates as of</div><input key={tariffs.asOf} type="date" defaultValue={tariffs.asOf} onBlur={(e) => e.target.value && setTariffs({ ...tariffs, asOf: e.target.value })} className={`w-full ${cell}`} /></div>
+            <button onClick={() => { setTariffs(null); setNotes([]); }} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700">Back to flat supplier rates</button>
+          </> : <span className="text-slate-400">Using each supplier's flat tariff rate.</span>}
+          <button onClick={() => load(sampleTariffs(network, tariffs?.asOf))} className="px-3 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500">Load sample schedule</button>
+          {!tariffs && <button onClick={() => load(defaultTariffs())} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700">Start empty schedule</button>}
+        </div>
+        {notes.length > 0 && <ul className="list-disc ml-5 mb-2 text-xs text-amber-300">{notes.map((n, i) => <li key={i}>{n}</li>)}</ul>}
+        {tariffs && <>
+          <div className="text-slate-400 text-xs mt-2 mb-1">Schedule (rates by origin, destination and tariff class; dated rows phase changes in)</div>
+          <table className="w-full text-xs text-slate-300">
+            {th(["Id", "Origin", "Destination", "Class", "Rate %", "From", "Until", ""])}
+            <tbody>
+              {tariffs.schedule.map((e) => (
+                <tr key={e.id} className="border-t border-slate-800">
+                  <td className="py-1 text-slate-400">{e.id}</td>
+                  <td className="py-1">{select(e.origin, regions, (v) => update("schedule", e.id, { origin: v }))}</td>
+                  <td className="py-1">{select(e.destination, regions, (v) => update("schedule", e.id, { destination: v }))}</td>
+                  <td className="py-1">{classCell("schedule", e)}</td>
+                  <td className="py-1">{pct("schedule", e, "rate")}</td>
+                  <td className="py-1">{date("schedule", e, "from")}</td>
+                  <td className="py-1">{date("schedule", e, "until")}</td>
+                  {remover("schedule", e.id)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button onClick={() => add("schedule")} className="mt-1 px-3 py-1 rounded-lg bg-slate-800 hover:bg-slate-700 text-xs">Add rate</button>
+
+          <div className="text-slate-400 text-xs mt-4 mb-1">Trade agreements (preferential rate between members for goods with enough regional content)</div>
+          <table className="w-full text-xs text-slate-300">
+            {th(["Name", "Members", "Class", "Rate %", "Min content %", "From", "Until", ""])}
+            <tbody>
+              {tariffs.agreements.map((e) => (
+                <tr key={e.id} className="border-t border-slate-800">
+                  <td className="py-1"><input key={`${e.id}-${e.name}`} defaultValue={e.name} onBlur={(ev) => ev.target.value.trim() && update("agreements", e.id, { name: ev.target.value.trim() })} className={`w-28 ${cell}`} /></td>
+                  <td className="py-1">{network.regions.map((r) => <label key={r.id} className="mr-2 inline-flex items-center gap-1"><input type="checkbox" checked={e.members.includes(r.id)} onChange={() => { const members = e.members.includes(r.id) ? e.members.filter((m) => m !== r.id) : [...e.members, r.id]; if (members.length) update("agreements", e.id, { members }); }} />{r.id}</label>)}</td>
+                  <td className="py-1">{classCell("agreements", e)}</td>
+                  <td className="py-1">{pct("agreements", e, "rate")}</td>
+                  <td className="py-1">{pct("agreements", e, "minContent")}</td>
+                  <td className="py-1">{date("agreements", e, "from")}</td>
+                  <td className="py-1">{date("agreements", e, "until")}</td>
+                  {remover("agreements", e.id)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button onClick={() => add("agreements")} className="mt-1 px-3 py-1 rounded-lg bg-slate-800 hover:bg-slate-700 text-xs">Add agreement</button>
+
+          <div className="text-slate-400 text-xs mt-4 mb-1">Tariff shocks (replace the rate, or add to it, while in force)</div>
+          <table className="w-full text-xs text-slate-300">
+            {th(["Id", "Origin", "Destination", "Class", "Set to %", "Or add %", "From", "Until", "Note", ""])}
+            <tbody>
+              {tariffs.shocks.map((e) => (
+                <tr key={e.id} className="border-t border-slate-800">
+                  <td className="py-1 text-slate-400">{e.id}</td>
+                  <td className="py-1">{select(e.origin, regions, (v) => update("shocks", e.id, { origin: v }))}</td>
+                  <td className="py-1">{select(e.destination, regions, (v) => update("shocks", e.id, { destination: v }))}</td>
+                  <td className="py-1">{classCell("shocks", e)}</td>
+                  <td className="py-1">{pct("shocks", e, "rate", { blank: "—" })}</td>
+                  <td className="py-1">{e.rate == null ? pct("shocks", e, "add") : <span className="text-slate-500">—</span>}</td>
+                  <td className="py-1">{date("shocks", e, "from")}</td>
+                  <td className="py-1">{date("shocks", e, "until")}</td>
+                  <td className="py-1"><input key={`${e.id}-${e.note}`} defaultValue={e.note ?? ""} onBlur={(ev) => update("shocks", e.id, { note: ev.target.value.trim() || undefined })} className={`w-32 ${cell}`} /></td>
+                  {remover("shocks", e.id)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button onClick={() => add("shocks")} className="mt-1 px-3 py-1 rounded-lg bg-slate-800 hover:bg-slate-700 text-xs">Add shock</button>
+        </>}
+        <div className="text-slate-400 text-xs mt-4 mb-1">Duties by crossing (current assignment): {formatMoney(result.totals.tariffs)} a year</div>
+        <DutiesByLane network={network} duties={result.duties} />
+      </div>
+    </div>
+  );
+}
+
+/********************
+ * Disruption stress tests
+ ********************/
+function formatWeeks(w) { return Number.isFinite(w) ? `${w.toFixed(1)} wk` : "> 1 yr"; }
+
+function DisruptionLab({ network, params, lruEdits, assignment, onClose }) {
+  const formatMoney = useMoney();
+  const [events, setEvents] = useState(() => disruptionLibrary(network));
+  const [combo, setCombo] = useState([]);
+  const [draft, setDraft] = useState({ type: "supplierOutage", target: network.suppliers[0]?.id, weeks: 4, rate: 0.25 });
+  const rows = useMemo(() => survivabilityTable({ assignment, params, network, lruEdits, events }), [assignment, params, network, lruEdits, events]);
+  const comboEvents = useMemo(() => events.filter((e) => combo.includes(e.id)), [events, combo]);
+  const comboResult = useMemo(() => (comboEvents.length > 1 ? stressTest({ assignment, params, network, lruEdits, events: comboEvents }) : null), [assignment, params, network, lruEdits, comboEvents]);
+
+  const modes = Object.keys(network.transport);
+  const targets = (type) => (DISRUPTION_TYPES[type].target === "modes" ? modes.map((m) => ({ id: m, name: modeLabel(network.transport, m) })) : network[DISRUPTION_TYPES[type].target]);
+  const setDraftType = (type) => setDraft((d) => ({ ...d, type, target: targets(type)[0]?.id, reroute: type === "laneClosure" ? modes.find((m) => m !== targets(type)[0]?.id) : undefined }));
+  function addEvent() {
+    if (!draft.target) return;
+    const e = { ...draft, weeks: clamp(draft.weeks, 1, 52) };
+    if (e.type !== "tariffShock") delete e.rate;
+    if (e.type !== "laneClosure") delete e.reroute;
+    setEvents((list) => [...list, { ...e, id: `E${Date.now()}`, name: describeDisruption(e, network) }]);
+  }
+  const toggle = (id) => setCombo((c) => (c.includes(id) ? c.filter((x) => x !== id) : [...c, id]));
+  const Impact = ({ r }) => (
+    <>
+      <td className={`py-1 text-right ${r.costImpact > 0 ? 'text-rose-300' : ''}`}>{r.costImpact >= 0 ? '+' : ''}{formatMoney(r.costImpact)}</td>
+      <td className="py-1 text-right">{(r.serviceDrop * 100).toFixed(1)} pts</td>
+      <td className={`py-1 text-right ${r.unmetDemand > 0 ? 'text-rose-300' : ''}`}>{Math.round(r.unmetDemand).toLocaleString()}</td>
+      <td className="py-1 text-right">{formatWeeks(r.recoverWeeks)}</td>
+      <td className="py-1 text-right">{(r.survivability * 100).toFixed(1)}%</td>
+    </>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+      <div className="w-[1000px] max-h-[90vh] overflow-auto rounded-2xl bg-slate-900 border border-slate-700 p-4">
+        <div className="flex justify-between items-center mb-3">
+          <div className="text-slate-200 font-semibold">Disruption Stress Test (current assignment)</div>
+          <button className="text-slate-300" onClick={onClose}>Close</button>
+        </div>
+        <div className="text-[11px] text-slate-500 mb-2">Lost output at a disrupted site becomes backlog, worked off afterwards with spare capacity{params.allowOverflow ? " plus overtime/3PL headroom" : ""}; what cannot be recovered within the year is unmet demand. Tick two or more events to stress them together.</div>
+        <table className="w-full text-xs text-slate-300">
+          <thead><tr className="text-slate-400"><th className="text-left py-1">#</th><th className="text-left py-1">Event</th><th className="text-right py-1">Cost Δ</th><th className="text-right py-1">Service drop</th><th className="text-right py-1">Unmet units</th><th className="text-right py-1">Time to recover</th><th className="text-right py-1">Survivability</th><th /></tr></thead>
+          <tbody>
+            {rows.map((r, i) => (
+              <tr key={r.event.id} className="border-t border-slate-800">
+                <td className="py-1"><label className="flex items-center gap-1"><input type="checkbox" checked={combo.includes(r.event.id)} onChange={() => toggle(r.event.id)} />{i + 1}</label></td>
+                <td className="py-1" title={r.sites.map((s) => `${s.name}: ${Math.round(s.backlog).toLocaleString()} backlog, recover ${formatWeeks(s.recoverWeeks)}`).join('\n')}>{r.event.name}</td>
+                <Impact r={r} />
+                <td className="py-1 text-right"><button className="text-slate-500 hover:text-rose-300" onClick={() => { setEvents((list) => list.filter((e) => e.id !== r.event.id)); setCombo((c) => c.filter((x) => x !== r.event.id)); }}>✕</button></td>
+              </tr>
+            ))}
+            {comboResult && (
+              <tr className="border-t-2 border-slate-600 font-semibold">
+                <td className="py-1" />
+                <td className="py-1">Combined: {comboEvents.map((e) => e.name).join(' + ')}</td>
+                <Impact r={comboResult} />
+                <td />
+              </tr>
+            )}
+          </tbody>
+        </table>
+        <div className="flex flex-wrap items-end gap-2 mt-3 text-xs">
+          <div className="w-40"><Label>Event type</Label><Select value={draft.type} onChange={(e) => setDraftType(e.target.value)} options={Object.entries(DISRUPTION_TYPES).map(([id, t]) => ({ id, name: t.label }))} /></div>
+          <div className="w-40"><Label>Target</Label><Select value={draft.target} onChange={(e) => setDraft({ ...draft, target: e.target.value })} options={targets(draft.type)} /></div>
+          {draft.type === "laneClosure" && <div className="w-32"><Label>Reroute by</Label><Select value={draft.reroute} onChange={(e) => setDraft({ ...draft, reroute: e.target.value })} options={modes.filter((m) => m !== draft.target).map((m) => ({ id: m, name: modeLabel(network.transport, m) }))} /></div>}
+          <div className="w-24"><NumberInput label="Weeks" value={draft.weeks} min={1} max={52} onChange={(v) => setDraft({ ...draft, weeks: v })} /></div>
+          {draft.type === "tariffShock" && <div className="w-24"><NumberInput label="Added tariff %" value={Math.round(draft.rate * 100)} min={0} max={500} onChange={(v) => setDraft({ ...draft, rate: v / 100 })} /></div>}
+          <button onClick={addEvent} className="px-3 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500">Add event</button>
+          <button onClick={() => { setEvents(disruptionLibrary(network)); setCombo([]); }} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700">Reset library</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/********************
+ * Planning horizon editor & results
+ ********************/
+function HorizonEditor({ network, horizon, setHorizon }) {
+  const setMult = (t, field, id, pct) => {
+    if (!Number.isFinite(pct) || pct < 0) return;
+    setHorizon((h) => ({ ...h, periods: h.periods.map((p, i) => (i === t ? { ...p, [field]: { ...p[field], [id]: pct / 100 } } : p)) }));
+  };
+  const grid = (field, rows, title) => (
+    <div className="mt-2 overflow-auto">
+      <div className="text-[11px] text-slate-400 mb-1">{title}</div>
+      <table className="text-[11px] text-slate-300">
+        <thead><tr><th className="text-left font-normal text-slate-500 pr-2" />{horizon.periods.map((p) => <th key={p.id} className="font-normal text-slate-500 px-1">{p.name}</th>)}</tr></thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.id}>
+              <td className="pr-2 whitespace-nowrap">{r.name}</td>
+              {horizon.periods.map((p, t) => (
+                <td key={p.id} className="px-0.5"><input type="number" min={0} step={5} value={Math.round((p[field][r.id] ?? 1) * 100)} onChange={(e) => setMult(t, field, r.id, parseFloat(e.target.value))} className="w-14 bg-slate-800 rounded px-1 border border-slate-700" /></td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+  return (
+    <div>
+      <div className="grid grid-cols-3 gap-2">
+        <NumberInput label="Periods" value={horizon.periods.length} min={1} max={24} step={1} onChange={(v) => Number.isFinite(v) && setHorizon((h) => resizeHorizon(h, clamp(Math.round(v), 1, 24)))} />
+        <div className="text-[11px]"><div className="text-slate-500 mb-1">Period length</div>
+          <select value={horizon.periodsPerYear} onChange={(e) => setHorizon((h) => resizeHorizon(h, h.periods.length, parseInt(e.target.value, 10)))} className="w-full bg-slate-800 text-slate-100 rounded-lg px-2 py-1 border border-slate-700">
+            <option value={4}>Quarter</option><option value={12}>Month</option>
+          </select>
+        </div>
+        <NumberInput label="Switch cost / LRU change" value={horizon.switchCost} min={0} step={10000} onChange={(v) => Number.isFinite(v) && v >= 0 && setHorizon((h) => ({ ...h, switchCost: v }))} />
+      </div>
+      {grid("demand", network.lrus, "Demand by period (% of annual run-rate)")}
+      {grid("capacity", [...network.suppliers, ...network.assemblySites], "Capacity by period (% of rated)")}
+    </div>
+  );
+}
+
+function HorizonResults({ network, result }) {
+  const formatMoney = useMoney();
+  const maxCost = Math.max(1, ...result.periods.map((p) => (Number.isFinite(p.cost) ? p.cost : 0)));
+  const lruName = Object.fromEntries(network.lrus.map((l) => [l.id, l.name]));
+  return (
+    <div className="mt-3 border-t border-slate-800 pt-2">
+      <div className="grid grid-cols-4 gap-2 mb-2">
+        <KPI label="Horizon Cost" value={formatMoney(result.totals.cost)} />
+        <KPI label="Worst-Period Service" value={`${(result.totals.serviceLevel * 100).toFixed(1)}%`} />
+        <KPI label="Holding Cost" value={formatMoney(result.totals.holdingCost)} />
+        <KPI label="Switching Cost" value={formatMoney(result.totals.switchCost)} />
+      </div>
+      <div className="flex items-end gap-2 h-28 px-1">
+        {result.periods.map((p) => (
+          <div key={p.id} className="flex-1 flex flex-col items-center justify-end h-full" title={`${p.name}: ${formatMoney(p.cost)}`}>
+            <div className={`w-full rounded-t ${p.result.feasible ? 'bg-indigo-500' : 'bg-rose-500'}`} style={{ height: `${(Number.isFinite(p.cost) ? p.cost / maxCost : 1) * 100}%` }} />
+            <div className="text-[10px] text-slate-400 mt-1">{p.name}</div>
+          </div>
+        ))}
+      </div>
+      <div className="mt-2 grid grid-cols-7 gap-1 text-[11px] text-slate-500 border-b border-slate-800 pb-1">
+        <div>Period</div><div className="text-right">Cost</div><div className="text-right">Service</div><div className="text-right">Build-ahead</div><div className="text-right">End Inv.</div><div className="text-right">Holding</div><div className="text-right">Switches</div>
+      </div>
+      {result.periods.map((p) => (
+        <div key={p.id} className={`grid grid-cols-7 gap-1 text-[11px] py-0.5 ${p.result.feasible ? 'text-slate-300' : 'text-rose-300'}`}>
+          <div>{p.name}</div>
+          <div className="text-right">{formatMoney(p.cost)}</div>
+          <div className="text-right">{(p.result.totals.serviceLevel * 100).toFixed(1)}%</div>
+          <div className="text-right">{Math.round(p.buildAhead).toLocaleString()}</div>
+          <div className="text-right">{Math.round(p.endingInventory).toLocaleString()}</div>
+          <div className="text-right">{formatMoney(p.holdingCost)}</div>
+          <div className="text-right truncate" title={p.switched.map((id) => lruName[id]).join(", ")}>{p.switched.length ? p.switched.join(", ") : "—"}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/********************
+ * Multi-sourcing split editor
+ ********************/
+function splitLabel(pick, kind) { return splitsOf(pick, kind).map(([id, share]) => (share < 1 ? `${id} ${Math.round(share * 100)}%` : id)).join('+'); }
+
+// Editing one share rebalances the others proportionally so the split always sums to 100%.
+function rebalance(split, id, share) {
+  const others = split.filter(([x]) => x !== id); const rest = others.reduce((a, [, v]) => a + v, 0);
+  return [[id, share], ...others.map(([x, v]) => [x, rest > 0 ? v * (1 - share) / rest : (1 - share) / others.length])];
+}
+
+// With customers, the DC split follows from which DC serves each customer, so that row becomes a DC per customer.
+function SplitEditor({ network, lru, pick, onChange }) {
+  const rows = [["supplier", "Suppliers", network.suppliers], ["assembly", "Assembly", network.assemblySites], ...(hasCustomers(network) ? [] : [["dc", "DCs", network.dcs]])];
+  return (
+    <div className="mt-2 space-y-1 text-[11px] text-slate-300 border-t border-slate-800 pt-2">
+      {rows.map(([kind, label, list]) => {
+        const split = splitsOf(pick, kind);
+        const set = (entries) => onChange(withSplit(pick, kind, Object.fromEntries(entries)));
+        const unused = list.filter((e) => !split.some(([id]) => id === e.id));
+        return (
+          <div key={kind} className="flex flex-wrap items-center gap-1">
+            <span className="w-14 text-slate-500">{label}</span>
+            {split.map(([id, share]) => (
+              <span key={id} className="flex items-center gap-0.5 bg-slate-800 rounded px-1">
+                {id}
+                <input type="number" min={0} max={100} step={5} value={Math.round(share * 100)} disabled={split.length === 1}
+                  onChange={(e) => { const v = parseFloat(e.target.value); if (Number.isFinite(v)) set(rebalance(split, id, clamp(v, 0, 100) / 100)); }}
+                  className="w-10 bg-slate-900 rounded px-1 border border-slate-700 disabled:opacity-50" />%
+                {split.length > 1 && <button className="text-slate-500 hover:text-rose-400" onClick={() => set(split.filter(([x]) => x !== id))}>×</button>}
+              </span>
+            ))}
+            {unused.length > 0 && (
+              <select value="" onChange={(e) => e.target.value && set(rebalance(split, e.target.value, 1 / (split.length + 1)))} className="bg-slate-800 rounded px-1 border border-slate-700">
+                <option value="">+ add</option>
+                {unused.map((e) => <option key={e.id} value={e.id}>{e.name}</option>)}
+              </select>
+            )}
+          </div>
+        );
+      })}
+      {hasCustomers(network) && customerShares(network, lru).map(([custId, share]) => (
+        <div key={custId} className="flex items-center gap-1">
+          <span className="w-14 text-slate-500 truncate" title={network.customers.find((c) => c.id === custId).name}>{custId} {Math.round(share * 100)}%</span>
+          <select value={pick.serve?.[custId] ?? pick.dcId} onChange={(e) => onChange(withServe(pick, network, lru, { ...pick.serve, [custId]: e.target.value }))} className="bg-slate-800 rounded px-1 border border-slate-700">
+            {network.dcs.map((d) => <option key={d.id} value={d.id}>{d.name}</option>)}
+          </select>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/********************
+ * Network data editor (import + entity tables)
+ ********************/
+// Lanes: distance plus, per mode, availability and optional transit-time / rate overrides
+// (blank = derived from the distance and the network-wide rate, shown as the placeholder).
+function LaneTable({ network, onChange }) {
+  const modes = Object.keys(network.transport); const missing = missingLanes(network);
+  const nodes = [["Regions", network.regions], ["Suppliers", network.suppliers], ["Assembly sites", network.assemblySites], ["DCs", network.dcs], ["Customers", network.customers ?? []]];
+  const cell = "bg-slate-800 rounded px-1 py-0.5 border border-slate-700";
+  const num = (raw) => { const v = parseFloat(raw); return raw.trim() === "" ? undefined : Number.isFinite(v) && v >= 0 ? v : null; };
+  const endpoint = (lane, i, key) => (
+    <select className={cell} value={lane[key]} onChange={(ev) => onChange(updateLane(network, i, { [key]: ev.target.value }))}>
+      {nodes.map(([label, list]) => <optgroup key={label} label={label}>{list.map((n) => <option key={n.id} value={n.id}>{n.id}{n.name && n.name !== n.id ? ` — ${n.name}` : ""}</option>)}</optgroup>)}
+    </select>
+  );
+  const taken = (lane, i) => network.lanes.some((l, j) => j !== i && l.origin === lane.origin && l.destination === lane.destination);
+  return (
+    <div>
+      {missing.length > 0 && (
+        <div className="mb-2 rounded-xl bg-amber-950/60 border border-amber-700 p-2 text-xs text-amber-200">
+          <div className="font-semibold mb-1">No lane covers these region pairs; legs on them are costed at {MISSING_LANE_MILES * 1000} mi with every mode open.</div>
+          <div className="flex flex-wrap gap-2">{missing.map((m) => <button key={`${m.origin}→${m.destination}`} className="px-2 py-0.5 rounded bg-amber-900 hover:bg-amber-800" onClick={() => onChange(addLane(network, m.origin, m.destination, MISSING_LANE_MILES))}>+ {m.origin}→{m.destination} ({m.legs} leg{m.legs > 1 ? "s" : ""})</button>)}</div>
+        </div>
+      )}
+      <table className="w-full text-[11px] text-slate-300">
+        <thead>
+          <tr className="text-slate-500 text-left"><th className="px-1 py-1 font-normal">origin</th><th className="px-1 py-1 font-normal">destination</th><th className="px-1 py-1 font-normal">thousandMiles</th>{modes.map((m) => <th key={m} className="px-1 py-1 font-normal">{modeLabel(network.transport, m)}: open / days / $ per ton-mi</th>)}<th /></tr>
+        </thead>
+        <tbody>
+          {network.lanes.map((lane, i) => (
+            <tr key={i} className={`border-t border-slate-800 ${taken(lane, i) ? "bg-rose-950/40" : ""}`} title={taken(lane, i) ? "Duplicate lane: only the first one is used" : undefined}>
+              <td className="px-1 py-1">{endpoint(lane, i, "origin")}</td>
+              <td className="px-1 py-1">{endpoint(lane, i, "destination")}</td>
+              <td className="px-1 py-1"><input key={`${i}:${lane.thousandMiles}`} className={`w-20 ${cell}`} type="number" min={0} step={0.1} defaultValue={lane.thousandMiles} onBlur={(ev) => { const v = num(ev.target.value); if (v != null) onChange(updateLane(network, i, { thousandMiles: v })); }} /></td>
+              {modes.map((m) => {
+                const o = lane.modes[m] ?? {}; const base = laneMode(network, { ...lane, modes: {} }, m);
+                const override = (key, raw) => { const v = num(raw); if (v !== null) onChange(updateLaneMode(network, i, m, { [key]: v })); };
+                return (
+                  <td key={m} className="px-1 py-1 whitespace-nowrap">
+                    <input type="checkbox" className="mr-1 align-middle" checked={o.available !== false} onChange={(ev) => onChange(updateLaneMode(network, i, m, { available: ev.target.checked }))} />
+                    <input key={`${i}:${m}:d:${o.transitDays}`} className={`w-12 ${cell} disabled:opacity-40`} type="number" min={0} disabled={o.available === false} placeholder={base.transitDays.toFixed(1)} defaultValue={o.transitDays ?? ""} onBlur={(ev) => override("transitDays", ev.target.value)} />
+                    <input key={`${i}:${m}:c:${o.costPerTonMi}`} className={`w-14 ml-1 ${cell} disabled:opacity-40`} type="number" min={0} step={0.01} disabled={o.available === false} placeholder={base.costPerTonMi.toFixed(2)} defaultValue={o.costPerTonMi ?? ""} onBlur={(ev) => override("costPerTonMi", ev.target.value)} />
+                  </td>
+                );
+              })}
+              <td className="px-1 py-1 text-right"><button className="text-rose-400 hover:text-rose-300" onClick={() => onChange(removeLane(network, i))}>Remove</button></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button onClick={() => onChange(addLane(network, network.regions[0].id, network.regions[0].id))} className="mt-2 px-3 py-1 rounded-lg text-xs bg-slate-800 hover:bg-slate-700">+ Add Lane</button>
+      <div className="mt-1 text-[11px] text-slate-500">Origin and destination take a region or a single site; a site-to-site lane overrides its regions' lane. Freight is charged on max(unit weight, unit volume × mode density); carbon on unit weight.</div>
+    </div>
+  );
+}
+
+// Transport modes. A multimodal mode's rates come from its via legs, so those cells are read-only.
+function TransportTable({ network, onChange }) {
+  const [preset, setPreset] = useState("rail");
+  const { fields } = NETWORK_TABLES.modes; const entries = Object.entries(network.transport);
+  // removing a mode takes the multimodal modes built on it along; a removal that would empty the table is disabled
+  const removeButton = (id) => {
+    const [, ...also] = modesRemovedWith(network, id);
+    return <button className="text-rose-400 hover:text-rose-300 disabled:opacity-30" disabled={also.length + 1 >= entries.length} title={also.length ? `Also removes ${also.join(", ")}` : undefined} onClick={() => onChange(removeMode(network, id))}>Remove</button>;
+  };
+  const cell = "w-full bg-slate-800 rounded px-1 py-0.5 border border-slate-700";
+  function setField(id, f, raw) {
+    const text = raw.trim();
+    // clearing via keeps the derived rates as the mode's own
+    if (f.type === "via") { const via = text ? parseVia(text) : undefined; if (via !== null) onChange(updateMode(network, id, { via })); return; }
+    if (f.type === "string") { onChange(updateMode(network, id, { [f.key]: text || undefined })); return; }
+    const required = !network.transport[id].via && ["costPerTonMi", "carbonPerTonMi", "leadPenaltyDays"].includes(f.key);
+    if (!text) { if (!required) onChange(updateMode(network, id, { [f.key]: undefined })); return; }
+    const v = parseFloat(text); if (!Number.isFinite(v) || (f.min != null && v < f.min)) return;
+    onChange(updateMode(network, id, { [f.key]: v }));
+  }
+  return (
+    <div>
+      <table className="w-full text-[11px] text-slate-300">
+        <thead><tr className="text-slate-500 text-left">{fields.map((f) => <th key={f.key} className="px-1 py-1 font-normal">{f.key}</th>)}<th /></tr></thead>
+        <tbody>
+          {entries.map(([id, def]) => (
+            <tr key={id} className="border-t border-slate-800">
+              {fields.map((f) => {
+                const v = def[f.key];
+                if (f.type === "id") return <td key={f.key} className="px-1 py-1 text-slate-400">{id}</td>;
+                if (def.via && DERIVED_FIELDS.includes(f.key)) return <td key={f.key} className="px-1 py-1 text-slate-500" title="Derived from the via legs">{+v.toFixed(3)}</td>;
+                const shown = f.type === "via" ? (v ? formatVia(v) : "") : v ?? "";
+                return <td key={f.key} className="px-1 py-1"><input key={`${id}:${shown}`} className={`${cell} ${f.type === "via" ? "min-w-[9rem]" : ""}`} type={f.type === "number" ? "number" : "text"} min={f.min} defaultValue={shown} placeholder={f.type === "via" ? "ocean:0.85;ground:0.15" : undefined} onBlur={(ev) => setField(id, f, ev.target.value)} /></td>;
+              })}
+              <td className="px-1 py-1 text-right">{removeButton(id)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="mt-2 flex items-center gap-2 text-xs">
+        <select className="bg-slate-800 rounded-lg px-2 py-1 border border-slate-700" value={preset} onChange={(e) => setPreset(e.target.value)}>
+          {Object.entries(MODE_PRESETS).map(([k, p]) => <option key={k} value={k} disabled={p.via?.some((l) => !network.transport[l.mode] || network.transport[l.mode].via)}>{p.label}</option>)}
+          <option value="blank">Blank mode</option>
+        </select>
+        <button onClick={() => onChange(addMode(network, preset))} className="px-3 py-1 rounded-lg bg-slate-800 hover:bg-slate-700">+ Add Mode</button>
+      </div>
+      <div className="mt-1 text-[11px] text-slate-500">risk: share of the LRU risk index per 10k units (blank = built-in for air/ground/ocean, else 0.04). minShipmentTons: least billed per shipment, one shipment per leg each review period. via: multimodal legs as mode:share of distance; each hand-over adds transferDays.</div>
+    </div>
+  );
+}
+
+function NetworkEditor({ network, onChange, onClose, initialTab = "suppliers" }) {
+  const [tab, setTab] = useState(initialTab);
+  const [errors, setErrors] = useState([]);
+  const [notice, setNotice] = useState(null);
+  const spec = NETWORK_TABLES[tab];
+
+  async function onFiles(e) {
+    const files = await Promise.all([...e.target.files].map(async (f) => ({ name: f.name, text: await f.text() })));
+    e.target.value = "";
+    if (!files.length) return;
+    const { network: next, errors: errs } = importNetworkFiles(files, network);
+    setErrors(errs); setNotice(next ? `Imported ${files.map((f) => f.name).join(", ")}` : null);
+    if (next) onChange(next);
+  }
+  function downloadNetwork() { const blob = new Blob([JSON.stringify(toNetworkJSON(network), null, 2)], { type: "application/json" }); const url = URL.createObjectURL(blob); const a = document.createElement("a"); a.href = url; a.download = "network.json"; a.click(); URL.revokeObjectURL(url); }
+  function setField(id, f, raw) {
+    if (f.type === "currency") { const code = String(raw).trim().toUpperCase() || BASE_CURRENCY; if (CURRENCY_CODE.test(code)) onChange(updateEntity(network, tab, id, f.key, code)); return; }
+    if (f.type !== "number") { if (String(raw).trim()) onChange(updateEntity(network, tab, id, f.key, raw)); return; }
+    const v = parseFloat(raw); if (!Number.isFinite(v) || (f.min != null && v < f.min) || (f.max != null && v > f.max)) return;
+    onChange(updateEntity(network, tab, id, f.key, v));
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+      <div className="w-[1040px] max-h-[85vh] overflow-auto rounded-2xl bg-slate-900 border border-slate-700 p-4">
+        <div className="flex justify-between items-center mb-3">
+          <div className="text-slate-200 font-semibold">Network Master Data</div>
+          <button className="text-slate-300" onClick={onClose}>Close</button>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 mb-2 text-xs">
+          <label className="px-3 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500 cursor-pointer">Import CSV / JSON<input type="file" multiple accept=".csv,.json" className="hidden" onChange={onFiles} /></label>
+          <button onClick={downloadNetwork} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700">Download network.json</button>
+          <button onClick={() => { onChange(generateMockNetwork(137)); setErrors([]); setNotice("Restored sample network"); }} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700">Reset to sample</button>
+          <span className="text-[11px] text-slate-500">CSV files are matched by name (regions, suppliers, sites, dcs, customers, customer-demand, lrus, modes, lanes, lane-modes); each replaces its table. Region columns take region ids; lane ends take region or site ids.</span>
+        </div>
+        {notice && <div className="mb-2 text-xs text-emerald-400">{notice}</div>}
+        {errors.length > 0 && (
+          <div className="mb-3 rounded-xl bg-rose-950 border border-rose-700 p-2 text-xs text-rose-200 max-h-40 overflow-auto">
+            <div className="font-semibold mb-1">Import rejected — {errors.length} problem{errors.length > 1 ? "s" : ""}; nothing was changed.</div>
+            {errors.map((e, i) => <div key={i}>{formatImportError(e)}</div>)}
+          </div>
+        )}
+        <div className="flex gap-1 mb-2">
+          {["suppliers", "assemblySites", "dcs", "customers", "lrus", "modes", "lanes"].map((t) => (
+            <button key={t} onClick={() => setTab(t)} className={`px-3 py-1 rounded-lg text-xs ${tab === t ? 'bg-slate-700 text-slate-100' : 'bg-slate-800 text-slate-400 hover:text-slate-200'}`}>{NETWORK_TABLES[t].label} ({t === "modes" ? Object.keys(network.transport).length : (network[t] ?? []).length})</button>
+          ))}
+        </div>
+        {tab === "lanes" ? <LaneTable network={network} onChange={onChange} /> : tab === "modes" ? <TransportTable network={network} onChange={onChange} /> : <>
+        <table className="w-full text-[11px] text-slate-300">
+          <thead><tr className="text-slate-500 text-left">{spec.fields.map((f) => <th key={f.key} className="px-1 py-1 font-normal">{f.key}</th>)}{tab === "customers" && network.lrus.map((l) => <th key={l.id} className="px-1 py-1 font-normal">{l.id} share</th>)}<th /></tr></thead>
+          <tbody>
+            {(network[tab] ?? []).map((e) => (
+              <tr key={e.id} className="border-t border-slate-800">
+                {spec.fields.map((f) => (
+                  <td key={f.key} className="px-1 py-1">
+                    {f.type === "id" ? <span className="text-slate-400">{e.id}</span>
+                      : f.type === "region" ? <select className="bg-slate-800 rounded px-1 py-0.5 border border-slate-700" value={e.region.id} onChange={(ev) => setField(e.id, f, ev.target.value)}>{network.regions.map((r) => <option key={r.id} value={r.id}>{r.id}</option>)}</select>
+                      : <input key={`${e.id}:${e[f.key]}`} className="w-full bg-slate-800 rounded px-1 py-0.5 border border-slate-700" type={f.type === "number" ? "number" : "text"} defaultValue={f.type === "number" ? +e[f.key].toFixed(4) : e[f.key]} placeholder={f.type === "currency" ? BASE_CURRENCY : undefined} min={f.min} max={f.max} onBlur={(ev) => setField(e.id, f, ev.target.value)} />}
+                  </td>
+                ))}
+                {tab === "customers" && network.lrus.map((l) => (
+                  <td key={l.id} className="px-1 py-1"><input key={`${e.id}:${l.id}:${e.lruShares[l.id]}`} className="w-16 bg-slate-800 rounded px-1 py-0.5 border border-slate-700" type="number" min={0} step={0.05} placeholder="weight" defaultValue={e.lruShares[l.id] ?? ""}
+                    onBlur={(ev) => { const raw = ev.target.value.trim(); const v = parseFloat(raw); if (!raw) onChange(updateCustomerShare(network, e.id, l.id, undefined)); else if (Number.isFinite(v) && v >= 0) onChange(updateCustomerShare(network, e.id, l.id, v)); }} /></td>
+                ))}
+                <td className="px-1 py-1 text-right"><button className="text-rose-400 hover:text-rose-300 disabled:opacity-30" disabled={tab !== "customers" && network[tab].length <= 1} onClick={() => onChange(removeEntity(network, tab, e.id))}>Remove</button></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button onClick={() => onChange(addEntity(network, tab))} className="mt-2 px-3 py-1 rounded-lg text-xs bg-slate-800 hover:bg-slate-700">+ Add {spec.label.replace(/s$/, "")}</button>
+        {tab === "customers" && <div className="mt-1 text-[11px] text-slate-500">Each LRU's demand splits across customers by its share column when any customer sets one, else by demandWeight. Service is measured at the customer: DC fill rate × share of DC→customer deliveries within deliveryDays. With no customers the network ends at the DCs. Add DC→customer lanes on the Lanes tab.</div>}
+        </>}
+      </div>
+    </div>
+  );
+}
+
+/********************
+ * Scenario library
+ ********************/
+function ScenarioEditor({ scenario, folders, onSave, onCancel }) {
+  const [draft, setDraft] = useState({ name: scenario.name, description: scenario.description, folder: scenario.folder, tags: scenario.tags.join(", ") });
+  const input = "w-full bg-slate-900 text-slate-100 rounded-lg px-2 py-1 border border-slate-700";
+  return (
+    <div className="mt-2 space-y-1 text-[11px]">
+      <input className={input} value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} placeholder="Name" />
+      <textarea className={input} rows={2} value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} placeholder="Description" />
+      <input className={input} list="scenario-folders" value={draft.folder} onChange={(e) => setDraft({ ...draft, folder: e.target.value })} placeholder="Folder (program or OEM)" />
+      <datalist id="scenario-folders">{folders.map((f) => <option key={f} value={f} />)}</datalist>
+      <input className={input} value={draft.tags} onChange={(e) => setDraft({ ...draft, tags: e.target.value })} placeholder="Tags, comma separated" />
+      <div className="flex gap-2">
+        <button className="text-indigo-400 hover:text-indigo-300 disabled:opacity-50" disabled={!draft.name.trim()} onClick={() => onSave({ ...scenario, name: draft.name.trim(), description: draft.description.trim(), folder: draft.folder.trim(), tags: parseTags(draft.tags), updatedAt: new Date().toISOString() })}>Save</button>
+        <button className="text-slate-400 hover:text-slate-200" onClick={onCancel}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+function ScenarioLibrary({ scenarios, error, onLoad, onUpdate, onDuplicate, onDelete, onImport, onClear }) {
+  const formatMoney = useMoney();
+  const [query, setQuery] = useState("");
+  const [folder, setFolder] = useState("*");
+  const [tag, setTag] = useState(null);
+  const [sort, setSort] = useState("updated");
+  const [editingId, setEditingId] = useState(null);
+  const folders = useMemo(() => scenarioFolders(scenarios), [scenarios]);
+  const tags = useMemo(() => scenarioTags(scenarios), [scenarios]);
+  const shown = useMemo(() => sortScenarios(filterScenarios(scenarios, { query, folder: folder === "*" ? null : folder, tag }), sort), [scenarios, query, folder, tag, sort]);
+
+  function exportBundle() { const blob = new Blob([JSON.stringify(toBundle(scenarios), null, 2)], { type: "application/json" }); const url = URL.createObjectURL(blob); const a = document.createElement("a"); a.href = url; a.download = `scenario_library_${new Date().toISOString().slice(0, 10)}.json`; a.click(); URL.revokeObjectURL(url); }
+  async function importBundle(e) {
+    const file = e.target.files[0]; e.target.value = "";
+    if (file) onImport(file.name, await file.text());
+  }
+
+  return (
+    <div className="text-xs">
+      <input className="w-full bg-slate-800 text-slate-100 rounded-lg px-2 py-1 border border-slate-700 mb-2" value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search name, description, tags…" />
+      <div className="grid grid-cols-2 gap-2 mb-2">
+        <Select value={folder} onChange={(e) => setFolder(e.target.value)} options={[{ id: "*", name: "All folders" }, ...folders.map((f) => ({ id: f, name: f })), { id: "", name: "Unfiled" }]} />
+        <Select value={sort} onChange={(e) => setSort(e.target.value)} options={Object.entries(SCENARIO_SORTS).map(([id, s]) => ({ id, name: s.label }))} />
+      </div>
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-1 mb-2">
+          {tags.map((t) => <button key={t} onClick={() => setTag(tag === t ? null : t)} className={`px-2 py-0.5 rounded-full text-[10px] ${tag === t ? 'bg-indigo-600 text-white' : 'bg-slate-800 text-slate-400'}`}>#{t}</button>)}
+        </div>
+      )}
+      {scenarios.length === 0 ? (<div className="text-slate-400">No saved scenarios yet.</div>) : shown.length === 0 ? (<div className="text-slate-400">No scenarios match.</div>) : (
+        <div className="space-y-2 max-h-80 overflow-auto">
+          {shown.map((s) => (
+            <div key={s.id} className="p-2 rounded-lg bg-slate-800/60 border border-slate-700">
+              <div className="text-slate-200 flex justify-between gap-2">
+                <span className="truncate font-medium" title={s.name}>{s.name}</span>
+                <button className="text-indigo-400 hover:text-indigo-300" onClick={() => onLoad(s)}>Load</button>
+              </div>
+              {s.description && <div className="text-[11px] text-slate-400">{s.description}</div>}
+              <div className="text-[10px] text-slate-500">{s.folder || "Unfiled"} • {formatMoney(s.metrics.cost)} • {(s.metrics.totals.serviceLevel * 100).toFixed(1)}% • {new Date(s.updatedAt).toLocaleString()}</div>
+              {s.tags.length > 0 && <div className="text-[10px] text-slate-400">{s.tags.map((t) => `#${t}`).join(" ")}</div>}
+              {editingId === s.id ? <ScenarioEditor scenario={s} folders={folders} onSave={(next) => { onUpdate(next); setEditingId(null); }} onCancel={() => setEditingId(null)} /> : (
+                <div className="flex gap-3 mt-1 text-[10px]">
+                  <button className="text-slate-400 hover:text-slate-200" onClick={() => setEditingId(s.id)}>Edit</button>
+                  <button className="text-slate-400 hover:text-slate-200" onClick={() => onDuplicate(s)}>Duplicate</button>
+                  <button className="text-slate-400 hover:text-rose-300" onClick={() => { if (confirm(`Delete "${s.name}"?`)) onDelete(s); }}>Delete</button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+      {error && <div className="mt-2 text-rose-400 whitespace-pre-line">{error}</div>}
+      <div className="flex flex-wrap gap-3 mt-2 text-slate-400">
+        <button onClick={exportBundle} className="hover:text-slate-200" disabled={!scenarios.length}>Export library</button>
+        <label className="hover:text-slate-200 cursor-pointer">Import library<input type="file" accept=".json" className="hidden" onChange={importBundle} /></label>
+        <button onClick={() => { if (confirm(`Delete all ${scenarios.length} saved scenarios?`)) onClear(); }} className="hover:text-slate-200" disabled={!scenarios.length}>Clear all</button>
+      </div>
+    </div>
+  );
+}
+
 /********************
  * Main component
  ********************/
 export default function App() {
-  const network = useMemo(() => generateMockNetwork(137), []);
+  const [network, setNetwork] = useState(() => generateMockNetwork(137));
   // Parameters
   const [master, setMaster] = useState("baseline");
   const [variant, setVariant] = useState("base");
@@ -327,31 +1534,56 @@ export default function App() {
   const [tariffMultiplier, setTariffMultiplier] = useState(1.0);
   const [carbonPrice, setCarbonPrice] = useState(0.02);
   const [inventoryCarryPct, setInventoryCarryPct] = useState(0.12);
+  const [reviewDays, setReviewDays] = useState(14);
+  const [demandCv, setDemandCv] = useState(0.3);
+  const [leadTimeCv, setLeadTimeCv] = useState(0.2);
+  const [carbonCapKg, setCarbonCapKg] = useState(null);
+  const [regionCarbonCapsKg, setRegionCarbonCapsKg] = useState({});
+  const [rules, setRules] = useState([]);
+  const [transition, setTransition] = useState(null);
+  const [fx, setFx] = useState(DEFAULT_FX);
+  const [tariffs, setTariffs] = useState(null);
   const [riskWeight, setRiskWeight] = useState(0.4);
   const [allowOverflow, setAllowOverflow] = useState(true);
-  const [demandVol, setDemandVol] = useState(0.10); // CV
-  const [reliabVol, setReliabVol] = useState(0.02); // ±
+  const [mcConfig, setMcConfig] = useState(defaultMonteCarlo);
   const [lruEdits, setLruEdits] = useState({});
   const [activeLruId, setActiveLruId] = useState(network.lrus[0].id);
-  const [pendingSupplier, setPendingSupplier] = useState(null);
+  const [pendingNode, setPendingNode] = useState(null);
+  const [layout, setLayout] = useState({});
+  const [showNetwork, setShowNetwork] = useState(false);
+  const [showPareto, setShowPareto] = useState(false);
+  const [showStress, setShowStress] = useState(false);
+  const [showEmissions, setShowEmissions] = useState(false);
+  const [showRules, setShowRules] = useState(false);
+  const [showTransition, setShowTransition] = useState(false);
+  const [showSweep, setShowSweep] = useState(false);
+  const [showFx, setShowFx] = useState(false);
+  const [showTariffs, setShowTariffs] = useState(false);
+  const [splitLruId, setSplitLruId] = useState(null);
+  const [ledgerFilter, setLedgerFilter] = useState({});
 
   // OEM profile
   const [profileId, setProfileId] = useState("pnc");
   function applyProfile(id) {
-    const prof = OEM_PROFILES.find(p => p.id === id)?.defaults; if (!prof) return;
+    const profile = OEM_PROFILES.find(p => p.id === id); const prof = profile?.defaults; if (!prof) return;
     setProfileId(id);
     setServiceTarget(prof.serviceTarget); setRiskWeight(prof.riskWeight); setCarbonPrice(prof.carbonPrice); setTariffMultiplier(prof.tariffMultiplier);
+    // per-LRU targets come from the profile; other LRU edits are kept
+    setLruEdits((prev) => Object.fromEntries(network.lrus.map((l) => {
+      const { serviceTarget: _, ...rest } = prev[l.id] || {}; const t = profile.lruTargets?.[l.id];
+      return [l.id, t != null ? { ...rest, serviceTarget: t } : rest];
+    }).filter(([, e]) => Object.keys(e).length)));
   }
 
-  useEffect(() => { const esc=(e)=>{ if(e.key==='Escape') setPendingSupplier(null); }; window.addEventListener('keydown', esc); return ()=> window.removeEventListener('keydown', esc); }, []);
+  useEffect(() => { const esc=(e)=>{ if(e.key==='Escape') setPendingNode(null); }; window.addEventListener('keydown', esc); return ()=> window.removeEventListener('keydown', esc); }, []);
 
   // Derived demand multiplier by scenario & variant
-  const demandMultiplier = useMemo(() => {
-    const baseMult = VARIANT_MULTIPLIERS.find((v) => v.id === variant)?.demand ?? 1.0;
-    switch (master) { case 'service': return baseMult * 1.05; case 'resiliency': return baseMult * 0.98; default: return baseMult; }
-  }, [master, variant]);
+  const demandMultiplier = useMemo(() => demandMultiplierFor(master, variant), [master, variant]);
 
-  const params = useMemo(() => ({ serviceTarget, laborRate, tariffMultiplier, carbonPrice, inventoryCarryPct, riskWeight, demandMultiplier, allowOverflow }), [serviceTarget, laborRate, tariffMultiplier, carbonPrice, inventoryCarryPct, riskWeight, demandMultiplier, allowOverflow]);
+  // rules naming sites or LRUs since removed from the network are kept in the editor but not enforced
+  const activeRules = useMemo(() => validateRules(rules, network).rules, [rules, network]);
+  const params = useMemo(() => ({ serviceTarget, laborRate, tariffMultiplier, carbonPrice, inventoryCarryPct, riskWeight, demandMultiplier, allowOverflow, reviewDays, demandCv, leadTimeCv, carbonCapKg, regionCarbonCapsKg, rules: activeRules, transition, fx, tariffs }), [serviceTarget, laborRate, tariffMultiplier, carbonPrice, inventoryCarryPct, riskWeight, demandMultiplier, allowOverflow, reviewDays, demandCv, leadTimeCv, carbonCapKg, regionCarbonCapsKg, activeRules, transition, fx, tariffs]);
+  const formatMoney = useMemo(() => makeFormatMoney(fx), [fx]);
 
   // Assignment (default)
   const [assignment, setAssignment] = useState(() => {
@@ -361,99 +1593,184 @@ export default function App() {
         supplierId: network.suppliers[i % network.suppliers.length].id,
         assemblyId: network.assemblySites[i % network.assemblySites.length].id,
         dcId: network.dcs[i % network.dcs.length].id,
-        supMode: 'ground',
-        dcMode: 'ground',
       };
     });
-    return base;
+    // ground wherever the lanes allow it
+    return normalizeAssignment(base, network);
   });
 
-  // Import from share link (no deprecated escape/unescape)
-  useEffect(() => {
-    try {
-      if (location.hash && location.hash.length > 1) {
-        const decoded = JSON.parse(decodeURIComponent(atob(location.hash.slice(1))));
-        if (decoded.assignment) setAssignment(normalizeAssignment(decoded.assignment, network));
-        if (decoded.params) {
-          const p = decoded.params; setServiceTarget(p.serviceTarget ?? 0.95); setLaborRate(p.laborRate ?? 75); setTariffMultiplier(p.tariffMultiplier ?? 1.0); setCarbonPrice(p.carbonPrice ?? 0.02); setInventoryCarryPct(p.inventoryCarryPct ?? 0.12); setRiskWeight(p.riskWeight ?? 0.4); setAllowOverflow(p.allowOverflow ?? true);
-        }
-        if (decoded.master) setMaster(decoded.master); if (decoded.variant) setVariant(decoded.variant); if (decoded.lruEdits) setLruEdits(decoded.lruEdits); if (decoded.profileId) applyProfile(decoded.profileId);
-      }
-    } catch {}
-  }, []);
+  // Swap in a new network and repair everything that points into it in the same render
+  function applyNetwork(next) {
+    setNetwork(next);
+    setAssignment((prev) => normalizeAssignment(prev, next));
+    setActiveLruId((prev) => (next.lrus.some((l) => l.id === prev) ? prev : next.lrus[0].id));
+    setPendingNode(null);
+    setLayout((prev) => validateLayout(prev, next).layout);
+  }
+
 
-  const result = useMemo(() => evaluateSolution({ assignment, params, network, lruEdits }), [assignment, params, network, lruEdits]);
+  const result = useMemo(() => evaluateSolution({ assignment, params, network, lruEdits, withLedger: true }), [assignment, params, network, lruEdits]);
   const loads = useMemo(() => computeLoads(network, assignment, params.demandMultiplier, lruEdits), [network, assignment, params.demandMultiplier, lruEdits]);
 
-  // Optimizer (local vs remote)
+  // Optimizer (local worker vs remote)
   const [optBusy, setOptBusy] = useState(false);
+  const [optBudgetSec, setOptBudgetSec] = useState(10);
+  const [optAllowSplits, setOptAllowSplits] = useState(false);
+  const [optProgress, setOptProgress] = useState(null);
+  const [optReport, setOptReport] = useState(null);
+  const optJob = useRef(null);
   const [useRemote, setUseRemote] = useState(false);
-  const [remoteUrl, setRemoteUrl] = useState("https://<your-worker>.workers.dev/optimize");
-  async function runOptimize() {
-    setOptBusy(true);
+  const [remoteUrl, setRemoteUrl] = useState("http://localhost:8787/optimize");
+  async function optimizeLocal() {
+    const job = runSolverTask("optimize", { network, params, lruEdits, allowSplits: optAllowSplits, timeBudgetMs: optBudgetSec * 1000 }, { onProgress: setOptProgress });
+    optJob.current = job;
+    const out = await job.promise;
+    if (out.best) setAssignment(normalizeAssignment(out.best.assignment, network));
+    setOptReport({ status: out.best ? (out.complete ? "optimal" : "timeout") : "infeasible", objective: out.best?.objective, reasons: out.reasons, stats: out.stats, solver: "Local worker" });
+  }
+  // Remote errors are reported, never masked by a silent local fallback
+  async function optimizeRemote() {
+    const job = runRemoteOptimize(remoteUrl, { network, params, lruEdits, allowSplits: optAllowSplits, timeBudgetMs: optBudgetSec * 1000 }, { onProgress: setOptProgress });
+    optJob.current = job;
+    const { solver, result: out } = await job.promise;
+    if (out.assignment) setAssignment(normalizeAssignment(out.assignment, network));
+    setOptReport({ status: out.status, objective: out.objective, reasons: out.reasons, stats: out.stats, solver: `Remote: ${solver || "unknown solver"} @ ${remoteUrl}` });
+  }
+  async function runOptimize(remote = useRemote) {
+    setOptBusy(true); setOptProgress(null); setOptReport(null);
+    try {
+      await (remote ? optimizeRemote() : optimizeLocal());
+    } catch (err) {
+      if (err instanceof SolverCancelledError) setOptReport({ status: "cancelled" });
+      else setOptReport({ status: "error", message: err.message, details: err instanceof RemoteOptimizeError ? err.details : [], remote: err instanceof RemoteOptimizeError });
+    } finally { optJob.current = null; setOptBusy(false); }
+  }
+  function cancelOptimize() { optJob.current?.cancel(); }
+
+  // Planning horizon (multi-period); per-period assignments override the main one when set
+  const [horizonOn, setHorizonOn] = useState(false);
+  const [horizon, setHorizon] = useState(() => defaultHorizon());
+  const [periodAssignments, setPeriodAssignments] = useState({});
+  const [horizonBusy, setHorizonBusy] = useState(false);
+  const [horizonReasons, setHorizonReasons] = useState([]);
+  const horizonResult = useMemo(() => (horizonOn ? evaluateHorizon({ assignment, periodAssignments, params, network, lruEdits, horizon }) : null), [horizonOn, assignment, periodAssignments, params, network, lruEdits, horizon]);
+  async function runHorizonOptimize() {
+    setHorizonBusy(true); setHorizonReasons([]);
     try {
-      if (useRemote) {
-        const payload = { assignment, params, lruEdits, network };
-        const res = await fetch(remoteUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
-        if (res.ok) {
-          const data = await res.json();
-          const bestAssign = data.assignment || data.bestAssignment;
-          if (bestAssign) setAssignment(normalizeAssignment(bestAssign, network));
-          else { const best = enumerateBestSolution({ network, params, lruEdits }); if (best) setAssignment(best.assignment); }
-        } else { const best = enumerateBestSolution({ network, params, lruEdits }); if (best) setAssignment(best.assignment); }
-      } else {
-        const best = enumerateBestSolution({ network, params, lruEdits }); if (best) setAssignment(best.assignment);
-      }
-    } catch {
-      const best = enumerateBestSolution({ network, params, lruEdits }); if (best) setAssignment(best.assignment);
-    } finally { setOptBusy(false); }
+      const out = await runSolverTask("optimizeHorizon", { assignment, params, network, lruEdits, horizon, allowSplits: optAllowSplits, timeBudgetMs: optBudgetSec * 1000 }).promise;
+      setPeriodAssignments(out.periodAssignments); setHorizonReasons(out.reasons);
+    } catch (err) { setHorizonReasons([`Horizon optimizer failed: ${err.message}`]); }
+    finally { setHorizonBusy(false); }
   }
 
-  // Monte Carlo (shallow copy suppliers; no JSON deep clone)
-  const [mcBusy, setMcBusy] = useState(false); const [mcStats, setMcStats] = useState(null);
-  function runMC(samples = 200) {
-    setMcBusy(true);
-    setTimeout(() => {
-      let hits = 0; const costs = [];
-      for (let i = 0; i < samples; i++) {
-        const dm = params.demandMultiplier * (1 + normalRand() * demandVol);
-        const net2 = { ...network, suppliers: network.suppliers.map((s) => ({ ...s, reliability: clamp(s.reliability + normalRand() * reliabVol, 0.80, 0.995) })) };
-        const res = evaluateSolution({ assignment, params: { ...params, demandMultiplier: dm }, network: net2, lruEdits });
-        if (res.totals.serviceLevel >= params.serviceTarget) hits++; costs.push(res.cost);
-      }
-      costs.sort((a, b) => a - b); const pct = (p) => costs[Math.floor(clamp(p, 0, 1) * (costs.length - 1))];
-      setMcStats({ pService: hits / samples, avgCost: costs.reduce((a, b) => a + b, 0) / samples, p10: pct(0.1), p90: pct(0.9) }); setMcBusy(false);
-    }, 10);
+  // Monte Carlo (seeded, in the solver worker)
+  const [mcBusy, setMcBusy] = useState(false); const [mcStats, setMcStats] = useState(null); const [mcProgress, setMcProgress] = useState(null); const [mcError, setMcError] = useState(null);
+  const mcJob = useRef(null);
+  async function runMC() {
+    setMcBusy(true); setMcError(null); setMcProgress(null);
+    try {
+      mcJob.current = runSolverTask("monteCarlo", { assignment, params, network, lruEdits, config: mcConfig }, { onProgress: setMcProgress });
+      setMcStats(await mcJob.current.promise);
+    } catch (err) { if (!(err instanceof SolverCancelledError)) setMcError(err.message); }
+    finally { mcJob.current = null; setMcBusy(false); }
   }
 
-  // Sensitivity (use objective)
+  // Sensitivity (use objective): the tornado holds the current assignment; re-optimizing finds where the best one changes
   const [sens, setSens] = useState(null);
-  function runSensitivity() {
-    const tests = [
-      { key: "serviceTarget", label: "Service Target", delta: 0.02, clamp: [0.8, 0.99] },
-      { key: "laborRate", label: "Labor Rate", delta: 10, clamp: [40, 120] },
-      { key: "tariffMultiplier", label: "Tariff Multiplier", delta: 0.1, clamp: [0.5, 1.5] },
-      { key: "carbonPrice", label: "Carbon Price", delta: 0.01, clamp: [0, 0.10] },
-      { key: "inventoryCarryPct", label: "Inventory Carry", delta: 0.02, clamp: [0.05, 0.25] },
-      { key: "riskWeight", label: "Risk Weight", delta: 0.1, clamp: [0, 1] },
-    ];
-    const rows = tests.map((t) => {
-      const loR = evaluateSolution({ assignment, params: { ...params, [t.key]: clamp(params[t.key] - t.delta, t.clamp[0], t.clamp[1]) }, network, lruEdits }).objective;
-      const hiR = evaluateSolution({ assignment, params: { ...params, [t.key]: clamp(params[t.key] + t.delta, t.clamp[0], t.clamp[1]) }, network, lruEdits }).objective;
-      const lo = Number.isFinite(loR) ? loR : NaN; const hi = Number.isFinite(hiR) ? hiR : NaN;
-      return { label: t.label, low: lo, high: hi, min: Math.min(lo, hi), max: Math.max(lo, hi), delta: Math.abs(hi - lo) };
-    }).filter(r => !isNaN(r.delta)).sort((a, b) => b.delta - a.delta);
-    setSens(rows);
+  function runSensitivity() { setSens(sensitivityRows({ assignment, params, network, lruEdits })); }
+  const [optSens, setOptSens] = useState(null);
+  const [optSensBusy, setOptSensBusy] = useState(false);
+  const [optSensProgress, setOptSensProgress] = useState(null);
+  const [optSensError, setOptSensError] = useState(null);
+  const optSensJob = useRef(null);
+  async function runOptimalSensitivity() {
+    setOptSensBusy(true); setOptSensError(null); setOptSensProgress(null);
+    try {
+      optSensJob.current = runSolverTask("optimalSensitivity", { network, params, lruEdits, allowSplits: optAllowSplits }, { onProgress: setOptSensProgress });
+      setOptSens(await optSensJob.current.promise);
+    } catch (err) { if (!(err instanceof SolverCancelledError)) setOptSensError(err.message); }
+    finally { optSensJob.current = null; setOptSensBusy(false); }
   }
 
-  // Save/compare
-  const [saved, setSaved] = useState(() => { try { return JSON.parse(localStorage.getItem("pcs_scenarios") || "[]"); } catch { return []; } });
-  function saveScenario() { const snap = { id: `${master}-${variant}-${Date.now()}`, master, variant, params, assignment, lruEdits, profileId, metrics: result, ts: new Date().toISOString() }; const next = [snap, ...saved].slice(0, 12); setSaved(next); localStorage.setItem("pcs_scenarios", JSON.stringify(next)); }
-  function clearSaved() { setSaved([]); localStorage.removeItem("pcs_scenarios"); }
+  // Share links: the URL hash always holds the live scenario (compressed, versioned); every
+  // settled edit pushes a history entry so Back walks through edits, and opening a link reports
+  // whatever had to be dropped or defaulted
+  const scenarioDoc = useMemo(() => toScenarioDoc({ master, variant, profileId, params, assignment, lruEdits, horizon: horizonOn ? horizon : null, periodAssignments, layout }), [master, variant, profileId, params, assignment, lruEdits, horizonOn, horizon, periodAssignments, layout]);
+  const [linkReport, setLinkReport] = useState(null);
+  const hashReady = useRef(false); const lastHash = useRef(null); const replaceNext = useRef(true);
+  async function openHash(hash, { report }) {
+    try {
+      const { scenario, notes, fromVersion } = await openShareHash(hash, network, KNOWN_IDS);
+      lastHash.current = hash; replaceNext.current = true; applyScenario(scenario);
+      if (report && notes.length) setLinkReport({ title: `Opened a shared scenario (schema v${fromVersion}) with adjustments`, notes });
+    } catch (err) { if (report) setLinkReport({ title: "Could not open the shared link", notes: [err.message], error: true }); }
+  }
+  useEffect(() => {
+    (location.hash.length > 1 ? openHash(location.hash, { report: true }) : Promise.resolve()).finally(() => { hashReady.current = true; });
+    const onPop = () => { if (location.hash.length > 1 && location.hash !== lastHash.current) openHash(location.hash, { report: false }); };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+  useEffect(() => {
+    let stale = false;
+    const t = setTimeout(async () => {
+      if (!hashReady.current) return;
+      const hash = await encodeShareHash(scenarioDoc);
+      if (stale || hash === lastHash.current) return;
+      // the first sync and the one after opening a link normalise the URL rather than add an entry
+      if (replaceNext.current) history.replaceState(null, "", hash); else history.pushState(null, "", hash);
+      lastHash.current = hash; replaceNext.current = false;
+    }, 600);
+    return () => { stale = true; clearTimeout(t); };
+  }, [scenarioDoc]);
+
+  // Save/compare: scenario library (IndexedDB); state mirrors the store and every change is written through
+  const [saved, setSaved] = useState([]);
+  const [libraryError, setLibraryError] = useState(null);
+  useEffect(() => { listScenarios().then((list) => setSaved(sortScenarios(list, "updated"))).catch((err) => setLibraryError(err.message)); }, []);
+  const persist = (promise) => promise.then(() => setLibraryError(null)).catch((err) => setLibraryError(`Scenario library: ${err.message}`));
+  // overrides lets other views (e.g. the Pareto explorer) save an assignment other than the live one
+  function saveScenario(overrides = {}) {
+    const now = new Date().toISOString(); const name = uniqueName(overrides.name ?? `${MASTER_SCENARIOS.find((m) => m.id === master)?.name ?? master} / ${VARIANT_MULTIPLIERS.find((v) => v.id === variant)?.name ?? variant}`, saved);
+    const snap = { id: newScenarioId(), ...scenarioDoc, params, horizon: horizonOn ? horizon : null, periodAssignments, lruEdits, network: toNetworkJSON(network), metrics: result, ts: now, updatedAt: now, description: "", tags: [], folder: OEM_PROFILES.find((p) => p.id === profileId)?.name ?? "", ...overrides, name };
+    setSaved((prev) => [snap, ...prev]); persist(putScenarios([snap]));
+  }
+  function updateScenario(s) { setSaved((prev) => prev.map((x) => (x.id === s.id ? s : x))); persist(putScenarios([s])); }
+  function copyScenario(s) { const copy = duplicateScenario(s, saved); setSaved((prev) => [copy, ...prev]); persist(putScenarios([copy])); }
+  function removeScenario(s) { setSaved((prev) => prev.filter((x) => x.id !== s.id)); persist(deleteScenario(s.id)); }
+  function importLibrary(fileName, text) {
+    let data;
+    try { data = JSON.parse(text); } catch (err) { setLibraryError(`${fileName}: invalid JSON (${err.message})`); return; }
+    const { scenarios, errors } = fromBundle(data, saved);
+    if (scenarios.length) { setSaved((prev) => [...scenarios, ...prev]); persist(putScenarios(scenarios)); }
+    if (errors.length) setLibraryError(`${fileName}: imported ${scenarios.length}, skipped ${errors.length}:\n${errors.slice(0, 10).join("\n")}`);
+  }
+  // Apply a validated scenario document (share link, saved scenario) to the live state
+  function applyScenario(sc) {
+    setMaster(sc.master); setVariant(sc.variant); setProfileId(sc.profileId);
+    const p = sc.params; setServiceTarget(p.serviceTarget); setLaborRate(p.laborRate); setTariffMultiplier(p.tariffMultiplier); setCarbonPrice(p.carbonPrice); setInventoryCarryPct(p.inventoryCarryPct); setRiskWeight(p.riskWeight); setAllowOverflow(p.allowOverflow);
+    setReviewDays(p.reviewDays); setDemandCv(p.demandCv); setLeadTimeCv(p.leadTimeCv); setCarbonCapKg(p.carbonCapKg); setRegionCarbonCapsKg(p.regionCarbonCapsKg); setRules(p.rules); setTransition(p.transition); setFx(p.fx); setTariffs(p.tariffs);
+    setAssignment(sc.assignment); setLruEdits(sc.lruEdits);
+    setHorizonOn(!!sc.horizon); if (sc.horizon) setHorizon(sc.horizon); setPeriodAssignments(sc.periodAssignments); setLayout(sc.layout);
+  }
+  function loadScenario(s) {
+    let net = network;
+    if (s.network) {
+      const { network: next, errors } = networkFromJSON(s.network, network);
+      if (!next) { alert(`Saved network is invalid:\n${errors.slice(0, 10).map(formatImportError).join("\n")}`); return; }
+      applyNetwork(next); net = next;
+    }
+    try {
+      const { scenario, notes } = validateScenario(migrateScenario(s).doc, net, KNOWN_IDS);
+      applyScenario(scenario);
+      setLinkReport(notes.length ? { title: `Loaded "${s.name}" with adjustments`, notes } : null);
+    } catch (err) { setLinkReport({ title: `Could not load "${s.name}"`, notes: [err.message], error: true }); }
+  }
+  function clearSaved() { setSaved([]); persist(clearScenarios()); }
 
   // Export / Share / Print
-  function downloadJSON() { const blob = new Blob([JSON.stringify({ assignment, params, lruEdits, master, variant, profileId }, null, 2)], { type: "application/json" }); const url = URL.createObjectURL(blob); const a = document.createElement("a"); a.href = url; a.download = `scenario_${master}_${variant}.json`; a.click(); URL.revokeObjectURL(url); }
-  async function copyShareLink() { const payload = { assignment, params, lruEdits, master, variant, profileId }; const url = `${location.origin}${location.pathname}#${btoa(encodeURIComponent(JSON.stringify(payload)))}`; try { await navigator.clipboard.writeText(url); alert("Share link copied to clipboard"); } catch { prompt("Copy link:", url); } }
+  function downloadJSON() { const blob = new Blob([JSON.stringify({ ...scenarioDoc, network: toNetworkJSON(network) }, null, 2)], { type: "application/json" }); const url = URL.createObjectURL(blob); const a = document.createElement("a"); a.href = url; a.download = `scenario_${master}_${variant}.json`; a.click(); URL.revokeObjectURL(url); }
+  async function copyShareLink() { const url = `${location.origin}${location.pathname}${await encodeShareHash(scenarioDoc)}`; try { await navigator.clipboard.writeText(url); alert("Share link copied to clipboard"); } catch { prompt("Copy link:", url); } }
   function printPDF() { window.print(); }
 
   // Compare modal
@@ -462,8 +1779,15 @@ export default function App() {
   const baseline = useMemo(() => saved.find(s => s.id === baselineId) || saved[0], [saved, baselineId]);
 
   const infeasible = !result.feasible;
+  const blockedLegs = result.laneIssues.filter((i) => i.kind === "unavailable");
+  const missingLegs = Object.values(result.laneIssues.filter((i) => i.kind === "missing").reduce((acc, i) => {
+    const g = (acc[`${i.origin}→${i.destination}`] ??= { origin: i.origin, destination: i.destination, legs: [] }); const leg = `${i.from}→${i.to}`;
+    if (!g.legs.includes(leg)) g.legs.push(leg);
+    return acc;
+  }, {}));
 
   return (
+    <MoneyContext.Provider value={formatMoney}>
     <div className="min-h-screen w-full bg-slate-950 text-slate-100">
       {/* Print CSS */}
       <style>{`@media print{ body{ -webkit-print-color-adjust: exact; print-color-adjust: exact;} .no-print{display:none} .page{page-break-after:always} }`}</style>
@@ -478,11 +1802,22 @@ export default function App() {
           </div>
         </div>
         <div className="flex gap-2 items-center no-print">
-          <button onClick={runOptimize} className="px-3 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500 transition disabled:opacity-50" disabled={optBusy}>{optBusy ? "Optimizing…" : (useRemote? "Optimize (Remote)" : "Optimize")}</button>
-          <button onClick={saveScenario} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700" disabled={infeasible}>Save</button>
+          {optBusy
+            ? <button onClick={cancelOptimize} className="px-3 py-2 rounded-xl bg-rose-700 hover:bg-rose-600 transition">Cancel Optimize</button>
+            : <button onClick={() => runOptimize()} className="px-3 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500 transition disabled:opacity-50" disabled={optBusy}>{optBusy ? "Optimizing…" : (useRemote? "Optimize (Remote)" : "Optimize")}</button>}
+          <button onClick={() => saveScenario()} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700" disabled={infeasible}>Save</button>
           <button onClick={downloadJSON} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700" disabled={infeasible}>Export JSON</button>
           <button onClick={copyShareLink} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700" disabled={infeasible}>Share Link</button>
           <button onClick={() => setShowCompare(true)} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700">Compare</button>
+          <button onClick={() => setShowPareto(true)} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700">Trade-offs</button>
+          <button onClick={() => setShowStress(true)} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700">Stress Test</button>
+          <button onClick={() => setShowSweep(true)} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700">Sweep</button>
+          <button onClick={() => setShowEmissions(true)} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700">Emissions</button>
+          <button onClick={() => setShowRules(true)} className={`px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 ${result.violations.length ? 'text-rose-300' : ''}`}>Rules ({rules.length})</button>
+          <button onClick={() => setShowTransition(true)} className={`px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 ${result.transition.overBudget ? 'text-rose-300' : ''}`}>{transition ? `Transition (${result.transition.changes})` : "Transition"}</button>
+          <button onClick={() => setShowTariffs(true)} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700">{tariffs ? `Tariffs (${tariffs.asOf})` : "Tariffs"}</button>
+          <button onClick={() => setShowFx(true)} className={`px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 ${result.fx.missing.length ? 'text-amber-300' : ''}`}>FX ({fx.reporting})</button>
+          <button onClick={() => setShowNetwork(true)} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700">Network Data</button>
           <button onClick={printPDF} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700">Export PDF</button>
         </div>
       </div>
@@ -509,10 +1844,14 @@ export default function App() {
 
           <Panel title="Targets & Pricing">
             <Range label={`Service Target: ${(serviceTarget * 100).toFixed(0)}%`} min={0.8} max={0.99} step={0.01} value={serviceTarget} onChange={setServiceTarget} />
-            <Range label={`Labor Rate: ${formatUSD(laborRate)}/hr`} min={40} max={120} step={1} value={laborRate} onChange={setLaborRate} />
+            <Range label={`Labor Rate: ${formatMoney(laborRate)}/hr`} min={40} max={120} step={1} value={laborRate} onChange={setLaborRate} />
             <Range label={`Tariff Multiplier: ${tariffMultiplier.toFixed(2)}×`} min={0.5} max={1.5} step={0.01} value={tariffMultiplier} onChange={setTariffMultiplier} />
             <Range label={`Inventory Carry: ${(inventoryCarryPct * 100).toFixed(0)}%`} min={0.05} max={0.25} step={0.005} value={inventoryCarryPct} onChange={setInventoryCarryPct} />
-            <Range label={`Carbon Price: ${formatUSD(carbonPrice)}/kg`} min={0} max={0.10} step={0.005} value={carbonPrice} onChange={setCarbonPrice} />
+            <Range label={`Order Cycle: ${reviewDays} days of demand`} min={1} max={60} step={1} value={reviewDays} onChange={setReviewDays} />
+            <Range label={`Demand CV (daily): ${demandCv.toFixed(2)}`} min={0} max={1.5} step={0.05} value={demandCv} onChange={setDemandCv} />
+            <Range label={`Lead-Time CV: ${leadTimeCv.toFixed(2)}`} min={0} max={1} step={0.05} value={leadTimeCv} onChange={setLeadTimeCv} />
+            <Range label={`Carbon Price: ${formatMoney(carbonPrice)}/kg`} min={0} max={0.10} step={0.005} value={carbonPrice} onChange={setCarbonPrice} />
+            <CapInput label={<>Carbon Cap (t CO2e){Object.keys(regionCarbonCapsKg).length > 0 && <button className="ml-1 text-indigo-400 hover:text-indigo-300" onClick={() => setShowEmissions(true)}>+{Object.keys(regionCarbonCapsKg).length} regional</button>}</>} kg={carbonCapKg} onChange={setCarbonCapKg} />
             <Range label={`Risk Weight: ${riskWeight.toFixed(2)}`} min={0} max={1} step={0.05} value={riskWeight} onChange={setRiskWeight} />
             <div className="mt-2 flex items-center justify-between text-xs text-slate-400">
               <span>Allow Overflow (OT/3PL)</span>
@@ -520,17 +1859,90 @@ export default function App() {
             </div>
           </Panel>
 
-          <Panel title="Uncertainty (Monte Carlo)">
-            <Range label={`Demand Volatility (CV): ${(demandVol * 100).toFixed(0)}%`} min={0} max={0.25} step={0.01} value={demandVol} onChange={setDemandVol} />
-            <Range label={`Reliability Shock: ±${(reliabVol * 100).toFixed(1)}%`} min={0} max={0.05} step={0.005} value={reliabVol} onChange={setReliabVol} />
-            <div className="flex gap-2 mt-2">
-              <button onClick={() => runMC(200)} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700" disabled={mcBusy}>{mcBusy ? "Running…" : "Run 200 sims"}</button>
-              {mcStats && <div className="text-xs text-slate-400 self-center">P(Service≥T): {(mcStats.pService*100).toFixed(0)}% • Avg {formatUSD(mcStats.avgCost)} • P10 {formatUSD(mcStats.p10)} • P90 {formatUSD(mcStats.p90)}</div>}
+          <Panel title="Uncertainty (Monte Carlo)" subtitle="Seeded: the same seed and inputs give the same result.">
+            <div className="grid grid-cols-2 gap-2">
+              <NumberInput label="Seed" value={mcConfig.seed} onChange={(v) => setMcConfig({ ...mcConfig, seed: v })} />
+              <div className="text-[11px]"><div className="text-slate-500 mb-1">Samples</div><Select value={mcConfig.samples} onChange={(e) => setMcConfig({ ...mcConfig, samples: Number(e.target.value) })} options={[1_000, 5_000, 10_000, 25_000, 50_000, 100_000].map((n) => ({ id: n, name: n.toLocaleString() }))} /></div>
+            </div>
+            <DistributionInput label="Demand (all LRUs)" dist={mcConfig.demand} onChange={(d) => setMcConfig({ ...mcConfig, demand: d })} />
+            <details className="mt-1 text-[11px] text-slate-400">
+              <summary className="cursor-pointer">Per-LRU demand ({Object.keys(mcConfig.demandByLru).length} overridden)</summary>
+              {network.lrus.map((l) => (
+                <DistributionInput key={l.id} label={l.name} dist={mcConfig.demandByLru[l.id]} inherit
+                  onChange={(d) => { const { [l.id]: _, ...rest } = mcConfig.demandByLru; setMcConfig({ ...mcConfig, demandByLru: d ? { ...rest, [l.id]: d } : rest }); }} />
+              ))}
+            </details>
+            <DistributionInput label="Supplier unit cost" dist={mcConfig.unitCost} onChange={(d) => setMcConfig({ ...mcConfig, unitCost: d })} />
+            <DistributionInput label="Supplier lead time" dist={mcConfig.leadTime} onChange={(d) => setMcConfig({ ...mcConfig, leadTime: d })} />
+            <DistributionInput label="Tariff (per region)" dist={mcConfig.tariff} onChange={(d) => setMcConfig({ ...mcConfig, tariff: d })} />
+            <DistributionInput label={`FX rates (${BASE_CURRENCY} per unit)`} dist={mcConfig.fx} onChange={(d) => setMcConfig({ ...mcConfig, fx: d })} />
+            <details className="mt-1 text-[11px] text-slate-400">
+              <summary className="cursor-pointer">Per-currency FX ({Object.keys(mcConfig.fxByCurrency).length} overridden)</summary>
+              {[...new Set([...networkCurrencies(network).map((c) => c.code), fx.reporting])].filter((c) => c !== BASE_CURRENCY).map((c) => (
+                <DistributionInput key={c} label={c} dist={mcConfig.fxByCurrency[c]} inherit
+                  onChange={(d) => { const { [c]: _, ...rest } = mcConfig.fxByCurrency; setMcConfig({ ...mcConfig, fxByCurrency: d ? { ...rest, [c]: d } : rest }); }} />
+              ))}
+            </details>
+            <Range label={`Reliability Shock: ±${(mcConfig.reliabilitySd * 100).toFixed(1)}% (1σ)`} min={0} max={0.05} step={0.005} value={mcConfig.reliabilitySd} onChange={(v) => setMcConfig({ ...mcConfig, reliabilitySd: v })} />
+            <Range label={`Region correlation: ${(mcConfig.correlation * 100).toFixed(0)}%`} min={0} max={1} step={0.05} value={mcConfig.correlation} onChange={(v) => setMcConfig({ ...mcConfig, correlation: v })} />
+            <Range label={`VaR/CVaR confidence: ${(mcConfig.confidence * 100).toFixed(0)}%`} min={0.8} max={0.99} step={0.01} value={mcConfig.confidence} onChange={(v) => setMcConfig({ ...mcConfig, confidence: v })} />
+            <div className="flex gap-2 mt-2 items-center">
+              {mcBusy
+                ? <button onClick={() => mcJob.current?.cancel()} className="px-3 py-2 rounded-xl bg-rose-700 hover:bg-rose-600">Cancel</button>
+                : <button onClick={runMC} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700">Run {mcConfig.samples.toLocaleString()} sims</button>}
+              {mcBusy && mcProgress && <span className="text-xs text-slate-400">{mcProgress.done.toLocaleString()}/{mcProgress.total.toLocaleString()}</span>}
+              {mcError && <span className="text-xs text-rose-400">{mcError}</span>}
+            </div>
+            {mcStats && (
+              <div className="mt-3 space-y-2">
+                <div className="grid grid-cols-2 gap-2">
+                  <KPI label="P(All Targets Met)" value={`${(mcStats.service.pMeetTarget * 100).toFixed(1)}%`} />
+                  <KPI label="Mean Service" value={`${(mcStats.service.mean * 100).toFixed(1)}%`} />
+                  {mcStats.cost && <>
+                    <KPI label="Mean Cost" value={formatMoney(mcStats.cost.mean)} />
+                    <KPI label="P10 / P90" value={<span className="text-xs">{formatMoney(mcStats.cost.p10)} / {formatMoney(mcStats.cost.p90)}</span>} />
+                    <KPI label={`VaR ${(mcStats.cost.confidence * 100).toFixed(0)}%`} value={formatMoney(mcStats.cost.var)} />
+                    <KPI label={`CVaR ${(mcStats.cost.confidence * 100).toFixed(0)}%`} value={formatMoney(mcStats.cost.cvar)} />
+                  </>}
+                </div>
+                {mcStats.overCapacity > 0 && <div className="text-[11px] text-amber-300">{(mcStats.overCapacity * 100).toFixed(1)}% of draws overload a site with overflow disallowed; they are excluded from cost statistics and count as missing service.</div>}
+                {mcStats.cost && <><Label>Annual cost distribution (line: VaR)</Label><Histogram hist={mcStats.cost.histogram} marker={mcStats.cost.var} format={formatMoney} /></>}
+                <Label>Service level distribution (line: target)</Label>
+                <Histogram hist={mcStats.service.histogram} marker={serviceTarget} format={(v) => `${(v * 100).toFixed(1)}%`} />
+                <div className="text-[11px] text-slate-500">{mcStats.samples.toLocaleString()} samples, seed {mcStats.seed}, {(mcStats.elapsedMs / 1000).toFixed(1)}s</div>
+              </div>
+            )}
+          </Panel>
+
+          <Panel title="Optimizer">
+            <Range label={`Time Budget: ${optBudgetSec}s`} min={1} max={60} step={1} value={optBudgetSec} onChange={setOptBudgetSec} />
+            <div className="mt-2 flex items-center justify-between text-xs text-slate-400">
+              <span>Consider dual sourcing (supplier/site splits)</span>
+              <input type="checkbox" checked={optAllowSplits} onChange={(e) => setOptAllowSplits(e.target.checked)} />
+            </div>
+            <div className="mt-2 text-[11px] text-slate-400 space-y-1">
+              {optBusy && optProgress && (
+                <div>Searching… {optProgress.nodes.toLocaleString()} nodes • {optProgress.evaluated.toLocaleString()} evaluated • {(optProgress.elapsedMs / 1000).toFixed(1)}s • best {optProgress.bestObjective != null ? formatMoney(optProgress.bestObjective) : "—"}</div>
+              )}
+              {optReport?.status === "optimal" && <div className="text-emerald-400">Optimal: {formatMoney(optReport.objective)} ({optReport.stats.evaluated.toLocaleString()} evaluated, {optReport.stats.elapsedMs} ms)</div>}
+              {optReport?.status === "timeout" && <div className="text-amber-400">Time budget reached — applied best found: {formatMoney(optReport.objective)} (not proven optimal)</div>}
+              {optReport?.status === "infeasible" && <div className="text-rose-400">No feasible assignment; the current one was left unchanged (see banner).</div>}
+              {optReport?.status === "cancelled" && (
+                <div>Cancelled; assignment unchanged.{optProgress?.bestAssignment && <> <button className="text-indigo-400 hover:text-indigo-300" onClick={() => { setAssignment(normalizeAssignment(optProgress.bestAssignment, network)); setOptReport(null); }}>Apply best so far ({formatMoney(optProgress.bestObjective)})</button></>}</div>
+              )}
+              {optReport?.status === "error" && (
+                <div className="text-rose-400">
+                  {optReport.remote ? "Remote optimize failed" : "Optimizer failed"}: {optReport.message}
+                  {optReport.details?.length > 0 && <ul className="list-disc ml-5">{optReport.details.map((d, i) => <li key={i}>{d}</li>)}</ul>}
+                  {optReport.remote && <> <button className="text-indigo-400 hover:text-indigo-300" onClick={() => runOptimize(false)}>Run locally instead</button></>}
+                </div>
+              )}
+              {optReport?.solver && <div className="text-slate-500">Solved by: {optReport.solver}</div>}
             </div>
           </Panel>
 
           <Panel title="Optimizer Mode (Remote)">
-            <div className="text-[11px] text-slate-400 mb-1">Toggle to call a Cloudflare Worker mock; falls back to local if it fails.</div>
+            <div className="text-[11px] text-slate-400 mb-1">Send the solve to an /optimize service (start the reference one with <code>npm run server</code>). Errors and timeouts are reported here; nothing falls back silently.</div>
             <div className="flex items-center gap-2 mb-2">
               <input type="checkbox" checked={useRemote} onChange={(e)=> setUseRemote(e.target.checked)} />
               <span className="text-xs">Use Remote Optimize</span>
@@ -538,62 +1950,82 @@ export default function App() {
             <input className="w-full bg-slate-800 text-slate-100 text-xs rounded-lg px-2 py-1 border border-slate-700" value={remoteUrl} onChange={(e)=> setRemoteUrl(e.target.value)} />
           </Panel>
 
-          <Panel title="Saved Scenarios">
-            {saved.length === 0 ? (<div className="text-xs text-slate-400">No saved scenarios yet.</div>) : (
-              <div className="space-y-2 max-h-64 overflow-auto">
-                {saved.map((s) => (
-                  <div key={s.id} className="p-2 rounded-lg bg-slate-800/60 border border-slate-700">
-                    <div className="text-xs text-slate-300 flex justify-between">
-                      <span>{s.master} • {s.variant}</span>
-                      <button className="text-indigo-400 hover:text-indigo-300" onClick={() => { setAssignment(normalizeAssignment(s.assignment, network)); setLruEdits(s.lruEdits||{}); applyProfile(s.profileId||'pnc'); }}>
-                        Load
-                      </button>
-                    </div>
-                    <div className="text-[10px] text-slate-500">{new Date(s.ts).toLocaleString()}</div>
-                  </div>
-                ))}
-              </div>
-            )}
-            <button onClick={clearSaved} className="mt-2 text-xs text-slate-400 hover:text-slate-200">Clear all</button>
+          <Panel title="Scenario Library" subtitle="Stored in this browser (IndexedDB); export the library to hand it to someone else.">
+            <ScenarioLibrary scenarios={saved} error={libraryError} onLoad={loadScenario} onUpdate={updateScenario} onDuplicate={copyScenario} onDelete={removeScenario} onImport={importLibrary} onClear={clearSaved} />
           </Panel>
         </div>
 
         {/* Center: Graph & LRU edits */}
         <div className="col-span-6 space-y-4">
+          {optReport?.status === "infeasible" && (
+            <div className="rounded-xl bg-amber-950 border border-amber-700 p-3 text-sm text-amber-200">
+              <div className="flex justify-between"><span className="font-semibold">Optimizer found no feasible assignment</span><button className="text-xs text-amber-300" onClick={() => setOptReport(null)}>Dismiss</button></div>
+              <ul className="list-disc ml-5 mt-1 text-xs space-y-0.5">{optReport.reasons.map((r, i) => <li key={i}>{r}</li>)}</ul>
+            </div>
+          )}
+          {linkReport && (
+            <div className={`rounded-xl border p-3 text-sm ${linkReport.error ? 'bg-rose-950 border-rose-700 text-rose-200' : 'bg-amber-950/60 border-amber-700 text-amber-200'}`}>
+              <div className="flex justify-between"><span className="font-semibold">{linkReport.title}</span><button className="text-xs opacity-70 hover:opacity-100" onClick={() => setLinkReport(null)}>Dismiss</button></div>
+              <ul className="list-disc ml-5 mt-1 text-xs space-y-0.5 max-h-40 overflow-auto">{linkReport.notes.map((n, i) => <li key={i}>{n}</li>)}</ul>
+            </div>
+          )}
           {infeasible && (
             <div className="rounded-xl bg-rose-950 border border-rose-700 p-3 text-sm text-rose-200">
-              Infeasible under current constraints (service target, capacity, overflow policy). Adjust targets, allow overflow, or reassign.
+              Infeasible under current constraints (service targets, capacity, overflow policy, carbon caps, business rules, change budget). Adjust targets, allow overflow, or reassign.
+              {result.service.misses.length > 0 && <ul className="list-disc ml-5 mt-1 text-xs space-y-0.5">{result.service.misses.map((m) => <li key={m.lruId}>{network.lrus.find((l) => l.id === m.lruId)?.name ?? m.lruId}: {(m.service * 100).toFixed(2)}% service misses its {(m.target * 100).toFixed(1)}% target{lruEdits[m.lruId]?.serviceTarget != null ? " (LRU target)" : ""}.</li>)}</ul>}
+              {!Number.isFinite(result.cost) && <div className="text-xs mt-1">A supplier or assembly site is over capacity and overflow is disallowed.</div>}
+              {blockedLegs.length > 0 && <ul className="list-disc ml-5 mt-1 text-xs space-y-0.5">{blockedLegs.map((i, k) => <li key={k}>{network.lrus.find((l) => l.id === i.lruId)?.name ?? i.lruId}: {i.mode} is not available on {i.from}→{i.to} ({i.origin}→{i.destination}).</li>)}</ul>}
+              {result.carbon.over.length > 0 && <ul className="list-disc ml-5 mt-1 text-xs space-y-0.5">{result.carbon.over.map((c) => <li key={c.regionId ?? "network"}>{c.regionId == null ? "Network" : network.regions.find((r) => r.id === c.regionId)?.name ?? c.regionId} emits {formatTons(c.carbonKg)}, over its {formatTons(c.capKg)} carbon cap.</li>)}</ul>}
+              {result.violations.length > 0 && <ul className="list-disc ml-5 mt-1 text-xs space-y-0.5">{result.violations.map((v, i) => <li key={i}>{v.message}</li>)}</ul>}
+              {result.transition.overBudget && <div className="text-xs mt-1">{result.transition.changes} LRUs change sourcing from the baseline, over the budget of {result.transition.maxChanges}.</div>}
+            </div>
+          )}
+          {missingLegs.length > 0 && (
+            <div className="rounded-xl bg-amber-950/60 border border-amber-700 p-3 text-sm text-amber-200">
+              <div className="flex justify-between"><span className="font-semibold">Legs with no lane — costed at the {MISSING_LANE_MILES * 1000} mi default</span><button className="text-xs text-amber-300" onClick={() => setShowNetwork("lanes")}>Edit lanes</button></div>
+              <ul className="list-disc ml-5 mt-1 text-xs space-y-0.5">{missingLegs.map((i, k) => <li key={k}>{i.origin}→{i.destination}: {i.legs.join(", ")}</li>)}</ul>
             </div>
           )}
 
-          <Panel title="Network & Flows" subtitle="Pick Active LRU, click Supplier then Assembly to connect. Click edge tag to cycle mode.">
+          <Panel title="Network & Flows" subtitle="Pick Active LRU, click Supplier → Assembly → DC to wire it. Click edge tag to cycle mode. Edge width shows volume.">
             <div className="flex items-center gap-2 mb-2 text-xs">
               <span className="text-slate-400">Active LRU</span>
               <select className="bg-slate-800 text-slate-100 text-xs rounded-lg px-2 py-1 border border-slate-700" value={activeLruId} onChange={(e) => setActiveLruId(e.target.value)}>
                 {network.lrus.map((l) => <option key={l.id} value={l.id}>{l.name}</option>)}
               </select>
-              {pendingSupplier && <span className="text-amber-400">Supplier selected… pick an Assembly or press ESC</span>}
+              {pendingNode && <span className="text-amber-400">{WIRE_HINT[pendingNode.kind]} or press ESC</span>}
             </div>
             <div className="rounded-xl overflow-hidden border border-slate-800">
-              <Graph network={network} assignment={assignment} setAssignment={setAssignment} activeLruId={activeLruId} pendingSupplier={pendingSupplier} setPendingSupplier={setPendingSupplier} />
+              <Graph key={[...network.suppliers, ...network.assemblySites, ...network.dcs, ...(network.customers ?? [])].map((n) => n.id).join()} network={network} assignment={assignment} setAssignment={setAssignment} result={result} activeLruId={activeLruId} pending={pendingNode} setPending={setPendingNode} focus={ledgerFilter} onFocus={setLedgerFilter} layout={layout} setLayout={setLayout} />
             </div>
             <div className="mt-3 grid grid-cols-3 gap-2">
               {network.lrus.map((l) => (
                 <div key={l.id} className="p-2 rounded-lg bg-slate-900 border border-slate-800">
                   <div className="text-xs text-slate-300 flex justify-between items-center">
                     <span>{l.name}</span>
-                    <span className="text-[10px] text-slate-500">{assignment[l.id].supplierId}→{assignment[l.id].assemblyId}→{assignment[l.id].dcId} • {assignment[l.id].supMode}/{assignment[l.id].dcMode}</span>
+                    <button className="text-[10px] text-indigo-400 hover:text-indigo-300" onClick={() => setSplitLruId(splitLruId === l.id ? null : l.id)}>{splitLruId === l.id ? 'Done' : 'Split…'}</button>
                   </div>
-                  <div className="mt-2 grid grid-cols-3 gap-1">
+                  <div className="text-[10px] text-slate-500">{splitLabel(assignment[l.id], 'supplier')}→{splitLabel(assignment[l.id], 'assembly')}→{splitLabel(assignment[l.id], 'dc')} • {assignment[l.id].supMode}/{assignment[l.id].dcMode}{assignment[l.id].lastMode && `/${assignment[l.id].lastMode}`}</div>
+                  {splitLruId === l.id && <SplitEditor network={network} lru={l} pick={assignment[l.id]} onChange={(pick) => setAssignment((prev) => ({ ...prev, [l.id]: pick }))} />}
+                  <div className="mt-2 grid grid-cols-4 gap-1">
                     <NumberInput label="Base Demand" value={(lruEdits[l.id]?.baseDemand ?? l.baseDemand)} onChange={(v) => setLruEdits((p)=>({ ...p, [l.id]: { ...(p[l.id]||{}), baseDemand: v } }))} min={1000} max={30000} step={100} />
                     <NumberInput label="Labor hrs" value={(lruEdits[l.id]?.bomLaborHours ?? l.bomLaborHours)} onChange={(v) => setLruEdits((p)=>({ ...p, [l.id]: { ...(p[l.id]||{}), bomLaborHours: v } }))} min={0.5} max={10} step={0.1} />
                     <NumberInput label="Scrap %" value={((lruEdits[l.id]?.bomScrapRate ?? l.bomScrapRate) * 100)} onChange={(v) => setLruEdits((p)=>({ ...p, [l.id]: { ...(p[l.id]||{}), bomScrapRate: v/100 } }))} min={0} max={15} step={0.5} />
+                    <NumberInput label={lruEdits[l.id]?.serviceTarget != null ? "Target % (LRU)" : "Target %"} value={+((lruEdits[l.id]?.serviceTarget ?? serviceTarget) * 100).toFixed(1)} onChange={(v) => setLruEdits((p)=>({ ...p, [l.id]: { ...(p[l.id]||{}), serviceTarget: clamp(v, 50, 100)/100 } }))} min={50} max={100} step={0.5} />
                   </div>
                 </div>
               ))}
             </div>
           </Panel>
 
+          <Panel title="Cost Ledger" subtitle="Every cost by LRU, leg, lane and component. Click a tile or row to drill in, or a graph node or edge to filter.">
+            <CostLedger network={network} ledger={result.ledger} filter={ledgerFilter} setFilter={setLedgerFilter} />
+          </Panel>
+
+          <Panel title="Inventory Positions" subtitle="Reorder-point policy per DC: safety stock is sized so supplier reliability × shelf fill rate meets the service target.">
+            <InventoryPositions network={network} positions={result.inventory} />
+          </Panel>
+
           <Panel title="Capacity Utilization & Bottlenecks">
             <div className="grid grid-cols-2 gap-3">
               <div>
@@ -624,22 +2056,43 @@ export default function App() {
               </div>
             </div>
           </Panel>
+
+          <Panel title="Planning Horizon" subtitle="Per-period demand ramps and capacity changes; shortfalls are built ahead in earlier periods before overflow.">
+            <div className="flex items-center justify-between text-xs text-slate-400 mb-2">
+              <span>Plan by period instead of a single annual period</span>
+              <input type="checkbox" checked={horizonOn} onChange={(e) => setHorizonOn(e.target.checked)} />
+            </div>
+            {horizonOn && (
+              <>
+                <HorizonEditor network={network} horizon={horizon} setHorizon={setHorizon} />
+                <div className="flex flex-wrap gap-2 items-center mt-3">
+                  <button onClick={runHorizonOptimize} className="px-3 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500 text-xs disabled:opacity-50" disabled={horizonBusy}>{horizonBusy ? "Optimizing periods…" : "Optimize per period"}</button>
+                  <button onClick={() => setPeriodAssignments({})} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 text-xs" disabled={!Object.keys(periodAssignments).length}>Use main assignment in all periods</button>
+                </div>
+                {horizonReasons.length > 0 && <ul className="mt-2 list-disc ml-5 text-[11px] text-amber-300">{horizonReasons.map((r, i) => <li key={i}>{r}</li>)}</ul>}
+                {horizonResult && <HorizonResults network={network} result={horizonResult} />}
+              </>
+            )}
+          </Panel>
         </div>
 
         {/* Right: KPIs & Charts */}
         <div className="col-span-3 space-y-4">
           <Panel title="KPIs (per year)">
             <div className="grid grid-cols-2 gap-2">
-              <KPI label="Total Cost" value={formatUSD(result.cost)} />
-              <KPI label="Service Level" value={`${(result.totals.serviceLevel * 100).toFixed(1)}%`} />
-              <KPI label="Material" value={formatUSD(result.totals.material)} />
-              <KPI label="Tariffs" value={formatUSD(result.totals.tariffs)} />
-              <KPI label="Transport" value={formatUSD(result.totals.transportCost)} />
-              <KPI label="Assembly" value={formatUSD(result.totals.assembly)} />
-              <KPI label="Inventory" value={formatUSD(result.totals.inventory)} />
-              <KPI label="Carbon" value={`${Math.round(result.totals.carbonKg).toLocaleString()} kg`} />
+              <KPI label="Total Cost" value={formatMoney(result.cost)} />
+              <KPI label="Service (demand-wtd)" value={`${(result.totals.serviceLevel * 100).toFixed(1)}%`} />
+              <KPI label="Worst LRU Service" value={`${(result.totals.serviceWorst * 100).toFixed(1)}%`} />
+              <KPI label="Material" value={formatMoney(result.totals.material)} />
+              <KPI label="Tariffs" value={formatMoney(result.totals.tariffs)} />
+              <KPI label="Transport" value={formatMoney(result.totals.transportCost)} />
+              <KPI label="Assembly" value={formatMoney(result.totals.assembly)} />
+              <KPI label="Inventory" value={formatMoney(result.totals.inventory)} />
+              <KPI label={carbonCapKg != null ? `Carbon (cap ${formatTons(carbonCapKg)})` : "Carbon"} value={<span className={result.carbon.over.length ? "text-rose-400" : undefined}>{`${Math.round(result.totals.carbonKg).toLocaleString()} kg`}</span>} />
               <KPI label="Risk Index" value={result.totals.riskIndex.toFixed(3)} />
             </div>
+            <div className="text-[11px] text-slate-400 mt-3 mb-1">Duties by crossing</div>
+            <DutiesByLane network={network} duties={result.duties} />
           </Panel>
 
           <Panel title="Objective Breakdown">
@@ -650,23 +2103,30 @@ export default function App() {
             <StackedBar rows={[{ key: 'Material', v: result.totals.material }, { key: 'Tariffs', v: result.totals.tariffs }, { key: 'Transport', v: result.totals.transportCost }, { key: 'Assembly', v: result.totals.assembly }, { key: 'Overhead', v: result.totals.overhead }, { key: 'Inventory', v: result.totals.inventory }]} />
           </Panel>
 
-          <Panel title="Service vs Target">
-            <DualBar left={{ label: 'Service', value: result.totals.serviceLevel * 100 }} right={{ label: 'Target', value: serviceTarget * 100 }} />
+          <Panel title="Service vs Target" subtitle="Fill rate: supplier reliability × DC shelf fill, less capacity overflow.">
+            <DualBar left={{ label: 'Service (demand-weighted)', value: result.totals.serviceLevel * 100 }} right={{ label: 'Target', value: serviceTarget * 100 }} />
+            <ServiceByLru network={network} service={result.service} />
           </Panel>
 
-          <Panel title="Sensitivity (Tornado) & Compare">
+          <Panel title="Sensitivity (Tornado, Spider) & Compare">
             <div className="flex gap-2 mb-2">
               <button onClick={runSensitivity} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700">Run Sensitivity</button>
+              {optSensBusy
+                ? <button onClick={() => optSensJob.current?.cancel()} className="px-3 py-2 rounded-xl bg-rose-700 hover:bg-rose-600">Cancel</button>
+                : <button onClick={runOptimalSensitivity} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700" title="Re-optimize at each step and search for the breakeven values where the best assignment changes">Re-optimizing</button>}
             </div>
+            {optSensBusy && optSensProgress && <div className="text-[11px] text-slate-400 mb-1">optimizing… {optSensProgress.solves} solves ({optSensProgress.planned} sweep points plus breakeven search)</div>}
+            {optSensError && <div className="text-[11px] text-rose-400 mb-1">{optSensError}</div>}
             {sens && <Tornado rows={sens} />}
+            {optSens && <OptimalSensitivity data={optSens} onLoad={(a) => setAssignment(normalizeAssignment(a, network))} />}
             {saved.length > 0 && (
               <div className="mt-3 text-[11px] text-slate-300 border-t border-slate-800 pt-2">
                 <div className="mb-1 text-slate-400">Saved Scenario Snapshots</div>
                 <div className="space-y-1 max-h-36 overflow-auto">
                   {saved.map((s) => (
                     <div key={s.id} className="grid grid-cols-4 gap-2">
-                      <div className="truncate">{s.master}/{s.variant}</div>
-                      <div>{formatUSD(s.metrics.cost)}</div>
+                      <div className="truncate">{s.name}</div>
+                      <div>{formatMoney(s.metrics.cost)}</div>
                       <div>{(s.metrics.totals.serviceLevel*100).toFixed(1)}%</div>
                       <div>{s.metrics.totals.riskIndex.toFixed(3)}</div>
                     </div>
@@ -693,7 +2153,7 @@ export default function App() {
                 <div className="flex items-center gap-2 mb-2 text-xs text-slate-400">
                   <span>Baseline</span>
                   <select className="bg-slate-800 text-slate-100 text-xs rounded-lg px-2 py-1 border border-slate-700" value={baseline?.id||''} onChange={(e)=> setBaselineId(e.target.value)}>
-                    {saved.map(s=> <option key={s.id} value={s.id}>{s.master}/{s.variant} • {new Date(s.ts).toLocaleTimeString()}</option>)}
+                    {saved.map(s=> <option key={s.id} value={s.id}>{s.name} • {new Date(s.updatedAt).toLocaleString()}</option>)}
                   </select>
                 </div>
                 <div className="grid grid-cols-6 gap-2 text-[12px] text-slate-300 border-b border-slate-700 pb-1">
@@ -711,12 +2171,12 @@ export default function App() {
                     const delta = obj - baseObj; const pct = baseObj ? (delta/baseObj*100) : 0;
                     return (
                       <div key={s.id} className="grid grid-cols-6 gap-2 text-[12px] text-slate-200 py-1 border-b border-slate-800">
-                        <div className="truncate">{s.master}/{s.variant}</div>
-                        <div className="text-right">{formatUSD(obj)}</div>
-                        <div className="text-right">{formatUSD(s.metrics.cost)}</div>
+                        <div className="truncate">{s.name}</div>
+                        <div className="text-right">{formatMoney(obj)}</div>
+                        <div className="text-right">{formatMoney(s.metrics.cost)}</div>
                         <div className="text-right">{(s.metrics.totals.serviceLevel*100).toFixed(1)}%</div>
                         <div className="text-right">{s.metrics.totals.riskIndex.toFixed(3)}</div>
-                        <div className={`text-right ${delta>0?'text-rose-400':'text-emerald-400'}`}>{delta>0?'+':''}{formatUSD(delta)} ({pct.toFixed(1)}%)</div>
+                        <div className={`text-right ${delta>0?'text-rose-400':'text-emerald-400'}`}>{delta>0?'+':''}{formatMoney(delta)} ({pct.toFixed(1)}%)</div>
                       </div>
                     );
                   })}
@@ -727,28 +2187,52 @@ export default function App() {
         </div>
       )}
 
+      {showPareto && (
+        <ParetoExplorer network={network} params={params} lruEdits={lruEdits} allowSplits={optAllowSplits} onClose={() => setShowPareto(false)}
+          onLoad={(a) => { setAssignment(normalizeAssignment(a, network)); setShowPareto(false); }}
+          onSave={(a) => saveScenario({ name: "Pareto point", tags: ["pareto"], assignment: a, metrics: evaluateSolution({ assignment: a, params, network, lruEdits }) })} />
+      )}
+      {showEmissions && (
+        <EmissionsReport network={network} params={params} result={result} lruEdits={lruEdits} allowSplits={optAllowSplits} setCarbonCapKg={setCarbonCapKg} setRegionCarbonCapsKg={setRegionCarbonCapsKg} onClose={() => setShowEmissions(false)}
+          onLoad={(a) => setAssignment(normalizeAssignment(a, network))} />
+      )}
+      {showRules && <RuleEditor network={network} rules={rules} setRules={setRules} violations={result.violations} onClose={() => setShowRules(false)} />}
+      {showTariffs && <TariffEditor network={network} result={result} tariffs={tariffs} setTariffs={setTariffs} onClose={() => setShowTariffs(false)} />}
+      {showFx && <FxEditor network={network} result={result} fx={fx} setFx={setFx} onClose={() => setShowFx(false)} />}
+      {showTransition && <TransitionPlanner network={network} params={params} lruEdits={lruEdits} assignment={assignment} result={result} transition={transition} setTransition={setTransition} onLoad={(a) => setAssignment(normalizeAssignment(a, network))} onClose={() => setShowTransition(false)} />}
+      {showSweep && <SweepTool network={network} params={params} assignment={assignment} lruEdits={lruEdits} allowSplits={optAllowSplits} onClose={() => setShowSweep(false)} onLoad={(a) => setAssignment(normalizeAssignment(a, network))} />}
+      {showStress && <DisruptionLab network={network} params={params} lruEdits={lruEdits} assignment={assignment} onClose={() => setShowStress(false)} />}
+      {showNetwork && <NetworkEditor network={network} onChange={applyNetwork} onClose={() => setShowNetwork(false)} initialTab={showNetwork === "lanes" ? "lanes" : undefined} />}
+
       {/* Footer */}
       <div className="px-6 py-6 border-t border-slate-800 grid grid-cols-12 gap-4">
         <div className="col-span-6 text-sm text-slate-300">
           <div className="font-semibold mb-1">How to use</div>
           <ul className="list-disc ml-5 space-y-1 text-slate-400">
+            <li>Load your own suppliers, sites, DCs, LRUs and lanes from CSV/JSON (or edit them) under Network Data.</li>
             <li>Select an OEM profile, scenario, and variant; tune targets & prices; toggle overflow policy.</li>
-            <li>Pick an Active LRU, then click Supplier and Assembly to assign. Click edge tag to cycle mode.</li>
-            <li>Run Optimize (local or remote) to meet service at lowest objective under constraints.</li>
-            <li>Use Monte Carlo for uncertainty; Sensitivity for most impactful levers; Compare for deltas.</li>
+            <li>Pick an Active LRU, then click Supplier and Assembly to assign. Click edge tag to cycle mode. Use Split… on an LRU to dual-source it.</li>
+            <li>Run Optimize (branch-and-bound in a background worker, or remote) to meet service at lowest objective under constraints; cancel any time.</li>
+            <li>Use Monte Carlo for uncertainty; Stress Test for outages, closures and tariff shocks; Sweep for cost and feasibility across two levers at once; Sensitivity for most impactful levers (Re-optimizing shows where the best assignment would change); Compare for deltas.</li>
+            <li>Set a carbon cap (network-wide or per region) to make emissions a hard limit; Emissions breaks CO2e down and charts what each tighter cap costs.</li>
+            <li>Rules add business constraints — forbidden or required sites, regions, modes and lanes, share and volume limits — that both the feasibility check and Optimize honor.</li>
+            <li>Transition marks the current assignment as the as-is baseline; Optimize then weighs switching costs and qualification lead times, and the plan lists each move with its payback.</li>
+            <li>Tariffs sets duties by origin, destination and LRU tariff class, with dated rate changes, trade agreements (preferential rates for goods with enough regional content) and tariff shocks; KPIs break duties down by crossing.</li>
+            <li>FX holds the exchange rates for suppliers and sites that quote in other currencies, the reporting currency for all money shown, and each currency's share of cost; add an FX driver in Monte Carlo for rate risk.</li>
             <li>Save scenarios, export JSON, share a URL, or Export PDF (print) for execs.</li>
           </ul>
         </div>
         <div className="col-span-6 text-sm text-slate-400">
           <div className="font-semibold text-slate-300 mb-1">Assumptions & Notes</div>
           <ul className="list-disc ml-5 space-y-1">
-            <li>Illustrative single-period model; service ≈ reliability × lead factor; risk blends region, reliability, mode, HHI.</li>
+            <li>Illustrative annual model; enable Planning Horizon for per-period demand, capacity, build-ahead inventory and switching. Service ≈ reliability × lead factor; risk blends region, reliability, mode, HHI.</li>
             <li>Capacity overflow adds surcharges & service degradation unless disallowed (then infeasible).</li>
-            <li>Remote optimize endpoint is a mock API for demo; swap in true solver later.</li>
+            <li>Remote optimize talks to any service implementing the versioned /optimize job contract; <code>npm run server</code> starts the reference one on port 8787.</li>
           </ul>
         </div>
       </div>
     </div>
+    </MoneyContext.Provider>
   );
 }
 
@@ -778,15 +2262,75 @@ function NumberInput({ label, value, onChange, min=0, max=1e9, step=1 }) { retur
 function UtilRow({ name, load, cap }) { const util = load / (cap || 1); return (
   <div className="mb-2"><div className="flex justify-between text-[11px] text-slate-400"><span className="truncate mr-2">{name}</span><span>{Math.round(load)}/{cap}</span></div><div className="h-2 bg-slate-800 rounded"><div className={`h-2 rounded ${util>1? 'bg-rose-500' : util>0.85? 'bg-amber-500':'bg-indigo-500'}`} style={{ width: `${Math.min(100, util*100)}%` }} /></div></div>
 ); }
-function StackedBar({ rows }) { const total = rows.reduce((a, r) => a + r.v, 0) || 1; return (
-  <div className="p-2"><div className="h-6 w-full bg-slate-800 rounded overflow-hidden flex">{rows.map((r, i) => (<div key={r.key} title={`${r.key}: ${formatUSD(r.v)}`} className="h-6" style={{ width: `${(r.v/total)*100}%`, background: i%2? '#334155':'#475569' }} />))}</div><div className="mt-2 grid grid-cols-2 gap-1 text-[11px] text-slate-300">{rows.map((r) => (<div key={r.key} className="flex justify-between"><span>{r.key}</span><span>{formatUSD(r.v)}</span></div>))}</div></div>
+function StackedBar({ rows }) { const formatMoney = useMoney(); const total = rows.reduce((a, r) => a + r.v, 0) || 1; return (
+  <div className="p-2"><div className="h-6 w-full bg-slate-800 rounded overflow-hidden flex">{rows.map((r, i) => (<div key={r.key} title={`${r.key}: ${formatMoney(r.v)}`} className="h-6" style={{ width: `${(r.v/total)*100}%`, background: i%2? '#334155':'#475569' }} />))}</div><div className="mt-2 grid grid-cols-2 gap-1 text-[11px] text-slate-300">{rows.map((r) => (<div key={r.key} className="flex justify-between"><span>{r.key}</span><span>{formatMoney(r.v)}</span></div>))}</div></div>
+); }
+// Bars span 80–100% so a miss of a point or two is visible.
+function ServiceByLru({ network, service }) { const pos = (v) => clamp(((v - 0.8) / 0.2) * 100, 0, 100); return (
+  <div className="px-2 text-[11px]">
+    {network.lrus.map((l) => { const s = service.byLru[l.id]; if (!s) return null; const miss = s.service < s.target; return (
+      <div key={l.id} className="mb-2"><div className={`flex justify-between ${miss ? 'text-rose-300' : 'text-slate-300'}`}><span className="truncate mr-2">{l.name}</span><span>{(s.service * 100).toFixed(2)}% / {(s.target * 100).toFixed(1)}%</span></div>
+        <div className="relative h-2 bg-slate-800 rounded"><div className={`h-2 rounded ${miss ? 'bg-rose-500' : 'bg-emerald-500'}`} style={{ width: `${pos(s.service)}%` }} /><div className="absolute top-[-2px] h-3 w-0.5 bg-amber-300" style={{ left: `${pos(s.target)}%` }} title="Target" /></div></div>
+    ); })}
+    <div className="mt-2 text-slate-400">By DC</div>
+    {network.dcs.filter((d) => service.byDc[d.id]).map((d) => <div key={d.id} className="flex justify-between text-slate-300"><span>{d.name} <span className="text-slate-500">({Math.round(service.byDc[d.id].demand).toLocaleString()} units)</span></span><span>{(service.byDc[d.id].service * 100).toFixed(2)}%</span></div>)}
+    {(network.customers ?? []).some((c) => service.byCustomer[c.id]) && <div className="mt-2 text-slate-400">By customer (fill × on-time)</div>}
+    {(network.customers ?? []).filter((c) => service.byCustomer[c.id]).map((c) => <div key={c.id} className="flex justify-between text-slate-300"><span>{c.name} <span className="text-slate-500">({Math.round(service.byCustomer[c.id].demand).toLocaleString()} units, {c.deliveryDays} d)</span></span><span>{(service.byCustomer[c.id].service * 100).toFixed(2)}%</span></div>)}
+  </div>
 ); }
 function DualBar({ left, right }) { return (
   <div className="p-2 text-[11px]"><div className="mb-2"><div className="flex justify-between text-slate-300"><span>{left.label}</span><span>{left.value.toFixed(1)}%</span></div><div className="h-3 bg-slate-800 rounded"><div className="h-3 bg-indigo-500 rounded" style={{ width: `${clamp(left.value,0,100)}%` }} /></div></div><div className="mb-2"><div className="flex justify-between text-slate-300"><span>{right.label}</span><span>{right.value.toFixed(1)}%</span></div><div className="h-3 bg-slate-800 rounded"><div className="h-3 bg-indigo-500 rounded" style={{ width: `${clamp(right.value,0,100)}%` }} /></div></div></div>
 ); }
-function Tornado({ rows }) { const maxDelta = rows[0]?.delta || 1; return (
-  <div className="p-2 text-[11px] space-y-1 max-h-48 overflow-auto">{rows.map((r) => (<div key={r.label}><div className="flex justify-between text-slate-300"><span>{r.label}</span><span>{formatUSD(r.min)} → {formatUSD(r.max)}</span></div><div className="h-3 bg-slate-800 rounded"><div className="h-3 bg-amber-500 rounded" style={{ width: `${(r.delta/maxDelta)*100}%` }} /></div></div>))}</div>
+function Tornado({ rows }) { const formatMoney = useMoney(); const maxDelta = rows[0]?.delta || 1; return (
+  <div className="p-2 text-[11px] space-y-1 max-h-48 overflow-auto">{rows.map((r) => (<div key={r.label}><div className="flex justify-between text-slate-300"><span>{r.label}</span><span>{formatMoney(r.min)} → {formatMoney(r.max)}</span></div><div className="h-3 bg-slate-800 rounded"><div className="h-3 bg-amber-500 rounded" style={{ width: `${(r.delta/maxDelta)*100}%` }} /></div></div>))}</div>
+); }
+// Re-optimized sensitivity: a spider plot of the optimal objective per lever (in steps of its delta) and the breakeven table
+const SPIDER_COLORS = ["#f59e0b", "#6366f1", "#34d399", "#f472b6", "#38bdf8", "#a3e635", "#fb7185", "#c084fc"];
+function OptimalSensitivity({ data, onLoad }) {
+  const formatMoney = useMoney();
+  const W = 320; const H = 180; const L = 40; const B = 22; const T = 8; const R = 8;
+  if (!data.base) return <div className="p-2 text-[11px] text-rose-400">No feasible assignment at the current settings, so there is nothing to perturb.</div>;
+  const pct = (p) => (p.objective / data.base.objective - 1) * 100;
+  const feasible = data.series.flatMap((s) => s.points.filter((p) => p.objective != null));
+  const xs = feasible.map((p) => p.offset); const ys = feasible.map(pct);
+  const x0 = Math.min(-1, ...xs); const x1 = Math.max(1, ...xs); const y0 = Math.min(-1, ...ys); const y1 = Math.max(1, ...ys);
+  const sx = (v) => L + ((v - x0) / (x1 - x0)) * (W - L - R); const sy = (v) => H - B - ((v - y0) / (y1 - y0)) * (H - B - T);
+  // Runs of feasible points; an infeasible point breaks the line
+  const runs = (points) => points.reduce((acc, p) => { if (p.objective == null) acc.push([]); else acc[acc.length - 1].push(p); return acc; }, [[]]).filter((r) => r.length > 1);
+  return (
+    <div className="p-2 text-[11px]">
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full bg-slate-950 rounded border border-slate-800">
+        <line x1={L} y1={sy(0)} x2={W - R} y2={sy(0)} stroke="#334155" /><line x1={sx(0)} y1={T} x2={sx(0)} y2={H - B} stroke="#334155" />
+        <text x={L} y={H - B + 12} fontSize="9" fill="#64748b">{x0.toFixed(1)}Δ</text>
+        <text x={W - R} y={H - B + 12} fontSize="9" fill="#64748b" textAnchor="end">+{x1.toFixed(1)}Δ</text>
+        <text x={L - 3} y={T + 8} fontSize="9" fill="#64748b" textAnchor="end">{y1 > 0 ? "+" : ""}{y1.toFixed(1)}%</text>
+        <text x={L - 3} y={H - B} fontSize="9" fill="#64748b" textAnchor="end">{y0.toFixed(1)}%</text>
+        {data.series.map((s, i) => (
+          <g key={s.key}>
+            {runs(s.points).map((r, j) => <polyline key={j} points={r.map((p) => `${sx(p.offset)},${sy(pct(p))}`).join(" ")} fill="none" stroke={SPIDER_COLORS[i % SPIDER_COLORS.length]} strokeWidth="1.5" />)}
+            {s.points.map((p) => p.objective == null
+              ? <text key={p.offset} x={sx(p.offset)} y={T + 8} fontSize="10" fill={SPIDER_COLORS[i % SPIDER_COLORS.length]} textAnchor="middle"><title>{`${s.label} ${+p.value.toPrecision(3)}: ${p.status === "timeout" ? "no feasible assignment found in time" : "infeasible"}`}</title>×</text>
+              : <circle key={p.offset} cx={sx(p.offset)} cy={sy(pct(p))} r="2.5" fill={SPIDER_COLORS[i % SPIDER_COLORS.length]}><title>{`${s.label} ${+p.value.toPrecision(3)}: ${formatMoney(p.objective)}${p.status === "timeout" ? " (not proven optimal)" : ""}`}</title></circle>)}
+          </g>
+        ))}
+      </svg>
+      <div className="flex flex-wrap gap-x-2 mt-1">{data.series.map((s, i) => <span key={s.key} style={{ color: SPIDER_COLORS[i % SPIDER_COLORS.length] }}>{s.label} (Δ {s.delta})</span>)}</div>
+      <div className="text-slate-500 mt-1">Optimal objective vs today's optimum ({formatMoney(data.base.objective)}), re-optimized at each step; × marks no feasible assignment. {data.solves} solves in {(data.elapsedMs / 1000).toFixed(1)}s{!data.complete && " — some were cut short, so results may not be optimal"}.</div>
+      <div className="mt-2 text-slate-400">Breakeven thresholds (nearest first)</div>
+      {data.breakevens.length
+        ? <div className="space-y-1 max-h-48 overflow-auto">{data.breakevens.map((b, i) => (
+            <div key={i} className="flex justify-between gap-2 border-t border-slate-800 pt-1 text-slate-300"><span>{b.text}</span>{b.to && <button className="text-indigo-400 hover:text-indigo-300 shrink-0" onClick={() => onLoad(b.to)}>Load</button>}</div>
+          ))}</div>
+        : <div className="text-slate-500">The optimum stays the same across every step.</div>}
+    </div>
+  );
+}
+function Histogram({ hist, marker, format }) { const max = Math.max(...hist.counts, 1); const span = (hist.max - hist.min) || 1; return (
+  <div className="text-[10px] text-slate-500"><svg viewBox="0 0 300 80" className="w-full h-20 bg-slate-900/70 rounded">{hist.counts.map((c, i) => (<rect key={i} x={(i / hist.counts.length) * 300} y={80 - (c / max) * 76} width={300 / hist.counts.length - 1} height={(c / max) * 76} fill="#6366f1"><title>{`${format(hist.min + i * hist.width)} – ${format(hist.min + (i + 1) * hist.width)}: ${c}`}</title></rect>))}{marker >= hist.min && marker <= hist.max && <line x1={((marker - hist.min) / span) * 300} x2={((marker - hist.min) / span) * 300} y1={0} y2={80} stroke="#f59e0b" strokeWidth={1.5} />}</svg><div className="flex justify-between"><span>{format(hist.min)}</span><span>{format(hist.max)}</span></div></div>
+); }
+function DistributionInput({ label, dist, onChange, inherit }) { const kind = dist?.kind ?? "inherit"; const defaults = { fixed: {}, normal: { sd: 0.1 }, uniform: { min: 0.9, max: 1.1 }, triangular: { min: 0.9, mode: 1, max: 1.2 }, lognormal: { sigma: 0.15 } }; return (
+  <div className="mt-2 text-[11px]"><div className="text-slate-400 mb-1">{label}</div><div className="flex gap-1 items-end"><div className="w-28 shrink-0"><Select value={kind} onChange={(e) => onChange(e.target.value === "inherit" ? null : { kind: e.target.value, ...defaults[e.target.value] })} options={[...(inherit ? [{ id: "inherit", name: "Same as all" }] : []), ...Object.entries(DISTRIBUTIONS).map(([id, d]) => ({ id, name: d.label }))]} /></div>{(DISTRIBUTIONS[kind]?.fields || []).map(([key, name]) => (<NumberInput key={key} label={name} value={dist[key]} step={0.01} onChange={(v) => onChange({ ...dist, [key]: v })} />))}</div></div>
 ); }
-function ObjectiveBreakdown({ cost, riskIndex, riskWeight }) { const riskTerm = riskWeight * riskIndex * 1_000_000; const obj = cost + riskTerm; return (
-  <div className="text-[12px] text-slate-200 space-y-1"><div className="flex justify-between"><span>Cost</span><span>{formatUSD(cost)}</span></div><div className="flex justify-between"><span>Risk Term</span><span>{formatUSD(riskTerm)}</span></div><div className="flex justify-between font-semibold"><span>Objective</span><span>{formatUSD(obj)}</span></div><div className="text-slate-400">Objective = Cost + RiskWeight × RiskIndex × 1,000,000</div></div>
+function ObjectiveBreakdown({ cost, riskIndex, riskWeight }) { const formatMoney = useMoney(); const riskTerm = riskWeight * riskIndex * 1_000_000; const obj = cost + riskTerm; return (
+  <div className="text-[12px] text-slate-200 space-y-1"><div className="flex justify-between"><span>Cost</span><span>{formatMoney(cost)}</span></div><div className="flex justify-between"><span>Risk Term</span><span>{formatMoney(riskTerm)}</span></div><div className="flex justify-between font-semibold"><span>Objective</span><span>{formatMoney(obj)}</span></div><div className="text-slate-400">Objective = Cost + RiskWeight × RiskIndex × 1,000,000</div></div>
 ); }
\ No newline at end of file
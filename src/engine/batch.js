@@ -0,0 +1,81 @@
+/**
+ * Batch runs — one scenario document (the JSON the app downloads) in, one flat results row out.
+ * Used by cli/pcs-batch.js; file and console I/O stay in the CLI so this runs anywhere.
+ */
+import { evaluateSolution } from "./evaluate.js";
+import { BASE_CURRENCY, fxExposure, toReporting } from "./fx.js";
+import { dutiesByLane } from "./tariffs.js";
+import { evaluateHorizon } from "./horizon.js";
+import { runMonteCarlo } from "./montecarlo.js";
+import { optimize } from "./optimize.js";
+import { KNOWN_IDS, scenarioParams } from "./presets.js";
+import { migrateScenario, validateScenario } from "./scenarioSchema.js";
+import { runSensitivity } from "./sensitivity.js";
+
+// Column order for CSV output; rows may leave any of these empty.
+export const BATCH_COLUMNS = [
+  "file", "name", "status", "master", "variant", "profileId", "demandMultiplier",
+  "cost", "objective", "serviceLevel", "serviceWorst", "serviceTarget", "feasible", "serviceMisses", "laneIssues", "carbonKg", "carbonCapKg", "carbonOver", "ruleViolations", "switchChanges", "switchOneTimeCost", "duties", "dutyLanes", "reportingCurrency", "costReporting", "fxExposure", "riskIndex",
+  "horizonCost", "horizonFeasible",
+  "optStatus", "optCost", "optObjective", "optServiceLevel", "optSavings", "optElapsedMs",
+  "mcSamples", "mcSeed", "mcCostMean", "mcCostP10", "mcCostP50", "mcCostP90", "mcVaR", "mcCVaR", "mcServiceMean", "mcPMeetTarget", "mcOverCapacity",
+  "sensTopDriver", "sensTopSwing", "notes", "error",
+];
+
+/**
+ * Evaluate one scenario document against `network`. Options:
+ *   optimize        run branch-and-bound from scratch (`timeBudgetMs`, `allowSplits`) and report the gap
+ *   monteCarlo      Monte Carlo config (see defaultMonteCarlo) for the scenario's own assignment, or null
+ *   sensitivity     add the largest tornado swing
+ * Returns { row, detail } — `row` is keyed by BATCH_COLUMNS, `detail` holds the full engine results.
+ * Throws when the document cannot be migrated.
+ */
+export function runScenario(raw, network, { optimize: doOptimize = false, timeBudgetMs = 10_000, allowSplits = false, monteCarlo = null, sensitivity = false } = {}) {
+  const { doc, applied } = migrateScenario(raw);
+  const { scenario, notes } = validateScenario(doc, network, KNOWN_IDS);
+  const params = scenarioParams(scenario);
+  const { assignment, lruEdits } = scenario;
+  const base = evaluateSolution({ assignment, params, network, lruEdits });
+  const row = {
+    name: raw.name ?? "", status: "ok", master: scenario.master, variant: scenario.variant, profileId: scenario.profileId, demandMultiplier: params.demandMultiplier,
+    cost: base.cost, objective: base.objective, serviceLevel: base.totals.serviceLevel, serviceWorst: base.totals.serviceWorst, serviceTarget: params.serviceTarget, feasible: base.feasible,
+    serviceMisses: base.service.misses.map((m) => `${m.lruId} ${(m.service * 100).toFixed(2)}% < ${(m.target * 100).toFixed(2)}%`).join("; "),
+    laneIssues: base.laneIssues.map((i) => `${i.lruId} ${i.from}→${i.to} ${i.kind === "missing" ? "no lane" : `${i.mode} unavailable`}`).join("; "),
+    carbonKg: base.totals.carbonKg, carbonCapKg: params.carbonCapKg ?? undefined, riskIndex: base.totals.riskIndex,
+    carbonOver: base.carbon.over.map((c) => `${c.regionId ?? "network"} ${Math.round(c.carbonKg)} kg > ${c.capKg} kg`).join("; "),
+    ruleViolations: base.violations.map((v) => v.message).join("; "),
+    switchChanges: params.transition ? base.transition.changes : undefined, switchOneTimeCost: params.transition ? base.transition.oneTime : undefined,
+    duties: base.totals.tariffs, dutyLanes: dutiesByLane(base.duties).filter((l) => l.duty > 0).map((l) => `${l.origin}→${l.destination} ${Math.round(l.duty)}`).join("; "),
+    reportingCurrency: params.fx.reporting, costReporting: toReporting(base.cost, params.fx),
+    fxExposure: fxExposure(base).filter((e) => e.currency !== BASE_CURRENCY && e.amount > 0).map((e) => `${e.currency} ${(e.share * 100).toFixed(1)}%`).join("; "),
+    notes: [...applied.map((a) => `Migrated ${a}.`), ...notes].join(" "),
+  };
+  const detail = { scenario, params, result: base };
+
+  if (scenario.horizon) {
+    detail.horizon = evaluateHorizon({ assignment, periodAssignments: scenario.periodAssignments, params, network, lruEdits, horizon: scenario.horizon });
+    Object.assign(row, { horizonCost: detail.horizon.totals.cost, horizonFeasible: detail.horizon.totals.feasible });
+  }
+  if (doOptimize) {
+    const out = optimize({ network, params, lruEdits, allowSplits, timeBudgetMs });
+    detail.optimize = out;
+    Object.assign(row, {
+      optStatus: out.best ? (out.complete ? "optimal" : "timeout") : "infeasible",
+      optCost: out.best?.cost, optObjective: out.best?.objective, optServiceLevel: out.best?.totals.serviceLevel,
+      optSavings: out.best && Number.isFinite(base.cost) ? base.cost - out.best.cost : undefined, optElapsedMs: out.stats.elapsedMs,
+    });
+  }
+  if (monteCarlo) {
+    const mc = runMonteCarlo({ assignment, params, network, lruEdits, config: monteCarlo });
+    detail.monteCarlo = mc;
+    Object.assign(row, {
+      mcSamples: mc.samples, mcSeed: mc.seed, mcCostMean: mc.cost?.mean, mcCostP10: mc.cost?.p10, mcCostP50: mc.cost?.p50, mcCostP90: mc.cost?.p90,
+      mcVaR: mc.cost?.var, mcCVaR: mc.cost?.cvar, mcServiceMean: mc.service.mean, mcPMeetTarget: mc.service.pMeetTarget, mcOverCapacity: mc.overCapacity,
+    });
+  }
+  if (sensitivity) {
+    detail.sensitivity = runSensitivity({ assignment, params, network, lruEdits });
+    Object.assign(row, { sensTopDriver: detail.sensitivity[0]?.label, sensTopSwing: detail.sensitivity[0]?.delta });
+  }
+  return { row, detail };
+}
@@ -0,0 +1,61 @@
+/**
+ * Emissions — where an evaluated network's CO2e comes from, and what a tighter carbon cap costs.
+ *
+ * Every modelled emission is freight the network buys (GHG Protocol Scope 3, category 4:
+ * upstream transportation and distribution); sites' own Scope 1 and 2 emissions are not modelled.
+ * The report splits it by leg, mode, LRU and the region each leg leaves from, with intensity per
+ * unit of demand. Caps themselves are params read by evaluateSolution (see carbonCaps there).
+ */
+import { LEDGER_STAGES } from "./ledger.js";
+import { modeLabel } from "./transport.js";
+import { optimize } from "./optimize.js";
+
+export const EMISSION_DIMENSIONS = {
+  stage: { label: "Leg", key: (e) => e.stage, name: (k) => LEDGER_STAGES[k] ?? k },
+  mode: { label: "Mode", key: (e) => e.mode, name: (k, n) => modeLabel(n.transport, k) },
+  lru: { label: "LRU", key: (e) => e.lruId, name: (k, n) => n.lrus.find((l) => l.id === k)?.name ?? k },
+  region: { label: "Region", key: (e, site) => site[e.from]?.region.id, name: (k, n) => n.regions.find((r) => r.id === k)?.name ?? k },
+};
+
+/**
+ * Emissions of a result evaluated `withLedger`: { totalKg, units, kgPerUnit, byDimension: { [dim]:
+ * [{ key, name, carbonKg, share, units?, kgPerUnit? }] } }, largest first. LRU rows carry their own
+ * demand and intensity; other rows' intensity is per unit of total demand.
+ */
+export function emissionsReport(result, network) {
+  const site = Object.fromEntries([...network.suppliers, ...network.assemblySites, ...network.dcs].map((s) => [s.id, s]));
+  const entries = result.ledger.filter((e) => e.carbonKg);
+  const totalKg = entries.reduce((acc, e) => acc + e.carbonKg, 0); const units = result.totals.units;
+  const byDimension = Object.fromEntries(Object.entries(EMISSION_DIMENSIONS).map(([dim, d]) => {
+    const groups = new Map();
+    for (const e of entries) { const key = d.key(e, site); groups.set(key, (groups.get(key) ?? 0) + e.carbonKg); }
+    const rows = [...groups.entries()].map(([key, carbonKg]) => {
+      const own = dim === "lru" ? result.lines[key]?.demand : units;
+      return { key, name: d.name(key, network), carbonKg, share: totalKg > 0 ? carbonKg / totalKg : 0, units: own, kgPerUnit: own > 0 ? carbonKg / own : 0 };
+    });
+    return [dim, rows.sort((a, b) => b.carbonKg - a.carbonKg)];
+  }));
+  return { totalKg, units, kgPerUnit: units > 0 ? totalKg / units : 0, byDimension };
+}
+
+/**
+ * Cheapest network under a falling network-wide cap: optimizes without the cap, then at `steps`
+ * caps spread evenly from that solution's emissions down to the least the network can emit.
+ * Region caps in params still apply. Returns { points: [{ capKg, status, cost, objective,
+ * carbonKg, assignment }], carbonFloorKg, elapsedMs }; the first point has capKg null. The time
+ * budget is shared evenly between the runs; a cap whose run ran out of time before finding an
+ * assignment is "timeout", not "infeasible".
+ */
+export function carbonTradeoff({ network, params, lruEdits = {}, allowSplits = false, steps = 6, timeBudgetMs = 20_000, onProgress }) {
+  const t0 = Date.now(); const points = []; const { carbonCapKg: _, ...uncapped } = params;
+  const run = (capKg) => {
+    const out = optimize({ network, params: capKg == null ? uncapped : { ...uncapped, carbonCapKg: capKg }, lruEdits, allowSplits, timeBudgetMs: timeBudgetMs / (steps + 1) });
+    const best = out.best;
+    points.push({ capKg, status: best ? (out.complete ? "optimal" : "timeout") : out.complete ? "infeasible" : "timeout", cost: best?.cost ?? null, objective: best?.objective ?? null, carbonKg: best?.totals.carbonKg ?? null, assignment: best?.assignment ?? null });
+    onProgress?.({ done: points.length, total: steps + 1, elapsedMs: Date.now() - t0 });
+    return out;
+  };
+  const base = run(null); const top = base.best?.totals.carbonKg;
+  if (top != null) for (let k = 1; k <= steps; k++) run(top - ((top - base.carbonFloorKg) * k) / steps);
+  return { points, carbonFloorKg: base.carbonFloorKg, elapsedMs: Date.now() - t0 };
+}
@@ -0,0 +1,14 @@
+/**
+ * CSV output shared by the batch runner and the sweep export.
+ */
+
+const csvCell = (v) => {
+  if (v == null || (typeof v === "number" && !Number.isFinite(v))) return "";
+  const s = String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** Rows as CSV with a header of `columns`; missing and non-finite values are empty cells. */
+export function toCSV(rows, columns) {
+  return [columns.join(","), ...rows.map((r) => columns.map((c) => csvCell(r[c])).join(","))].join("\n") + "\n";
+}
@@ -0,0 +1,79 @@
+/**
+ * Customers — where demand lands (airline MROs, final assembly lines) and which DC serves each.
+ *
+ * network.customers is [{ id, name, region, deliveryDays, demandWeight, lruShares: { [lruId]: share } }].
+ * An LRU's demand splits across customers by their `lruShares` for it when any customer sets one,
+ * else by `demandWeight`. With customers, a pick carries `serve` ({ customerId: dcId }) and
+ * `lastMode` for the DC→customer leg, and its DC split follows from `serve`; without customers
+ * the network ends at the DCs and picks choose DCs directly. Service is then measured at the
+ * customer: the DC's fill rate times the share of deliveries made within `deliveryDays`.
+ */
+import { splitsOf, withSplit } from "./evaluate.js";
+import { normalCdf } from "./inventory.js";
+import { laneLookup } from "./lanes.js";
+
+// Above this many serve plans per LRU, the optimizer tries nearest-DC and single-DC plans only.
+const MAX_PLANS = 64;
+
+export function hasCustomers(network) { return (network.customers?.length ?? 0) > 0; }
+
+/** [[customerId, share], ...] for an LRU, shares summing to 1 (empty without customers). */
+export function customerShares(network, lru) {
+  const customers = network.customers ?? [];
+  const explicit = customers.some((c) => c.lruShares?.[lru.id] != null);
+  const weights = customers.map((c) => [c.id, explicit ? c.lruShares?.[lru.id] ?? 0 : c.demandWeight ?? 1]).filter(([, w]) => w > 0);
+  const total = weights.reduce((a, [, w]) => a + w, 0);
+  return total > 0 ? weights.map(([id, w]) => [id, w / total]) : customers.map((c) => [c.id, 1 / customers.length]);
+}
+
+/** Share of deliveries arriving within `deliveryDays` when transit varies with the lead-time CV. */
+export function onTimeShare(transitDays, deliveryDays, leadTimeCv) {
+  if (deliveryDays == null) return 1;
+  const sd = leadTimeCv * transitDays;
+  return sd > 0 ? normalCdf((deliveryDays - transitDays) / sd) : transitDays <= deliveryDays ? 1 : 0;
+}
+
+/** The DC with the shortest lane to a customer (first DC when none has a lane). */
+export function nearestDc(network, customer, lane = laneLookup(network)) {
+  let best = network.dcs[0]; let bestMiles = Infinity;
+  for (const d of network.dcs) { const l = lane(d, customer); if (l && l.thousandMiles < bestMiles) { best = d; bestMiles = l.thousandMiles; } }
+  return best.id;
+}
+
+/** Returns a new pick serving customers per `serve`, with dcId/dcShares matching the LRU's demand split. */
+export function withServe(pick, network, lru, serve) {
+  const shares = {};
+  for (const [custId, share] of customerShares(network, lru)) shares[serve[custId]] = (shares[serve[custId]] ?? 0) + share;
+  return { ...withSplit({ ...pick, dcId: Object.keys(shares)[0] ?? pick.dcId }, "dc", shares), serve };
+}
+
+/**
+ * The DC side of an evaluated pick: { dcSplit: [[dcId, share]], customers: [[customerId, share, dcId]] }.
+ * Customers without a valid DC in `serve` use the pick's primary DC.
+ */
+export function customerRoutes(network, lru, pick, dcIds) {
+  if (!hasCustomers(network)) return { dcSplit: splitsOf(pick, "dc"), customers: [] };
+  const customers = customerShares(network, lru).map(([id, share]) => [id, share, dcIds.has(pick.serve?.[id]) ? pick.serve[id] : pick.dcId]);
+  const acc = new Map(); for (const [, share, dcId] of customers) acc.set(dcId, (acc.get(dcId) ?? 0) + share);
+  return { dcSplit: [...acc.entries()], customers };
+}
+
+/** Serve maps worth searching: every DC-to-customer allocation, or the nearest-DC and single-DC ones when there are too many. */
+export function servePlans(network) {
+  const customers = network.customers ?? []; const dcIds = network.dcs.map((d) => d.id);
+  if (dcIds.length ** customers.length <= MAX_PLANS) {
+    let plans = [{}];
+    for (const c of customers) plans = plans.flatMap((p) => dcIds.map((d) => ({ ...p, [c.id]: d })));
+    return plans;
+  }
+  const lane = laneLookup(network);
+  const nearest = Object.fromEntries(customers.map((c) => [c.id, nearestDc(network, c, lane)]));
+  return [nearest, ...dcIds.map((d) => Object.fromEntries(customers.map((c) => [c.id, d])))];
+}
+
+/** Partial picks covering the DC stage for the optimizer: a DC each, or serve plan × last-mile mode. */
+export function dcChoices(network, lru) {
+  if (!hasCustomers(network)) return network.dcs.map((d) => ({ dcId: d.id }));
+  const modes = Object.keys(network.transport);
+  return servePlans(network).flatMap((serve) => modes.map((lastMode) => withServe({ lastMode }, network, lru, serve)));
+}
@@ -0,0 +1,144 @@
+/**
+ * Disruption stress tests — a library of discrete events (outages, shutdowns, lane closures,
+ * tariff shocks, site fires) applied singly or combined to a fixed assignment.
+ *
+ * Capacity losses are modelled as a backlog: weeks of lost output at each affected site that is
+ * worked off afterwards with the site's spare capacity (plus overtime headroom when overflow is
+ * allowed). Cost effects (tariffs, rerouted lanes, rebuilds) go through evaluateSolution; a tariff
+ * shock raises the duty on components from the region's suppliers (a tariff-schedule shock on
+ * inbound legs, tariffs.js), prorated by its weeks.
+ */
+import { clamp, evaluateSolution } from "./evaluate.js";
+import { toUsd } from "./fx.js";
+import { ANY, withShocks } from "./tariffs.js";
+import { modeSpeed } from "./inventory.js";
+
+const WEEKS = 52;
+const OVERFLOW_HEADROOM = 0.2; // extra output an overloaded site can run while overflow (OT/3PL) is allowed
+const EXPEDITE_PREMIUM = 0.2; // share of unit value paid again to recover backlog units
+
+export const DISRUPTION_TYPES = {
+  supplierOutage: { label: "Supplier outage", target: "suppliers" },
+  regionShutdown: { label: "Region shutdown", target: "regions" },
+  laneClosure: { label: "Lane closure", target: "modes" },
+  tariffShock: { label: "Tariff shock", target: "regions" },
+  siteFire: { label: "Assembly site fire", target: "assemblySites" },
+};
+
+export function describeDisruption(e, network) {
+  const name = (list, id) => list.find((x) => x.id === id)?.name ?? id;
+  switch (e.type) {
+    case "supplierOutage": return `${name(network.suppliers, e.target)} outage, ${e.weeks} wk`;
+    case "regionShutdown": return `${name(network.regions, e.target)} shutdown, ${e.weeks} wk`;
+    case "laneClosure": return `${e.target} lanes closed, ${e.weeks} wk (reroute by ${e.reroute})`;
+    case "tariffShock": return `+${Math.round(e.rate * 100)}% tariff on ${name(network.regions, e.target)}, ${e.weeks} wk`;
+    case "siteFire": return `Fire at ${name(network.assemblySites, e.target)}, ${e.weeks} wk`;
+    default: return e.type;
+  }
+}
+
+/** The default named events for a network: one per supplier, region, site and the slowest mode. */
+export function disruptionLibrary(network) {
+  const events = [];
+  const slowest = Object.entries(network.transport).sort((a, b) => b[1].leadPenaltyDays - a[1].leadPenaltyDays)[0]?.[0];
+  const fastest = Object.entries(network.transport).sort((a, b) => a[1].leadPenaltyDays - b[1].leadPenaltyDays)[0]?.[0];
+  for (const s of network.suppliers) events.push({ type: "supplierOutage", target: s.id, weeks: 8 });
+  for (const r of network.regions) if (network.suppliers.some((s) => s.region.id === r.id) || network.assemblySites.some((a) => a.region.id === r.id)) events.push({ type: "regionShutdown", target: r.id, weeks: 6 });
+  if (slowest && fastest && slowest !== fastest) events.push({ type: "laneClosure", target: slowest, weeks: 4, reroute: fastest });
+  for (const r of network.regions) if (network.suppliers.some((s) => s.region.id === r.id)) events.push({ type: "tariffShock", target: r.id, weeks: 52, rate: 0.25 });
+  for (const a of network.assemblySites) events.push({ type: "siteFire", target: a.id, weeks: 12 });
+  return events.map((e, i) => ({ id: `E${i + 1}`, ...e, name: describeDisruption(e, network) }));
+}
+
+// Merge a set of events into per-site outage weeks, per-region tariff adds and per-mode closures.
+function combine(events, network, fx) {
+  const outages = {}; const tariffAdds = {}; const closures = {}; let rebuildCost = 0;
+  const out = (id, weeks) => { outages[id] = Math.max(outages[id] || 0, weeks); };
+  for (const e of events) {
+    const weeks = clamp(e.weeks, 0, WEEKS);
+    if (e.type === "supplierOutage") out(e.target, weeks);
+    if (e.type === "regionShutdown") {
+      for (const s of network.suppliers) if (s.region.id === e.target) out(s.id, weeks);
+      for (const a of network.assemblySites) if (a.region.id === e.target) out(a.id, weeks);
+    }
+    if (e.type === "siteFire") {
+      out(e.target, weeks);
+      const site = network.assemblySites.find((a) => a.id === e.target);
+      rebuildCost += (site ? toUsd(site.fixedOverhead, site, fx) : 0) * weeks / WEEKS;
+    }
+    if (e.type === "tariffShock") tariffAdds[e.target] = (tariffAdds[e.target] || 0) + e.rate * weeks / WEEKS;
+    if (e.type === "laneClosure") closures[e.target] = { weeks: Math.max(closures[e.target]?.weeks || 0, weeks), reroute: e.reroute };
+  }
+  return { outages, tariffAdds, closures, rebuildCost };
+}
+
+/** The network as seen by evaluateSolution while the events run (rerouted lanes). */
+export function disruptedNetwork(network, events) {
+  const { closures } = combine(events, network);
+  const transport = Object.fromEntries(Object.entries(network.transport).map(([mode, def]) => {
+    const c = closures[mode]; const alt = c && network.transport[c.reroute];
+    if (!alt) return [mode, def];
+    const f = c.weeks / WEEKS; const mix = (k) => def[k] * (1 - f) + alt[k] * f;
+    return [mode, { ...def, costPerTonMi: mix("costPerTonMi"), carbonPerTonMi: mix("carbonPerTonMi"), leadPenaltyDays: mix("leadPenaltyDays"), milesPerDay: modeSpeed(def, mode) * (1 - f) + modeSpeed(alt, c.reroute) * f }];
+  }));
+  return { ...network, transport };
+}
+
+/** The params as seen by evaluateSolution while the events run (tariff shocks). */
+export function disruptedParams(params, events, network) {
+  const { tariffAdds } = combine(events, network);
+  // every destination is named so the shock also reaches suppliers shipping to a site in their own region
+  const shocks = Object.entries(tariffAdds).flatMap(([region, add]) => network.regions.map((r) => ({ id: `shock-${region}-${r.id}`, origin: region, destination: r.id, tariffClass: ANY, stage: "inbound", add, note: "Stress test" })));
+  return { ...params, tariffs: withShocks(params.tariffs ?? null, shocks) };
+}
+
+/**
+ * Impact of a set of events (one event, or a combination) on a fixed assignment.
+ * Returns { cost, costImpact, service, serviceDrop, backlog, unmetDemand, recoverWeeks, survivability, sites }.
+ * recoverWeeks is Infinity when the backlog cannot be worked off within the year.
+ */
+export function stressTest({ assignment, params, network, lruEdits = {}, events, base }) {
+  const baseRes = base ?? evaluateSolution({ assignment, params: { ...params, allowOverflow: true }, network, lruEdits });
+  const { outages, closures, rebuildCost } = combine(events, network, params.fx);
+  const hit = evaluateSolution({ assignment, params: { ...disruptedParams(params, events, network), allowOverflow: true }, network: disruptedNetwork(network, events), lruEdits });
+
+  const headroom = params.allowOverflow ? OVERFLOW_HEADROOM : 0;
+  const units = baseRes.totals.units || 1;
+  const avgUnitValue = baseRes.cost / units;
+  const sites = [];
+  // supplier and assembly are serial stages: a unit held up at both is late once, so take the worse stage
+  const stage = { supplier: { backlog: 0, unmet: 0 }, assembly: { backlog: 0, unmet: 0 } };
+  let recoverWeeks = Math.max(0, ...Object.values(closures).map((c) => c.weeks));
+  const all = [...network.suppliers.map((s) => ({ e: s, stage: stage.supplier, load: baseRes.capacity.supLoad[s.id], value: toUsd(s.unitCost, s, params.fx) })), ...network.assemblySites.map((a) => ({ e: a, stage: stage.assembly, load: baseRes.capacity.asmLoad[a.id], value: avgUnitValue }))];
+  for (const { e, stage: st, load, value } of all) {
+    const weeks = outages[e.id]; if (!weeks || !load) continue;
+    const weeklyLoad = load / WEEKS; const weeklyCap = e.capacity / WEEKS;
+    const lost = weeks * weeklyLoad;
+    const rate = Math.max(0, weeklyCap * (1 + headroom) - weeklyLoad);
+    const recoverable = rate * (WEEKS - weeks);
+    const unmet = Math.max(0, lost - recoverable);
+    const weeksToRecover = unmet > 0 ? Infinity : weeks + (rate > 0 ? lost / rate : 0);
+    sites.push({ id: e.id, name: e.name, weeks, backlog: lost, unmet, recoverWeeks: weeksToRecover, value });
+    st.backlog += lost; st.unmet += unmet; recoverWeeks = Math.max(recoverWeeks, weeksToRecover);
+  }
+  const backlog = Math.min(units, Math.max(stage.supplier.backlog, stage.assembly.backlog));
+  const unmetDemand = Math.min(units, Math.max(stage.supplier.unmet, stage.assembly.unmet));
+  const expedite = sites.reduce((a, s) => a + (s.backlog - s.unmet) * s.value * EXPEDITE_PREMIUM, 0);
+  const cost = hit.cost + expedite + rebuildCost;
+  const service = clamp(hit.totals.serviceLevel * (1 - backlog / units), 0, 1);
+  return {
+    cost, costImpact: cost - baseRes.cost,
+    service, serviceDrop: baseRes.totals.serviceLevel - service,
+    backlog, unmetDemand, recoverWeeks,
+    survivability: 1 - unmetDemand / units,
+    sites,
+  };
+}
+
+/** Every event on its own, worst first: unmet demand, then time to recover, then cost impact. */
+export function survivabilityTable({ assignment, params, network, lruEdits = {}, events }) {
+  const base = evaluateSolution({ assignment, params: { ...params, allowOverflow: true }, network, lruEdits });
+  return events
+    .map((event) => ({ event, ...stressTest({ assignment, params, network, lruEdits, events: [event], base }) }))
+    .sort((a, b) => b.unmetDemand - a.unmetDemand || b.recoverWeeks - a.recoverWeeks || b.costImpact - a.costImpact);
+}
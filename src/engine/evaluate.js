@@ -0,0 +1,373 @@
+/**
+ * Core evaluation — pure functions shared by the UI, the solver worker and the optimizer.
+ */
+import { INVENTORY_DEFAULTS, dcStock } from "./inventory.js";
+import { laneLookup, laneMode, unitTons } from "./lanes.js";
+import { billedTons, modeRisk } from "./transport.js";
+import { customerRoutes, hasCustomers, onTimeShare, withServe } from "./customers.js";
+import { lineViolations, volumeViolations } from "./rules.js";
+import { lruSwitching } from "./transition.js";
+import { BASE_CURRENCY, currencyOf, usdPer } from "./fx.js";
+import { dutyRate, regionalContent, tariffClassOf } from "./tariffs.js";
+
+export function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
+
+/********************
+ * Helpers for edits & loads
+ ********************/
+export function effectiveLrus(lrus, edits) { return lrus.map((l) => ({ ...l, ...(edits[l.id] || {}) })); }
+export function computeLoads(network, assignment, demandMultiplier, lruEdits) {
+  const lrusEff = effectiveLrus(network.lrus, lruEdits);
+  const supplierLoad = Object.fromEntries(network.suppliers.map((s) => [s.id, 0]));
+  const assemblyLoad = Object.fromEntries(network.assemblySites.map((a) => [a.id, 0]));
+  for (const l of lrusEff) {
+    const dem = Math.round(l.baseDemand * demandMultiplier);
+    const pick = assignment[l.id];
+    if (!pick) continue;
+    for (const [id, share] of splitsOf(pick, "supplier")) supplierLoad[id] += dem * share;
+    for (const [id, share] of splitsOf(pick, "assembly")) assemblyLoad[id] += dem * share;
+  }
+  const supplierUtil = network.suppliers.map((s) => ({ id: s.id, name: s.name, load: supplierLoad[s.id], cap: s.capacity, util: supplierLoad[s.id] / s.capacity }));
+  const assemblyUtil = network.assemblySites.map((a) => ({ id: a.id, name: a.name, load: assemblyLoad[a.id], cap: a.capacity, util: assemblyLoad[a.id] / a.capacity }));
+  return { supplierUtil, assemblyUtil };
+}
+
+/********************
+ * Multi-sourcing splits
+ ********************/
+// A pick names one supplier/assembly/DC by id; an optional `<kind>Shares` map ({ id: share })
+// splits that stage across several. The id field always holds the largest share.
+export const SPLIT_FIELDS = { supplier: ["supplierId", "supplierShares"], assembly: ["assemblyId", "assemblyShares"], dc: ["dcId", "dcShares"] };
+
+/** [[id, share], ...] with shares summing to 1; a pick without a shares map is 100% its id. */
+export function splitsOf(pick, kind) {
+  const [idKey, sharesKey] = SPLIT_FIELDS[kind];
+  const entries = Object.entries(pick[sharesKey] || {}).filter(([, v]) => v > 0);
+  const total = entries.reduce((a, [, v]) => a + v, 0);
+  return entries.length && total > 0 ? entries.map(([id, v]) => [id, v / total]) : [[pick[idKey], 1]];
+}
+
+/** Returns a new pick with `kind` split by `shares` ({ id: share }); one entry collapses to single sourcing. */
+export function withSplit(pick, kind, shares) {
+  const [idKey, sharesKey] = SPLIT_FIELDS[kind];
+  const entries = Object.entries(shares).filter(([, v]) => v > 0);
+  const { [sharesKey]: _, ...rest } = pick;
+  if (!entries.length) return pick;
+  const primary = entries.reduce((b, e) => (e[1] > b[1] ? e : b))[0];
+  return entries.length === 1 ? { ...rest, [idKey]: primary } : { ...rest, [idKey]: primary, [sharesKey]: Object.fromEntries(entries) };
+}
+
+// Also repairs picks against the current network: LRUs without a pick get one, ids of removed
+// suppliers/sites/DCs fall back to the first entity of that kind, unknown modes fall back to
+// ground (or else the first mode) when every lane on that leg allows it, and split shares on
+// removed entities are dropped. With customers, each customer without a valid DC in `serve` is
+// served from the pick's DC, and the DC split is rebuilt from `serve`. Older document
+// shapes (e.g. a single `mode` per pick) are handled by the migrations in scenarioSchema.js.
+export function normalizeAssignment(raw, network) {
+  const has = (list, id) => list.some((e) => e.id === id);
+  const modes = Object.keys(network.transport); const lane = laneLookup(network);
+  // legs: [[from, to]] entity pairs the mode must be open on
+  const mode = (m, legs) => {
+    if (modes.includes(m)) return m;
+    const open = modes.filter((x) => legs.every(([f, t]) => laneMode(network, lane(f, t), x).available));
+    return open.includes("ground") ? "ground" : open[0] ?? (modes.includes("ground") ? "ground" : modes[0]);
+  };
+  const pairs = (froms, tos) => froms.flatMap((f) => tos.map((t) => [f, t]));
+  const converted = {};
+  network.lrus.forEach((l, i) => {
+    const pick = raw?.[l.id] || {};
+    let next = {
+      supplierId: has(network.suppliers, pick.supplierId) ? pick.supplierId : network.suppliers[i % network.suppliers.length].id,
+      assemblyId: has(network.assemblySites, pick.assemblyId) ? pick.assemblyId : network.assemblySites[i % network.assemblySites.length].id,
+      dcId: has(network.dcs, pick.dcId) ? pick.dcId : network.dcs[0].id,
+    };
+    for (const [kind, list] of [["supplier", network.suppliers], ["assembly", network.assemblySites], ["dc", network.dcs]]) {
+      const shares = pick[SPLIT_FIELDS[kind][1]];
+      if (shares) next = withSplit(next, kind, Object.fromEntries(Object.entries(shares).filter(([id]) => has(list, id))));
+    }
+    let last = {};
+    if (hasCustomers(network)) {
+      // customers without a valid DC take the pick's DC
+      const serve = Object.fromEntries(network.customers.map((c) => [c.id, has(network.dcs, pick.serve?.[c.id]) ? pick.serve[c.id] : next.dcId]));
+      next = withServe(next, network, l, serve);
+      last = { lastMode: mode(pick.lastMode, network.customers.map((c) => [network.dcs.find((d) => d.id === serve[c.id]), c])) };
+    }
+    const sites = (kind, list) => splitsOf(next, kind).map(([id]) => list.find((e) => e.id === id));
+    const asms = sites("assembly", network.assemblySites);
+    converted[l.id] = { ...next, supMode: mode(pick.supMode, pairs(sites("supplier", network.suppliers), asms)), dcMode: mode(pick.dcMode, pairs(asms, sites("dc", network.dcs))), ...last };
+  });
+  return converted;
+}
+
+/********************
+ * Core calculations (capacity & overflow, per-site penalty)
+ ********************/
+// Ledger entries (ledger.js) sit on the lane a cost is incurred on: material, component duties,
+// the supplier leg and stock in transit to assembly on inbound lanes; labor, overhead, the DC leg
+// and DC stock on outbound lanes; the customer leg and stock in transit to customers on last-mile
+// lanes; a finished LRU's duties on the lane it crosses by. The entries sum to `cost`.
+function bookLane(ledger, base, parts, carbonPrice) {
+  for (const component of ["material", "tariffs", "transport", "assembly", "overhead", "inventory"]) if (parts[component]) ledger.push({ ...base, component, amount: parts[component] });
+  if (parts.carbonKg) ledger.push({ ...base, component: "carbon", amount: parts.carbonKg * carbonPrice, carbonKg: parts.carbonKg });
+}
+
+// Fill rates after overflow: an overloaded site loses the share `degrade[kind][id]` of what it handles.
+// Returns { weighted, worst, byLru: { [id]: { demand, service, target } }, byDc and byCustomer: { [id]: { demand, service } }, misses }.
+function serviceSummary(routes, degrade) {
+  const byLru = {}; const dcAcc = {}; const custAcc = {}; const misses = []; let units = 0; let served = 0;
+  for (const [lruId, r] of Object.entries(routes)) {
+    const lost = (split, kind) => split.reduce((acc, [id, share]) => acc + share * (degrade[kind][id] || 0), 0);
+    const keep = (1 - lost(r.sup, "sup")) * (1 - lost(r.asm, "asm"));
+    const service = clamp(r.service * keep, 0, 1);
+    byLru[lruId] = { demand: r.demand, service, target: r.target };
+    if (service < r.target) misses.push({ lruId, service, target: r.target });
+    units += r.demand; served += r.demand * service;
+    for (const [dcId, dcShare, fill] of r.dcs) {
+      const acc = (dcAcc[dcId] ??= { demand: 0, served: 0 });
+      acc.demand += r.demand * dcShare; acc.served += r.demand * dcShare * clamp(r.reliability * fill * keep, 0, 1);
+    }
+    for (const [custId, custShare, fill] of r.customers) {
+      const acc = (custAcc[custId] ??= { demand: 0, served: 0 });
+      acc.demand += r.demand * custShare; acc.served += r.demand * custShare * clamp(r.reliability * fill * keep, 0, 1);
+    }
+  }
+  const rate = (accs) => Object.fromEntries(Object.entries(accs).map(([id, d]) => [id, { demand: d.demand, service: d.demand > 0 ? d.served / d.demand : 1 }]));
+  const byDc = rate(dcAcc); const byCustomer = rate(custAcc);
+  const worst = Object.values(byLru).reduce((m, l) => Math.min(m, l.service), 1);
+  return { weighted: units > 0 ? served / units : worst, worst, byLru, byDc, byCustomer, misses };
+}
+
+/** The carbon caps in params (carbonCapKg, regionCarbonCapsKg) as [[regionId | null, capKg]] (null: the network-wide cap). */
+export function carbonCaps(params) {
+  return [...(params.carbonCapKg != null ? [[null, params.carbonCapKg]] : []), ...Object.entries(params.regionCarbonCapsKg ?? {}).filter(([, kg]) => kg != null)];
+}
+
+// Emissions by the region legs leave from, and every cap they exceed: { byRegion, over: [{ regionId, carbonKg, capKg }] }.
+function carbonCheck(lines, params) {
+  const byRegion = {};
+  for (const line of Object.values(lines)) for (const [r, kg] of Object.entries(line.carbonByRegion)) byRegion[r] = (byRegion[r] ?? 0) + kg;
+  const total = Object.values(lines).reduce((acc, l) => acc + l.carbonKg, 0);
+  const over = carbonCaps(params).map(([regionId, capKg]) => ({ regionId, carbonKg: regionId == null ? total : byRegion[regionId] ?? 0, capKg })).filter((c) => c.carbonKg > c.capKg);
+  return { byRegion, over };
+}
+
+// An overloaded site's penalty is a share of the material (supplier) or labor (assembly) booked there.
+function bookOverflow(ledger, component, siteId, rate) {
+  for (const e of ledger.filter((e) => e.component === component && e.from === siteId)) ledger.push({ ...e, component: "overflow", amount: e.amount * rate });
+}
+
+// `lines` holds each LRU's separable share of the result: its cost (incl. carbon price),
+// its risk term before the HHI concentration term, and its own service level. Everything
+// evaluateSolution adds on top of the lines (HHI, overflow) is non-negative, which is what
+// makes the optimizer's lower bounds valid. The result is feasible only when every LRU meets its
+// own service target (its LRU edit's, else params.serviceTarget) and no carbon cap, business rule
+// (rules.js), lane (lanes.js) or transition budget (transition.js) is broken. `withLedger` adds the
+// itemised `ledger`; it is off by default because the optimizer and Monte Carlo evaluate in tight loops.
+export function evaluateSolution({ assignment, params, network, lruEdits = {}, withLedger = false }) {
+  const { suppliers, assemblySites, dcs, transport } = network; const lane = laneLookup(network);
+  const supMap = Object.fromEntries(suppliers.map((s) => [s.id, s]));
+  const asmMap = Object.fromEntries(assemblySites.map((a) => [a.id, a]));
+  const dcMap = Object.fromEntries(dcs.map((d) => [d.id, d])); const dcIds = new Set(Object.keys(dcMap));
+  const custMap = Object.fromEntries((network.customers ?? []).map((c) => [c.id, c]));
+  const lrus = effectiveLrus(network.lrus, lruEdits);
+  const { serviceTarget, laborRate, tariffMultiplier, carbonPrice, inventoryCarryPct, riskWeight, demandMultiplier, allowOverflow } = params;
+  const { reviewDays = INVENTORY_DEFAULTS.reviewDays, demandCv = INVENTORY_DEFAULTS.demandCv, leadTimeCv = INVENTORY_DEFAULTS.leadTimeCv } = params;
+
+  let totals = { units: 0, material: 0, tariffs: 0, transportCost: 0, assembly: 0, overhead: 0, inventory: 0, carbonKg: 0, riskIndex: 0, serviceLevel: 1, serviceWorst: 1 };
+  const lines = {}; const positions = []; const routes = {}; const laneIssues = []; const duties = []; const ledger = withLedger ? [] : null;
+  const supplierCounts = {}; const supLoad = Object.fromEntries(suppliers.map((s) => [s.id, 0])); const asmLoad = Object.fromEntries(assemblySites.map((a) => [a.id, 0]));
+  // per-site cost accumulation for accurate penalties and bottlenecks
+  const matBySup = Object.fromEntries(suppliers.map((s) => [s.id, 0]));
+  const asmCostBySite = Object.fromEntries(assemblySites.map((a) => [a.id, 0]));
+  // local-currency costs convert at params.fx, and each currency's share of the cost is tracked
+  const fxByCurrency = {}; const fxMissing = new Set();
+  const rate = (site) => { const c = currencyOf(site); if (c !== BASE_CURRENCY && params.fx?.rates?.[c] == null) fxMissing.add(c); return usdPer(params.fx, c); };
+  const expose = (site, usd) => { fxByCurrency[currencyOf(site)] = (fxByCurrency[currencyOf(site)] ?? 0) + usd; };
+
+  for (const lru of lrus) {
+    const pick = assignment[lru.id];
+    const supSplit = splitsOf(pick, "supplier");
+    const asmSplit = splitsOf(pick, "assembly");
+    const { dcSplit, customers: custSplit } = customerRoutes(network, lru, pick, dcIds);
+    const demand = Math.round(lru.baseDemand * demandMultiplier);
+    const target = lru.serviceTarget ?? serviceTarget;
+    const scrapFactor = 1 + lru.bomScrapRate;
+    const supModeDef = transport[pick.supMode];
+    const dcModeDef = transport[pick.dcMode];
+    const supTons = unitTons(lru, pick.supMode, supModeDef); const dcTons = unitTons(lru, pick.dcMode, dcModeDef);
+    const laneCount = laneIssues.length; const tariffClass = tariffClassOf(lru);
+    // duty on one crossing (tariffs.js), listed in the result's `duties` when it costs or saves anything
+    const levy = (stage, from, to, value, fallback, content) => {
+      const d = dutyRate(params.tariffs, { origin: from.region.id, destination: to.region.id, tariffClass, stage, fallback, content });
+      const duty = value * d.rate * tariffMultiplier;
+      if (duty > 0 || d.agreement) duties.push({ lruId: lru.id, stage, from: from.id, to: to.id, origin: from.region.id, destination: to.region.id, tariffClass, value, ...d, rate: d.rate * tariffMultiplier, duty });
+      return duty;
+    };
+    const travel = (stage, from, to, mode) => {
+      const l = lane(from, to); const m = laneMode(network, l, mode);
+      const issue = { lruId: lru.id, stage, from: from.id, to: to.id, origin: from.region.id, destination: to.region.id, mode };
+      if (!l) laneIssues.push({ kind: "missing", ...issue });
+      if (!m.available) laneIssues.push({ kind: "unavailable", ...issue });
+      return m;
+    };
+    const modeRiskSup = modeRisk(supModeDef, pick.supMode);
+    const modeRiskDc = modeRisk(dcModeDef, pick.dcMode);
+    let materialCost = 0; let tariffs = 0; let transportCost = 0; let carbonKg = 0; let assemblyCost = 0; let overhead = 0;
+    let reliability = 0; let lruRisk = 0; const carbonByRegion = {};
+    const emit = (site, kg) => { carbonKg += kg; carbonByRegion[site.region.id] = (carbonByRegion[site.region.id] ?? 0) + kg; };
+    // replenishment lead time up to the assembly sites, and what is in transit on each lane
+    let upstreamDays = 0; const inbound = []; const outbound = [];
+
+    // supplier legs: each supplier's share ships to each assembly site in proportion to the site shares
+    for (const [supId, supShare] of supSplit) {
+      const sup = supMap[supId];
+      const qty = demand * supShare;
+      const material = qty * scrapFactor * sup.unitCost * rate(sup);
+      materialCost += material;
+      upstreamDays += supShare * Math.max(0, sup.leadTimeDays + supModeDef.leadPenaltyDays);
+      for (const [asmId, asmShare] of asmSplit) {
+        const m = travel("inbound", sup, asmMap[asmId], pick.supMode);
+        const units = qty * asmShare; const miles = m.thousandMiles * 1000; const days = m.transitDays;
+        const freight = billedTons(units * supTons.chargeable, supModeDef, reviewDays) * miles * m.costPerTonMi; const carbon = units * supTons.actual * miles * m.carbonPerTonMi;
+        transportCost += freight;
+        emit(sup, carbon);
+        upstreamDays += supShare * asmShare * days;
+        const duty = levy("inbound", sup, asmMap[asmId], material * asmShare, sup.tariffRate);
+        tariffs += duty; expose(sup, material * asmShare + duty);
+        // stock in transit is valued at its landed material cost
+        inbound.push({ supId, asmId, origin: sup.region.id, material: material * asmShare, tariffs: duty, pipelineValue: ((material * asmShare + duty) * days) / 365, freight, carbonKg: carbon });
+      }
+      matBySup[sup.id] += material;
+      supplierCounts[sup.id] = (supplierCounts[sup.id] || 0) + qty;
+      supLoad[sup.id] += qty;
+
+      reliability += supShare * sup.reliability;
+      const regionRisk = sup.region.risk;
+      const relRisk = clamp(1 - sup.reliability, 0, 0.2);
+      lruRisk += (regionRisk + relRisk + (modeRiskSup + modeRiskDc) / 2) * (qty / 10000);
+    }
+
+    // assembly, then distribution legs from each site to each DC in proportion to the DC shares
+    const dcLegDays = Object.fromEntries(dcSplit.map(([dcId]) => [dcId, 0])); const parts = [];
+    for (const [asmId, asmShare] of asmSplit) {
+      const asm = asmMap[asmId];
+      const qty = demand * asmShare;
+      const labor = qty * lru.bomLaborHours * laborRate * asm.laborCostMultiplier * rate(asm);
+      const siteOverhead = asm.fixedOverhead * rate(asm) * (qty / asm.capacity);
+      assemblyCost += labor;
+      overhead += siteOverhead;
+      expose(asm, labor + siteOverhead);
+      // the finished LRU leaves the site worth its landed material plus the site's labor and overhead
+      const made = [...inbound.filter((l) => l.asmId === asmId).map((l) => ({ region: l.origin, value: l.material })), { region: asm.region.id, value: labor + siteOverhead }];
+      const exWorks = inbound.filter((l) => l.asmId === asmId).reduce((acc, l) => acc + l.tariffs, 0) + made.reduce((acc, p) => acc + p.value, 0);
+      made.forEach((p) => parts.push(p));
+      for (const [dcId, dcShare] of dcSplit) {
+        const m = travel("outbound", asm, dcMap[dcId], pick.dcMode);
+        const units = qty * dcShare; const miles = m.thousandMiles * 1000; const days = m.transitDays;
+        const freight = billedTons(units * dcTons.chargeable, dcModeDef, reviewDays) * miles * m.costPerTonMi; const carbon = units * dcTons.actual * miles * m.carbonPerTonMi;
+        const duty = levy("outbound", asm, dcMap[dcId], exWorks * dcShare, 0, (members) => regionalContent(made, members));
+        transportCost += freight; tariffs += duty;
+        emit(asm, carbon);
+        dcLegDays[dcId] += asmShare * days;
+        outbound.push({ asm, asmShare, dcId, dcShare, days, labor: labor * dcShare, overhead: siteOverhead * dcShare, duty, freight, carbonKg: carbon });
+      }
+      asmCostBySite[asm.id] += labor;
+      asmLoad[asm.id] += qty;
+    }
+
+    // stock: in transit on every lane, plus cycle and safety stock at each DC, all valued at landed cost
+    const cogs = materialCost + tariffs + assemblyCost + overhead + transportCost;
+    const unitValue = demand > 0 ? cogs / demand : 0;
+    // the DCs stock enough to reach the service target despite late supplier deliveries
+    const fillTarget = reliability > 0 ? Math.min(1, target / reliability + 1e-9) : 1;
+    let inventory = 0; let fillRate = 0; const dcFill = [];
+    for (const leg of inbound) inventory += leg.pipelineValue * inventoryCarryPct;
+    const onHandCost = {};
+    for (const [dcId, dcShare] of dcSplit) {
+      const leadTimeDays = upstreamDays + dcLegDays[dcId];
+      const stock = dcStock({ annualDemand: demand * dcShare, leadTimeDays, fillTarget, reviewDays, demandCv, leadTimeCv });
+      const pipeline = outbound.filter((o) => o.dcId === dcId).reduce((a, o) => a + (demand * o.asmShare * dcShare * o.days) / 365, 0);
+      const holdingCost = (stock.cycle + stock.safety + pipeline) * unitValue * inventoryCarryPct;
+      onHandCost[dcId] = (stock.cycle + stock.safety) * unitValue * inventoryCarryPct;
+      inventory += holdingCost; fillRate += dcShare * stock.fillRate; dcFill.push([dcId, dcShare, stock.fillRate]);
+      positions.push({ lruId: lru.id, dcId, annualDemand: demand * dcShare, leadTimeDays, ...stock, pipeline, unitValue, holdingCost });
+    }
+    // last mile: each customer gets its share from its DC; service counts deliveries within its window
+    const lastMile = []; const custFill = [];
+    const lastModeDef = transport[pick.lastMode]; const lastTons = unitTons(lru, pick.lastMode, lastModeDef);
+    for (const [custId, custShare, dcId] of custSplit) {
+      const m = travel("lastMile", dcMap[dcId], custMap[custId], pick.lastMode);
+      const units = demand * custShare; const miles = m.thousandMiles * 1000;
+      const freight = billedTons(units * lastTons.chargeable, lastModeDef, reviewDays) * miles * m.costPerTonMi; const carbon = units * lastTons.actual * miles * m.carbonPerTonMi;
+      const pipeline = ((units * m.transitDays) / 365) * unitValue * inventoryCarryPct;
+      const duty = levy("lastMile", dcMap[dcId], custMap[custId], units * unitValue, 0, (members) => regionalContent(parts, members));
+      transportCost += freight; tariffs += duty; emit(dcMap[dcId], carbon); inventory += pipeline;
+      const fill = dcFill.find(([id]) => id === dcId)[2] * onTimeShare(m.transitDays, custMap[custId].deliveryDays, leadTimeCv);
+      custFill.push([custId, custShare, fill]);
+      lastMile.push({ custId, dcId, freight, duty, carbonKg: carbon, inventory: pipeline });
+    }
+    if (custFill.length) fillRate = custFill.reduce((acc, [, share, fill]) => acc + share * fill, 0);
+    if (ledger) {
+      for (const leg of inbound) bookLane(ledger, { lruId: lru.id, stage: "inbound", from: leg.supId, to: leg.asmId, mode: pick.supMode }, {
+        material: leg.material, tariffs: leg.tariffs, transport: leg.freight, inventory: leg.pipelineValue * inventoryCarryPct, carbonKg: leg.carbonKg,
+      }, carbonPrice);
+      for (const leg of outbound) bookLane(ledger, { lruId: lru.id, stage: "outbound", from: leg.asm.id, to: leg.dcId, mode: pick.dcMode }, {
+        assembly: leg.labor, overhead: leg.overhead, tariffs: leg.duty, transport: leg.freight,
+        inventory: ((demand * leg.asmShare * leg.dcShare * leg.days) / 365) * unitValue * inventoryCarryPct + leg.asmShare * onHandCost[leg.dcId], carbonKg: leg.carbonKg,
+      }, carbonPrice);
+      for (const leg of lastMile) bookLane(ledger, { lruId: lru.id, stage: "lastMile", from: leg.dcId, to: leg.custId, mode: pick.lastMode }, {
+        tariffs: leg.duty, transport: leg.freight, inventory: leg.inventory, carbonKg: leg.carbonKg,
+      }, carbonPrice);
+    }
+
+    totals.units += demand;
+    totals.material += materialCost;
+    totals.tariffs += tariffs;
+    totals.transportCost += transportCost;
+    totals.assembly += assemblyCost;
+    totals.overhead += overhead;
+    totals.inventory += inventory;
+    totals.carbonKg += carbonKg;
+
+    // service: suppliers deliver reliably, then the DCs fill from the shelf (and on time, to customers)
+    const lruService = clamp(reliability * fillRate, 0, 1);
+    totals.riskIndex += lruRisk;
+    routes[lru.id] = { demand, target, service: lruService, reliability, sup: supSplit, asm: asmSplit, dcs: dcFill, customers: custFill };
+    const blocked = laneIssues.slice(laneCount).some((i) => i.kind === "unavailable");
+    lines[lru.id] = { demand, cost: cogs + lastMile.reduce((acc, l) => acc + l.freight + l.duty, 0) + inventory + carbonKg * carbonPrice, risk: lruRisk, service: lruService, target, blocked, carbonKg, carbonByRegion, violations: lineViolations(params.rules, network, lru, pick), switching: lruSwitching(params.transition, lru.id, pick) };
+  }
+  const totalUnits = Object.values(supplierCounts).reduce((a, b) => a + b, 0) || 1;
+  const hhi = Object.values(supplierCounts).reduce((acc, u) => acc + Math.pow(u / totalUnits, 2), 0); totals.riskIndex += hhi * 0.5;
+
+  const degrade = { sup: {}, asm: {} };
+  const finish = (cost) => {
+    const service = serviceSummary(routes, degrade);
+    totals.serviceLevel = service.weighted; totals.serviceWorst = service.worst;
+    const carbon = carbonCheck(lines, params);
+    const violations = [...Object.values(lines).flatMap((l) => l.violations), ...volumeViolations(params.rules, network, lrus, assignment, lines)];
+    const switched = Object.values(lines).filter((l) => l.switching.changed); const maxChanges = params.transition?.maxChanges ?? null;
+    const transition = { changes: switched.length, oneTime: switched.reduce((acc, l) => acc + l.switching.oneTime, 0), annualized: switched.reduce((acc, l) => acc + l.switching.annualized, 0), maxChanges, overBudget: maxChanges != null && switched.length > maxChanges };
+    const feasible = cost < Infinity && !service.misses.length && !laneIssues.some((i) => i.kind === "unavailable") && !carbon.over.length && !violations.length && !transition.overBudget;
+    const objective = cost + riskWeight * totals.riskIndex * 1_000_000 + transition.annualized;
+    const local = Object.entries(fxByCurrency).filter(([c]) => c !== BASE_CURRENCY).reduce((acc, [, v]) => acc + v, 0);
+    const fx = { byCurrency: { ...fxByCurrency, [BASE_CURRENCY]: Number.isFinite(cost) ? cost - local : 0 }, missing: [...fxMissing] };
+    return { totals, cost, feasible, objective, capacity: { supLoad, asmLoad, matBySup, asmCostBySite }, lines, service, inventory: positions, laneIssues, duties, carbon, violations, transition, fx, ...(ledger ? { ledger } : {}) };
+  };
+
+  // Accurate per-site overflow penalties
+  let overflowPenalty = 0;
+  for (const s of suppliers) {
+    const load = supLoad[s.id]; if (load > s.capacity) {
+      const ratio = (load - s.capacity) / load; if (!allowOverflow) return finish(Infinity);
+      overflowPenalty += matBySup[s.id] * ratio * 0.20; expose(s, matBySup[s.id] * ratio * 0.20); if (ledger) bookOverflow(ledger, "material", s.id, ratio * 0.20); degrade.sup[s.id] = Math.min(1, 0.03 * ratio * 5);
+    }
+  }
+  for (const a of assemblySites) {
+    const load = asmLoad[a.id]; if (load > a.capacity) {
+      const ratio = (load - a.capacity) / load; if (!allowOverflow) return finish(Infinity);
+      overflowPenalty += asmCostBySite[a.id] * ratio * 0.30; expose(a, asmCostBySite[a.id] * ratio * 0.30); if (ledger) bookOverflow(ledger, "assembly", a.id, ratio * 0.30); degrade.asm[a.id] = Math.min(1, 0.04 * ratio * 5);
+    }
+  }
+
+  return finish(totals.material + totals.tariffs + totals.transportCost + totals.assembly + totals.overhead + totals.inventory + totals.carbonKg * carbonPrice + overflowPenalty);
+}
@@ -0,0 +1,61 @@
+/**
+ * Currencies — suppliers quote `unitCost`, and assembly sites pay labor and fixed overhead, in
+ * their own `currency` (ISO 4217 code; absent = USD). Everything else (the labor rate, freight,
+ * carbon price, switching costs) is in USD, and so is every engine result.
+ *
+ * params.fx is { reporting, rates } where rates[code] is the USD value of one unit of `code`
+ * (USD is always 1). evaluateSolution converts local costs at these rates and reports, in its
+ * `fx`, how much of the cost moves with each currency; `reporting` is the currency results are
+ * shown in, converted at the same rates. A currency without a rate converts at 1 and is listed in
+ * the result's `fx.missing`.
+ */
+export const BASE_CURRENCY = "USD";
+export const DEFAULT_FX = { reporting: BASE_CURRENCY, rates: { EUR: 1.08, MXN: 0.055 } };
+export const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+export function currencyOf(site) { return site.currency || BASE_CURRENCY; }
+
+/** USD per unit of `code` under `fx` (1 for USD and for currencies without a rate). */
+export function usdPer(fx, code) { return code === BASE_CURRENCY ? 1 : fx?.rates?.[code] ?? 1; }
+
+/** USD value of an amount in `site`'s currency. */
+export function toUsd(amount, site, fx) { return amount * usdPer(fx, currencyOf(site)); }
+
+/** A USD amount in the reporting currency. */
+export function toReporting(usd, fx) { return usd / usdPer(fx, fx?.reporting ?? BASE_CURRENCY); }
+
+/** The currencies the network's suppliers and assembly sites use, USD first: [{ code, sites: [names] }]. */
+export function networkCurrencies(network) {
+  const by = { [BASE_CURRENCY]: [] };
+  for (const e of [...network.suppliers, ...network.assemblySites]) (by[currencyOf(e)] ??= []).push(e.name);
+  return Object.entries(by).map(([code, sites]) => ({ code, sites }));
+}
+
+/**
+ * How much of a result's cost moves with each currency: [{ currency, amount (USD), share }],
+ * largest first. Material and its tariffs count in the supplier's currency, labor and overhead
+ * (and overflow penalties on either) in the site's; freight, inventory, carbon and duties on the
+ * finished LRU are USD.
+ */
+export function fxExposure(result) {
+  const total = Object.values(result.fx.byCurrency).reduce((acc, v) => acc + v, 0) || 1;
+  return Object.entries(result.fx.byCurrency).map(([currency, amount]) => ({ currency, amount, share: amount / total })).sort((a, b) => b.amount - a.amount);
+}
+
+/** Clean params.fx against a network: returns { fx, notes }; absent or invalid parts take DEFAULT_FX. */
+export function validateFx(raw, network) {
+  const notes = [];
+  if (raw == null) return { fx: DEFAULT_FX, notes };
+  if (typeof raw !== "object" || Array.isArray(raw)) return { fx: DEFAULT_FX, notes: ["params.fx is invalid; defaulted the FX rates."] };
+  const rates = {};
+  for (const [code, rate] of Object.entries(raw.rates && typeof raw.rates === "object" ? raw.rates : {})) {
+    if (code === BASE_CURRENCY) continue;
+    if (!CURRENCY_CODE.test(code)) notes.push(`FX: dropped rate for "${code}", which is not a three-letter currency code.`);
+    else if (typeof rate !== "number" || !Number.isFinite(rate) || rate <= 0) notes.push(`FX: the ${code} rate must be a positive number of USD; dropped it.`);
+    else rates[code] = rate;
+  }
+  let reporting = raw.reporting ?? BASE_CURRENCY;
+  if (reporting !== BASE_CURRENCY && !rates[reporting]) { notes.push(`FX: no rate for reporting currency "${reporting}"; reporting in ${BASE_CURRENCY}.`); reporting = BASE_CURRENCY; }
+  for (const { code, sites } of networkCurrencies(network)) if (code !== BASE_CURRENCY && !rates[code]) notes.push(`FX: no rate for ${code} (${sites.join(", ")}); its costs convert 1:1 to ${BASE_CURRENCY}.`);
+  return { fx: { reporting, rates }, notes };
+}
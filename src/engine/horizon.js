@@ -0,0 +1,185 @@
+/**
+ * Multi-period planning horizon — per-period demand and capacity, build-ahead inventory
+ * carried across periods, and a per-period optimizer that stitches assignments with switching costs.
+ *
+ * A horizon is { periodsPerYear, switchCost, periods: [{ id, name, demand: { [lruId]: mult }, capacity: { [siteId]: mult } }] }.
+ * Missing multipliers mean 100%. Each period carries 1/periodsPerYear of annual demand and capacity.
+ */
+import { effectiveLrus, evaluateSolution, normalizeAssignment, splitsOf } from "./evaluate.js";
+import { toUsd } from "./fx.js";
+import { optimize } from "./optimize.js";
+
+export function periodName(i, periodsPerYear) {
+  const unit = periodsPerYear === 12 ? "M" : periodsPerYear === 4 ? "Q" : "P";
+  const year = Math.floor(i / periodsPerYear);
+  return `${year ? `Y${year + 1} ` : ""}${unit}${(i % periodsPerYear) + 1}`;
+}
+
+export function defaultHorizon(count = 4, periodsPerYear = 4) {
+  return { periodsPerYear, switchCost: 50_000, periods: Array.from({ length: count }, (_, i) => ({ id: `P${i + 1}`, name: periodName(i, periodsPerYear), demand: {}, capacity: {} })) };
+}
+
+/** Resize a horizon, keeping the multipliers of periods that survive. */
+export function resizeHorizon(horizon, count, periodsPerYear = horizon.periodsPerYear) {
+  const periods = Array.from({ length: count }, (_, i) => ({ ...(horizon.periods[i] || { id: `P${i + 1}`, demand: {}, capacity: {} }), name: periodName(i, periodsPerYear) }));
+  return { ...horizon, periodsPerYear, periods };
+}
+
+/** The network, params and LRU edits that describe a single period of the horizon. */
+export function periodInputs({ network, params, lruEdits = {}, horizon, period }) {
+  const f = 1 / horizon.periodsPerYear;
+  const cap = (e) => e.capacity * (period.capacity[e.id] ?? 1) * f;
+  const periodNetwork = {
+    ...network,
+    suppliers: network.suppliers.map((s) => ({ ...s, capacity: cap(s) })),
+    assemblySites: network.assemblySites.map((a) => ({ ...a, capacity: cap(a), fixedOverhead: a.fixedOverhead * f })),
+  };
+  const periodEdits = Object.fromEntries(effectiveLrus(network.lrus, lruEdits).map((l) => [l.id, { ...(lruEdits[l.id] || {}), baseDemand: l.baseDemand * (period.demand[l.id] ?? 1) * f }]));
+  return { network: periodNetwork, params, lruEdits: periodEdits };
+}
+
+/** LRUs whose supplier or assembly sourcing differs between two assignments (mode/DC moves are free). */
+export function switchedLrus(from, to) {
+  const key = (pick) => JSON.stringify([splitsOf(pick, "supplier"), splitsOf(pick, "assembly")]);
+  return Object.keys(to).filter((id) => from[id] && key(from[id]) !== key(to[id]));
+}
+
+// A period's risk index: the LRUs' risk already scales with the period's demand, but the supplier
+// concentration (HHI) term and the annualized transition costs are charged in full on any input,
+// so the period carries only its share `f` of the year's.
+function periodRisk(result, f) {
+  const lruRisk = Object.values(result.lines).reduce((acc, l) => acc + l.risk, 0);
+  return lruRisk + (result.totals.riskIndex - lruRisk) * f;
+}
+function periodObjective(result, params, f) {
+  return result.cost + params.riskWeight * periodRisk(result, f) * 1_000_000 + result.transition.annualized * f;
+}
+
+// Supplier units per unit assembled at `asmId`, by supplier, for the LRU mix the site builds in one
+// period's result: { [supplierId]: units }.
+function componentMix(result, assignment, asmId) {
+  const load = result.capacity.asmLoad[asmId]; const mix = {};
+  if (!load) return mix;
+  for (const [lruId, line] of Object.entries(result.lines)) {
+    const pick = assignment[lruId]; const share = splitsOf(pick, "assembly").find(([id]) => id === asmId)?.[1] ?? 0;
+    if (!share) continue;
+    for (const [supId, supShare] of splitsOf(pick, "supplier")) mix[supId] = (mix[supId] ?? 0) + (line.demand * share / load) * supShare;
+  }
+  return mix;
+}
+
+// Backward pass: production a site cannot fit in a period is pulled into the latest earlier
+// periods that have slack. Returns per-period production, units built ahead for and held through
+// each period, and the moves [{ from, to, units }].
+function planBuildAhead(loads, caps) {
+  const n = loads.length; const prod = [...loads]; const builtFor = new Array(n).fill(0); const held = new Array(n).fill(0); const moves = [];
+  for (let t = n - 1; t > 0; t--) {
+    let excess = prod[t] - caps[t];
+    for (let s = t - 1; s >= 0 && excess > 0; s--) {
+      const moved = Math.min(excess, Math.max(0, caps[s] - prod[s]));
+      if (moved <= 0) continue;
+      prod[s] += moved; prod[t] -= moved; builtFor[t] += moved; excess -= moved; moves.push({ from: s, to: t, units: moved });
+      for (let k = s; k < t; k++) held[k] += moved;
+    }
+  }
+  return { prod, builtFor, held, moves };
+}
+
+/**
+ * Evaluate every period of the horizon. `periodAssignments[periodId]` overrides `assignment`
+ * for that period. Capacity a period cannot cover is built ahead in earlier periods (at a
+ * holding cost) before any overflow is charged. Returns { periods: [...], totals }.
+ */
+export function evaluateHorizon({ assignment, periodAssignments = {}, params, network, lruEdits = {}, horizon }) {
+  const f = 1 / horizon.periodsPerYear;
+  const inputs = horizon.periods.map((period) => periodInputs({ network, params, lruEdits, horizon, period }));
+  const assigns = horizon.periods.map((p) => normalizeAssignment(periodAssignments[p.id] ?? assignment, network));
+  const raw = inputs.map((inp, t) => evaluateSolution({ ...inp, assignment: assigns[t], params: { ...params, allowOverflow: true } }));
+
+  // Finished LRUs are built ahead at the assembly sites first. Their components are due when they
+  // are assembled, so the suppliers plan on loads shifted with them and hold only components made
+  // before that; each unit in stock is counted once, at the tier that holds it.
+  const capOf = (t, list, id) => inputs[t].network[list].find((e) => e.id === id).capacity;
+  const asmPlans = Object.fromEntries(network.assemblySites.map((a) => [a.id, planBuildAhead(raw.map((r) => r.capacity.asmLoad[a.id]), inputs.map((_, t) => capOf(t, "assemblySites", a.id)))]));
+  const supLoads = Object.fromEntries(network.suppliers.map((s) => [s.id, raw.map((r) => r.capacity.supLoad[s.id])]));
+  for (const [asmId, plan] of Object.entries(asmPlans))
+    for (const { from, to, units } of plan.moves)
+      for (const [supId, perUnit] of Object.entries(componentMix(raw[to], assigns[to], asmId))) { supLoads[supId][to] -= units * perUnit; supLoads[supId][from] += units * perUnit; }
+  const supPlans = Object.fromEntries(network.suppliers.map((s) => [s.id, planBuildAhead(supLoads[s.id], inputs.map((_, t) => capOf(t, "suppliers", s.id)))]));
+  const tiers = [
+    { plans: asmPlans, kind: "asmLoad", unitValue: (id, t) => raw[t].cost / (raw[t].totals.units || 1) },
+    { plans: supPlans, kind: "supLoad", unitValue: (id) => { const sup = network.suppliers.find((s) => s.id === id); return toUsd(sup.unitCost, sup, params.fx); } },
+  ];
+  const sum = (fn) => tiers.reduce((acc, tier) => acc + Object.entries(tier.plans).reduce((a, [id, plan]) => a + fn(plan, id, tier), 0), 0);
+
+  let onHand = 0;
+  const periods = horizon.periods.map((period, t) => {
+    const inp = inputs[t];
+    // a site's capacity in period t is raised by the load it does not have to produce then
+    const relief = (tier, id) => Math.max(0, raw[t].capacity[tier.kind][id] - tier.plans[id].prod[t]);
+    const boosted = {
+      ...inp.network,
+      suppliers: inp.network.suppliers.map((s) => ({ ...s, capacity: s.capacity + relief(tiers[1], s.id) })),
+      assemblySites: inp.network.assemblySites.map((a) => ({ ...a, capacity: a.capacity + relief(tiers[0], a.id) })),
+    };
+    const result = evaluateSolution({ ...inp, network: boosted, assignment: assigns[t] });
+    const buildAhead = sum((plan) => plan.moves.filter((m) => m.from === t).reduce((a, m) => a + m.units, 0));
+    const consumed = sum((plan) => plan.builtFor[t]);
+    onHand += buildAhead - consumed;
+    const holdingCost = sum((plan, id, tier) => plan.held[t] * tier.unitValue(id, t) * params.inventoryCarryPct * f);
+    const switched = t > 0 ? switchedLrus(assigns[t - 1], assigns[t]) : [];
+    const switchCost = switched.length * horizon.switchCost;
+    return { id: period.id, name: period.name, assignment: assigns[t], result, buildAhead, consumed, endingInventory: Math.max(0, onHand), holdingCost, switched, switchCost, cost: result.cost + holdingCost + switchCost };
+  });
+
+  const totals = {
+    cost: periods.reduce((a, p) => a + p.cost, 0),
+    objective: periods.reduce((a, p) => a + periodObjective(p.result, params, f) + p.holdingCost + p.switchCost, 0),
+    riskIndex: periods.reduce((a, p) => a + periodRisk(p.result, f), 0),
+    holdingCost: periods.reduce((a, p) => a + p.holdingCost, 0),
+    switchCost: periods.reduce((a, p) => a + p.switchCost, 0),
+    serviceLevel: Math.min(...periods.map((p) => p.result.totals.serviceLevel)),
+    serviceWorst: Math.min(...periods.map((p) => p.result.totals.serviceWorst)),
+    feasible: periods.every((p) => p.result.feasible),
+  };
+  return { periods, totals };
+}
+
+/**
+ * Optimize each period on its own, then choose which period-optimum to run in each period
+ * with a dynamic program that charges `horizon.switchCost` per LRU that changes sourcing.
+ * Returns { periodAssignments, horizon: evaluateHorizon(...), reasons }.
+ */
+export function optimizeHorizon({ assignment, params, network, lruEdits = {}, horizon, allowSplits = false, timeBudgetMs = 10_000, onProgress }) {
+  const budget = timeBudgetMs / horizon.periods.length; const f = 1 / horizon.periodsPerYear;
+  const inputs = horizon.periods.map((period) => periodInputs({ network, params, lruEdits, horizon, period }));
+  const reasons = [];
+  const candidates = [normalizeAssignment(assignment, network)];
+  inputs.forEach((inp, t) => {
+    // overflow is allowed per period; build-ahead in evaluateHorizon absorbs what it can
+    const out = optimize({ ...inp, params: { ...params, allowOverflow: true }, allowSplits, timeBudgetMs: budget });
+    if (out.best) candidates.push(out.best.assignment);
+    else reasons.push(`${horizon.periods[t].name}: ${out.reasons.join(" ")}`);
+    onProgress?.({ period: t + 1, periods: horizon.periods.length, bestObjective: out.best?.objective ?? null });
+  });
+
+  const periodObj = inputs.map((inp) => candidates.map((c) => {
+    const r = evaluateSolution({ ...inp, assignment: c, params: { ...params, allowOverflow: true } });
+    return r.service.misses.length ? Infinity : periodObjective(r, params, f);
+  }));
+  const n = inputs.length; const k = candidates.length;
+  const cost = [periodObj[0].slice()]; const back = [new Array(k).fill(-1)];
+  for (let t = 1; t < n; t++) {
+    cost[t] = new Array(k).fill(Infinity); back[t] = new Array(k).fill(-1);
+    for (let j = 0; j < k; j++)
+      for (let i = 0; i < k; i++) {
+        const c = cost[t - 1][i] + periodObj[t][j] + switchedLrus(candidates[i], candidates[j]).length * horizon.switchCost;
+        if (back[t][j] === -1 || c < cost[t][j]) { cost[t][j] = c; back[t][j] = i; }
+      }
+  }
+  let j = cost[n - 1].reduce((b, c, i, arr) => (c < arr[b] ? i : b), 0);
+  if (!Number.isFinite(cost[n - 1][j])) reasons.push("No sequence of period assignments meets the service target in every period.");
+  const periodAssignments = {};
+  for (let t = n - 1; t >= 0; t--) { periodAssignments[horizon.periods[t].id] = candidates[j]; j = back[t][j]; }
+  return { periodAssignments, horizon: evaluateHorizon({ assignment, periodAssignments, params, network, lruEdits, horizon }), reasons };
+}
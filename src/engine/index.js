@@ -0,0 +1,26 @@
+/**
+ * Headless engine — the app's simulation, optimization and analysis code with no React or DOM,
+ * importable from Node (see cli/pcs-batch.js) as well as the browser.
+ */
+export { clamp, effectiveLrus, computeLoads, SPLIT_FIELDS, splitsOf, withSplit, normalizeAssignment, carbonCaps, evaluateSolution } from "./evaluate.js";
+export { seedRandom, generateMockNetwork, NETWORK_TABLES, formatImportError, parseCSV, importNetworkFiles, networkFromJSON, toNetworkJSON, addEntity, removeEntity, updateEntity, addLane, updateLane, updateLaneMode, removeLane, addMode, updateMode, removeMode, modesRemovedWith, updateCustomerShare } from "./network.js";
+export { MODE_RISK, DERIVED_FIELDS, MODE_PRESETS, modeLabel, modeRisk, billedTons, parseVia, formatVia, composeTransport, ownModeFields } from "./transport.js";
+export { MISSING_LANE_MILES, VOLUMETRIC_TONS_PER_M3, UNIT_DEFAULTS, laneLookup, laneMode, modesBetween, unitTons, missingLanes } from "./lanes.js";
+export { hasCustomers, customerShares, onTimeShare, nearestDc, withServe, customerRoutes, servePlans, dcChoices } from "./customers.js";
+export { RULE_KINDS, RULE_TARGETS, ruleCovers, describeRule, ruleTargets, ruleUsage, lineViolations, volumeLimits, volumeViolations, validateRules, newRule } from "./rules.js";
+export { SWITCH_COST_FIELDS, SWITCH_DEFAULTS, defaultTransition, siteSwitchCost, lruSwitching, transitionPlan, validateTransition } from "./transition.js";
+export { BASE_CURRENCY, DEFAULT_FX, CURRENCY_CODE, currencyOf, usdPer, toUsd, toReporting, networkCurrencies, fxExposure, validateFx } from "./fx.js";
+export { TARIFF_CLASSES, DEFAULT_TARIFF_CLASS, ANY, DUTY_STAGES, tariffClassOf, defaultTariffs, dutyRate, regionalContent, withShocks, scaleTariffs, dutiesByLane, sampleTariffs, newTariffEntry, validateTariffs } from "./tariffs.js";
+export { optimize } from "./optimize.js";
+export { EMISSION_DIMENSIONS, emissionsReport, carbonTradeoff } from "./carbon.js";
+export { PARETO_METRICS, pointMetrics, dominates, nonDominated, paretoFrontier } from "./pareto.js";
+export { periodName, defaultHorizon, resizeHorizon, periodInputs, switchedLrus, evaluateHorizon, optimizeHorizon } from "./horizon.js";
+export { DISRUPTION_TYPES, describeDisruption, disruptionLibrary, disruptedNetwork, disruptedParams, stressTest, survivabilityTable } from "./disruptions.js";
+export { DISTRIBUTIONS, defaultMonteCarlo, sampleFactor, histogram, runMonteCarlo } from "./montecarlo.js";
+export { SENSITIVITY_TESTS, runSensitivity, optimalSensitivity, pickChanges, assignmentChanges } from "./sensitivity.js";
+export { MASTER_SCENARIOS, VARIANT_MULTIPLIERS, OEM_PROFILES, KNOWN_IDS, demandMultiplierFor, scenarioParams } from "./presets.js";
+export { NODE_SIZE, GRAPH_TIERS, graphNodes, tierLayout, nodePositions, layoutBounds, validateLayout } from "./layout.js";
+export { SCHEMA_VERSION, PARAM_SPECS, MIGRATIONS, migrateScenario, toScenarioDoc, validateScenario, encodeShareHash, decodeShareHash, openShareHash } from "./scenarioSchema.js";
+export { BATCH_COLUMNS, runScenario } from "./batch.js";
+export { toCSV } from "./csv.js";
+export { SWEEP_PARAMS, SWEEP_METRICS, MAX_SWEEP_STEPS, sweepRange, defaultAxis, axisValues, validateSweep, runSweep, sweepCSV } from "./sweep.js";
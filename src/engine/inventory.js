@@ -0,0 +1,71 @@
+/**
+ * Inventory policy — cycle, safety and pipeline stock for each LRU at each DC.
+ *
+ * Each DC replenishes an LRU under a continuous-review (reorder point, order quantity) policy:
+ * it orders `reviewDays` of demand whenever stock falls to the reorder point, which covers
+ * lead-time demand plus safety stock. Lead-time demand varies with the daily demand CV and the
+ * lead-time CV; safety stock is the smallest that fills the DC's required share of demand from
+ * the shelf (up to z = Z_MAX). The replenishment lead time runs from the supplier's lead time
+ * (adjusted by the inbound mode's leadPenaltyDays) through both transit legs, so slower modes
+ * hold more stock in transit and need more safety stock for the same fill rate.
+ */
+import { clamp } from "./evaluate.js";
+
+export const INVENTORY_DEFAULTS = { reviewDays: 14, demandCv: 0.3, leadTimeCv: 0.2 };
+
+// Door-to-door miles per day when a transport mode does not set `milesPerDay`.
+export const MODE_SPEEDS = { air: 4000, ground: 450, ocean: 300 };
+export const HANDLING_DAYS = 1;
+
+export function modeSpeed(def, mode) { return def?.milesPerDay ?? MODE_SPEEDS[mode] ?? MODE_SPEEDS.ground; }
+
+/** Days in transit over a lane of `thousandMiles`, including the mode's handling days. */
+export function transitDays(def, mode, thousandMiles) { return (def?.handlingDays ?? HANDLING_DAYS) + (thousandMiles * 1000) / modeSpeed(def, mode); }
+
+/********************
+ * Standard normal helpers
+ ********************/
+const SQRT_2PI = Math.sqrt(2 * Math.PI);
+export function normalPdf(x) { return Math.exp(-x * x / 2) / SQRT_2PI; }
+
+// Abramowitz & Stegun 7.1.26, |error| < 1.5e-7.
+export function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Acklam's rational approximation, relative error < 1.2e-9.
+export function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const lo = 0.02425;
+  if (p < lo) { const q = Math.sqrt(-2 * Math.log(p)); return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1); }
+  if (p > 1 - lo) return -normalQuantile(1 - p);
+  const q = p - 0.5; const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Expected shortfall per unit of σ beyond a reorder point z σ above the mean.
+function normalLoss(z) { return normalPdf(z) - z * (1 - normalCdf(z)); }
+
+const Z_MAX = 4;
+
+/**
+ * One LRU's stock at one DC, in units, sized to fill `fillTarget` of demand from the shelf.
+ * Returns { orderQty, cycle, safety, reorderPoint, z, fillRate }: cycle stock is half an order;
+ * fillRate falls short of the target only when even z = Z_MAX cannot reach it.
+ */
+export function dcStock({ annualDemand, leadTimeDays, fillTarget, reviewDays = INVENTORY_DEFAULTS.reviewDays, demandCv = INVENTORY_DEFAULTS.demandCv, leadTimeCv = INVENTORY_DEFAULTS.leadTimeCv }) {
+  const daily = annualDemand / 365; const orderQty = daily * Math.max(1, reviewDays);
+  const sigma = Math.sqrt(leadTimeDays * (demandCv * daily) ** 2 + (daily * leadTimeCv * leadTimeDays) ** 2);
+  if (!(daily > 0) || !(sigma > 0)) return { orderQty, cycle: orderQty / 2, safety: 0, reorderPoint: daily * leadTimeDays, z: 0, fillRate: 1 };
+  const fill = (z) => clamp(1 - (sigma * normalLoss(z)) / orderQty, 0, 1);
+  let lo = 0; let hi = Z_MAX;
+  if (fill(lo) >= fillTarget) hi = 0;
+  else if (fill(hi) >= fillTarget) for (let i = 0; i < 40; i++) { const mid = (lo + hi) / 2; if (fill(mid) >= fillTarget) hi = mid; else lo = mid; }
+  const safety = hi * sigma;
+  return { orderQty, cycle: orderQty / 2, safety, reorderPoint: daily * leadTimeDays + safety, z: hi, fillRate: fill(hi) };
+}
@@ -0,0 +1,75 @@
+/**
+ * Lanes — the distance, transit time, freight rate and mode availability between two points.
+ *
+ * network.lanes is [{ origin, destination, thousandMiles, modes: { [mode]: { available?, transitDays?, costPerTonMi? } } }].
+ * Origin and destination are region ids or supplier/site/DC/customer ids; a site-to-site lane wins over
+ * the lane between the sites' regions. A mode without settings on a lane is available at the
+ * network-wide rate, with transit time from the lane distance and the mode's speed.
+ *
+ * Freight is charged on the larger of a unit's weight and its volumetric weight (volume times the
+ * mode's tons per m³); carbon follows the actual weight.
+ *
+ * evaluateSolution's `laneIssues` lists the legs with no lane ({ kind: "missing" }, costed at
+ * MISSING_LANE_MILES) and the legs whose mode the lane does not offer ({ kind: "unavailable" },
+ * which makes the result infeasible and marks the LRU's line `blocked`), each with { lruId, stage,
+ * from, to, origin, destination (region ids), mode }.
+ */
+import { transitDays } from "./inventory.js";
+
+// Distance used when no lane joins two points; evaluateSolution reports every leg that falls back to it.
+export const MISSING_LANE_MILES = 2.0;
+// Volumetric (dimensional) weight per m³ when a transport mode does not set `volumetricTonsPerM3`.
+export const VOLUMETRIC_TONS_PER_M3 = { air: 0.167, ground: 0.333, ocean: 1.0 };
+export const UNIT_DEFAULTS = { unitWeightKg: 20, unitVolumeM3: 0.02 };
+
+const laneKey = (origin, destination) => `${origin}|${destination}`;
+
+/** (from, to) → the lane between two entities (with `region`), or null when there is none. */
+export function laneLookup(network) {
+  const byKey = new Map();
+  for (const l of network.lanes) if (!byKey.has(laneKey(l.origin, l.destination))) byKey.set(laneKey(l.origin, l.destination), l);
+  return (from, to) => byKey.get(laneKey(from.id, to.id)) ?? byKey.get(laneKey(from.region.id, to.region.id)) ?? null;
+}
+
+/**
+ * What `mode` offers on `lane` (null lane: the MISSING_LANE_MILES fallback at network rates). A
+ * multimodal mode is open only where the lane leaves every one of its `via` modes open too.
+ */
+export function laneMode(network, lane, mode) {
+  const def = network.transport[mode]; const o = lane?.modes[mode] ?? {};
+  const thousandMiles = lane ? lane.thousandMiles : MISSING_LANE_MILES;
+  const legsOpen = (def?.via ?? []).every((l) => network.transport[l.mode] && lane?.modes[l.mode]?.available !== false);
+  return {
+    available: !!def && o.available !== false && legsOpen, thousandMiles,
+    transitDays: o.transitDays ?? transitDays(def, mode, thousandMiles),
+    costPerTonMi: o.costPerTonMi ?? def?.costPerTonMi ?? 0, carbonPerTonMi: def?.carbonPerTonMi ?? 0,
+  };
+}
+
+/** Modes open on the lane between two entities, in network order. */
+export function modesBetween(network, from, to) {
+  const lane = laneLookup(network)(from, to);
+  return Object.keys(network.transport).filter((m) => laneMode(network, lane, m).available);
+}
+
+/** Tons per unit: `actual` for carbon, `chargeable` (max of actual and volumetric) for freight. */
+export function unitTons(lru, mode, def) {
+  const actual = (lru.unitWeightKg ?? UNIT_DEFAULTS.unitWeightKg) / 1000;
+  const volumetric = (lru.unitVolumeM3 ?? UNIT_DEFAULTS.unitVolumeM3) * (def?.volumetricTonsPerM3 ?? VOLUMETRIC_TONS_PER_M3[mode] ?? VOLUMETRIC_TONS_PER_M3.ground);
+  return { actual, chargeable: Math.max(actual, volumetric) };
+}
+
+/**
+ * Region pairs some supplier→site, site→DC or DC→customer leg could use but no lane covers:
+ * [{ origin, destination, legs }] where `legs` counts the entity pairs affected.
+ */
+export function missingLanes(network) {
+  const lane = laneLookup(network); const out = new Map();
+  const check = (froms, tos) => { for (const f of froms) for (const t of tos) if (!lane(f, t)) {
+    const key = laneKey(f.region.id, t.region.id);
+    if (!out.has(key)) out.set(key, { origin: f.region.id, destination: t.region.id, legs: 0 });
+    out.get(key).legs++;
+  } };
+  check(network.suppliers, network.assemblySites); check(network.assemblySites, network.dcs); check(network.dcs, network.customers ?? []);
+  return [...out.values()];
+}
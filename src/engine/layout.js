@@ -0,0 +1,59 @@
+/**
+ * Graph layout — where the network view draws each node.
+ *
+ * The automatic layout puts one tier per row (suppliers, assembly sites, DCs, customers), each
+ * row centred and spread over a canvas that widens with the largest tier. A scenario's `layout`
+ * ({ [nodeId]: [x, y] }) holds only the nodes the user has moved; the rest stay on their tier.
+ */
+export const NODE_SIZE = { width: 140, height: 36 };
+export const GRAPH_TIERS = [
+  { table: "suppliers", kind: "supplier" }, { table: "assemblySites", kind: "assembly" },
+  { table: "dcs", kind: "dc" }, { table: "customers", kind: "customer" },
+];
+const ROW_GAP = 180; const MIN_WIDTH = 1000; const MARGIN = 40; const MAX_GAP = 220; const MIN_GAP = 170;
+
+/** Every node the graph draws: [{ n, kind }], tier by tier. */
+export function graphNodes(network) { return GRAPH_TIERS.flatMap((t) => (network[t.table] ?? []).map((n) => ({ n, kind: t.kind }))); }
+
+/** The tier layout: { width, height, positions: { [id]: { x, y } } }. Empty tiers (no customers) take no row. */
+export function tierLayout(network) {
+  const rows = GRAPH_TIERS.map((t) => network[t.table] ?? []).filter((r) => r.length);
+  const width = Math.max(MIN_WIDTH, Math.max(...rows.map((r) => r.length)) * MIN_GAP + 2 * MARGIN);
+  const positions = {};
+  rows.forEach((row, t) => {
+    const gap = row.length > 1 ? Math.min(MAX_GAP, (width - 2 * MARGIN - NODE_SIZE.width) / (row.length - 1)) : 0;
+    const x0 = (width - (row.length - 1) * gap - NODE_SIZE.width) / 2;
+    row.forEach((n, i) => { positions[n.id] = { x: Math.round(x0 + i * gap), y: MARGIN + t * ROW_GAP }; });
+  });
+  return { width, height: MARGIN + (rows.length - 1) * ROW_GAP + NODE_SIZE.height + 2 * MARGIN, positions };
+}
+
+/** Tier positions with the saved ones on top. */
+export function nodePositions(network, layout = {}) {
+  const { positions } = tierLayout(network);
+  for (const [id, [x, y]] of Object.entries(layout)) if (positions[id]) positions[id] = { x, y };
+  return positions;
+}
+
+/** The box { x, y, width, height } that shows every node, with a margin; at least the tier canvas. */
+export function layoutBounds(network, positions) {
+  const auto = tierLayout(network); const ps = Object.values(positions);
+  const x0 = Math.min(0, ...ps.map((p) => p.x - MARGIN)); const y0 = Math.min(0, ...ps.map((p) => p.y - MARGIN));
+  const x1 = Math.max(auto.width, ...ps.map((p) => p.x + NODE_SIZE.width + MARGIN)); const y1 = Math.max(auto.height, ...ps.map((p) => p.y + NODE_SIZE.height + MARGIN));
+  return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+}
+
+/** Clean a saved layout against a network: returns { layout, notes }, dropping unknown nodes and bad positions. */
+export function validateLayout(raw, network) {
+  const layout = {}; const notes = [];
+  if (raw == null) return { layout, notes };
+  if (typeof raw !== "object" || Array.isArray(raw)) return { layout, notes: ["Dropped an invalid graph layout; nodes use the tier layout."] };
+  const ids = new Set(graphNodes(network).map(({ n }) => n.id)); let unknown = 0;
+  for (const [id, xy] of Object.entries(raw)) {
+    if (!ids.has(id)) { unknown++; continue; }
+    if (Array.isArray(xy) && xy.length === 2 && xy.every((v) => typeof v === "number" && Number.isFinite(v))) layout[id] = [Math.round(xy[0]), Math.round(xy[1])];
+    else notes.push(`Graph layout: dropped the invalid position of "${id}".`);
+  }
+  if (unknown) notes.push(`Graph layout: dropped positions of ${unknown} node${unknown > 1 ? "s" : ""} not in the network.`);
+  return { layout, notes };
+}
@@ -0,0 +1,48 @@
+/**
+ * Cost ledger — filtering and roll-ups over the itemised entries evaluateSolution returns with
+ * `withLedger: true` ({ lruId, stage, from, to, mode, component, amount, carbonKg? }).
+ */
+
+export const LEDGER_COMPONENTS = [
+  { key: "material", label: "Material" },
+  { key: "tariffs", label: "Tariffs" },
+  { key: "transport", label: "Transport" },
+  { key: "assembly", label: "Labor" },
+  { key: "overhead", label: "Overhead" },
+  { key: "inventory", label: "Inventory" },
+  { key: "carbon", label: "Carbon" },
+  { key: "overflow", label: "Overflow" },
+];
+
+export const LEDGER_STAGES = { inbound: "Supplier → Assembly", outbound: "Assembly → DC", lastMile: "DC → Customer" };
+
+// Each dimension: the group key of an entry, and its label given the network.
+export const LEDGER_DIMENSIONS = {
+  lru: { label: "LRU", key: (e) => e.lruId, name: (k, n) => n.lrus.find((l) => l.id === k)?.name ?? k },
+  stage: { label: "Leg", key: (e) => e.stage, name: (k) => LEDGER_STAGES[k] ?? k },
+  lane: { label: "Lane", key: (e) => `${e.from}→${e.to}`, name: (k) => k },
+  component: { label: "Component", key: (e) => e.component, name: (k) => LEDGER_COMPONENTS.find((c) => c.key === k)?.label ?? k },
+};
+
+/**
+ * Entries matching every given field of `filter`: { lru, stage, lane, component } compare with the
+ * dimension keys; `node` keeps entries on a lane touching that supplier/site/DC.
+ */
+export function filterLedger(ledger, filter = {}) {
+  return ledger.filter((e) => {
+    if (filter.node && e.from !== filter.node && e.to !== filter.node) return false;
+    return Object.entries(LEDGER_DIMENSIONS).every(([dim, d]) => filter[dim] == null || d.key(e) === filter[dim]);
+  });
+}
+
+/** Group by a dimension: [{ key, name, amount, carbonKg, byComponent: { [component]: amount } }], largest first. */
+export function rollupLedger(ledger, dimension, network) {
+  const d = LEDGER_DIMENSIONS[dimension]; const groups = new Map();
+  for (const e of ledger) {
+    const key = d.key(e);
+    if (!groups.has(key)) groups.set(key, { key, name: d.name(key, network), amount: 0, carbonKg: 0, byComponent: {} });
+    const g = groups.get(key);
+    g.amount += e.amount; g.carbonKg += e.carbonKg ?? 0; g.byComponent[e.component] = (g.byComponent[e.component] ?? 0) + e.amount;
+  }
+  return [...groups.values()].sort((a, b) => b.amount - a.amount);
+}
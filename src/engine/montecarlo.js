@@ -0,0 +1,136 @@
+/**
+ * Monte Carlo — seeded, reproducible sampling of demand, cost, lead time, tariff and reliability
+ * around a fixed assignment, with region-correlated supplier shocks.
+ *
+ * Every uncertain input is a multiplicative factor around 1 drawn from its own distribution.
+ * Draws go through a Gaussian copula: each starts as a standard normal, supplier-side draws mix
+ * in a shared per-region shock (`correlation` is its weight), then the normal is mapped onto the
+ * target distribution. A region shock pushes cost, lead time and tariff up and reliability down;
+ * the tariff factor scales the region's suppliers' flat rates and the schedule rate (tariffs.js)
+ * on goods from that region, "*" rows included.
+ * FX rates (fx.js) move independently per currency, and costs are restated in the reporting
+ * currency at each draw's rates (then expressed in USD at the configured rates, like every result).
+ */
+import { clamp, effectiveLrus, evaluateSolution } from "./evaluate.js";
+import { BASE_CURRENCY, networkCurrencies, usdPer } from "./fx.js";
+import { normalCdf } from "./inventory.js";
+import { seedRandom } from "./network.js";
+import { scaleTariffs } from "./tariffs.js";
+
+export const DISTRIBUTIONS = {
+  fixed: { label: "Fixed", fields: [] },
+  normal: { label: "Normal", fields: [["sd", "Std dev"]] },
+  uniform: { label: "Uniform", fields: [["min", "Min"], ["max", "Max"]] },
+  triangular: { label: "Triangular", fields: [["min", "Min"], ["mode", "Mode"], ["max", "Max"]] },
+  lognormal: { label: "Lognormal", fields: [["sigma", "σ (log)"]] },
+};
+
+/** Defaults reproduce the original demand CV and reliability shock, with every other input fixed (FX included). */
+export function defaultMonteCarlo() {
+  return {
+    seed: 12345, samples: 10_000, correlation: 0.5, confidence: 0.95,
+    demand: { kind: "normal", sd: 0.10 }, demandByLru: {},
+    unitCost: { kind: "fixed" }, leadTime: { kind: "fixed" }, tariff: { kind: "fixed" },
+    fx: { kind: "fixed" }, fxByCurrency: {},
+    reliabilitySd: 0.02,
+  };
+}
+
+function gaussian(rnd) {
+  let u = 0; let v = 0; while (u === 0) u = rnd(); while (v === 0) v = rnd();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/** Map a standard normal draw onto a distribution (a factor that is 1 at its centre, never negative). */
+export function sampleFactor(dist, x) {
+  switch (dist?.kind) {
+    case "normal": return Math.max(0, 1 + dist.sd * x);
+    case "lognormal": return Math.exp(dist.sigma * x - dist.sigma * dist.sigma / 2); // mean 1
+    case "uniform": return dist.min + (dist.max - dist.min) * normalCdf(x);
+    case "triangular": {
+      const { min, mode, max } = dist; const u = normalCdf(x); const span = max - min;
+      if (span <= 0) return mode;
+      return u < (mode - min) / span ? min + Math.sqrt(u * span * (mode - min)) : max - Math.sqrt((1 - u) * span * (max - mode));
+    }
+    default: return 1;
+  }
+}
+
+/** Equal-width histogram: { min, max, width, counts }. */
+export function histogram(sorted, bins = 30) {
+  const min = sorted[0] ?? 0; const max = sorted[sorted.length - 1] ?? 0;
+  const width = (max - min) / bins || 1;
+  const counts = new Array(bins).fill(0);
+  for (const v of sorted) counts[Math.min(bins - 1, Math.floor((v - min) / width))]++;
+  return { min, max, width, counts };
+}
+
+function summarize(values) {
+  const sorted = Float64Array.from(values).sort();
+  const n = sorted.length; const q = (p) => sorted[Math.floor(clamp(p, 0, 1) * (n - 1))];
+  const mean = sorted.reduce((a, b) => a + b, 0) / n;
+  const sd = Math.sqrt(sorted.reduce((a, b) => a + (b - mean) ** 2, 0) / Math.max(1, n - 1));
+  return { sorted, mean, sd, p10: q(0.1), p50: q(0.5), p90: q(0.9), q };
+}
+
+/**
+ * Run `config.samples` draws (see defaultMonteCarlo) against `assignment`. The same seed and
+ * inputs always give the same result. Returns
+ * { samples, seed, elapsedMs, overCapacity, cost: { mean, sd, p10, p50, p90, var, cvar, confidence, histogram },
+ *   service: { mean, p10, p50, p90, worstMean, worstP10, pMeetTarget, histogram } }.
+ * Service is the demand-weighted fill rate (worst* is the lowest LRU's); pMeetTarget is the share
+ * of draws in which every LRU meets its own target.
+ * VaR is the `confidence` quantile of annual cost; CVaR is the mean cost beyond it. Draws that
+ * overload a site while overflow is disallowed have no cost: they count in `overCapacity` (a share)
+ * and as missing the service targets, and are left out of the cost statistics.
+ */
+export function runMonteCarlo({ assignment, params, network, lruEdits = {}, config, onProgress, progressEveryMs = 200 }) {
+  const t0 = Date.now(); let lastReport = t0;
+  const cfg = { ...defaultMonteCarlo(), ...config };
+  const samples = Math.max(1, Math.round(cfg.samples));
+  const rnd = seedRandom(((Math.round(cfg.seed) % 2147483646) + 2147483646) % 2147483646 + 1);
+  const rho = clamp(cfg.correlation, 0, 1); const own = Math.sqrt(1 - rho * rho);
+  const lrus = effectiveLrus(network.lrus, lruEdits);
+  const regionIds = [...new Set(network.suppliers.map((s) => s.region.id))];
+  // FX draws only for currencies with a non-fixed distribution, so fixed FX leaves every other draw as it was
+  const fxDist = (c) => cfg.fxByCurrency?.[c] ?? cfg.fx;
+  const fxCodes = [...new Set([...networkCurrencies(network).map((c) => c.code), params.fx?.reporting ?? BASE_CURRENCY])].filter((c) => c !== BASE_CURRENCY && (fxDist(c)?.kind ?? "fixed") !== "fixed");
+  const reportingRate = usdPer(params.fx, params.fx?.reporting ?? BASE_CURRENCY);
+  const costs = []; const services = new Float64Array(samples); const worst = new Float64Array(samples);
+  let hits = 0;
+
+  for (let i = 0; i < samples; i++) {
+    const shock = Object.fromEntries(regionIds.map((r) => [r, gaussian(rnd)]));
+    const mix = (r) => rho * shock[r] + own * gaussian(rnd);
+    const tariff = Object.fromEntries(regionIds.map((r) => [r, sampleFactor(cfg.tariff, mix(r))]));
+    const sampled = {
+      ...network,
+      lrus: lrus.map((l) => ({ ...l, baseDemand: l.baseDemand * sampleFactor(cfg.demandByLru[l.id] ?? cfg.demand, gaussian(rnd)) })),
+      suppliers: network.suppliers.map((s) => ({
+        ...s,
+        unitCost: s.unitCost * sampleFactor(cfg.unitCost, mix(s.region.id)),
+        leadTimeDays: s.leadTimeDays * sampleFactor(cfg.leadTime, mix(s.region.id)),
+        tariffRate: s.tariffRate * tariff[s.region.id],
+        reliability: clamp(s.reliability - mix(s.region.id) * cfg.reliabilitySd, 0.80, 0.995),
+      })),
+    };
+    const fx = fxCodes.length ? { ...params.fx, rates: { ...params.fx?.rates, ...Object.fromEntries(fxCodes.map((c) => [c, usdPer(params.fx, c) * sampleFactor(fxDist(c), gaussian(rnd))])) } } : params.fx;
+    const res = evaluateSolution({ assignment, params: { ...params, fx, tariffs: scaleTariffs(params.tariffs ?? null, tariff) }, network: sampled });
+    services[i] = res.totals.serviceLevel; worst[i] = res.totals.serviceWorst;
+    if (Number.isFinite(res.cost)) { costs.push((res.cost / usdPer(fx, fx?.reporting ?? BASE_CURRENCY)) * reportingRate); if (!res.service.misses.length) hits++; }
+    if (onProgress && i % 500 === 499 && Date.now() - lastReport >= progressEveryMs) { lastReport = Date.now(); onProgress({ done: i + 1, total: samples }); }
+  }
+
+  const s = summarize(services); const w = summarize(worst);
+  const confidence = clamp(cfg.confidence, 0.5, 0.999);
+  let cost = null;
+  if (costs.length) {
+    const c = summarize(costs); const varCost = c.q(confidence);
+    const tail = c.sorted.filter((v) => v >= varCost);
+    cost = { mean: c.mean, sd: c.sd, p10: c.p10, p50: c.p50, p90: c.p90, var: varCost, cvar: tail.reduce((a, b) => a + b, 0) / tail.length, confidence, histogram: histogram(c.sorted) };
+  }
+  return {
+    samples, seed: cfg.seed, elapsedMs: Date.now() - t0, overCapacity: 1 - costs.length / samples, cost,
+    service: { mean: s.mean, p10: s.p10, p50: s.p50, p90: s.p90, worstMean: w.mean, worstP10: w.p10, pMeetTarget: hits / samples, histogram: histogram(s.sorted) },
+  };
+}
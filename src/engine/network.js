@@ -0,0 +1,412 @@
+/**
+ * Network master data — sample generator, CSV/JSON import with row-level
+ * validation, and small immutable edit helpers used by the in-app editor.
+ *
+ * A network is { regions, suppliers, assemblySites, dcs, customers, lrus, transport, lanes }
+ * (customers: see customers.js, transport: transport.js, lanes: lanes.js). Entities reference
+ * their region by object; the JSON form (toNetworkJSON) uses region ids, lists transport as a
+ * `modes` table and flattens per-mode lane settings and customers' per-LRU demand shares into
+ * `laneModes` and `customerDemand` tables. Customers are optional. Supplier and assembly-site costs
+ * are in their `currency` (fx.js); the sample's European and Mexican suppliers quote in EUR and MXN.
+ * An LRU's `tariffClass` picks its rows in a tariff schedule (tariffs.js).
+ */
+
+import { MODE_PRESETS, composeTransport, ownModeFields, parseVia } from "./transport.js";
+import { CURRENCY_CODE, DEFAULT_FX } from "./fx.js";
+
+/********************
+ * Utility helpers
+ ********************/
+export function seedRandom(seed) {
+  let t = seed % 2147483647;
+  return () => (t = (t * 48271) % 2147483647) / 2147483647;
+}
+
+/********************
+ * Sample data
+ ********************/
+export function generateMockNetwork(seed = 42) {
+  const rnd = seedRandom(seed);
+  const regions = [
+    { id: "NA", name: "North America", risk: 0.10, carbon: 0.6 },
+    { id: "EU", name: "Europe", risk: 0.08, carbon: 0.5 },
+    { id: "AP", name: "Asia Pacific", risk: 0.14, carbon: 0.8 },
+    { id: "MX", name: "Mexico", risk: 0.11, carbon: 0.65 },
+  ];
+  const suppliers = [
+    { id: "S1", name: "Supplier A", region: regions[0], unitCost: 120 + 20 * rnd(), currency: "USD", leadTimeDays: 18 + Math.floor(6 * rnd()), reliability: 0.96 - 0.03 * rnd(), capacity: 12000, tariffRate: 0.02 },
+    { id: "S2", name: "Supplier B", region: regions[2], unitCost: 95 + 15 * rnd(), currency: "USD", leadTimeDays: 28 + Math.floor(8 * rnd()), reliability: 0.93 - 0.03 * rnd(), capacity: 18000, tariffRate: 0.05 },
+    { id: "S3", name: "Supplier C", region: regions[1], unitCost: (110 + 20 * rnd()) / DEFAULT_FX.rates.EUR, currency: "EUR", leadTimeDays: 20 + Math.floor(8 * rnd()), reliability: 0.95 - 0.02 * rnd(), capacity: 15000, tariffRate: 0.03 },
+    { id: "S4", name: "Supplier D", region: regions[3], unitCost: (100 + 20 * rnd()) / DEFAULT_FX.rates.MXN, currency: "MXN", leadTimeDays: 22 + Math.floor(5 * rnd()), reliability: 0.94 - 0.02 * rnd(), capacity: 13000, tariffRate: 0.04 },
+  ];
+  const assemblySites = [
+    { id: "A1", name: "Assembly East", region: regions[0], laborCostMultiplier: 1.0, fixedOverhead: 1_000_000, currency: "USD", capacity: 15000 },
+    { id: "A2", name: "Assembly West", region: regions[0], laborCostMultiplier: 0.95, fixedOverhead: 900_000, currency: "USD", capacity: 14000 },
+  ];
+  const dcs = [ { id: "D1", name: "DC East", region: regions[0] }, { id: "D2", name: "DC West", region: regions[0] } ];
+  const customers = [
+    { id: "C1", name: "MRO Atlanta", region: regions[0], deliveryDays: 3, demandWeight: 0.5, lruShares: {} },
+    { id: "C2", name: "FAL Toulouse", region: regions[1], deliveryDays: 5, demandWeight: 0.3, lruShares: {} },
+    { id: "C3", name: "MRO Singapore", region: regions[2], deliveryDays: 7, demandWeight: 0.2, lruShares: {} },
+  ];
+  const lrus = [
+    { id: "L1", name: "LRU-Avionics", baseDemand: 8000, bomLaborHours: 2.4, bomScrapRate: 0.02, unitWeightKg: 20, unitVolumeM3: 0.02, tariffClass: "avionics" },
+    { id: "L2", name: "LRU-Power Unit", baseDemand: 6500, bomLaborHours: 3.1, bomScrapRate: 0.03, unitWeightKg: 20, unitVolumeM3: 0.02, tariffClass: "electrical" },
+    { id: "L3", name: "LRU-Cooling Module", baseDemand: 5000, bomLaborHours: 2.0, bomScrapRate: 0.025, unitWeightKg: 20, unitVolumeM3: 0.02, tariffClass: "thermal" },
+  ];
+  const transport = {
+    air: { costPerTonMi: 0.95, leadPenaltyDays: -5, carbonPerTonMi: 1.8, milesPerDay: 4000 },
+    ocean: { costPerTonMi: 0.12, leadPenaltyDays: +14, carbonPerTonMi: 0.25, milesPerDay: 300 },
+    ground: { costPerTonMi: 0.35, leadPenaltyDays: 0, carbonPerTonMi: 0.6, milesPerDay: 450 },
+  };
+  const lanes = [
+    { origin: "NA", destination: "NA", thousandMiles: 0.8, modes: {} },
+    { origin: "AP", destination: "NA", thousandMiles: 6.2, modes: { ground: { available: false } } },
+    { origin: "EU", destination: "NA", thousandMiles: 3.8, modes: { ground: { available: false } } },
+    { origin: "MX", destination: "NA", thousandMiles: 1.1, modes: { ocean: { available: false } } },
+    { origin: "NA", destination: "EU", thousandMiles: 3.8, modes: { ground: { available: false } } },
+    { origin: "NA", destination: "AP", thousandMiles: 6.2, modes: { ground: { available: false } } },
+  ];
+  return { suppliers, assemblySites, dcs, customers, lrus, transport, lanes, regions };
+}
+
+/********************
+ * Table schema (drives import validation and the entity editor)
+ ********************/
+// type: id | string | number | boolean | region | node (region, site or customer id) | mode | via
+// (see transport.js) | ref (an id in `table`) | currency (ISO 4217 code, see fx.js). `def` seeds new
+// rows added in-app, and fills `optional` fields left blank on import.
+export const NETWORK_TABLES = {
+  regions: { label: "Regions", file: /region/i, fields: [
+    { key: "id", type: "id" }, { key: "name", type: "string" },
+    { key: "risk", type: "number", min: 0, max: 1 }, { key: "carbon", type: "number", min: 0 },
+  ] },
+  suppliers: { label: "Suppliers", prefix: "S", file: /supplier/i, fields: [
+    { key: "id", type: "id" }, { key: "name", type: "string", def: "New Supplier" }, { key: "region", type: "region" },
+    { key: "unitCost", type: "number", min: 0, def: 100 }, { key: "leadTimeDays", type: "number", min: 0, def: 21 },
+    { key: "reliability", type: "number", min: 0, max: 1, def: 0.95 }, { key: "capacity", type: "number", min: 1, def: 10000 },
+    { key: "tariffRate", type: "number", min: 0, max: 1, def: 0.03 }, { key: "currency", type: "currency", def: "USD", optional: true },
+  ] },
+  assemblySites: { label: "Assembly Sites", prefix: "A", file: /assembl|site/i, fields: [
+    { key: "id", type: "id" }, { key: "name", type: "string", def: "New Assembly" }, { key: "region", type: "region" },
+    { key: "laborCostMultiplier", type: "number", min: 0, def: 1.0 }, { key: "fixedOverhead", type: "number", min: 0, def: 900_000 },
+    { key: "capacity", type: "number", min: 1, def: 12000 }, { key: "currency", type: "currency", def: "USD", optional: true },
+  ] },
+  dcs: { label: "Distribution Centers", prefix: "D", file: /(^|[^a-z])dcs?([^a-z]|$)|distribution/i, fields: [
+    { key: "id", type: "id" }, { key: "name", type: "string", def: "New DC" }, { key: "region", type: "region" },
+  ] },
+  customers: { label: "Customers", prefix: "C", file: /^(?!.*demand).*customer/i, fields: [
+    { key: "id", type: "id" }, { key: "name", type: "string", def: "New Customer" }, { key: "region", type: "region" },
+    { key: "deliveryDays", type: "number", min: 0, def: 5, optional: true }, { key: "demandWeight", type: "number", min: 0, def: 1, optional: true },
+  ] },
+  customerDemand: { label: "Customer Demand", file: /customer.?demand/i, fields: [
+    { key: "customer", type: "ref", table: "customers" }, { key: "lru", type: "ref", table: "lrus" }, { key: "share", type: "number", min: 0 },
+  ] },
+  lrus: { label: "LRUs", prefix: "L", file: /lru|product/i, fields: [
+    { key: "id", type: "id" }, { key: "name", type: "string", def: "LRU-New" },
+    { key: "baseDemand", type: "number", min: 0, def: 5000 }, { key: "bomLaborHours", type: "number", min: 0, def: 2.0 },
+    { key: "bomScrapRate", type: "number", min: 0, max: 1, def: 0.02 },
+    { key: "unitWeightKg", type: "number", min: 0, def: 20, optional: true }, { key: "unitVolumeM3", type: "number", min: 0, def: 0.02, optional: true },
+    { key: "tariffClass", type: "string", def: "general", optional: true },
+  ] },
+  lanes: { label: "Lanes", file: /^(?!.*mode).*(lane|distance)/i, fields: [
+    { key: "origin", type: "node" }, { key: "destination", type: "node" },
+    { key: "thousandMiles", type: "number", min: 0 },
+  ] },
+  modes: { label: "Modes", file: /^(?!.*lane).*(mode|transport)/i, fields: [
+    { key: "id", type: "id" }, { key: "label", type: "string", optional: true },
+    { key: "costPerTonMi", type: "number", min: 0, optional: true }, { key: "carbonPerTonMi", type: "number", min: 0, optional: true },
+    { key: "leadPenaltyDays", type: "number", optional: true }, { key: "milesPerDay", type: "number", min: 1, optional: true },
+    { key: "handlingDays", type: "number", min: 0, optional: true }, { key: "volumetricTonsPerM3", type: "number", min: 0, optional: true },
+    { key: "risk", type: "number", min: 0, optional: true }, { key: "minShipmentTons", type: "number", min: 0, optional: true },
+    { key: "via", type: "via", optional: true }, { key: "transferDays", type: "number", min: 0, optional: true },
+  ] },
+  laneModes: { label: "Lane Modes", file: /lane.?mode/i, fields: [
+    { key: "origin", type: "node" }, { key: "destination", type: "node" }, { key: "mode", type: "mode" },
+    { key: "available", type: "boolean", def: true, optional: true },
+    { key: "transitDays", type: "number", min: 0, optional: true }, { key: "costPerTonMi", type: "number", min: 0, optional: true },
+  ] },
+};
+const ENTITY_TABLES = ["suppliers", "assemblySites", "dcs", "lrus"];
+
+export function formatImportError(e) {
+  const where = [e.source, e.row != null ? `row ${e.row}` : null, e.field ? `field "${e.field}"` : null].filter(Boolean).join(", ");
+  return where ? `${where}: ${e.message}` : e.message;
+}
+
+/********************
+ * CSV parsing
+ ********************/
+// RFC 4180-ish: quoted cells, doubled quotes, CRLF. Rows keep their 1-based line number.
+export function parseCSV(text) {
+  const rows = []; let row = []; let cell = ""; let quoted = false; let line = 1; let rowLine = 1;
+  const endRow = () => { row.push(cell); if (row.some((c) => c.trim() !== "")) rows.push({ line: rowLine, cells: row }); row = []; cell = ""; rowLine = line; };
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else { if (ch === "\n") line++; cell += ch; }
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") { if (ch === "\r" && text[i + 1] === "\n") i++; line++; endRow(); }
+    else cell += ch;
+  }
+  if (cell !== "" || row.length) endRow();
+  return rows;
+}
+
+function csvRecords(text, source) {
+  const rows = parseCSV(text.replace(/^\uFEFF/, ""));
+  if (!rows.length) return { records: [], errors: [{ source, message: "File is empty" }] };
+  const header = rows[0].cells.map((h) => h.trim());
+  const records = rows.slice(1).map((r) => ({ source, row: r.line, values: Object.fromEntries(header.map((h, i) => [h, r.cells[i]])) }));
+  return { records, errors: [] };
+}
+
+function objectRecords(list, source) {
+  return list.map((values, i) => ({ source, row: i + 1, values: values && typeof values === "object" ? values : {} }));
+}
+
+/********************
+ * Validation & assembly
+ ********************/
+// refs: { regions: { id: region }, nodes: Set of region/site ids, modes: Set of transport modes }
+function coerce(spec, raw, rec, errors, refs) {
+  const err = (message) => { errors.push({ source: rec.source, row: rec.row, field: spec.key, message }); return undefined; };
+  const value = spec.type === "region" && raw && typeof raw === "object" ? raw.id : raw;
+  const blank = value == null || (typeof value === "string" && value.trim() === "");
+  if (blank) return spec.optional ? spec.def : err("is required");
+  if (spec.type === "via") return parseVia(value) ?? err(`expected two or more legs like "ocean:0.85;ground:0.15", got ${JSON.stringify(value)}`);
+  if (spec.type === "boolean") {
+    if (typeof value === "boolean") return value;
+    const s = String(value).trim().toLowerCase();
+    if (["true", "yes", "y", "1"].includes(s)) return true;
+    if (["false", "no", "n", "0"].includes(s)) return false;
+    return err(`expected true or false, got "${value}"`);
+  }
+  if (spec.type === "number") {
+    const n = typeof value === "number" ? value : Number(String(value).trim());
+    if (!Number.isFinite(n)) return err(`expected a number, got "${value}"`);
+    if (spec.min != null && n < spec.min) return err(`must be ≥ ${spec.min}, got ${n}`);
+    if (spec.max != null && n > spec.max) return err(`must be ≤ ${spec.max}, got ${n}`);
+    return n;
+  }
+  const s = String(value).trim();
+  if (spec.type === "currency") return CURRENCY_CODE.test(s.toUpperCase()) ? s.toUpperCase() : err(`expected a three-letter currency code like "EUR", got "${s}"`);
+  if (spec.type === "region") return refs.regions[s] ?? err(`unknown region "${s}"`);
+  if (spec.type === "node") return refs.nodes.has(s) ? s : err(`unknown region or site "${s}"`);
+  if (spec.type === "mode") return refs.modes.has(s) ? s : err(`unknown transport mode "${s}"`);
+  if (spec.type === "ref") return refs.ids[spec.table].has(s) ? s : err(`unknown ${spec.key} "${s}"`);
+  return s;
+}
+
+function readTable(table, records, errors, refs) {
+  const { fields } = NETWORK_TABLES[table]; const out = []; const seen = new Map();
+  for (const rec of records) {
+    const before = errors.length; const entity = {};
+    for (const spec of fields) entity[spec.key] = coerce(spec, rec.values[spec.key], rec, errors, refs);
+    if (entity.id != null) {
+      if (seen.has(entity.id)) errors.push({ source: rec.source, row: rec.row, field: "id", message: `duplicate id "${entity.id}" (first seen at row ${seen.get(entity.id)})` });
+      else seen.set(entity.id, rec.row);
+    }
+    if (errors.length === before) out.push(entity);
+  }
+  return out;
+}
+
+function baseRecords(base) {
+  const json = toNetworkJSON(base); const out = {};
+  for (const table of Object.keys(NETWORK_TABLES)) out[table] = objectRecords(json[table], "current network");
+  return out;
+}
+
+function assemble(raw, base, errors) {
+  const fallback = baseRecords(base);
+  const pick = (table) => raw[table] ?? fallback[table];
+  const regions = readTable("regions", pick("regions"), errors, {});
+  const transport = readTransport(pick("modes"), errors);
+  const refs = { regions: Object.fromEntries(regions.map((r) => [r.id, r])), modes: new Set(Object.keys(transport)) };
+  const tables = {};
+  for (const table of ENTITY_TABLES) {
+    const before = errors.length; tables[table] = readTable(table, pick(table), errors, refs);
+    if (!tables[table].length && errors.length === before)
+      errors.push({ source: pick(table)[0]?.source ?? table, message: `${NETWORK_TABLES[table].label} table has no rows` });
+  }
+  // customers may be absent; their per-LRU shares go with the customers table they were read with
+  const customers = readTable("customers", pick("customers"), errors, refs).map((c) => ({ ...c, lruShares: {} }));
+  refs.ids = { customers: new Set(customers.map((c) => c.id)), lrus: new Set(tables.lrus.map((l) => l.id)) };
+  const seenShares = new Set();
+  for (const rec of raw.customerDemand ?? (raw.customers ? [] : fallback.customerDemand)) {
+    const [d] = readTable("customerDemand", [rec], errors, refs); if (!d) continue;
+    if (seenShares.has(`${d.customer}|${d.lru}`)) { errors.push({ source: rec.source, row: rec.row, message: `duplicate share for ${d.customer} / ${d.lru}` }); continue; }
+    seenShares.add(`${d.customer}|${d.lru}`); customers.find((c) => c.id === d.customer).lruShares[d.lru] = d.share;
+  }
+  refs.nodes = new Set([...regions, ...tables.suppliers, ...tables.assemblySites, ...tables.dcs, ...customers].map((e) => e.id));
+  // per-mode settings belong to the lanes they were read with; a new lanes table drops the old ones
+  const laneRecords = pick("lanes"); const laneModeRecords = raw.laneModes ?? (raw.lanes ? [] : fallback.laneModes);
+  const lanes = []; const byKey = new Map();
+  laneRecords.forEach((rec) => {
+    const [lane] = readTable("lanes", [rec], errors, refs); if (!lane) return;
+    const key = `${lane.origin}|${lane.destination}`;
+    if (byKey.has(key)) { errors.push({ source: rec.source, row: rec.row, message: `duplicate lane ${lane.origin} → ${lane.destination}` }); return; }
+    byKey.set(key, { ...lane, modes: {} }); lanes.push(byKey.get(key));
+  });
+  laneModeRecords.forEach((rec) => {
+    const [m] = readTable("laneModes", [rec], errors, refs); if (!m) return;
+    const lane = byKey.get(`${m.origin}|${m.destination}`);
+    if (!lane) { errors.push({ source: rec.source, row: rec.row, message: `no lane ${m.origin} → ${m.destination} for its ${m.mode} settings` }); return; }
+    lane.modes[m.mode] = Object.fromEntries(Object.entries({ available: m.available, transitDays: m.transitDays, costPerTonMi: m.costPerTonMi }).filter(([, v]) => v !== undefined));
+  });
+  if (errors.length) return { network: null, errors };
+  return { network: { ...tables, customers, regions, transport, lanes }, errors: [] };
+}
+
+// Single modes need their rates; multimodal ones derive them from their legs.
+function readTransport(records, errors) {
+  const source = records[0]?.source ?? "modes"; const transport = {};
+  if (!records.length) errors.push({ source, message: "Modes table has no rows" });
+  for (const rec of records) {
+    const [row] = readTable("modes", [rec], errors, {}); if (!row) continue;
+    if (transport[row.id]) { errors.push({ source: rec.source, row: rec.row, field: "id", message: `duplicate id "${row.id}"` }); continue; }
+    const def = Object.fromEntries(Object.entries(row).filter(([k, v]) => k !== "id" && v !== undefined));
+    const missing = def.via ? [] : ["costPerTonMi", "carbonPerTonMi", "leadPenaltyDays"].filter((k) => def[k] == null);
+    if (missing.length) { errors.push({ source: rec.source, row: rec.row, message: `mode "${row.id}" needs ${missing.join(", ")} (or via legs)` }); continue; }
+    transport[row.id] = def.via ? ownModeFields(def) : def;
+  }
+  const composed = composeTransport(transport);
+  errors.push(...composed.errors.map((message) => ({ source, message })));
+  return composed.transport;
+}
+
+function recordsFromObject(obj, source) {
+  const raw = {};
+  for (const table of Object.keys(NETWORK_TABLES)) if (Array.isArray(obj[table])) raw[table] = objectRecords(obj[table], source);
+  if (!raw.modes && obj.transport && typeof obj.transport === "object")
+    raw.modes = objectRecords(Object.entries(obj.transport).map(([id, def]) => ({ ...def, id })), source);
+  if (!raw.lanes && obj.distances && typeof obj.distances === "object")
+    raw.lanes = Object.entries(obj.distances).map(([key, thousandMiles], i) => { const [origin, destination] = key.split("-"); return { source, row: i + 1, values: { origin, destination, thousandMiles } }; });
+  return raw;
+}
+
+/**
+ * Import master data from files ([{ name, text }]). CSV files are matched to a table
+ * by file name; a JSON file may hold a whole network or an exported scenario with `network`.
+ * Tables not present in the files are kept from `base`. Returns { network, errors };
+ * `network` is null whenever any error was found.
+ */
+export function importNetworkFiles(files, base) {
+  const errors = []; const raw = {};
+  for (const f of files) {
+    if (/\.json$/i.test(f.name)) {
+      let data;
+      try { data = JSON.parse(f.text); } catch (e) { errors.push({ source: f.name, message: `Invalid JSON: ${e.message}` }); continue; }
+      const found = recordsFromObject(data?.network ?? data ?? {}, f.name);
+      if (!Object.keys(found).length) errors.push({ source: f.name, message: "No network tables found (expected suppliers, assemblySites, dcs, lrus, modes, lanes, laneModes or regions)" });
+      Object.assign(raw, found);
+    } else {
+      const table = Object.keys(NETWORK_TABLES).find((t) => NETWORK_TABLES[t].file.test(f.name.replace(/\.[^.]+$/, "")));
+      if (!table) { errors.push({ source: f.name, message: "Cannot tell which table this file holds; name it regions, suppliers, sites, dcs, lrus, modes, lanes or lane-modes (.csv)" }); continue; }
+      const { records, errors: e } = csvRecords(f.text, f.name); errors.push(...e);
+      raw[table] = records;
+    }
+  }
+  return assemble(raw, base, errors);
+}
+
+/** Rebuild a network from its JSON form (e.g. a saved scenario), validated like an import. */
+export function networkFromJSON(obj, base) {
+  return assemble(recordsFromObject(obj || {}, "scenario"), base, []);
+}
+
+export function toNetworkJSON(network) {
+  const flat = (e) => (e.region ? { ...e, region: e.region.id } : { ...e });
+  return {
+    regions: network.regions.map((r) => ({ ...r })),
+    suppliers: network.suppliers.map(flat), assemblySites: network.assemblySites.map(flat), dcs: network.dcs.map(flat), lrus: network.lrus.map(flat),
+    customers: (network.customers ?? []).map(({ lruShares, ...c }) => flat(c)),
+    customerDemand: (network.customers ?? []).flatMap((c) => Object.entries(c.lruShares ?? {}).map(([lru, share]) => ({ customer: c.id, lru, share }))),
+    lanes: network.lanes.map(({ origin, destination, thousandMiles }) => ({ origin, destination, thousandMiles })),
+    modes: Object.entries(network.transport).map(([id, def]) => ({ id, ...ownModeFields(def) })),
+    laneModes: network.lanes.flatMap(({ origin, destination, modes }) => Object.entries(modes).map(([mode, m]) => ({ origin, destination, mode, ...m }))),
+  };
+}
+
+/********************
+ * In-app entity editing (immutable)
+ ********************/
+export function addEntity(network, table) {
+  const { prefix, fields } = NETWORK_TABLES[table];
+  const list = network[table] ?? [];
+  const ids = new Set(list.map((e) => e.id)); let n = list.length + 1;
+  while (ids.has(`${prefix}${n}`)) n++;
+  const entity = { id: `${prefix}${n}` };
+  for (const spec of fields) if (spec.key !== "id") entity[spec.key] = spec.type === "region" ? network.regions[0] : spec.def;
+  return { ...network, [table]: [...list, table === "customers" ? { ...entity, lruShares: {} } : entity] };
+}
+
+// Lanes ending at a removed site or customer go with it, and so do customers' shares of a removed LRU.
+export function removeEntity(network, table, id) {
+  const customers = table === "lrus" ? network.customers?.map((c) => { const { [id]: _, ...lruShares } = c.lruShares ?? {}; return { ...c, lruShares }; }) : network.customers;
+  return { ...network, customers, [table]: network[table].filter((e) => e.id !== id), lanes: network.lanes.filter((l) => l.origin !== id && l.destination !== id) };
+}
+
+export function updateEntity(network, table, id, key, value) {
+  const v = key === "region" ? network.regions.find((r) => r.id === value) : value;
+  if (v === undefined) return network;
+  return { ...network, [table]: network[table].map((e) => (e.id === id ? { ...e, [key]: v } : e)) };
+}
+
+/** Set a customer's share of one LRU's demand; undefined clears it (back to demandWeight). */
+export function updateCustomerShare(network, customerId, lruId, share) {
+  return { ...network, customers: network.customers.map((c) => {
+    if (c.id !== customerId) return c;
+    const { [lruId]: _, ...rest } = c.lruShares ?? {};
+    return { ...c, lruShares: share === undefined ? rest : { ...rest, [lruId]: share } };
+  }) };
+}
+
+// Lanes are edited by index; `patch` holds origin/destination/thousandMiles, `modePatch` one mode's settings.
+export function addLane(network, origin, destination, thousandMiles = 1) {
+  return { ...network, lanes: [...network.lanes, { origin, destination, thousandMiles, modes: {} }] };
+}
+export function updateLane(network, index, patch) {
+  return { ...network, lanes: network.lanes.map((l, i) => (i === index ? { ...l, ...patch } : l)) };
+}
+export function updateLaneMode(network, index, mode, modePatch) {
+  return { ...network, lanes: network.lanes.map((l, i) => {
+    if (i !== index) return l;
+    const next = Object.fromEntries(Object.entries({ ...l.modes[mode], ...modePatch }).filter(([k, v]) => v !== undefined && !(k === "available" && v)));
+    const { [mode]: _, ...rest } = l.modes;
+    return { ...l, modes: Object.keys(next).length ? { ...rest, [mode]: next } : rest };
+  }) };
+}
+export function removeLane(network, index) {
+  return { ...network, lanes: network.lanes.filter((_, i) => i !== index) };
+}
+
+// Modes are keyed by id; removing one drops its lane settings, and multimodal modes are re-derived
+// on every change. An add or edit that leaves a multimodal mode with unusable legs is ignored, and
+// so is a removal that would leave no modes.
+export function addMode(network, presetKey) {
+  const preset = MODE_PRESETS[presetKey] ?? { label: "", costPerTonMi: 0.35, leadPenaltyDays: 0, carbonPerTonMi: 0.6 };
+  const stem = presetKey in MODE_PRESETS ? presetKey : "mode"; let id = stem; let n = 2;
+  while (network.transport[id]) id = `${stem}${n++}`;
+  const { transport, errors } = composeTransport({ ...network.transport, [id]: { ...preset } });
+  return errors.length ? network : { ...network, transport };
+}
+export function updateMode(network, id, patch) {
+  const def = Object.fromEntries(Object.entries({ ...network.transport[id], ...patch }).filter(([, v]) => v !== undefined));
+  const { transport, errors } = composeTransport({ ...network.transport, [id]: def.via ? ownModeFields(def) : def });
+  return errors.length ? network : { ...network, transport };
+}
+/** The modes removing `id` takes with it: itself and the multimodal modes built on it. */
+export function modesRemovedWith(network, id) {
+  return [id, ...Object.entries(network.transport).filter(([, d]) => d.via?.some((l) => l.mode === id)).map(([m]) => m)];
+}
+export function removeMode(network, id) {
+  const gone = new Set(modesRemovedWith(network, id));
+  if (gone.size >= Object.keys(network.transport).length) return network;
+  const transport = Object.fromEntries(Object.entries(network.transport).filter(([m]) => !gone.has(m)));
+  return { ...network, transport: composeTransport(transport).transport, lanes: network.lanes.map((l) => ({ ...l, modes: Object.fromEntries(Object.entries(l.modes).filter(([m]) => !gone.has(m))) })) };
+}
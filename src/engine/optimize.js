@@ -0,0 +1,232 @@
+/**
+ * Optimizer — branch-and-bound over per-LRU options with a time budget.
+ *
+ * Each LRU's options (supplier × assembly × DC — or, with customers, which DC serves each
+ * customer and the last-mile mode — × leg modes) are scored on their own with
+ * evaluateSolution; the coupled terms (HHI concentration, capacity overflow) are only ever
+ * added on top, so "partial score + best remaining scores" is a valid lower bound. Options
+ * that share a coupling key are interchangeable for the coupled terms, so only the cheapest
+ * of each key is searched. Options using a mode a lane does not offer are never searched.
+ *
+ * Carbon caps are separable too: each option's emissions (in total and per region) are its own,
+ * so a branch is cut once its emissions plus the lowest possible emissions of the LRUs still to
+ * place exceed a cap. Under caps the cheapest option of a key may not fit, so every option of a
+ * key that is not both dearer and dirtier (on each capped quantity) than another is kept.
+ *
+ * Business rules (rules.js) split the same way: forbid, require and share rules concern one LRU,
+ * so options breaking them are never searched; volume rules sum over LRUs and are limits like
+ * the caps, with a minimum cutting branches that cannot reach it even at the most each remaining
+ * LRU can add.
+ *
+ * Against a transition baseline (transition.js) each option's score also carries its annualized
+ * switching cost, which is its own, and a change budget is one more limit: an option counts 1
+ * when its LRU's sourcing differs from the baseline.
+ */
+import { carbonCaps, effectiveLrus, evaluateSolution, splitsOf, withSplit } from "./evaluate.js";
+import { dcChoices } from "./customers.js";
+import { describeRule, volumeLimits } from "./rules.js";
+
+const RISK_SCALE = 1_000_000;
+// Dual-sourcing ratios tried for every pair of suppliers / assembly sites. DC splits are never
+// searched: DC legs carry no capacity and safety stock pools at a single DC, so one DC always wins.
+const SPLIT_RATIOS = [0.5, 0.7, 0.3];
+
+function splitChoices(list, allowSplits) {
+  const choices = list.map((e) => ({ [e.id]: 1 }));
+  if (allowSplits)
+    for (let i = 0; i < list.length; i++)
+      for (let j = i + 1; j < list.length; j++)
+        for (const r of SPLIT_RATIOS) choices.push({ [list[i].id]: r, [list[j].id]: 1 - r });
+  return choices;
+}
+
+// Options with equal keys load the same capacity and contribute identically to HHI.
+function couplingKey(pick) { return `${JSON.stringify(splitsOf(pick, "supplier"))}|${JSON.stringify(splitsOf(pick, "assembly"))}`; }
+
+/**
+ * The limits summed over LRUs — carbon caps, then volume rules — as [{ kind, name, fmt, min, max,
+ * minIfUsed, use(lru, line, pick) }] with null for an open bound; `use` is what one LRU's line adds.
+ */
+function couplingLimits(network, params) {
+  const tons = (kg) => `${Math.round(kg / 1000).toLocaleString()} t`; const units = (u) => `${Math.round(u).toLocaleString()} units`;
+  return [
+    ...carbonCaps(params).map(([regionId, capKg]) => ({
+      kind: "carbon", name: `${regionId == null ? "network" : `${regionId} region`} carbon cap of ${tons(capKg)}`, fmt: tons, min: null, max: capKg, minIfUsed: false,
+      use: (lru, line) => (regionId == null ? line.carbonKg : line.carbonByRegion[regionId] ?? 0),
+    })),
+    ...(params.transition?.maxChanges != null ? [{
+      kind: "changes", name: `change budget of ${params.transition.maxChanges} LRUs`, fmt: (n) => `${n} changed LRUs`, min: null, max: params.transition.maxChanges, minIfUsed: false,
+      use: (lru, line) => (line.switching.changed ? 1 : 0),
+    }] : []),
+    ...volumeLimits(params.rules, network).map((v) => ({
+      kind: "volume", name: `rule ${v.ruleId} for ${v.name}`, fmt: units, min: v.min, max: v.max, minIfUsed: v.minIfUsed, use: (lru, line, pick) => v.use(lru, pick, line.demand),
+    })),
+  ];
+}
+
+// Options of one key not beaten on score and every limit by another: less is better under a
+// maximum, more under a minimum, and only equal counts under both (or a minimum that binds only if used).
+function undominated(options, limits) {
+  const dir = limits.map((l) => (l.min == null ? -1 : l.max == null && !l.minIfUsed ? 1 : 0));
+  const noWorse = (a, b, i) => (dir[i] < 0 ? a <= b : dir[i] > 0 ? a >= b : a === b);
+  const beats = (a, b) => a.score <= b.score && a.usage.every((v, i) => noWorse(v, b.usage[i], i)) && (a.score < b.score || a.usage.some((v, i) => v !== b.usage[i]));
+  return options.filter((o) => !options.some((p) => beats(p, o)));
+}
+
+function lruOptions({ lru, network, params, lruEdits, allowSplits, limits }) {
+  const modes = Object.keys(network.transport);
+  const single = { ...network, lrus: [lru] };
+  const all = [];
+  for (const supShares of splitChoices(network.suppliers, allowSplits))
+    for (const asmShares of splitChoices(network.assemblySites, allowSplits))
+      for (const dc of dcChoices(network, lru))
+        for (const m1 of modes)
+          for (const m2 of modes) {
+            const pick = withSplit(withSplit({ ...dc, supMode: m1, dcMode: m2 }, "supplier", supShares), "assembly", asmShares);
+            const line = evaluateSolution({ assignment: { [lru.id]: pick }, params: { ...params, allowOverflow: true }, network: single, lruEdits }).lines[lru.id];
+            const loads = { sup: splitsOf(pick, "supplier").map(([id, sh]) => [id, sh * line.demand]), asm: splitsOf(pick, "assembly").map(([id, sh]) => [id, sh * line.demand]) };
+            all.push({ pick, line, loads, usage: limits.map((l) => l.use(lru, line, pick)), score: line.cost + params.riskWeight * line.risk * RISK_SCALE + line.switching.annualized });
+          }
+  const supCap = Object.fromEntries(network.suppliers.map((s) => [s.id, s.capacity]));
+  const asmCap = Object.fromEntries(network.assemblySites.map((a) => [a.id, a.capacity]));
+  const viable = all.filter((o) => !o.line.blocked && o.line.service >= o.line.target && !o.line.violations.length && o.usage.every((v, i) => limits[i].max == null || v <= limits[i].max)
+    && (params.allowOverflow || (o.loads.sup.every(([id, q]) => q <= supCap[id]) && o.loads.asm.every(([id, q]) => q <= asmCap[id]))));
+  const byKey = new Map(); const minCarbonKg = Math.min(...viable.map((o) => o.line.carbonKg));
+  if (limits.length) {
+    for (const o of viable) { const k = couplingKey(o.pick); if (!byKey.has(k)) byKey.set(k, []); byKey.get(k).push(o); }
+    return { all, minCarbonKg, options: [...byKey.values()].flatMap((os) => undominated(os, limits)).sort((a, b) => a.score - b.score) };
+  }
+  for (const o of viable) { const k = couplingKey(o.pick); if (!byKey.has(k) || o.score < byKey.get(k).score) byKey.set(k, o); }
+  return { all, minCarbonKg, options: [...byKey.values()].sort((a, b) => a.score - b.score) };
+}
+
+function explainInfeasible({ network, params, lrus, perLru, complete, limits, allowSplits }) {
+  const reasons = []; const rules = params.rules ?? [];
+  const pct = (v) => `${(v * 100).toFixed(2)}%`;
+  const supName = Object.fromEntries(network.suppliers.map((s) => [s.id, s.name]));
+  for (const { lru, all, options } of perLru) {
+    if (options.length) continue;
+    const open = all.filter((o) => !o.line.blocked);
+    if (!open.length) { reasons.push(`${lru.name}: no route has lanes open to its transport modes; add lanes or allow more modes on them.`); continue; }
+    const bestService = open.reduce((b, o) => (o.line.service > b.line.service ? o : b), open[0]);
+    const serving = open.filter((o) => o.line.service >= o.line.target);
+    const allowed = serving.filter((o) => !o.line.violations.length);
+    const over = (o) => limits.filter((l, i) => l.max != null && o.usage[i] > l.max);
+    const overCap = limits.findIndex((l, i) => l.max != null && allowed.every((o) => o.usage[i] > l.max));
+    if (bestService.line.service < bestService.line.target)
+      reasons.push(`${lru.name}: no supplier/mode combination reaches its ${pct(bestService.line.target)} service target (best ${pct(bestService.line.service)} via ${supName[bestService.pick.supplierId]}, ${bestService.pick.supMode}).`);
+    else if (!allowed.length) {
+      const least = serving.reduce((b, o) => (o.line.violations.length < b.line.violations.length ? o : b), serving[0]);
+      const broken = rules.filter((r) => least.line.violations.some((v) => v.ruleId === r.id));
+      reasons.push(`${lru.name}: every route that meets its service target breaks a rule (closest breaks ${broken.map((r) => `${r.id}: ${describeRule(r, network)}`).join("; ")})${broken.some((r) => r.kind === "share") && !allowSplits ? "; enable dual sourcing to split its volume" : ""}.`);
+    } else if (overCap >= 0)
+      reasons.push(`${lru.name}: every route that meets its service target alone exceeds the ${limits[overCap].name} (least ${limits[overCap].fmt(Math.min(...allowed.map((o) => o.usage[overCap])))}).`);
+    else if (allowed.every((o) => over(o).length))
+      reasons.push(`${lru.name}: every route that meets its service target alone exceeds one of: ${[...new Set(allowed.flatMap((o) => over(o).map((l) => l.name)))].join(", ")}.`);
+    else
+      reasons.push(`${lru.name}: demand of ${bestService.line.demand.toLocaleString()} units exceeds the capacity of every supplier/assembly site that meets the service target, and overflow is disallowed.`);
+  }
+  // the least each LRU can add to a limit, summed, against its maximum — and the most against its minimum
+  if (!reasons.length) limits.forEach((l, i) => {
+    const floor = perLru.reduce((acc, p) => acc + Math.min(...p.options.map((o) => o.usage[i])), 0);
+    const ceiling = perLru.reduce((acc, p) => acc + Math.max(...p.options.map((o) => o.usage[i])), 0);
+    if (l.max != null && floor > l.max) reasons.push(l.kind === "carbon" ? `Even the lowest-emission routes for every LRU add up to ${l.fmt(floor)}, above the ${l.name}.`
+      : l.kind === "changes" ? `Meeting every LRU's constraints takes at least ${l.fmt(floor)} from the baseline, above the ${l.name}; raise the budget or relax a constraint.`
+      : `Even using it as little as allowed, the LRUs put ${l.fmt(floor)} through it, above the maximum of ${l.fmt(l.max)} in ${l.name}.`);
+    else if (l.min != null && !l.minIfUsed && ceiling < l.min) reasons.push(`Even using it as much as allowed, the LRUs put only ${l.fmt(ceiling)} through it, below the minimum of ${l.fmt(l.min)} in ${l.name}.`);
+  });
+  if (!reasons.length) {
+    const demand = lrus.reduce((a, l) => a + perLru.find((p) => p.lru.id === l.id).all[0].line.demand, 0);
+    const supCap = network.suppliers.reduce((a, s) => a + s.capacity, 0);
+    const asmCap = network.assemblySites.reduce((a, s) => a + s.capacity, 0);
+    if (!params.allowOverflow && demand > Math.min(supCap, asmCap))
+      reasons.push(`Total demand of ${demand.toLocaleString()} units exceeds total ${supCap < asmCap ? "supplier" : "assembly"} capacity of ${Math.min(supCap, asmCap).toLocaleString()} and overflow is disallowed.`);
+    else if (!params.allowOverflow)
+      reasons.push(`No combination of assignments fits within supplier and assembly capacities${limits.length ? " and the carbon caps, volume rules and change budget" : ""} with overflow disallowed; allow overflow, add capacity${limits.length ? " or relax a cap, rule or budget" : ""}.`);
+    else if (limits.length)
+      reasons.push("No combination keeps within the carbon caps, volume rules and change budget without overloading a site so far that the overflow service degradation pushes some LRU below its target; relax a cap, rule or budget, or add capacity.");
+    else
+      reasons.push("Every combination overloads a supplier or assembly site, and the overflow service degradation pushes some LRU below its service target.");
+  }
+  if (!complete) reasons.push("The search stopped at its time budget before finding a feasible assignment; a longer budget may still find one.");
+  return reasons;
+}
+
+/**
+ * Search for the feasible assignment with the lowest objective.
+ * Returns { best, complete, reasons, stats, carbonFloorKg } where `best` is the evaluateSolution result plus
+ * `assignment` (null when nothing feasible was found), `reasons` explains why not, and
+ * `carbonFloorKg` is the least any assignment could emit (each LRU on its lowest-emission viable route).
+ * `onProgress({ nodes, evaluated, bestObjective, bestAssignment, elapsedMs })` is throttled.
+ * `allowSplits` also searches dual-sourcing splits across supplier and assembly pairs.
+ */
+export function optimize({ network, params, lruEdits = {}, allowSplits = false, timeBudgetMs = 10_000, onProgress, progressEveryMs = 200 }) {
+  const t0 = Date.now();
+  const lrus = effectiveLrus(network.lrus, lruEdits).sort((a, b) => b.baseDemand - a.baseDemand);
+  const limits = couplingLimits(network, params);
+  const perLru = lrus.map((lru) => ({ lru, ...lruOptions({ lru, network, params, lruEdits, allowSplits, limits }) }));
+  const stats = { nodes: 0, evaluated: 0, pruned: 0, options: perLru.reduce((a, p) => a + p.options.length, 0), elapsedMs: 0 };
+  let best = null; let complete = true; let lastReport = t0;
+  const carbonFloorKg = perLru.reduce((acc, p) => acc + p.minCarbonKg, 0);
+
+  const report = (force) => {
+    const now = Date.now(); stats.elapsedMs = now - t0;
+    if (!onProgress || (!force && now - lastReport < progressEveryMs)) return;
+    lastReport = now;
+    onProgress({ ...stats, bestObjective: best?.objective ?? null, bestAssignment: best?.assignment ?? null });
+  };
+
+  if (perLru.some((p) => !p.options.length)) {
+    stats.elapsedMs = Date.now() - t0;
+    return { best: null, complete, reasons: explainInfeasible({ network, params, lrus, perLru, complete, limits, allowSplits }), stats, carbonFloorKg };
+  }
+
+  // suffix[i] = best possible separable score of LRUs i..n-1; HHI is at least 1/k for k usable suppliers
+  const suffix = new Array(perLru.length + 1).fill(0);
+  for (let i = perLru.length - 1; i >= 0; i--) suffix[i] = suffix[i + 1] + perLru[i].options[0].score;
+  const hhiFloor = params.riskWeight * 0.5 * RISK_SCALE / (allowSplits ? network.suppliers.length : Math.min(network.suppliers.length, lrus.length));
+  const supCap = Object.fromEntries(network.suppliers.map((s) => [s.id, s.capacity]));
+  const asmCap = Object.fromEntries(network.assemblySites.map((a) => [a.id, a.capacity]));
+  const supLoad = {}; const asmLoad = {};
+  const current = {};
+  // floor[i][c] / ceiling[i][c] = least / most LRUs i..n-1 can add to limit c
+  const used = limits.map(() => 0);
+  const floor = new Array(perLru.length + 1).fill(null).map(() => limits.map(() => 0)); const ceiling = floor.map((f) => [...f]);
+  for (let i = perLru.length - 1; i >= 0; i--) {
+    floor[i] = limits.map((_, c) => floor[i + 1][c] + Math.min(...perLru[i].options.map((o) => o.usage[c])));
+    ceiling[i] = limits.map((_, c) => ceiling[i + 1][c] + Math.max(...perLru[i].options.map((o) => o.usage[c])));
+  }
+  const outOfReach = (c, v, i) => (limits[c].max != null && v + floor[i][c] > limits[c].max) || (limits[c].min != null && !limits[c].minIfUsed && v + ceiling[i][c] < limits[c].min);
+
+  const tryLeaf = () => {
+    stats.evaluated++;
+    const res = evaluateSolution({ assignment: current, params, network, lruEdits });
+    if (res.feasible && (!best || res.objective < best.objective)) best = { ...res, assignment: { ...current } };
+  };
+
+  const dfs = (i, partial) => {
+    if (!complete) return;
+    if (++stats.nodes % 256 === 0) { if (Date.now() - t0 > timeBudgetMs) { complete = false; return; } report(); }
+    if (i === perLru.length) { tryLeaf(); return; }
+    const { lru, options } = perLru[i];
+    for (const o of options) {
+      if (best && partial + o.score + suffix[i + 1] + hhiFloor >= best.objective) { stats.pruned++; break; }
+      if (o.usage.some((v, c) => outOfReach(c, used[c] + v, i + 1))) { stats.pruned++; continue; }
+      const { sup, asm } = o.loads;
+      if (!params.allowOverflow && (sup.some(([id, q]) => (supLoad[id] || 0) + q > supCap[id]) || asm.some(([id, q]) => (asmLoad[id] || 0) + q > asmCap[id]))) { stats.pruned++; continue; }
+      for (const [id, q] of sup) supLoad[id] = (supLoad[id] || 0) + q;
+      for (const [id, q] of asm) asmLoad[id] = (asmLoad[id] || 0) + q;
+      o.usage.forEach((v, c) => { used[c] += v; });
+      current[lru.id] = o.pick;
+      dfs(i + 1, partial + o.score);
+      o.usage.forEach((v, c) => { used[c] -= v; });
+      for (const [id, q] of sup) supLoad[id] -= q;
+      for (const [id, q] of asm) asmLoad[id] -= q;
+      delete current[lru.id];
+      if (!complete) return;
+    }
+  };
+  dfs(0, 0);
+  report(true);
+  return { best, complete, reasons: best ? [] : explainInfeasible({ network, params, lrus, perLru, complete, limits, allowSplits }), stats, carbonFloorKg };
+}
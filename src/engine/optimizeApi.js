@@ -0,0 +1,143 @@
+/**
+ * Remote optimize contract (version 1) — shared by the reference server (server/optimize-server.js)
+ * and the browser client (src/remoteClient.js).
+ *
+ *   POST   /optimize          OptimizeRequest  → 202 JobAccepted
+ *   GET    /optimize/:jobId                    → 200 Job
+ *   DELETE /optimize/:jobId                    → 200 Job (status "cancelled" unless already finished)
+ *   GET    /health                             → 200 { ok: true, version, solver }
+ *
+ * OptimizeRequest  { version: 1, network, params, lruEdits?, allowSplits?, timeBudgetMs? }
+ *   network        toNetworkJSON() tables (regions, suppliers, assemblySites, dcs, customers?, customerDemand?, lrus, modes?, lanes, laneModes?) plus
+ *                  `transport`: { [mode]: { costPerTonMi, leadPenaltyDays, carbonPerTonMi, milesPerDay?, handlingDays?,
+ *                  volumetricTonsPerM3?, risk?, minShipmentTons? } } — a multimodal mode gives `via` legs instead of the
+ *                  three rates (see transport.js); the `modes` table, when sent, wins. Region fields may be ids or { id } objects, and `distances` ({ "O-D": thousandMiles }) may stand in
+ *                  for lanes. laneModes rows { origin, destination, mode, available?, transitDays?, costPerTonMi? }
+ *                  override a mode on one lane; lrus may carry unitWeightKg, unitVolumeM3 and tariffClass; suppliers and assemblySites may carry a
+ *                  `currency` (ISO 4217, default USD) for their costs. customerDemand rows
+ *                  { customer, lru, share } split an LRU's demand across customers (see customers.js).
+ *   params         { serviceTarget, laborRate, tariffMultiplier, carbonPrice, inventoryCarryPct, riskWeight, demandMultiplier, allowOverflow,
+ *                    reviewDays?, demandCv?, leadTimeCv?, carbonCapKg?, regionCarbonCapsKg?, rules?, transition?, fx?, tariffs? } — the inventory policy falls back to
+ *                  INVENTORY_DEFAULTS; carbon caps (kg CO2e, network-wide and { [regionId]: kg }) are hard limits, absent or null = none;
+ *                  rules [{ id, kind, on, target, lruIds, min?, max? }] are business rules (see rules.js), all enforced;
+ *                  transition { baseline, siteCosts, maxChanges, amortizeYears } charges switching away from an as-is
+ *                  baseline assignment (see transition.js), null = none; fx { reporting, rates: { [code]: USD per unit } }
+ *                  converts non-USD supplier and site costs (see fx.js) and must rate every currency the network uses;
+ *                  tariffs { asOf, schedule, agreements, shocks } sets duties by origin, destination and LRU tariff class
+ *                  (see tariffs.js), null = each supplier's flat tariffRate
+ *   lruEdits       { [lruId]: { baseDemand?, bomLaborHours?, bomScrapRate?, serviceTarget? } } — serviceTarget overrides params.serviceTarget
+ *   timeBudgetMs   100 … 300000, default 10000
+ * JobAccepted      { version, jobId, status: "running", pollUrl }
+ * Job              { version, jobId, status: "running" | "done" | "failed" | "cancelled", solver, createdAt,
+ *                    progress?: { nodes, evaluated, bestObjective, elapsedMs }, result?: OptimizeResult, error?: { message } }
+ * OptimizeResult   { status: "optimal" | "timeout" | "infeasible", assignment | null, objective | null, cost | null,
+ *                    serviceLevel | null, reasons: string[], stats: { nodes, evaluated, pruned, options, elapsedMs } }
+ * Error            { version, error: { code, message, details?: string[] } } — codes: invalid_json, invalid_request (400),
+ *                  not_found (404), method_not_allowed (405), too_large (413), busy (429), internal (500).
+ */
+import { formatImportError, networkFromJSON, toNetworkJSON } from "./network.js";
+import { validateRules } from "./rules.js";
+import { validateTransition } from "./transition.js";
+import { networkCurrencies, validateFx } from "./fx.js";
+import { validateTariffs } from "./tariffs.js";
+
+export const API_VERSION = 1;
+export const SOLVER_NAME = "pcs-sim reference branch-and-bound";
+
+const PARAM_RANGES = {
+  serviceTarget: [0, 1], laborRate: [0, Infinity], tariffMultiplier: [0, Infinity], carbonPrice: [0, Infinity],
+  inventoryCarryPct: [0, Infinity], riskWeight: [0, Infinity], demandMultiplier: [0, Infinity],
+};
+const OPTIONAL_PARAM_RANGES = { reviewDays: [1, 365], demandCv: [0, Infinity], leadTimeCv: [0, Infinity], carbonCapKg: [0, Infinity] };
+const TRANSPORT_FIELDS = ["costPerTonMi", "leadPenaltyDays", "carbonPerTonMi"];
+const LRU_EDIT_FIELDS = ["baseDemand", "bomLaborHours", "bomScrapRate", "serviceTarget"];
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+/** The request body the client sends for an in-app network and params. */
+export function optimizeRequestBody({ network, params, lruEdits = {}, allowSplits = false, timeBudgetMs = 10_000 }) {
+  return { version: API_VERSION, network: { ...toNetworkJSON(network), transport: network.transport }, params, lruEdits, allowSplits, timeBudgetMs };
+}
+
+/**
+ * Check an OptimizeRequest. Returns { request, errors } where `request` holds the engine-shaped
+ * { network, params, lruEdits, allowSplits, timeBudgetMs } and is null whenever `errors` is non-empty.
+ */
+export function validateOptimizeRequest(body) {
+  const errors = [];
+  if (!isObject(body)) return { request: null, errors: ["Request body must be a JSON object."] };
+  if (body.version !== API_VERSION) errors.push(`version must be ${API_VERSION}, got ${JSON.stringify(body.version)}.`);
+
+  const { params } = body;
+  if (!isObject(params)) errors.push("params must be an object.");
+  else {
+    for (const [key, [min, max]] of Object.entries(PARAM_RANGES))
+      if (!isNumber(params[key]) || params[key] < min || params[key] > max) errors.push(`params.${key} must be a number${max < Infinity ? ` between ${min} and ${max}` : ` ≥ ${min}`}.`);
+    for (const [key, [min, max]] of Object.entries(OPTIONAL_PARAM_RANGES))
+      if (params[key] != null && (!isNumber(params[key]) || params[key] < min || params[key] > max)) errors.push(`params.${key} must be a number${max < Infinity ? ` between ${min} and ${max}` : ` ≥ ${min}`}.`);
+    if (typeof params.allowOverflow !== "boolean") errors.push("params.allowOverflow must be a boolean.");
+    if (params.regionCarbonCapsKg != null && (!isObject(params.regionCarbonCapsKg) || Object.values(params.regionCarbonCapsKg).some((kg) => kg != null && (!isNumber(kg) || kg < 0))))
+      errors.push("params.regionCarbonCapsKg must map region ids to numbers ≥ 0.");
+    if (params.rules != null && !Array.isArray(params.rules)) errors.push("params.rules must be an array.");
+  }
+
+  const lruEdits = body.lruEdits ?? {};
+  if (!isObject(lruEdits)) errors.push("lruEdits must be an object keyed by LRU id.");
+  else for (const [id, edit] of Object.entries(lruEdits)) {
+    if (!isObject(edit)) { errors.push(`lruEdits.${id} must be an object.`); continue; }
+    for (const key of LRU_EDIT_FIELDS) if (edit[key] != null && (!isNumber(edit[key]) || edit[key] < 0)) errors.push(`lruEdits.${id}.${key} must be a number ≥ 0.`);
+    if (isNumber(edit.serviceTarget) && edit.serviceTarget > 1) errors.push(`lruEdits.${id}.serviceTarget must be at most 1.`);
+  }
+  if (body.allowSplits != null && typeof body.allowSplits !== "boolean") errors.push("allowSplits must be a boolean.");
+  const timeBudgetMs = body.timeBudgetMs ?? 10_000;
+  if (!isNumber(timeBudgetMs) || timeBudgetMs < 100 || timeBudgetMs > 300_000) errors.push("timeBudgetMs must be a number between 100 and 300000.");
+
+  let network = null;
+  const net = body.network;
+  if (!isObject(net)) errors.push("network must be an object.");
+  else {
+    const transport = net.transport;
+    if (!isObject(transport) || !Object.keys(transport).length) errors.push("network.transport must map at least one mode to its rates.");
+    else for (const [mode, def] of Object.entries(transport))
+      for (const key of TRANSPORT_FIELDS) if (!isObject(def) || (def.via == null && !isNumber(def[key])) || (def[key] != null && (!isNumber(def[key]) || (key !== "leadPenaltyDays" && def[key] < 0)))) errors.push(`network.transport.${mode}.${key} must be a number${key !== "leadPenaltyDays" ? " ≥ 0" : ""}.`);
+    if (isObject(transport)) for (const [mode, def] of Object.entries(transport)) {
+      for (const key of ["milesPerDay", "volumetricTonsPerM3"]) if (def?.[key] != null && !(isNumber(def[key]) && def[key] > 0)) errors.push(`network.transport.${mode}.${key} must be a number > 0.`);
+      for (const key of ["handlingDays", "risk", "minShipmentTons"]) if (def?.[key] != null && !(isNumber(def[key]) && def[key] >= 0)) errors.push(`network.transport.${mode}.${key} must be a number ≥ 0.`);
+    }
+    for (const table of ["regions", "suppliers", "assemblySites", "dcs", "lrus"]) if (!Array.isArray(net[table])) errors.push(`network.${table} must be an array.`);
+    if (!Array.isArray(net.lanes) && !isObject(net.distances)) errors.push("network.lanes (array) or network.distances (object) is required.");
+    if (!errors.length) {
+      const empty = { regions: [], suppliers: [], assemblySites: [], dcs: [], lrus: [], lanes: [], transport };
+      const out = networkFromJSON(net, empty);
+      if (out.errors.length) errors.push(...out.errors.map((e) => `network: ${formatImportError(e)}`));
+      network = out.network;
+    }
+  }
+  if (network && isObject(params?.regionCarbonCapsKg)) for (const id of Object.keys(params.regionCarbonCapsKg)) if (!network.regions.some((r) => r.id === id)) errors.push(`params.regionCarbonCapsKg.${id} does not match any region in the network.`);
+  if (network && Array.isArray(params?.rules)) errors.push(...validateRules(params.rules, network).notes.map((n) => `params.rules: ${n}`));
+  // the baseline is repaired against the network like any assignment; anything else wrong is an error
+  const transition = network && params?.transition != null ? validateTransition(params.transition, network) : null;
+  if (transition) errors.push(...transition.notes.filter((n) => !n.includes("had no pick")).map((n) => `params.transition: ${n}`));
+  if (network && (params?.fx != null || networkCurrencies(network).length > 1)) errors.push(...validateFx(params?.fx ?? { rates: {} }, network).notes.map((n) => `params.fx: ${n}`));
+  if (network && params?.tariffs != null) errors.push(...validateTariffs(params.tariffs, network).notes.map((n) => `params.tariffs: ${n}`));
+  if (network && isObject(lruEdits)) for (const id of Object.keys(lruEdits)) if (!network.lrus.some((l) => l.id === id)) errors.push(`lruEdits.${id} does not match any LRU in the network.`);
+  if (errors.length) return { request: null, errors };
+  return { request: { network, params: transition ? { ...params, transition: transition.transition } : params, lruEdits, allowSplits: body.allowSplits ?? false, timeBudgetMs }, errors: [] };
+}
+
+/** Shape an optimize() return value as an OptimizeResult. */
+export function optimizeResult(out) {
+  return {
+    status: out.best ? (out.complete ? "optimal" : "timeout") : "infeasible",
+    assignment: out.best?.assignment ?? null,
+    objective: out.best?.objective ?? null,
+    cost: out.best?.cost ?? null,
+    serviceLevel: out.best?.totals.serviceLevel ?? null,
+    reasons: out.reasons,
+    stats: out.stats,
+  };
+}
+
+export function apiError(code, message, details) {
+  return { version: API_VERSION, error: details?.length ? { code, message, details } : { code, message } };
+}
@@ -0,0 +1,112 @@
+/**
+ * Pareto frontier — non-dominated assignments across cost, risk index, carbon and service.
+ *
+ * Candidates come from the optimizer under a grid of risk weights, carbon prices and service
+ * targets (weighted-sum scalarization), then a one-LRU-at-a-time neighbourhood search around
+ * the frontier fills the gaps weighted sums cannot reach. Every candidate is re-evaluated
+ * under the user's actual params before dominance is checked.
+ */
+import { dcChoices } from "./customers.js";
+import { SPLIT_FIELDS, evaluateSolution, normalizeAssignment, splitsOf, withSplit } from "./evaluate.js";
+import { optimize } from "./optimize.js";
+
+export const PARETO_METRICS = [
+  { key: "cost", label: "Cost", sense: "min" },
+  { key: "risk", label: "Risk Index", sense: "min" },
+  { key: "carbon", label: "Carbon (kg)", sense: "min" },
+  { key: "service", label: "Service Level", sense: "max" },
+];
+
+export function pointMetrics(res) {
+  return { cost: res.cost, risk: res.totals.riskIndex, carbon: res.totals.carbonKg, service: res.totals.serviceLevel };
+}
+
+/** a dominates b on `keys` when it is no worse on all of them and strictly better on one. */
+export function dominates(a, b, keys = PARETO_METRICS.map((m) => m.key)) {
+  let strictly = false;
+  for (const key of keys) {
+    const sense = PARETO_METRICS.find((m) => m.key === key).sense;
+    const d = sense === "min" ? b.metrics[key] - a.metrics[key] : a.metrics[key] - b.metrics[key];
+    const eps = 1e-9 * Math.max(1, Math.abs(a.metrics[key]));
+    if (d < -eps) return false;
+    if (d > eps) strictly = true;
+  }
+  return strictly;
+}
+
+export function nonDominated(points, keys) {
+  return points.filter((p) => !points.some((q) => q !== p && dominates(q, p, keys)));
+}
+
+// Shares a stage of `pick` can move to: its current split, each single site, and the split with
+// one member swapped for a site outside it.
+function stageOptions(pick, kind, sites) {
+  const split = splitsOf(pick, kind); const out = [Object.fromEntries(split), ...sites.map((s) => ({ [s.id]: 1 }))];
+  if (split.length > 1)
+    for (const [id, share] of split)
+      for (const s of sites) if (!split.some(([other]) => other === s.id)) out.push(Object.fromEntries(split.map(([o, v]) => (o === id ? [s.id, share] : [o, v]))));
+  return [...new Map(out.map((o) => [JSON.stringify(o), o])).values()];
+}
+
+/** Every one-LRU change of sites, DC plan and modes; multi-source splits are kept or varied one member at a time. */
+export function neighbours(assignment, network) {
+  const modes = Object.keys(network.transport); const out = [];
+  for (const [lruId, pick] of Object.entries(assignment)) {
+    const { [SPLIT_FIELDS.dc[1]]: _, ...base } = pick;
+    const dcOptions = [{}, ...dcChoices(network, network.lrus.find((l) => l.id === lruId))];
+    const supOptions = stageOptions(pick, "supplier", network.suppliers); const asmOptions = stageOptions(pick, "assembly", network.assemblySites);
+    for (const sup of supOptions)
+      for (const asm of asmOptions)
+        for (const dc of dcOptions)
+          for (const m1 of modes)
+            for (const m2 of modes) out.push({ ...assignment, [lruId]: withSplit(withSplit({ ...(dc.dcId ? { ...base, ...dc } : pick), supMode: m1, dcMode: m2 }, "supplier", sup), "assembly", asm) });
+  }
+  return out;
+}
+
+/**
+ * Returns { frontier, dominated, evaluated, elapsedMs } where points are { assignment, metrics, feasible, source }.
+ * `dominated` is a capped sample kept for context in charts.
+ */
+export function paretoFrontier({ network, params, lruEdits = {}, allowSplits = false, riskWeights = [0, 0.25, 0.5, 1, 2], carbonPrices = [0, 0.05, 0.2, 0.5], serviceSteps = [0, 0.01, 0.02], rounds = 1, timeBudgetMs = 20_000, onProgress }) {
+  const t0 = Date.now();
+  const seen = new Set(); let frontier = []; const dominated = []; let evaluated = 0;
+  // frontier is kept incrementally so each candidate is only compared against it
+  const add = (assignment, source) => {
+    const key = JSON.stringify(assignment);
+    if (seen.has(key)) return;
+    seen.add(key);
+    const res = evaluateSolution({ assignment, params, network, lruEdits });
+    if (!Number.isFinite(res.cost)) return;
+    evaluated++;
+    const point = { assignment, metrics: pointMetrics(res), feasible: res.feasible, source };
+    if (frontier.some((f) => dominates(f, point))) { if (evaluated % 25 === 0 && dominated.length < 400) dominated.push(point); return; }
+    frontier = frontier.filter((f) => !dominates(point, f));
+    frontier.push(point);
+  };
+  add(normalizeAssignment({}, network), "default");
+
+  const grid = [];
+  for (const riskWeight of riskWeights) for (const carbonPrice of carbonPrices) for (const step of serviceSteps) grid.push({ riskWeight, carbonPrice, serviceTarget: Math.min(0.999, params.serviceTarget + step) });
+  const perRun = (timeBudgetMs / 2) / grid.length;
+  grid.forEach((g, i) => {
+    const out = optimize({ network, params: { ...params, ...g }, lruEdits, allowSplits, timeBudgetMs: perRun });
+    if (out.best) add(out.best.assignment, `risk weight ${g.riskWeight}, carbon ${g.carbonPrice}/kg, target ${(g.serviceTarget * 100).toFixed(0)}%`);
+    onProgress?.({ phase: "weights", done: i + 1, total: grid.length, frontier: frontier.length });
+  });
+
+  const expanded = new Set();
+  for (let r = 0; r < rounds && Date.now() - t0 < timeBudgetMs; r++) {
+    const todo = frontier.filter((p) => !expanded.has(p));
+    todo.forEach((p, i) => {
+      if (Date.now() - t0 > timeBudgetMs) return;
+      expanded.add(p);
+      for (const n of neighbours(p.assignment, network)) {
+        if (Date.now() - t0 > timeBudgetMs) break;
+        add(n, "neighbourhood search");
+      }
+      onProgress?.({ phase: `neighbourhood ${r + 1}`, done: i + 1, total: todo.length, frontier: frontier.length });
+    });
+  }
+  return { frontier, dominated, evaluated, elapsedMs: Date.now() - t0 };
+}
@@ -0,0 +1,35 @@
+/**
+ * Scenario templates & OEM profiles — the named presets a scenario refers to by id. An OEM
+ * profile's `lruTargets` are the per-LRU service targets (by LRU id) that contract holds above
+ * its overall target.
+ */
+
+export const MASTER_SCENARIOS = [
+  { id: "baseline", name: "Baseline" },
+  { id: "lowcost", name: "Low-Cost Focus" },
+  { id: "service", name: "Service Focus" },
+  { id: "resiliency", name: "Resiliency Focus" },
+  { id: "sustain", name: "Sustainability Focus" },
+];
+export const VARIANT_MULTIPLIERS = [
+  { id: "low", name: "Low Volume", demand: 0.85 },
+  { id: "base", name: "Base", demand: 1.0 },
+  { id: "high", name: "High", demand: 1.15 },
+  { id: "surge", name: "Surge", demand: 1.35 },
+  { id: "crisis", name: "Crisis", demand: 0.7 },
+];
+export const OEM_PROFILES = [
+  { id: "airbus", name: "Airbus", defaults: { serviceTarget: 0.97, riskWeight: 0.50, carbonPrice: 0.03, tariffMultiplier: 1.10 }, lruTargets: { L1: 0.98 } },
+  { id: "boeing", name: "Boeing", defaults: { serviceTarget: 0.96, riskWeight: 0.40, carbonPrice: 0.02, tariffMultiplier: 1.00 }, lruTargets: { L1: 0.97, L2: 0.97 } },
+  { id: "pnc", name: "P&C Internal", defaults: { serviceTarget: 0.95, riskWeight: 0.40, carbonPrice: 0.02, tariffMultiplier: 1.00 }, lruTargets: {} },
+];
+export const KNOWN_IDS = { masters: MASTER_SCENARIOS.map((m) => m.id), variants: VARIANT_MULTIPLIERS.map((v) => v.id), profiles: OEM_PROFILES.map((p) => p.id) };
+
+/** Demand multiplier implied by a scenario template and volume variant. */
+export function demandMultiplierFor(master, variant) {
+  const baseMult = VARIANT_MULTIPLIERS.find((v) => v.id === variant)?.demand ?? 1.0;
+  switch (master) { case 'service': return baseMult * 1.05; case 'resiliency': return baseMult * 0.98; default: return baseMult; }
+}
+
+/** Engine params for a validated scenario: its pricing/targets plus the template's demand multiplier. */
+export function scenarioParams({ master, variant, params }) { return { ...params, demandMultiplier: demandMultiplierFor(master, variant) }; }
@@ -0,0 +1,156 @@
+/**
+ * Business rules — sourcing constraints beyond service, capacity and carbon, checked by
+ * evaluateSolution and enforced by the optimizer.
+ *
+ * params.rules is [{ id, kind, on, target, lruIds, min?, max? }]:
+ *   kind    "forbid": the LRUs may not use `target`; "require": each must use it; "share": the
+ *           share (0–1) of each LRU's volume through it stays within min/max; "volume": the units
+ *           through it, summed over the LRUs, stay within min/max
+ *   on      what `target` names (RULE_TARGETS): a supplier, assembly site or DC, the region of the
+ *           supplier or assembly site, a mode (on any leg, or in the `via` of a multimodal mode
+ *           on one) or a lane "from→to" (any leg)
+ *   target  an id of that kind; "*" (share and volume rules) holds every one of them to the limit,
+ *           with a minimum applying only to those in use
+ *   lruIds  the LRUs covered; empty = all
+ * Forbid, require and share rules concern one LRU at a time and land in its line's `violations`;
+ * volume rules couple the LRUs and are checked on the whole assignment.
+ */
+import { customerShares } from "./customers.js";
+import { splitsOf } from "./evaluate.js";
+import { modeLabel } from "./transport.js";
+
+const EPS = 1e-9;
+
+export const RULE_KINDS = {
+  forbid: { label: "Forbid" },
+  require: { label: "Require" },
+  share: { label: "Share of each LRU" },
+  volume: { label: "Units across LRUs" },
+};
+
+// What a rule's `target` can name, and the network's entities of that type.
+export const RULE_TARGETS = {
+  supplier: { label: "Supplier", list: (n) => n.suppliers },
+  assembly: { label: "Assembly site", list: (n) => n.assemblySites },
+  dc: { label: "DC", list: (n) => n.dcs },
+  supplierRegion: { label: "Sourcing region", list: (n) => n.regions },
+  assemblyRegion: { label: "Assembly region", list: (n) => n.regions },
+  mode: { label: "Mode", list: (n) => Object.keys(n.transport).map((id) => ({ id, name: modeLabel(n.transport, id) })) },
+  lane: { label: "Lane", list: (n) => [
+    ...n.suppliers.flatMap((s) => n.assemblySites.map((a) => [s, a])), ...n.assemblySites.flatMap((a) => n.dcs.map((d) => [a, d])),
+    ...n.dcs.flatMap((d) => (n.customers ?? []).map((c) => [d, c])),
+  ].map(([f, t]) => ({ id: `${f.id}→${t.id}`, name: `${f.name} → ${t.name}` })) },
+};
+
+export function ruleCovers(rule, lruId) { return !rule.lruIds?.length || rule.lruIds.includes(lruId); }
+
+function targetName(network, on, target) { return RULE_TARGETS[on].list(network).find((e) => e.id === target)?.name ?? target; }
+
+export function describeRule(rule, network) {
+  const what = rule.target === "*" ? `any one ${RULE_TARGETS[rule.on].label.toLowerCase()}` : targetName(network, rule.on, rule.target);
+  const lrus = rule.lruIds?.length ? rule.lruIds.map((id) => network.lrus.find((l) => l.id === id)?.name ?? id).join(", ") : "all LRUs";
+  const fmt = (v) => (rule.kind === "share" ? `${Math.round(v * 100)}%` : `${Math.round(v).toLocaleString()} units`);
+  const range = rule.min != null && rule.max != null ? `${fmt(rule.min)}–${fmt(rule.max)}` : rule.min != null ? `at least ${fmt(rule.min)}` : `at most ${fmt(rule.max)}`;
+  switch (rule.kind) {
+    case "forbid": return `${lrus}: never use ${what}`;
+    case "require": return `${lrus}: must use ${what}`;
+    case "share": return `${lrus}: ${range} of each LRU through ${what}`;
+    default: return `${range} through ${what} across ${lrus}`;
+  }
+}
+
+/** The targets a rule holds to its limit: its own, or every entity of its kind for "*". */
+export function ruleTargets(rule, network) { return rule.target === "*" ? RULE_TARGETS[rule.on].list(network).map((e) => e.id) : [rule.target]; }
+
+/**
+ * Share (0–1) of an LRU's volume going through `target` under `pick`; a mode counts 1 when any leg
+ * uses it, directly or as a `via` leg of a multimodal mode.
+ */
+export function ruleUsage(network, lru, pick, on, target) {
+  const share = (kind, match) => splitsOf(pick, kind).reduce((acc, [id, s]) => acc + (match(id) ? s : 0), 0);
+  const regionOf = (list) => (id) => list.find((e) => e.id === id)?.region.id === target;
+  switch (on) {
+    case "supplier": return share("supplier", (id) => id === target);
+    case "assembly": return share("assembly", (id) => id === target);
+    case "dc": return share("dc", (id) => id === target);
+    case "supplierRegion": return share("supplier", regionOf(network.suppliers));
+    case "assemblyRegion": return share("assembly", regionOf(network.assemblySites));
+    case "mode": return [pick.supMode, pick.dcMode, pick.lastMode].flatMap((m) => [m, ...(network.transport[m]?.via ?? []).map((l) => l.mode)]).includes(target) ? 1 : 0;
+    case "lane": {
+      const [from, to] = target.split("→");
+      const leg = (a, b) => share(a, (id) => id === from) * share(b, (id) => id === to);
+      return leg("supplier", "assembly") + leg("assembly", "dc") + customerShares(network, lru).reduce((acc, [c, s]) => acc + (c === to && pick.serve?.[c] === from ? s : 0), 0);
+    }
+    default: return 0;
+  }
+}
+
+/** Rules an LRU's pick breaks on its own: [{ ruleId, lruId, target, message }]. */
+export function lineViolations(rules, network, lru, pick) {
+  const out = [];
+  for (const rule of rules ?? []) {
+    if (rule.kind === "volume" || !ruleCovers(rule, lru.id)) continue;
+    for (const target of ruleTargets(rule, network)) {
+      const u = ruleUsage(network, lru, pick, rule.on, target); const name = targetName(network, rule.on, target);
+      const v = (message) => out.push({ ruleId: rule.id, lruId: lru.id, target, message: `${lru.name}: ${message} (rule ${rule.id})` });
+      if (rule.kind === "forbid" && u > EPS) v(`uses ${name}, which is forbidden`);
+      else if (rule.kind === "require" && u <= EPS) v(`does not use ${name}, which is required`);
+      else if (rule.kind === "share" && ((rule.max != null && u > rule.max + EPS) || (rule.min != null && u < rule.min - EPS && (rule.target !== "*" || u > EPS))))
+        v(`${Math.round(u * 100)}% through ${name}, outside ${rule.min != null ? Math.round(rule.min * 100) : 0}–${rule.max != null ? Math.round(rule.max * 100) : 100}%`);
+    }
+  }
+  return out;
+}
+
+/**
+ * The volume limits to enforce across LRUs: [{ ruleId, on, target, name, min, max, minIfUsed, use(lru, pick, demand) }]
+ * where `use` is the units one LRU puts through the target.
+ */
+export function volumeLimits(rules, network) {
+  return (rules ?? []).filter((r) => r.kind === "volume").flatMap((rule) => ruleTargets(rule, network).map((target) => ({
+    ruleId: rule.id, on: rule.on, target, name: targetName(network, rule.on, target), min: rule.min ?? null, max: rule.max ?? null, minIfUsed: rule.target === "*",
+    use: (lru, pick, demand) => (ruleCovers(rule, lru.id) ? demand * ruleUsage(network, lru, pick, rule.on, target) : 0),
+  })));
+}
+
+/** Volume rules the whole assignment breaks, given the LRUs and their demand (evaluated lines). */
+export function volumeViolations(rules, network, lrus, assignment, lines) {
+  const out = [];
+  for (const limit of volumeLimits(rules, network)) {
+    const units = lrus.reduce((acc, l) => acc + (assignment[l.id] ? limit.use(l, assignment[l.id], lines[l.id].demand) : 0), 0);
+    const low = limit.min != null && units < limit.min - EPS && (!limit.minIfUsed || units > EPS);
+    if (low || (limit.max != null && units > limit.max + EPS))
+      out.push({ ruleId: limit.ruleId, lruId: null, target: limit.target, message: `${Math.round(units).toLocaleString()} units through ${limit.name}, ${low ? `below the minimum of ${limit.min.toLocaleString()}` : `above the maximum of ${limit.max.toLocaleString()}`} (rule ${limit.ruleId})` });
+  }
+  return out;
+}
+
+/**
+ * Clean a rule list against a network: returns { rules, notes } with rules whose targets, LRUs or
+ * limits make no sense dropped (and noted).
+ */
+export function validateRules(raw, network) {
+  const rules = []; const notes = [];
+  if (raw != null && !Array.isArray(raw)) return { rules, notes: ["Rules must be a list; dropped them."] };
+  for (const [i, r] of (raw ?? []).entries()) {
+    const label = `Rule ${r?.id ?? i + 1}`;
+    if (!r || !RULE_KINDS[r.kind] || !RULE_TARGETS[r.on]) { notes.push(`${label}: unknown kind or target type; dropped.`); continue; }
+    const star = r.target === "*";
+    if (star ? !["share", "volume"].includes(r.kind) : !RULE_TARGETS[r.on].list(network).some((e) => e.id === r.target)) { notes.push(`${label}: target "${r.target}" is not in the network; dropped.`); continue; }
+    const lruIds = Array.isArray(r.lruIds) ? r.lruIds.filter((id) => network.lrus.some((l) => l.id === id)) : [];
+    if (Array.isArray(r.lruIds) && r.lruIds.length && !lruIds.length) { notes.push(`${label}: none of its LRUs are in the network; dropped.`); continue; }
+    const num = (v) => (typeof v === "number" && Number.isFinite(v) && v >= 0 && (r.kind !== "share" || v <= 1) ? v : null);
+    const min = num(r.min); const max = num(r.max);
+    if (["share", "volume"].includes(r.kind) && min == null && max == null) { notes.push(`${label}: needs a minimum or maximum; dropped.`); continue; }
+    if (r.kind === "share" && r.on === "mode") { notes.push(`${label}: modes take forbid or require rules only; dropped.`); continue; }
+    rules.push({ id: String(r.id ?? `R${i + 1}`), kind: r.kind, on: r.on, target: r.target, lruIds, ...(min != null ? { min } : {}), ...(max != null ? { max } : {}) });
+  }
+  return { rules, notes };
+}
+
+/** A new rule with the next free id. */
+export function newRule(rules, network) {
+  const ids = new Set(rules.map((r) => r.id)); let n = rules.length + 1;
+  while (ids.has(`R${n}`)) n++;
+  return { id: `R${n}`, kind: "forbid", on: "supplier", target: network.suppliers[0].id, lruIds: [] };
+}
@@ -0,0 +1,238 @@
+/**
+ * Scenario documents — the versioned shape behind share links and JSON export, with explicit
+ * migrations between versions and a validator that repairs a document against the current
+ * network and reports every value it dropped, clamped or defaulted.
+ *
+ * Versions:
+ *   1  unversioned { master, variant, profileId, params, assignment, lruEdits }; a pick may carry a
+ *      single `mode` used for both legs
+ *   2  adds `schemaVersion`; picks carry `supMode` and `dcMode`; optional `horizon` and `periodAssignments`
+ *   3  params gain the inventory policy: `reviewDays`, `demandCv`, `leadTimeCv`
+ *   4  params gain carbon caps: `carbonCapKg` (null = none) and `regionCarbonCapsKg` ({ [regionId]: kg })
+ *   5  params gain business `rules` (see rules.js)
+ *   6  params gain a `transition` from an as-is baseline (null = none; see transition.js)
+ *   7  optional graph `layout`: positions of the nodes the user moved ({ [nodeId]: [x, y] }; see layout.js)
+ *   8  params gain `fx`: the reporting currency and FX rates for non-USD supplier and site costs (see fx.js)
+ *   9  params gain `tariffs`: origin–destination tariff schedules, agreements and shocks (null = flat supplier rates; see tariffs.js)
+ *
+ * Share links put a document in the URL hash as `#z.<base64url(deflate-raw(JSON))>`. Hashes from
+ * before versioning (`#<base64(encodeURIComponent(JSON))>`) still open, as version 1.
+ */
+import { normalizeAssignment, splitsOf } from "./evaluate.js";
+import { validateRules } from "./rules.js";
+import { validateTransition } from "./transition.js";
+import { validateLayout } from "./layout.js";
+import { DEFAULT_FX, validateFx } from "./fx.js";
+import { validateTariffs } from "./tariffs.js";
+
+export const SCHEMA_VERSION = 9;
+
+// Defaults and ranges match the app's sliders; demandMultiplier is derived from master/variant.
+// `nullable` params may be null (off); `perRegion` ones map region ids to numbers; `rules` is a rule list, `transition` a baseline with switching costs, `fx` the currency settings and `tariffs` the tariff schedules.
+export const PARAM_SPECS = {
+  serviceTarget: { def: 0.95, min: 0.8, max: 0.99 },
+  laborRate: { def: 75, min: 40, max: 120 },
+  tariffMultiplier: { def: 1.0, min: 0.5, max: 1.5 },
+  inventoryCarryPct: { def: 0.12, min: 0.05, max: 0.25 },
+  carbonPrice: { def: 0.02, min: 0, max: 0.10 },
+  riskWeight: { def: 0.4, min: 0, max: 1 },
+  reviewDays: { def: 14, min: 1, max: 60 },
+  demandCv: { def: 0.3, min: 0, max: 1.5 },
+  leadTimeCv: { def: 0.2, min: 0, max: 1 },
+  allowOverflow: { def: true },
+  carbonCapKg: { def: null, min: 0, max: Infinity, nullable: true },
+  regionCarbonCapsKg: { def: {}, min: 0, max: Infinity, perRegion: true },
+  rules: { def: [], rules: true },
+  transition: { def: null, transition: true },
+  fx: { def: DEFAULT_FX, fx: true },
+  tariffs: { def: null, tariffs: true },
+};
+const LRU_EDIT_FIELDS = ["baseDemand", "bomLaborHours", "bomScrapRate", "serviceTarget"];
+
+const mapPicks = (assignment, fn) => (assignment && typeof assignment === "object" ? Object.fromEntries(Object.entries(assignment).map(([id, pick]) => [id, fn(pick || {})])) : assignment);
+
+/** Ordered upgrades; MIGRATIONS[i] takes a version i + 1 document to version i + 2. */
+export const MIGRATIONS = [
+  {
+    from: 1, to: 2, description: "split each pick's single transport mode into supplier-leg and DC-leg modes",
+    up: (doc) => {
+      const split = ({ mode, ...pick }) => ({ ...pick, supMode: pick.supMode ?? mode, dcMode: pick.dcMode ?? mode });
+      const periodAssignments = doc.periodAssignments && Object.fromEntries(Object.entries(doc.periodAssignments).map(([id, a]) => [id, mapPicks(a, split)]));
+      return { ...doc, schemaVersion: 2, assignment: mapPicks(doc.assignment, split), ...(periodAssignments ? { periodAssignments } : {}) };
+    },
+  },
+  {
+    from: 2, to: 3, description: "add the inventory policy (review days, demand CV, lead-time CV) at its defaults",
+    up: (doc) => ({ ...doc, schemaVersion: 3, ...(doc.params && typeof doc.params === "object" ? { params: { reviewDays: 14, demandCv: 0.3, leadTimeCv: 0.2, ...doc.params } } : {}) }),
+  },
+  {
+    from: 3, to: 4, description: "add carbon caps (none)",
+    up: (doc) => ({ ...doc, schemaVersion: 4, ...(doc.params && typeof doc.params === "object" ? { params: { carbonCapKg: null, regionCarbonCapsKg: {}, ...doc.params } } : {}) }),
+  },
+  {
+    from: 4, to: 5, description: "add business rules (none)",
+    up: (doc) => ({ ...doc, schemaVersion: 5, ...(doc.params && typeof doc.params === "object" ? { params: { rules: [], ...doc.params } } : {}) }),
+  },
+  {
+    from: 5, to: 6, description: "add transition planning (no baseline)",
+    up: (doc) => ({ ...doc, schemaVersion: 6, ...(doc.params && typeof doc.params === "object" ? { params: { transition: null, ...doc.params } } : {}) }),
+  },
+  { from: 6, to: 7, description: "allow a saved graph layout (none: tier layout)", up: (doc) => ({ ...doc, schemaVersion: 7 }) },
+  {
+    from: 7, to: 8, description: "add FX settings (USD reporting, default rates)",
+    up: (doc) => ({ ...doc, schemaVersion: 8, ...(doc.params && typeof doc.params === "object" ? { params: { fx: DEFAULT_FX, ...doc.params } } : {}) }),
+  },
+  {
+    from: 8, to: 9, description: "add tariff schedules (none: flat supplier rates)",
+    up: (doc) => ({ ...doc, schemaVersion: 9, ...(doc.params && typeof doc.params === "object" ? { params: { tariffs: null, ...doc.params } } : {}) }),
+  },
+];
+
+/** Bring a document up to SCHEMA_VERSION. Returns { doc, fromVersion, applied: [descriptions] }; throws for newer versions. */
+export function migrateScenario(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("Scenario is not a JSON object.");
+  const fromVersion = raw.schemaVersion ?? 1;
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) throw new Error(`Unknown scenario schema version ${JSON.stringify(raw.schemaVersion)}.`);
+  if (fromVersion > SCHEMA_VERSION) throw new Error(`This scenario uses schema version ${fromVersion}, newer than this app supports (${SCHEMA_VERSION}).`);
+  let doc = raw; const applied = [];
+  for (const m of MIGRATIONS.slice(fromVersion - 1)) { doc = m.up(doc); applied.push(`v${m.from} → v${m.to}: ${m.description}`); }
+  return { doc, fromVersion, applied };
+}
+
+/** The document for the live app state. Empty optional parts are left out to keep links short. */
+export function toScenarioDoc({ master, variant, profileId, params, assignment, lruEdits = {}, horizon = null, periodAssignments = {}, layout = {} }) {
+  const doc = { schemaVersion: SCHEMA_VERSION, master, variant, profileId, params: Object.fromEntries(Object.keys(PARAM_SPECS).map((k) => [k, params[k]])), assignment };
+  if (Object.keys(lruEdits).length) doc.lruEdits = lruEdits;
+  if (horizon) doc.horizon = horizon;
+  if (Object.keys(periodAssignments).length) doc.periodAssignments = periodAssignments;
+  if (Object.keys(layout).length) doc.layout = layout;
+  return doc;
+}
+
+function assignmentNotes(raw, fixed, network, where) {
+  const notes = []; const name = Object.fromEntries(network.lrus.map((l) => [l.id, l.name]));
+  const src = raw && typeof raw === "object" ? raw : {};
+  for (const id of Object.keys(src)) if (!name[id]) notes.push(`${where}: dropped the pick for unknown LRU "${id}".`);
+  for (const l of network.lrus) {
+    const before = src[l.id]; const after = fixed[l.id];
+    if (!before) { notes.push(`${where}: ${l.name} had no pick; defaulted to ${after.supplierId}→${after.assemblyId}→${after.dcId}.`); continue; }
+    for (const [key, label] of [["supplierId", "supplier"], ["assemblyId", "assembly site"], ["dcId", "DC"], ["supMode", "supplier-leg mode"], ["dcMode", "DC-leg mode"], ["lastMode", "last-mile mode"]])
+      if (before[key] !== after[key] && !(key.endsWith("Id") && before[`${key.slice(0, -2)}Shares`])) notes.push(`${where}: ${l.name} ${label} ${before[key] == null ? "missing" : `"${before[key]}" is not available`}; defaulted to "${after[key]}".`);
+    for (const kind of ["supplier", "assembly", "dc"]) {
+      const kept = new Set(splitsOf(after, kind).map(([id]) => id));
+      for (const id of Object.keys(before[`${kind}Shares`] || {})) if (!kept.has(id)) notes.push(`${where}: ${l.name} dropped the ${kind} split share on unknown "${id}".`);
+    }
+  }
+  return notes;
+}
+
+/**
+ * Repair a migrated document against `network` and the app's known ids
+ * (`known = { masters, variants, profiles }`, arrays of ids). Returns { scenario, notes }.
+ */
+export function validateScenario(doc, network, known) {
+  const notes = [];
+  const pickId = (key, list, fallback) => {
+    if (doc[key] == null) return fallback;
+    if (list.includes(doc[key])) return doc[key];
+    notes.push(`Unknown ${key} "${doc[key]}"; defaulted to "${fallback}".`); return fallback;
+  };
+  const master = pickId("master", known.masters, "baseline");
+  const variant = pickId("variant", known.variants, "base");
+  const profileId = pickId("profileId", known.profiles, "pnc");
+
+  const rawParams = doc.params && typeof doc.params === "object" ? doc.params : {};
+  if (!doc.params) notes.push("No params; all pricing and targets use defaults.");
+  const params = {};
+  for (const [key, spec] of Object.entries(PARAM_SPECS)) {
+    const v = rawParams[key];
+    if (spec.nullable && v === null) { params[key] = null; continue; }
+    if (spec.rules) {
+      const out = validateRules(v ?? [], network); params[key] = out.rules;
+      notes.push(...out.notes.map((n) => `params.rules: ${n}`)); continue;
+    }
+    if (spec.transition) { const out = validateTransition(v ?? null, network); params[key] = out.transition; notes.push(...out.notes); continue; }
+    if (spec.fx) { const out = validateFx(v ?? null, network); params[key] = out.fx; notes.push(...out.notes); continue; }
+    if (spec.tariffs) { const out = validateTariffs(v ?? null, network); params[key] = out.tariffs; notes.push(...out.notes); continue; }
+    if (spec.perRegion) {
+      const src = v && typeof v === "object" && !Array.isArray(v) ? v : {}; params[key] = {};
+      if (doc.params && src !== v) notes.push(`params.${key} missing or invalid; defaulted to none.`);
+      for (const [id, kg] of Object.entries(src)) {
+        if (!network.regions.some((r) => r.id === id)) notes.push(`params.${key}: dropped unknown region "${id}".`);
+        else if (typeof kg !== "number" || !Number.isFinite(kg) || kg < spec.min) notes.push(`params.${key}.${id} is not a number ≥ ${spec.min}; dropped.`);
+        else params[key][id] = kg;
+      }
+      continue;
+    }
+    if (spec.min == null) { params[key] = typeof v === "boolean" ? v : spec.def; if (doc.params && typeof v !== "boolean") notes.push(`params.${key} missing or invalid; defaulted to ${spec.def}.`); continue; }
+    if (typeof v !== "number" || !Number.isFinite(v)) { params[key] = spec.def; if (doc.params) notes.push(`params.${key} missing or invalid; defaulted to ${spec.def}.`); continue; }
+    params[key] = Math.min(spec.max, Math.max(spec.min, v));
+    if (params[key] !== v) notes.push(`params.${key} ${v} is outside ${spec.min}–${spec.max}; clamped to ${params[key]}.`);
+  }
+  for (const key of Object.keys(rawParams)) if (!(key in PARAM_SPECS) && key !== "demandMultiplier") notes.push(`Dropped unknown param "${key}".`);
+
+  const assignment = normalizeAssignment(doc.assignment, network);
+  notes.push(...assignmentNotes(doc.assignment, assignment, network, "Assignment"));
+
+  const lruEdits = {};
+  for (const [id, edit] of Object.entries(doc.lruEdits && typeof doc.lruEdits === "object" ? doc.lruEdits : {})) {
+    if (!network.lrus.some((l) => l.id === id)) { notes.push(`Dropped LRU edits for unknown LRU "${id}".`); continue; }
+    const clean = Object.fromEntries(Object.entries(edit || {}).filter(([k, v]) => LRU_EDIT_FIELDS.includes(k) && typeof v === "number" && Number.isFinite(v) && v >= 0 && (k !== "serviceTarget" || v <= 1)));
+    if (Object.keys(clean).length !== Object.keys(edit || {}).length) notes.push(`Dropped invalid LRU edit fields for "${id}".`);
+    if (Object.keys(clean).length) lruEdits[id] = clean;
+  }
+
+  let horizon = null; const periodAssignments = {};
+  if (doc.horizon != null) {
+    const h = doc.horizon;
+    if (h && Array.isArray(h.periods) && h.periods.length && Number.isFinite(h.periodsPerYear) && Number.isFinite(h.switchCost))
+      horizon = { ...h, periods: h.periods.map((p) => ({ ...p, demand: p.demand || {}, capacity: p.capacity || {} })) };
+    else notes.push("Dropped an invalid planning horizon.");
+  }
+  for (const [periodId, a] of Object.entries(doc.periodAssignments || {})) {
+    if (!horizon?.periods.some((p) => p.id === periodId)) { notes.push(`Dropped the assignment for unknown period "${periodId}".`); continue; }
+    periodAssignments[periodId] = normalizeAssignment(a, network);
+    notes.push(...assignmentNotes(a, periodAssignments[periodId], network, `Period ${periodId}`).filter((n) => !n.includes("had no pick")));
+  }
+  const { layout, notes: layoutNotes } = validateLayout(doc.layout, network); notes.push(...layoutNotes);
+  return { scenario: { master, variant, profileId, params, assignment, lruEdits, horizon, periodAssignments, layout }, notes };
+}
+
+/********************
+ * Share-link encoding
+ ********************/
+function toBase64Url(bytes) {
+  let bin = ""; for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+function fromBase64Url(text) {
+  const bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+async function pipeBytes(bytes, stream) { return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer()); }
+
+/** `#z.<…>` when the platform can deflate, else `#j.<base64url(JSON)>`. */
+export async function encodeShareHash(doc) {
+  const json = new TextEncoder().encode(JSON.stringify(doc));
+  if (typeof CompressionStream === "undefined") return `#j.${toBase64Url(json)}`;
+  return `#z.${toBase64Url(await pipeBytes(json, new CompressionStream("deflate-raw")))}`;
+}
+
+/** The raw (unmigrated) document in a hash; throws an Error that says what is wrong. */
+export async function decodeShareHash(hash) {
+  const body = hash.replace(/^#/, "");
+  let text;
+  try {
+    if (body.startsWith("z.")) text = new TextDecoder().decode(await pipeBytes(fromBase64Url(body.slice(2)), new DecompressionStream("deflate-raw")));
+    else if (body.startsWith("j.")) text = new TextDecoder().decode(fromBase64Url(body.slice(2)));
+    else text = decodeURIComponent(atob(body));
+  } catch (err) { throw new Error(`The link is truncated or corrupted (${err.message}).`); }
+  try { return JSON.parse(text); } catch { throw new Error("The link does not contain a valid scenario."); }
+}
+
+/** decode → migrate → validate. Returns { scenario, notes, fromVersion }. */
+export async function openShareHash(hash, network, known) {
+  const { doc, fromVersion, applied } = migrateScenario(await decodeShareHash(hash));
+  const { scenario, notes } = validateScenario(doc, network, known);
+  return { scenario, notes: [...applied.map((a) => `Migrated ${a}.`), ...notes], fromVersion };
+}
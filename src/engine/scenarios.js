@@ -0,0 +1,102 @@
+/**
+ * Scenario library — naming, search, sort and bundle import/export for saved scenarios.
+ *
+ * A scenario is a snapshot of the app ({ master, variant, params, assignment, lruEdits, profileId,
+ * network, horizon, periodAssignments, metrics }) plus library fields
+ * { id, name, description, tags: [], folder, ts (created), updatedAt }. Storage lives in scenarioStore.js.
+ */
+
+export const BUNDLE_FORMAT = "pcs-sim/scenario-library";
+export const BUNDLE_VERSION = 1;
+
+export function newScenarioId() { return `sc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`; }
+
+/** Fill in library fields; entries from the old localStorage list only carry id/master/variant/ts. */
+export function upgradeScenario(s) {
+  const ts = s.ts ?? new Date().toISOString();
+  return {
+    ...s, ts,
+    name: s.name || `${s.master ?? "scenario"}/${s.variant ?? ""}`,
+    description: s.description ?? "",
+    tags: Array.isArray(s.tags) ? s.tags.map(String) : [],
+    folder: s.folder ?? "",
+    updatedAt: s.updatedAt ?? ts,
+  };
+}
+
+export function uniqueName(name, scenarios) {
+  const taken = new Set(scenarios.map((s) => s.name));
+  if (!taken.has(name)) return name;
+  let i = 2; while (taken.has(`${name} ${i}`)) i++;
+  return `${name} ${i}`;
+}
+
+export function duplicateScenario(s, scenarios) {
+  const now = new Date().toISOString();
+  return { ...s, id: newScenarioId(), name: uniqueName(`${s.name} (copy)`, scenarios), ts: now, updatedAt: now };
+}
+
+/** "a, b ,, c" → ["a", "b", "c"] without duplicates. */
+export function parseTags(text) { return [...new Set(text.split(",").map((t) => t.trim()).filter(Boolean))]; }
+
+export function scenarioFolders(scenarios) { return [...new Set(scenarios.map((s) => s.folder).filter(Boolean))].sort((a, b) => a.localeCompare(b)); }
+export function scenarioTags(scenarios) { return [...new Set(scenarios.flatMap((s) => s.tags))].sort((a, b) => a.localeCompare(b)); }
+
+/**
+ * `folder` null means all folders and "" means unfiled; every word of `query` must appear in the
+ * name, description, folder, tags, scenario or variant.
+ */
+export function filterScenarios(scenarios, { query = "", folder = null, tag = null } = {}) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return scenarios.filter((s) => {
+    if (folder != null && s.folder !== folder) return false;
+    if (tag && !s.tags.includes(tag)) return false;
+    const text = [s.name, s.description, s.folder, s.master, s.variant, ...s.tags].join(" ").toLowerCase();
+    return words.every((w) => text.includes(w));
+  });
+}
+
+export const SCENARIO_SORTS = {
+  updated: { label: "Last modified", cmp: (a, b) => b.updatedAt.localeCompare(a.updatedAt) },
+  created: { label: "Created", cmp: (a, b) => b.ts.localeCompare(a.ts) },
+  name: { label: "Name", cmp: (a, b) => a.name.localeCompare(b.name) },
+  cost: { label: "Cost", cmp: (a, b) => a.metrics.cost - b.metrics.cost },
+  service: { label: "Service", cmp: (a, b) => b.metrics.totals.serviceLevel - a.metrics.totals.serviceLevel },
+};
+export function sortScenarios(scenarios, key) { return [...scenarios].sort(SCENARIO_SORTS[key]?.cmp ?? SCENARIO_SORTS.updated.cmp); }
+
+/********************
+ * Bundles (hand a whole library to another analyst)
+ ********************/
+// JSON has no Infinity, so an infeasible scenario's cost and objective are written as null and read back as Infinity.
+function metricsToJSON(m) { return Number.isFinite(m.cost) ? m : { ...m, cost: null, objective: null }; }
+function metricsFromJSON(m) { return m.cost === null ? { ...m, cost: Infinity, objective: Infinity } : m; }
+
+export function toBundle(scenarios) {
+  return { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, exportedAt: new Date().toISOString(), scenarios: scenarios.map((s) => ({ ...s, metrics: metricsToJSON(s.metrics) })) };
+}
+
+/**
+ * Read a bundle (or a bare array of scenarios). Entries whose id already exists in `existing`
+ * are imported as new scenarios rather than overwriting; a null cost is an infeasible scenario. Returns { scenarios, errors }; valid
+ * entries are returned even when others fail.
+ */
+export function fromBundle(obj, existing = []) {
+  const list = Array.isArray(obj) ? obj : obj?.scenarios;
+  if (!Array.isArray(list)) return { scenarios: [], errors: [`Not a scenario library: expected "format": "${BUNDLE_FORMAT}" with a scenarios array.`] };
+  if (!Array.isArray(obj) && obj.format !== BUNDLE_FORMAT) return { scenarios: [], errors: [`Unknown bundle format "${obj.format}".`] };
+  if (!Array.isArray(obj) && obj.version > BUNDLE_VERSION) return { scenarios: [], errors: [`Bundle version ${obj.version} is newer than this app supports (${BUNDLE_VERSION}).`] };
+  const ids = new Set(existing.map((s) => s.id)); const names = [...existing];
+  const scenarios = []; const errors = [];
+  list.forEach((raw, i) => {
+    const label = `Scenario ${i + 1}${raw?.name ? ` (${raw.name})` : ""}`;
+    if (!raw || typeof raw !== "object") { errors.push(`${label}: not an object.`); return; }
+    const missing = ["assignment", "params", "metrics"].filter((k) => !raw[k] || typeof raw[k] !== "object");
+    if (missing.length) { errors.push(`${label}: missing ${missing.join(", ")}.`); return; }
+    if (!(raw.metrics.cost === null || Number.isFinite(raw.metrics.cost)) || !raw.metrics.totals) { errors.push(`${label}: metrics has no cost/totals.`); return; }
+    let s = upgradeScenario({ ...raw, metrics: metricsFromJSON(raw.metrics) });
+    if (!s.id || ids.has(s.id)) s = { ...s, id: newScenarioId(), name: uniqueName(s.name, names) };
+    ids.add(s.id); names.push(s); scenarios.push(s);
+  });
+  return { scenarios, errors };
+}
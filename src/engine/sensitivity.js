@@ -0,0 +1,122 @@
+/**
+ * One-at-a-time sensitivity of the objective to each pricing/target lever, two ways:
+ * runSensitivity holds the assignment fixed (tornado rows); optimalSensitivity re-optimizes at
+ * every step and searches for the breakeven values where the best assignment changes.
+ */
+import { clamp, evaluateSolution, splitsOf } from "./evaluate.js";
+import { optimize } from "./optimize.js";
+import { PARAM_SPECS } from "./scenarioSchema.js";
+import { modeLabel } from "./transport.js";
+
+export const SENSITIVITY_TESTS = [
+  { key: "serviceTarget", label: "Service Target", delta: 0.02 },
+  { key: "laborRate", label: "Labor Rate", delta: 10 },
+  { key: "tariffMultiplier", label: "Tariff Multiplier", delta: 0.1 },
+  { key: "carbonPrice", label: "Carbon Price", delta: 0.01 },
+  { key: "inventoryCarryPct", label: "Inventory Carry", delta: 0.02 },
+  { key: "demandCv", label: "Demand CV", delta: 0.1 },
+  { key: "leadTimeCv", label: "Lead-Time CV", delta: 0.1 },
+  { key: "riskWeight", label: "Risk Weight", delta: 0.1 },
+];
+
+/** Rows { key, label, low, high, min, max, delta }, largest swing first; infeasible ends are left out. */
+export function runSensitivity({ assignment, params, network, lruEdits = {} }) {
+  return SENSITIVITY_TESTS.map((t) => {
+    const { min, max } = PARAM_SPECS[t.key];
+    const loR = evaluateSolution({ assignment, params: { ...params, [t.key]: clamp(params[t.key] - t.delta, min, max) }, network, lruEdits }).objective;
+    const hiR = evaluateSolution({ assignment, params: { ...params, [t.key]: clamp(params[t.key] + t.delta, min, max) }, network, lruEdits }).objective;
+    const lo = Number.isFinite(loR) ? loR : NaN; const hi = Number.isFinite(hiR) ? hiR : NaN;
+    return { key: t.key, label: t.label, low: lo, high: hi, min: Math.min(lo, hi), max: Math.max(lo, hi), delta: Math.abs(hi - lo) };
+  }).filter((r) => !isNaN(r.delta)).sort((a, b) => b.delta - a.delta);
+}
+
+const STAGES = [["supplier", "suppliers"], ["assembly", "assemblySites"], ["dc", "dcs"]];
+const LEGS = [["supMode", "supplier leg"], ["dcMode", "DC leg"], ["lastMode", "last mile"]];
+const SOLVE_BUDGET_MS = 5_000;
+
+/** How one LRU's pick differs between two assignments: ["from Supplier B to Supplier D", ...]; empty when the same. */
+export function pickChanges(network, from, to) {
+  const name = (table, id) => network[table].find((e) => e.id === id)?.name ?? id;
+  const split = (pick, kind, table) => splitsOf(pick, kind).map(([id, s]) => (s < 1 ? `${name(table, id)} ${Math.round(s * 100)}%` : name(table, id))).join(" + ");
+  const out = [];
+  // With customers the DC split follows `serve`, so the per-customer moves say it all
+  for (const [kind, table] of STAGES.filter(([kind]) => kind !== "dc" || !network.customers?.length)) {
+    const a = split(from, kind, table); const b = split(to, kind, table);
+    if (a !== b) out.push(`from ${a} to ${b}`);
+  }
+  for (const c of network.customers ?? []) if (from.serve?.[c.id] !== to.serve?.[c.id]) out.push(`${c.name} from ${name("dcs", from.serve?.[c.id])} to ${name("dcs", to.serve?.[c.id])}`);
+  for (const [key, leg] of LEGS) if (from[key] && to[key] && from[key] !== to[key]) out.push(`${leg} from ${modeLabel(network.transport, from[key])} to ${modeLabel(network.transport, to[key])}`);
+  return out;
+}
+
+/** The LRUs whose picks differ: [{ lruId, name, changes }]. */
+export function assignmentChanges(network, from, to) {
+  return network.lrus.map((l) => ({ lruId: l.id, name: l.name, changes: from[l.id] && to[l.id] ? pickChanges(network, from[l.id], to[l.id]) : [] })).filter((c) => c.changes.length);
+}
+
+function describeBreakeven(network, near, far) {
+  if (!far.assignment) return far.status === "timeout" ? "could not be found within the time budget" : "becomes infeasible";
+  if (!near.assignment) return "becomes feasible";
+  return assignmentChanges(network, near.assignment, far.assignment).map((c) => `moves ${c.name} ${c.changes.join(", ")}`).join("; ");
+}
+
+/**
+ * Re-optimize at each lever nudged by -steps…+steps deltas (clamped to its range), then bisect
+ * every gap where the optimum differs between neighbouring points down to `tolerance` × delta.
+ * Returns { base, series: [{ key, label, delta, base, points }], breakevens, solves, complete, elapsedMs }:
+ *   points      [{ offset (in deltas), value, status ("optimal" | "timeout" | "infeasible"), objective, cost, assignment }]
+ *   breakevens  [{ key, label, value, distance, from, to, changes, text }], nearest the current value first
+ *               (`distance` in deltas), where `from` is the optimum on the side of the current value
+ *               and `to` the one past the breakeven (null when infeasible)
+ * Each solve gets at most SOLVE_BUDGET_MS; once `timeBudgetMs` is spent the remaining points are
+ * skipped and `complete` is false (as it is when any solve was not proven optimal).
+ */
+export function optimalSensitivity({ network, params, lruEdits = {}, allowSplits = false, tests = SENSITIVITY_TESTS, steps = 2, tolerance = 0.05, timeBudgetMs = 60_000, onProgress }) {
+  const t0 = Date.now(); let solves = 0; let complete = true;
+  const planned = 1 + tests.length * 2 * steps;
+  const solve = (key, value) => {
+    const left = timeBudgetMs - (Date.now() - t0);
+    if (left <= 0) { complete = false; return null; }
+    const out = optimize({ network, params: key ? { ...params, [key]: value } : params, lruEdits, allowSplits, timeBudgetMs: Math.min(SOLVE_BUDGET_MS, left) });
+    if (!out.complete) complete = false;
+    solves++; onProgress?.({ solves, planned, lever: key, elapsedMs: Date.now() - t0 });
+    const status = out.best ? (out.complete ? "optimal" : "timeout") : out.complete ? "infeasible" : "timeout";
+    return { value, status, objective: out.best?.objective ?? null, cost: out.best?.cost ?? null, assignment: out.best?.assignment ?? null };
+  };
+  const same = (a, b) => (!a || !b ? !a && !b : !assignmentChanges(network, a, b).length);
+
+  const base = solve(null, null);
+  const series = []; const breakevens = [];
+  for (const t of base ? tests : []) {
+    const { min, max } = PARAM_SPECS[t.key]; const at = params[t.key];
+    const points = [];
+    for (let k = -steps; k <= steps; k++) {
+      const value = clamp(at + k * t.delta, min, max);
+      if (points.some((p) => Math.abs(p.value - value) < 1e-12)) continue;
+      const p = k === 0 ? { ...base, value } : solve(t.key, value);
+      if (p) points.push({ ...p, offset: (value - at) / t.delta });
+    }
+    series.push({ key: t.key, label: t.label, delta: t.delta, base: at, points });
+    for (let i = 1; i < points.length; i++) {
+      let lo = points[i - 1]; const end = points[i];
+      // One gap can hide several switches: after each, carry on from the far side of it
+      while (!same(lo.assignment, end.assignment)) {
+        let hi = end;
+        while (hi.value - lo.value > tolerance * t.delta) {
+          const mid = solve(t.key, (lo.value + hi.value) / 2);
+          if (!mid) break;
+          if (same(lo.assignment, mid.assignment)) lo = mid; else hi = mid;
+        }
+        const [near, far] = hi.value <= at ? [hi, lo] : [lo, hi];
+        const value = (lo.value + hi.value) / 2;
+        breakevens.push({ key: t.key, label: t.label, value, distance: Math.abs(value - at) / t.delta, from: near.assignment, to: far.assignment,
+          changes: near.assignment && far.assignment ? assignmentChanges(network, near.assignment, far.assignment) : [],
+          text: `At ${t.label} ${+value.toPrecision(3)} the optimum ${describeBreakeven(network, near, far)}` });
+        if (hi === end || Date.now() - t0 > timeBudgetMs) break;
+        lo = hi;
+      }
+    }
+  }
+  breakevens.sort((a, b) => a.distance - b.distance);
+  return { base, series, breakevens, solves, complete, elapsedMs: Date.now() - t0 };
+}
@@ -0,0 +1,100 @@
+/**
+ * Two-parameter sweeps — objective, cost, service and feasibility over a grid of two levers, for
+ * the current assignment held fixed or re-optimized at every grid point.
+ *
+ * An axis is { key, min, max, steps }: `steps` evenly spaced values from min to max inclusive of
+ * one SWEEP_PARAMS lever. demandMultiplier stands in for the volume variant (and master scenario),
+ * which only ever reach the engine through it.
+ */
+import { evaluateSolution } from "./evaluate.js";
+import { optimize } from "./optimize.js";
+import { toCSV } from "./csv.js";
+import { PARAM_SPECS } from "./scenarioSchema.js";
+
+export const SWEEP_PARAMS = {
+  tariffMultiplier: { label: "Tariff Multiplier" },
+  carbonPrice: { label: "Carbon Price ($/kg)" },
+  laborRate: { label: "Labor Rate ($/h)" },
+  demandMultiplier: { label: "Demand Multiplier (variant)", min: 0.5, max: 1.5 },
+  serviceTarget: { label: "Service Target" },
+  inventoryCarryPct: { label: "Inventory Carry" },
+  riskWeight: { label: "Risk Weight" },
+  reviewDays: { label: "Review Period (days)" },
+  demandCv: { label: "Demand CV" },
+  leadTimeCv: { label: "Lead-Time CV" },
+};
+export const SWEEP_METRICS = {
+  objective: { label: "Objective" },
+  cost: { label: "Cost" },
+  serviceLevel: { label: "Service Level" },
+  feasible: { label: "Feasibility" },
+};
+export const MAX_SWEEP_STEPS = 15;
+const SOLVE_BUDGET_MS = 5_000;
+
+/** The range a lever may be swept over: { min, max }. */
+export function sweepRange(key) { const spec = SWEEP_PARAMS[key]; return { min: spec.min ?? PARAM_SPECS[key].min, max: spec.max ?? PARAM_SPECS[key].max }; }
+
+/** An axis over the lever's full range, or ±20% around `value` when that range is wider. */
+export function defaultAxis(key, value, steps = 5) {
+  const { min, max } = sweepRange(key);
+  const lo = Math.max(min, value * 0.8); const hi = Math.min(max, value * 1.2);
+  return { key, min: hi > lo ? lo : min, max: hi > lo ? hi : max, steps };
+}
+
+export function axisValues(axis) {
+  return Array.from({ length: axis.steps }, (_, i) => (axis.steps > 1 ? axis.min + ((axis.max - axis.min) * i) / (axis.steps - 1) : axis.min));
+}
+
+/** Problems with an axis pair as messages; empty when the sweep can run. */
+export function validateSweep(x, y) {
+  const problems = [];
+  for (const [name, a] of [["X", x], ["Y", y]]) {
+    if (!SWEEP_PARAMS[a.key]) { problems.push(`${name} axis: unknown lever "${a.key}".`); continue; }
+    const { min, max } = sweepRange(a.key);
+    if (!(a.min >= min && a.max <= max && a.min <= a.max)) problems.push(`${name} axis: ${SWEEP_PARAMS[a.key].label} must run from low to high within ${min}–${max}.`);
+    if (!Number.isInteger(a.steps) || a.steps < 2 || a.steps > MAX_SWEEP_STEPS) problems.push(`${name} axis: steps must be a whole number from 2 to ${MAX_SWEEP_STEPS}.`);
+  }
+  if (x.key === y.key) problems.push("Pick two different levers.");
+  return problems;
+}
+
+/**
+ * Evaluate `assignment` (or re-optimize, with `reoptimize`) at every grid point. Returns
+ * { x, y, reoptimize, cells, complete, elapsedMs } where x/y are the axes plus their `values` and
+ * cells[j][i] (row j = y value, column i = x value) is { x, y, status, feasible, objective, cost,
+ * serviceLevel, assignment }. status is "feasible" | "infeasible" for a fixed assignment, and
+ * "optimal" | "timeout" | "infeasible" | "skipped" when re-optimizing: each solve gets at most
+ * SOLVE_BUDGET_MS, and points left when `timeBudgetMs` runs out are skipped (`complete` false).
+ */
+export function runSweep({ network, params, assignment, lruEdits = {}, x, y, reoptimize = false, allowSplits = false, timeBudgetMs = 120_000, onProgress }) {
+  const problems = validateSweep(x, y);
+  if (problems.length) throw new Error(problems.join(" "));
+  const t0 = Date.now(); let complete = true; let done = 0;
+  const xs = axisValues(x); const ys = axisValues(y); const total = xs.length * ys.length;
+  const point = (xv, yv) => {
+    const p = { ...params, [x.key]: xv, [y.key]: yv };
+    if (!reoptimize) {
+      const r = evaluateSolution({ assignment, params: p, network, lruEdits });
+      return { status: r.feasible ? "feasible" : "infeasible", feasible: r.feasible, objective: r.objective, cost: r.cost, serviceLevel: r.totals.serviceLevel, assignment };
+    }
+    const left = timeBudgetMs - (Date.now() - t0);
+    if (left <= 0) { complete = false; return { status: "skipped", feasible: null, objective: null, cost: null, serviceLevel: null, assignment: null }; }
+    const out = optimize({ network, params: p, lruEdits, allowSplits, timeBudgetMs: Math.min(SOLVE_BUDGET_MS, left) });
+    if (!out.complete) complete = false;
+    const best = out.best;
+    return { status: best ? (out.complete ? "optimal" : "timeout") : out.complete ? "infeasible" : "timeout", feasible: best ? true : out.complete ? false : null, objective: best?.objective ?? null, cost: best?.cost ?? null, serviceLevel: best?.totals.serviceLevel ?? null, assignment: best?.assignment ?? null };
+  };
+  const cells = ys.map((yv) => xs.map((xv) => {
+    const cell = { x: xv, y: yv, ...point(xv, yv) };
+    done++; onProgress?.({ done, total, elapsedMs: Date.now() - t0 });
+    return cell;
+  }));
+  return { x: { ...x, values: xs }, y: { ...y, values: ys }, reoptimize, cells, complete, elapsedMs: Date.now() - t0 };
+}
+
+/** The grid as CSV, one row per point: both lever values, then status and metrics. */
+export function sweepCSV(sweep) {
+  const rows = sweep.cells.flat().map((c) => ({ [sweep.x.key]: c.x, [sweep.y.key]: c.y, status: c.status, feasible: c.feasible, objective: c.objective, cost: c.cost, serviceLevel: c.serviceLevel }));
+  return toCSV(rows, [sweep.x.key, sweep.y.key, "status", "feasible", "objective", "cost", "serviceLevel"]);
+}
@@ -0,0 +1,162 @@
+/**
+ * Tariff schedules — the duty on goods crossing from an origin region into a destination region,
+ * by the LRU's `tariffClass`, with trade agreements, dated rate changes and tariff shocks.
+ *
+ * params.tariffs is null (each supplier's flat `tariffRate` on its material, as before) or
+ *   { asOf: "YYYY-MM-DD",
+ *     schedule:   [{ id, origin, destination, tariffClass, rate, from?, until? }],
+ *     agreements: [{ id, name, members: [regionId], tariffClass, rate, minContent, from?, until? }],
+ *     shocks:     [{ id, origin, destination, tariffClass, rate? | add?, stage?, from?, until?, note? }] }
+ * Entries are in force at `asOf` when from ≤ asOf < until (either may be absent), so a dated rate
+ * change is two schedule rows. "*" matches any region or class, but only across a border: goods
+ * moving within one region match only entries naming that region at both ends.
+ *
+ * Duties fall on three crossings of every LRU: its components from a supplier into the assembly
+ * site's region (valued at material cost), the finished LRU from the assembly site into the DC's
+ * region and from the DC into the customer's (valued at its cost so far, duties included). Each
+ * crossing pays, times params.tariffMultiplier:
+ *   1. the most specific schedule row in force (named ends and class beat "*"; the later `from`
+ *      breaks ties) — or, with none, the supplier's `tariffRate` for components and nothing for
+ *      finished goods;
+ *   2. lowered to an agreement's preferential rate when both regions are members, the class
+ *      matches and the goods qualify: at least `minContent` (0–1) of their value was made in
+ *      member regions (components are wholly made at their supplier; a finished LRU counts its
+ *      members' material plus, when assembled in a member, its labor and overhead);
+ *   3. then each shock in force, in order: `rate` replaces the rate, `add` adds to it (-1 ≤ add);
+ *      the rate never drops below 0. A shock with a `stage` (DUTY_STAGES) hits only that crossing.
+ * The result's `duties` lists the crossings that pay or get a preferential rate: { lruId, stage,
+ * from, to, origin, destination, tariffClass, value, ...dutyRate, duty } with `rate` after the multiplier.
+ */
+export const TARIFF_CLASSES = ["general", "avionics", "electrical", "mechanical", "thermal"];
+export const DEFAULT_TARIFF_CLASS = "general";
+export const ANY = "*";
+// The crossings evaluateSolution levies duty on: supplier→site, site→DC, DC→customer.
+export const DUTY_STAGES = ["inbound", "outbound", "lastMile"];
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+export function tariffClassOf(lru) { return lru.tariffClass || DEFAULT_TARIFF_CLASS; }
+export function today() { return new Date().toISOString().slice(0, 10); }
+export function defaultTariffs(asOf = today()) { return { asOf, schedule: [], agreements: [], shocks: [] }; }
+
+function inForce(entry, asOf) { return (!entry.from || entry.from <= asOf) && (!entry.until || asOf < entry.until); }
+// A "*" end matches any other region; goods staying in a region need it named at both ends.
+function endsMatch(entry, origin, destination) {
+  if (origin === destination) return entry.origin === origin && entry.destination === destination;
+  return (entry.origin === ANY || entry.origin === origin) && (entry.destination === ANY || entry.destination === destination);
+}
+function classMatch(entry, tariffClass) { return entry.tariffClass === ANY || entry.tariffClass === tariffClass; }
+function specificity(row) { return [row.origin, row.destination, row.tariffClass].filter((v) => v !== ANY).length; }
+
+/**
+ * The duty rate on one crossing: { rate, base (the schedule row's rate, times the origin's
+ * scaleTariffs factor), basis: "schedule" | "supplier" | "none", agreement (name or null),
+ * shocked }. `stage` is the crossing (DUTY_STAGES); `fallback` is what components pay with no
+ * schedule row (the supplier's tariffRate; 0 for finished goods); `content(members)` is the
+ * share of the goods' value made in those regions.
+ */
+export function dutyRate(tariffs, { origin, destination, tariffClass, stage, fallback = 0, content = () => 1 }) {
+  if (!tariffs) return { rate: fallback, base: fallback, basis: fallback ? "supplier" : "none", agreement: null, shocked: false };
+  const rows = tariffs.schedule.filter((r) => inForce(r, tariffs.asOf) && endsMatch(r, origin, destination) && classMatch(r, tariffClass));
+  const row = rows.sort((a, b) => specificity(b) - specificity(a) || (b.from ?? "").localeCompare(a.from ?? ""))[0];
+  const base = row ? row.rate * (tariffs.factors?.[origin] ?? 1) : fallback;
+  let rate = base; let agreement = null;
+  for (const a of tariffs.agreements) {
+    if (!inForce(a, tariffs.asOf) || !a.members.includes(origin) || !a.members.includes(destination) || !classMatch(a, tariffClass)) continue;
+    if (a.rate < rate && content(a.members) >= a.minContent) { rate = a.rate; agreement = a.name; }
+  }
+  let shocked = false;
+  for (const s of tariffs.shocks) {
+    if (!inForce(s, tariffs.asOf) || !endsMatch(s, origin, destination) || !classMatch(s, tariffClass) || (s.stage && s.stage !== stage)) continue;
+    rate = s.rate != null ? s.rate : rate + (s.add ?? 0); shocked = true;
+  }
+  return { rate: Math.max(0, rate), base, basis: row ? "schedule" : fallback ? "supplier" : "none", agreement, shocked };
+}
+
+/** The share of `parts` ([{ region, value }]) made in `members`; 1 when there is no value. */
+export function regionalContent(parts, members) {
+  const total = parts.reduce((acc, p) => acc + p.value, 0);
+  return total > 0 ? parts.filter((p) => members.includes(p.region)).reduce((acc, p) => acc + p.value, 0) / total : 1;
+}
+
+/** Add shocks to a tariff setup, starting an empty one (flat supplier rates) when there is none. */
+export function withShocks(tariffs, shocks) {
+  if (!shocks.length) return tariffs;
+  const t = tariffs ?? defaultTariffs();
+  return { ...t, shocks: [...t.shocks, ...shocks] };
+}
+
+/**
+ * Scale schedule rates by a factor per origin region ({ [regionId]: factor }). The factor is kept
+ * on the tariffs and applied to the row dutyRate picks for goods from that region, so "*" rows
+ * scale with the actual origin.
+ */
+export function scaleTariffs(tariffs, factors) {
+  if (!tariffs) return tariffs;
+  const prev = tariffs.factors ?? {};
+  const merged = { ...prev };
+  for (const [region, f] of Object.entries(factors)) merged[region] = (prev[region] ?? 1) * f;
+  return { ...tariffs, factors: merged };
+}
+
+/**
+ * Duties grouped by crossing, largest first: [{ origin, destination, duty, value, rate (effective),
+ * legs, agreements: [names], shocked }] from a result's `duties`.
+ */
+export function dutiesByLane(duties) {
+  const by = {};
+  for (const d of duties) {
+    const g = (by[`${d.origin}→${d.destination}`] ??= { origin: d.origin, destination: d.destination, duty: 0, value: 0, legs: 0, agreements: new Set(), shocked: false });
+    g.duty += d.duty; g.value += d.value; g.legs++; g.shocked ||= d.shocked;
+    if (d.agreement) g.agreements.add(d.agreement);
+  }
+  return Object.values(by).map((g) => ({ ...g, rate: g.value > 0 ? g.duty / g.value : 0, agreements: [...g.agreements] })).sort((a, b) => b.duty - a.duty);
+}
+
+/**
+ * A starting schedule for the sample network: a general rate into each region from the others,
+ * duty-free domestic moves, a USMCA-style agreement between North America and Mexico (60%
+ * regional content) and a scheduled rise on Asia–Pacific electrical goods.
+ */
+export function sampleTariffs(network, asOf = today()) {
+  const regions = network.regions.map((r) => r.id); const has = (id) => regions.includes(id);
+  const schedule = [
+    ...regions.map((r) => ({ id: `T-${r}`, origin: ANY, destination: r, tariffClass: ANY, rate: 0.035 })),
+    ...regions.map((r) => ({ id: `T-${r}-${r}`, origin: r, destination: r, tariffClass: ANY, rate: 0 })),
+  ];
+  if (has("AP") && has("NA")) schedule.push({ id: "T-AP-NA-E", origin: "AP", destination: "NA", tariffClass: "electrical", rate: 0.075, until: `${Number(asOf.slice(0, 4)) + 1}-01-01` },
+    { id: "T-AP-NA-E2", origin: "AP", destination: "NA", tariffClass: "electrical", rate: 0.15, from: `${Number(asOf.slice(0, 4)) + 1}-01-01` });
+  const agreements = has("NA") && has("MX") ? [{ id: "AG-USMCA", name: "USMCA", members: ["NA", "MX"], tariffClass: ANY, rate: 0, minContent: 0.6 }] : [];
+  return { asOf, schedule, agreements, shocks: [] };
+}
+
+const ENTRY_PREFIX = { schedule: "T", agreements: "AG", shocks: "SH" };
+
+/** A new schedule row, agreement or shock (`list` names which) with an unused id. */
+export function newTariffEntry(list, tariffs, network) {
+  const ids = new Set(tariffs[list].map((e) => e.id)); let n = tariffs[list].length + 1;
+  while (ids.has(`${ENTRY_PREFIX[list]}${n}`)) n++;
+  const id = `${ENTRY_PREFIX[list]}${n}`; const [first, second = first] = network.regions.map((r) => r.id);
+  if (list === "schedule") return { id, origin: ANY, destination: first, tariffClass: ANY, rate: 0.05 };
+  if (list === "agreements") return { id, name: `Agreement ${n}`, members: [first, second], tariffClass: ANY, rate: 0, minContent: 0.5 };
+  return { id, origin: first, destination: ANY, tariffClass: ANY, add: 0.1 };
+}
+
+/** Clean params.tariffs against a network: returns { tariffs, notes }; null stays null. */
+export function validateTariffs(raw, network) {
+  const notes = [];
+  if (raw == null) return { tariffs: null, notes };
+  if (typeof raw !== "object" || Array.isArray(raw)) return { tariffs: null, notes: ["Tariffs are invalid; using each supplier's flat tariff rate."] };
+  const regions = new Set(network.regions.map((r) => r.id));
+  const region = (v) => v === ANY || regions.has(v);
+  const tariffClass = (v) => typeof v === "string" && v.trim() !== "";
+  const rate = (v) => typeof v === "number" && Number.isFinite(v) && v >= 0;
+  const dates = (e) => (e.from == null || DATE.test(e.from)) && (e.until == null || DATE.test(e.until));
+  const list = (key) => (Array.isArray(raw[key]) ? raw[key] : []).filter((e) => e && typeof e === "object");
+  const keep = (what, e, ok) => { if (!ok) notes.push(`Tariffs: dropped invalid ${what} "${e.id ?? "?"}".`); return ok; };
+  const schedule = list("schedule").filter((e) => keep("schedule row", e, region(e.origin) && region(e.destination) && tariffClass(e.tariffClass) && rate(e.rate) && dates(e)));
+  const agreements = list("agreements").filter((e) => keep("agreement", e, Array.isArray(e.members) && e.members.length > 0 && e.members.every((m) => regions.has(m)) && tariffClass(e.tariffClass) && rate(e.rate) && rate(e.minContent) && e.minContent <= 1 && dates(e)));
+  const shocks = list("shocks").filter((e) => keep("shock", e, region(e.origin) && region(e.destination) && tariffClass(e.tariffClass) && (rate(e.rate) || (e.rate == null && typeof e.add === "number" && Number.isFinite(e.add) && e.add >= -1)) && (e.stage == null || DUTY_STAGES.includes(e.stage)) && dates(e)));
+  let asOf = raw.asOf;
+  if (typeof asOf !== "string" || !DATE.test(asOf)) { asOf = today(); notes.push(`Tariffs: the as-of date must be YYYY-MM-DD; using ${asOf}.`); }
+  return { tariffs: { asOf, schedule, agreements, shocks }, notes };
+}
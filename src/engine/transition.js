@@ -0,0 +1,85 @@
+/**
+ * Transition planning — moving from an as-is baseline assignment to a new one is not free:
+ * bringing a supplier or assembly site into an LRU's sourcing costs tooling, qualification and
+ * first-article inspection once, and the site cannot ship until it is qualified.
+ *
+ * params.transition is null (no baseline: every move is free) or
+ *   { baseline: assignment, siteCosts: { [siteId]: { tooling?, qualification?, firstArticle?, leadWeeks? } },
+ *     maxChanges: number | null, amortizeYears }
+ * Sites without an entry use SWITCH_DEFAULTS for their kind. An LRU "changes" when its supplier or
+ * assembly split differs from the baseline's; only sites new to the LRU cost anything (dropping a
+ * site or re-balancing a split is free, as are DC and mode moves). evaluateSolution puts each
+ * line's `switching` on it, adds the one-time costs spread over `amortizeYears` to the objective
+ * (not the run-rate cost) and treats more than `maxChanges` changed LRUs as infeasible.
+ */
+import { normalizeAssignment, splitsOf } from "./evaluate.js";
+
+export const SWITCH_COST_FIELDS = { tooling: "Tooling", qualification: "Qualification", firstArticle: "First-article inspection" };
+export const SWITCH_DEFAULTS = {
+  supplier: { tooling: 120_000, qualification: 80_000, firstArticle: 15_000, leadWeeks: 26 },
+  assembly: { tooling: 250_000, qualification: 150_000, firstArticle: 30_000, leadWeeks: 20 },
+};
+const SITE_KINDS = { supplier: "suppliers", assembly: "assemblySites" };
+
+export function defaultTransition(baseline) { return { baseline, siteCosts: {}, maxChanges: null, amortizeYears: 3 }; }
+
+/** One-time costs and qualification lead time of bringing a site into an LRU: { tooling, qualification, firstArticle, leadWeeks, oneTime }. */
+export function siteSwitchCost(transition, kind, siteId) {
+  const c = { ...SWITCH_DEFAULTS[kind], ...(transition.siteCosts?.[siteId] ?? {}) };
+  return { ...c, oneTime: Object.keys(SWITCH_COST_FIELDS).reduce((acc, k) => acc + c[k], 0) };
+}
+
+function sourcingKey(pick) { return JSON.stringify([splitsOf(pick, "supplier"), splitsOf(pick, "assembly")]); }
+
+/**
+ * What moving one LRU from its baseline pick to `pick` takes: { changed, newSites: [{ kind, id,
+ * ...siteSwitchCost }], oneTime, annualized, leadWeeks }. LRUs missing from the baseline never change.
+ */
+export function lruSwitching(transition, lruId, pick) {
+  const from = transition?.baseline?.[lruId];
+  if (!from || sourcingKey(from) === sourcingKey(pick)) return { changed: false, newSites: [], oneTime: 0, annualized: 0, leadWeeks: 0 };
+  const newSites = Object.keys(SITE_KINDS).flatMap((kind) => {
+    const had = new Set(splitsOf(from, kind).map(([id]) => id));
+    return splitsOf(pick, kind).filter(([id]) => !had.has(id)).map(([id]) => ({ kind, id, ...siteSwitchCost(transition, kind, id) }));
+  });
+  const oneTime = newSites.reduce((acc, s) => acc + s.oneTime, 0);
+  return { changed: true, newSites, oneTime, annualized: oneTime / transition.amortizeYears, leadWeeks: Math.max(0, ...newSites.map((s) => s.leadWeeks)) };
+}
+
+/**
+ * The moves from the baseline to a result's assignment, cheapest payback first:
+ * { moves: [{ lruId, from, to, newSites, oneTime, readyWeek, annualSavings, paybackMonths }], totals }
+ * where `from`/`to` are the baseline and new picks, a move's savings are its LRU's run-rate cost
+ * difference on its own, and totals compare the two whole networks (so they include coupled costs
+ * such as overflow). paybackMonths is null when a move saves nothing.
+ */
+export function transitionPlan({ result, baselineResult, assignment, transition }) {
+  const payback = (oneTime, savings) => (savings > 0 ? (oneTime / savings) * 12 : oneTime > 0 ? null : 0);
+  const moves = Object.entries(result.lines).filter(([, l]) => l.switching.changed).map(([lruId, line]) => {
+    const annualSavings = baselineResult.lines[lruId].cost - line.cost;
+    return { lruId, from: transition.baseline[lruId], to: assignment[lruId], newSites: line.switching.newSites, oneTime: line.switching.oneTime, readyWeek: line.switching.leadWeeks, annualSavings, paybackMonths: payback(line.switching.oneTime, annualSavings) };
+  }).sort((a, b) => (a.paybackMonths ?? Infinity) - (b.paybackMonths ?? Infinity));
+  const oneTime = moves.reduce((acc, m) => acc + m.oneTime, 0); const annualSavings = baselineResult.cost - result.cost;
+  return { moves, totals: { changes: moves.length, oneTime, annualSavings, paybackMonths: payback(oneTime, annualSavings), readyWeek: Math.max(0, ...moves.map((m) => m.readyWeek)) } };
+}
+
+/** Clean a transition against a network: returns { transition, notes }; null stays null. */
+export function validateTransition(raw, network) {
+  const notes = [];
+  if (raw == null) return { transition: null, notes };
+  if (typeof raw !== "object" || Array.isArray(raw) || !raw.baseline || typeof raw.baseline !== "object") return { transition: null, notes: ["Transition has no baseline assignment; dropped it."] };
+  const missing = network.lrus.filter((l) => !raw.baseline[l.id]);
+  if (missing.length) notes.push(`Transition: the baseline had no pick for ${missing.map((l) => l.name).join(", ")}; defaulted.`);
+  const siteCosts = {}; const num = (v, min) => typeof v === "number" && Number.isFinite(v) && v >= min;
+  for (const [id, c] of Object.entries(raw.siteCosts && typeof raw.siteCosts === "object" ? raw.siteCosts : {})) {
+    if (!Object.values(SITE_KINDS).some((list) => network[list].some((e) => e.id === id))) { notes.push(`Transition: dropped switching costs for unknown site "${id}".`); continue; }
+    const clean = Object.fromEntries(Object.entries(c ?? {}).filter(([k, v]) => (k in SWITCH_COST_FIELDS || k === "leadWeeks") && num(v, 0)));
+    if (Object.keys(clean).length !== Object.keys(c ?? {}).length) notes.push(`Transition: dropped invalid switching cost fields for "${id}".`);
+    if (Object.keys(clean).length) siteCosts[id] = clean;
+  }
+  let maxChanges = null;
+  if (raw.maxChanges != null) { if (num(raw.maxChanges, 0) && Number.isInteger(raw.maxChanges)) maxChanges = raw.maxChanges; else notes.push("Transition: max changes must be a whole number ≥ 0; dropped it."); }
+  let amortizeYears = 3;
+  if (raw.amortizeYears != null) { if (num(raw.amortizeYears, 0.25)) amortizeYears = raw.amortizeYears; else notes.push("Transition: amortization years must be at least 0.25; defaulted to 3."); }
+  return { transition: { baseline: normalizeAssignment(raw.baseline, network), siteCosts, maxChanges, amortizeYears }, notes };
+}
@@ -0,0 +1,75 @@
+/**
+ * Transport modes — network.transport maps a mode id to
+ *   { label?, costPerTonMi, carbonPerTonMi, leadPenaltyDays, milesPerDay?, handlingDays?,
+ *     volumetricTonsPerM3?, risk?, minShipmentTons?, via?, transferDays? }
+ * `risk` is the mode's share of the LRU risk index per 10k units; `minShipmentTons` is the least
+ * each shipment is billed for, with one shipment per leg every `reviewDays` (each LRU ships on its own).
+ *
+ * A multimodal mode (e.g. ocean then truck) lists its legs in `via`: [{ mode, share }] with
+ * shares of the distance. Its rates, speed, lead-time penalty and density are derived from those
+ * modes by composeTransport — whenever the network is assembled or a mode is edited — so the rest
+ * of the engine reads every mode the same way. Each hand-over adds `transferDays` of handling.
+ */
+import { HANDLING_DAYS, modeSpeed } from "./inventory.js";
+import { VOLUMETRIC_TONS_PER_M3 } from "./lanes.js";
+
+// Risk per mode when a mode does not set `risk` (the original air/ground/ocean weights).
+export const MODE_RISK = { air: 0.02, ground: 0.04, ocean: 0.06 };
+const DEFAULT_RISK = 0.04;
+const DEFAULT_TRANSFER_DAYS = 2;
+// Fields composeTransport derives for a multimodal mode; anything else on it is its own.
+export const DERIVED_FIELDS = ["costPerTonMi", "carbonPerTonMi", "leadPenaltyDays", "milesPerDay", "handlingDays", "volumetricTonsPerM3"];
+
+/** Starting points for "add mode"; a preset whose `via` modes are missing cannot be added. */
+export const MODE_PRESETS = {
+  rail: { label: "Rail", costPerTonMi: 0.08, leadPenaltyDays: 3, carbonPerTonMi: 0.15, milesPerDay: 350, volumetricTonsPerM3: 0.333, risk: 0.05, minShipmentTons: 20 },
+  expedited: { label: "Expedited air", costPerTonMi: 1.6, leadPenaltyDays: -8, carbonPerTonMi: 2.0, milesPerDay: 6000, handlingDays: 0.5, volumetricTonsPerM3: 0.167, risk: 0.015 },
+  oceanTruck: { label: "Ocean + truck", via: [{ mode: "ocean", share: 0.85 }, { mode: "ground", share: 0.15 }], transferDays: 2, risk: 0.065 },
+  railTruck: { label: "Rail + truck", via: [{ mode: "rail", share: 0.8 }, { mode: "ground", share: 0.2 }], transferDays: 1, risk: 0.05 },
+};
+
+export function modeLabel(transport, mode) { return transport[mode]?.label || mode; }
+export function modeRisk(def, mode) { return def?.risk ?? MODE_RISK[mode] ?? DEFAULT_RISK; }
+
+/** Tons billed on a leg moving `tons` a year: at least `minShipmentTons` per shipment. */
+export function billedTons(tons, def, reviewDays) {
+  return tons > 0 && def?.minShipmentTons ? Math.max(tons, (365 / reviewDays) * def.minShipmentTons) : tons;
+}
+
+/** "ocean:0.85; ground:0.15" or [{ mode, share }] → legs with shares summing to 1, or null. */
+export function parseVia(value) {
+  const legs = Array.isArray(value) ? value.map((l) => ({ mode: String(l?.mode ?? "").trim(), share: Number(l?.share) }))
+    : String(value).split(/[;|]/).filter((p) => p.trim()).map((p) => { const [mode, share = "1"] = p.split(":"); return { mode: mode.trim(), share: Number(share) }; });
+  const total = legs.reduce((a, l) => a + l.share, 0);
+  if (legs.length < 2 || legs.some((l) => !l.mode || !(l.share > 0)) || !(total > 0)) return null;
+  return legs.map((l) => ({ mode: l.mode, share: l.share / total }));
+}
+export function formatVia(via) { return via.map((l) => `${l.mode}:${+l.share.toFixed(3)}`).join(";"); }
+
+/**
+ * Fill in the derived fields of every multimodal mode from its legs. Legs must be single modes of
+ * the same transport; returns { transport, errors: [message] }.
+ */
+export function composeTransport(transport) {
+  const errors = []; const out = { ...transport };
+  for (const [id, def] of Object.entries(transport)) {
+    if (!def.via) continue;
+    const bad = def.via.filter((l) => !transport[l.mode] || transport[l.mode].via);
+    if (bad.length) { errors.push(`mode "${id}": via ${bad.map((l) => `"${l.mode}"`).join(", ")} must be existing single (not multimodal) modes`); continue; }
+    const legs = def.via.map((l) => ({ ...l, def: transport[l.mode] }));
+    const sum = (f) => legs.reduce((a, l) => a + l.share * f(l), 0);
+    out[id] = {
+      ...def,
+      costPerTonMi: sum((l) => l.def.costPerTonMi), carbonPerTonMi: sum((l) => l.def.carbonPerTonMi), leadPenaltyDays: sum((l) => l.def.leadPenaltyDays),
+      milesPerDay: 1 / sum((l) => 1 / modeSpeed(l.def, l.mode)),
+      handlingDays: HANDLING_DAYS + (legs.length - 1) * (def.transferDays ?? DEFAULT_TRANSFER_DAYS),
+      volumetricTonsPerM3: Math.max(...legs.map((l) => l.def.volumetricTonsPerM3 ?? VOLUMETRIC_TONS_PER_M3[l.mode] ?? VOLUMETRIC_TONS_PER_M3.ground)),
+    };
+  }
+  return { transport: out, errors };
+}
+
+/** A mode's own fields (derived ones dropped for multimodal modes), e.g. for export. */
+export function ownModeFields(def) {
+  return def.via ? Object.fromEntries(Object.entries(def).filter(([k]) => !DERIVED_FIELDS.includes(k))) : { ...def };
+}
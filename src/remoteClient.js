@@ -0,0 +1,60 @@
+/**
+ * Main-thread client for the remote /optimize service (contract: engine/optimizeApi.js).
+ * Mirrors runSolverTask: returns { promise, cancel } and reports job progress while polling.
+ */
+import { API_VERSION, optimizeRequestBody } from "./engine/optimizeApi.js";
+import { SolverCancelledError } from "./solverClient.js";
+
+/** `kind` is "network", "http", "protocol", "failed" or "timeout"; `details` lists validation errors. */
+export class RemoteOptimizeError extends Error {
+  constructor(message, { kind, status, details = [] } = {}) { super(message); this.name = "RemoteOptimizeError"; this.kind = kind; this.status = status; this.details = details; }
+}
+
+/**
+ * Submit { network, params, lruEdits, allowSplits, timeBudgetMs } to `url` and poll the job until
+ * it finishes. Resolves with the finished Job ({ solver, result, ... }); rejects with
+ * RemoteOptimizeError, or SolverCancelledError after cancel() (which also cancels the server job).
+ */
+export function runRemoteOptimize(url, input, { onProgress, timeoutMs = (input.timeBudgetMs ?? 10_000) + 30_000, pollEveryMs = 500 } = {}) {
+  const abort = new AbortController();
+  let jobUrl = null; let cancelled = false;
+  const deadline = Date.now() + timeoutMs; const secs = `${+(timeoutMs / 1000).toFixed(1)}s`;
+
+  const call = async (target, init) => {
+    let res;
+    try { res = await fetch(target, { ...init, signal: abort.signal }); } catch (err) {
+      if (cancelled) throw new SolverCancelledError();
+      if (err.name === "AbortError") throw new RemoteOptimizeError(`No answer from ${url} within ${secs}.`, { kind: "timeout" });
+      throw new RemoteOptimizeError(`Could not reach ${url}: ${err.message}`, { kind: "network" });
+    }
+    let body = null;
+    try { body = await res.json(); } catch { /* handled below */ }
+    if (!res.ok) throw new RemoteOptimizeError(body?.error?.message ? `${body.error.message} (HTTP ${res.status})` : `HTTP ${res.status} ${res.statusText}`, { kind: "http", status: res.status, details: body?.error?.details });
+    if (!body || body.version !== API_VERSION) throw new RemoteOptimizeError(`Unexpected response from ${target}: expected optimize API version ${API_VERSION}.`, { kind: "protocol" });
+    return body;
+  };
+  const stop = () => { if (jobUrl) fetch(jobUrl, { method: "DELETE" }).catch(() => {}); };
+  const timer = setTimeout(() => abort.abort(), timeoutMs);
+
+  const promise = (async () => {
+    try {
+      const accepted = await call(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(optimizeRequestBody(input)) });
+      if (!accepted.jobId || !accepted.pollUrl) throw new RemoteOptimizeError("Response to POST is missing jobId/pollUrl.", { kind: "protocol" });
+      jobUrl = new URL(accepted.pollUrl, url).href;
+      for (;;) {
+        await new Promise((r) => setTimeout(r, pollEveryMs));
+        if (cancelled) throw new SolverCancelledError();
+        if (Date.now() > deadline) throw new RemoteOptimizeError(`Job ${accepted.jobId} did not finish within ${secs}.`, { kind: "timeout" });
+        const job = await call(jobUrl, { method: "GET" });
+        if (job.progress) onProgress?.(job.progress);
+        if (job.status === "done") { if (!job.result) throw new RemoteOptimizeError("Finished job has no result.", { kind: "protocol" }); return job; }
+        if (job.status === "failed") throw new RemoteOptimizeError(`Remote solver failed: ${job.error?.message || "unknown error"}`, { kind: "failed" });
+        if (job.status === "cancelled") throw new RemoteOptimizeError("The job was cancelled on the server.", { kind: "failed" });
+      }
+    } catch (err) {
+      if (!(err instanceof SolverCancelledError)) stop();
+      throw err;
+    } finally { clearTimeout(timer); }
+  })();
+  return { promise, cancel: () => { if (cancelled) return; cancelled = true; stop(); abort.abort(); } };
+}
@@ -0,0 +1,49 @@
+/**
+ * IndexedDB persistence for the scenario library. Scenarios saved by older builds under the
+ * localStorage key "pcs_scenarios" are moved in on first use.
+ */
+import { upgradeScenario } from "./engine/scenarios.js";
+
+const DB_NAME = "pcs-sim";
+const STORE = "scenarios";
+const LEGACY_KEY = "pcs_scenarios";
+
+let dbPromise = null;
+function db() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") { reject(new Error("IndexedDB is not available in this browser, so scenarios cannot be stored.")); return; }
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "id" });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return dbPromise;
+}
+
+// Run fn(store) in one transaction; resolves with the result of the request fn returns (if any).
+async function transact(mode, fn) {
+  const d = await db();
+  return new Promise((resolve, reject) => {
+    const t = d.transaction(STORE, mode);
+    const req = fn(t.objectStore(STORE));
+    t.oncomplete = () => resolve(req?.result);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error || new Error("Scenario library transaction was aborted"));
+  });
+}
+
+async function migrateLegacy() {
+  let legacy = [];
+  try { legacy = JSON.parse(localStorage.getItem(LEGACY_KEY) || "[]"); } catch {}
+  if (!Array.isArray(legacy) || !legacy.length) return;
+  await putScenarios(legacy.map(upgradeScenario));
+  localStorage.removeItem(LEGACY_KEY);
+}
+
+export async function listScenarios() {
+  await migrateLegacy();
+  return (await transact("readonly", (store) => store.getAll())).map(upgradeScenario);
+}
+export function putScenarios(scenarios) { return transact("readwrite", (store) => { for (const s of scenarios) store.put(s); }); }
+export function deleteScenario(id) { return transact("readwrite", (store) => store.delete(id)); }
+export function clearScenarios() { return transact("readwrite", (store) => store.clear()); }
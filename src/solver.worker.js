@@ -0,0 +1,32 @@
+/**
+ * Solver worker — runs long engine tasks off the main thread.
+ * Messages in: { task, payload }. Messages out: { type: "progress" | "done" | "error", ... }.
+ */
+import { optimize } from "./engine/optimize.js";
+import { optimizeHorizon } from "./engine/horizon.js";
+import { paretoFrontier } from "./engine/pareto.js";
+import { runMonteCarlo } from "./engine/montecarlo.js";
+import { carbonTradeoff } from "./engine/carbon.js";
+import { optimalSensitivity } from "./engine/sensitivity.js";
+import { runSweep } from "./engine/sweep.js";
+
+const TASKS = {
+  optimize: (payload, progress) => optimize({ ...payload, onProgress: progress }),
+  optimizeHorizon: (payload, progress) => optimizeHorizon({ ...payload, onProgress: progress }),
+  pareto: (payload, progress) => paretoFrontier({ ...payload, onProgress: progress }),
+  monteCarlo: (payload, progress) => runMonteCarlo({ ...payload, onProgress: progress }),
+  carbonTradeoff: (payload, progress) => carbonTradeoff({ ...payload, onProgress: progress }),
+  optimalSensitivity: (payload, progress) => optimalSensitivity({ ...payload, onProgress: progress }),
+  sweep: (payload, progress) => runSweep({ ...payload, onProgress: progress }),
+};
+
+self.onmessage = (e) => {
+  const { task, payload } = e.data;
+  try {
+    if (!TASKS[task]) throw new Error(`Unknown solver task "${task}"`);
+    const result = TASKS[task](payload, (progress) => self.postMessage({ type: "progress", progress }));
+    self.postMessage({ type: "done", result });
+  } catch (err) {
+    self.postMessage({ type: "error", error: err?.message || String(err) });
+  }
+};
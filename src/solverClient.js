@@ -0,0 +1,24 @@
+/**
+ * Main-thread handle for the solver worker. Each task gets its own worker so that
+ * cancelling is just terminating it.
+ */
+export class SolverCancelledError extends Error {
+  constructor() { super("Cancelled"); this.name = "SolverCancelledError"; }
+}
+
+/** Returns { promise, cancel }; cancel() terminates the worker and rejects with SolverCancelledError. */
+export function runSolverTask(task, payload, { onProgress } = {}) {
+  const worker = new Worker(new URL("./solver.worker.js", import.meta.url), { type: "module" });
+  let done = false; let resolveFn; let rejectFn;
+  const finish = (fn, value) => { if (done) return; done = true; worker.terminate(); fn(value); };
+  const promise = new Promise((resolve, reject) => { resolveFn = resolve; rejectFn = reject; });
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === "progress") onProgress?.(msg.progress);
+    else if (msg.type === "done") finish(resolveFn, msg.result);
+    else if (msg.type === "error") finish(rejectFn, new Error(msg.error));
+  };
+  worker.onerror = (e) => { e.preventDefault?.(); finish(rejectFn, new Error(e.message || "Solver worker failed")); };
+  worker.postMessage({ task, payload });
+  return { promise, cancel: () => finish(rejectFn, new SolverCancelledError()) };
+}
@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS, toScenarioDoc } from "../src/engine/scenarioSchema.js";
+import { evaluateSolution, normalizeAssignment } from "../src/engine/evaluate.js";
+import { defaultMonteCarlo } from "../src/engine/montecarlo.js";
+import { BATCH_COLUMNS, runScenario } from "../src/engine/batch.js";
+
+const network = generateMockNetwork(137);
+const params = Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def]));
+const doc = { ...toScenarioDoc({ master: "baseline", variant: "high", profileId: "pnc", params, assignment: normalizeAssignment({}, network) }), name: "high volume" };
+
+test("a scenario row carries the engine result at the variant's demand", () => {
+  const { row, detail } = runScenario(doc, network);
+  const res = evaluateSolution({ assignment: doc.assignment, params: { ...params, demandMultiplier: 1.15 }, network });
+  assert.equal(row.name, "high volume");
+  assert.equal(row.demandMultiplier, 1.15);
+  assert.equal(row.cost, res.cost);
+  assert.equal(row.serviceLevel, res.totals.serviceLevel);
+  assert.equal(detail.result.cost, res.cost);
+  assert.ok(Object.keys(row).every((k) => BATCH_COLUMNS.includes(k)));
+});
+
+test("Monte Carlo columns repeat for the same seed", () => {
+  const monteCarlo = { ...defaultMonteCarlo(), samples: 100 };
+  const a = runScenario(doc, network, { monteCarlo }).row; const b = runScenario(doc, network, { monteCarlo }).row;
+  assert.equal(a.mcSamples, 100);
+  assert.equal(a.mcCostMean, b.mcCostMean);
+  assert.equal(a.mcVaR, b.mcVaR);
+});
+
+test("the CLI writes one row per file and fails on a bad file", async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), "pcs-batch-"));
+  try {
+    await writeFile(path.join(dir, "a.json"), JSON.stringify(doc));
+    await writeFile(path.join(dir, "b.json"), JSON.stringify({ schemaVersion: 99 }));
+    const out = path.join(dir, "out.csv");
+    const cli = fileURLToPath(new URL("../cli/pcs-batch.js", import.meta.url));
+    const err = await promisify(execFile)(process.execPath, [cli, "--scenarios", dir, "--out", out], { timeout: 60_000 }).then(() => null, (e) => e);
+    assert.equal(err?.code, 1);
+    const [header, ...rows] = (await readFile(out, "utf8")).trim().split("\n");
+    assert.equal(header, BATCH_COLUMNS.join(","));
+    assert.equal(rows.length, 2);
+    assert.match(rows[0], /^a\.json,high volume,ok,/);
+    assert.match(rows[1], /^b\.json,,error,.*newer than this app supports/);
+  } finally {
+    await rm(dir, { recursive: true });
+  }
+});
@@ -0,0 +1,44 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS } from "../src/engine/scenarioSchema.js";
+import { evaluateSolution, normalizeAssignment } from "../src/engine/evaluate.js";
+import { carbonTradeoff, emissionsReport } from "../src/engine/carbon.js";
+
+const network = generateMockNetwork(137);
+const params = { ...Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def])), demandMultiplier: 1, serviceTarget: 0.9 };
+const assignment = normalizeAssignment({}, network);
+const close = (a, b) => Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(b));
+
+test("a cap below the emissions makes the result infeasible and names the cap", () => {
+  const free = evaluateSolution({ assignment, params, network });
+  assert.ok(free.feasible);
+  const capped = evaluateSolution({ assignment, params: { ...params, carbonCapKg: free.totals.carbonKg - 1, regionCarbonCapsKg: { AP: 1 } }, network });
+  assert.equal(capped.feasible, false);
+  assert.deepEqual(capped.carbon.over.map((c) => [c.regionId, c.capKg]), [[null, free.totals.carbonKg - 1], ["AP", 1]]);
+  assert.ok(evaluateSolution({ assignment, params: { ...params, carbonCapKg: free.totals.carbonKg }, network }).feasible);
+});
+
+test("every emissions breakdown adds up to the total", () => {
+  const res = evaluateSolution({ assignment, params, network, withLedger: true });
+  const report = emissionsReport(res, network);
+  assert.ok(close(report.totalKg, res.totals.carbonKg));
+  for (const [dim, rows] of Object.entries(report.byDimension)) {
+    assert.ok(close(rows.reduce((acc, r) => acc + r.carbonKg, 0), report.totalKg), dim);
+    assert.ok(close(rows.reduce((acc, r) => acc + r.share, 0), 1), dim);
+  }
+  const l1 = report.byDimension.lru.find((r) => r.key === "L1");
+  assert.ok(close(l1.kgPerUnit, res.lines.L1.carbonKg / 8000));
+});
+
+test("the trade-off curve trades cost for carbon down to the floor", () => {
+  const { points, carbonFloorKg } = carbonTradeoff({ network, params, steps: 2, timeBudgetMs: 30_000 });
+  assert.equal(points.length, 3);
+  assert.equal(points[0].capKg, null);
+  for (const p of points.slice(1)) {
+    assert.ok(p.capKg >= carbonFloorKg);
+    if (p.carbonKg != null) assert.ok(p.carbonKg <= p.capKg && p.cost >= points[0].cost);
+    else assert.ok(["infeasible", "timeout"].includes(p.status));
+  }
+  assert.equal(points[1].status, "optimal");
+});
@@ -0,0 +1,42 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS } from "../src/engine/scenarioSchema.js";
+import { evaluateSolution, normalizeAssignment, splitsOf } from "../src/engine/evaluate.js";
+import { customerShares, dcChoices, onTimeShare, servePlans, withServe } from "../src/engine/customers.js";
+
+const network = generateMockNetwork(137);
+const params = { ...Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def])), demandMultiplier: 1, serviceTarget: 0.9 };
+const [l1, l2] = network.lrus;
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+test("demand splits by weight unless a customer sets shares for the LRU", () => {
+  assert.deepEqual(customerShares(network, l1), [["C1", 0.5], ["C2", 0.3], ["C3", 0.2]]);
+  const net = { ...network, customers: network.customers.map((c) => (c.id === "C2" ? { ...c, lruShares: { L1: 1 } } : c)) };
+  assert.deepEqual(customerShares(net, l1), [["C2", 1]]);
+  assert.deepEqual(customerShares(net, l2), customerShares(network, l2));
+});
+
+test("a serve map sets the DC split from the customers' shares", () => {
+  const pick = withServe({ lastMode: "air" }, network, l1, { C1: "D1", C2: "D2", C3: "D2" });
+  assert.deepEqual(splitsOf(pick, "dc").map(([id, share]) => [id, +share.toFixed(9)]), [["D1", 0.5], ["D2", 0.5]]);
+  const res = evaluateSolution({ assignment: normalizeAssignment({ L1: pick }, network), params, network });
+  assert.ok(close(res.service.byCustomer.C1.demand, (8000 + 6500 + 5000) * 0.5));
+  assert.ok(Object.keys(res.service.byCustomer).every((id) => ["C1", "C2", "C3"].includes(id)));
+});
+
+test("the optimizer sees every serve plan with every last-mile mode", () => {
+  assert.equal(servePlans(network).length, 2 ** 3);
+  assert.equal(dcChoices(network, l1).length, 2 ** 3 * Object.keys(network.transport).length);
+  assert.deepEqual(dcChoices({ ...network, customers: [] }, l1), [{ dcId: "D1" }, { dcId: "D2" }]);
+});
+
+test("a tight delivery window lowers the customer's service", () => {
+  assert.equal(onTimeShare(4, null, 0.2), 1);
+  assert.ok(Math.abs(onTimeShare(4, 4, 0.2) - 0.5) < 1e-6);
+  assert.ok(onTimeShare(2, 4, 0.2) > 0.99);
+  assert.equal(onTimeShare(5, 4, 0), 0);
+  const assignment = normalizeAssignment({}, network);
+  const tight = { ...network, customers: network.customers.map((c) => ({ ...c, deliveryDays: 0.5 })) };
+  assert.ok(evaluateSolution({ assignment, params, network: tight }).totals.serviceLevel < evaluateSolution({ assignment, params, network }).totals.serviceLevel);
+});
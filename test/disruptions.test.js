@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS } from "../src/engine/scenarioSchema.js";
+import { evaluateSolution, normalizeAssignment } from "../src/engine/evaluate.js";
+import { disruptedParams, disruptionLibrary, stressTest, survivabilityTable } from "../src/engine/disruptions.js";
+import { sampleTariffs } from "../src/engine/tariffs.js";
+
+const network = generateMockNetwork(137);
+const params = { ...Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def])), demandMultiplier: 1, serviceTarget: 0.9 };
+const assignment = normalizeAssignment({}, network);
+const region = network.suppliers[0].region.id;
+const shock = [{ type: "tariffShock", target: region, weeks: 52, rate: 0.25 }];
+const dutyOn = (res, stage) => res.duties.filter((d) => d.stage === stage).reduce((acc, d) => acc + d.duty, 0);
+
+test("a tariff shock adds to the flat tariff rate of the region's suppliers", () => {
+  const hit = evaluateSolution({ assignment, params: disruptedParams(params, shock, network), network });
+  const bumped = { ...network, suppliers: network.suppliers.map((s) => (s.region.id === region ? { ...s, tariffRate: s.tariffRate + 0.25 } : s)) };
+  const expected = evaluateSolution({ assignment, params, network: bumped });
+  assert.ok(Math.abs(hit.totals.tariffs - expected.totals.tariffs) < 1e-6);
+});
+
+test("under a schedule, a tariff shock only hits components", () => {
+  const scheduled = { ...params, tariffs: sampleTariffs(network, "2026-06-01") };
+  const base = evaluateSolution({ assignment, params: scheduled, network });
+  const hit = evaluateSolution({ assignment, params: disruptedParams(scheduled, shock, network), network });
+  assert.ok(dutyOn(hit, "inbound") > dutyOn(base, "inbound"));
+  assert.equal(dutyOn(hit, "outbound"), dutyOn(base, "outbound"));
+  assert.ok(hit.duties.filter((d) => d.stage !== "inbound").every((d) => !d.shocked));
+});
+
+// S1 carries L1's 8000 units against 12000 capacity; with overflow allowed it can run 20% over.
+const outage = (weeks) => stressTest({ assignment, params: { ...params, allowOverflow: true }, network, events: [{ type: "supplierOutage", target: "S1", weeks }] });
+
+test("a short supplier outage is worked off with spare capacity", () => {
+  const res = outage(8);
+  assert.ok(Math.abs(res.backlog - 8 * 8000 / 52) < 1e-9);
+  assert.equal(res.unmetDemand, 0);
+  assert.ok(Math.abs(res.recoverWeeks - (8 + 8 * 8000 / (12000 * 1.2 - 8000))) < 1e-9);
+  assert.equal(res.survivability, 1);
+  assert.ok(res.costImpact > 0);
+});
+
+test("a long supplier outage leaves demand unmet for the year", () => {
+  const res = outage(40);
+  const unmet = (40 * 8000 - 12 * (12000 * 1.2 - 8000)) / 52;
+  assert.ok(Math.abs(res.unmetDemand - unmet) < 1e-9);
+  assert.equal(res.recoverWeeks, Infinity);
+  assert.ok(Math.abs(res.survivability - (1 - unmet / 19500)) < 1e-9);
+});
+
+test("the survivability table ranks every library event worst first", () => {
+  const events = disruptionLibrary(network);
+  const rows = survivabilityTable({ assignment, params, network, events: [...events, { id: "X", type: "supplierOutage", target: "S1", weeks: 40, name: "long" }] });
+  assert.equal(rows.length, events.length + 1);
+  assert.equal(rows[0].event.id, "X");
+  for (let i = 1; i < rows.length; i++) assert.ok(rows[i - 1].unmetDemand > rows[i].unmetDemand || (rows[i - 1].unmetDemand === rows[i].unmetDemand && rows[i - 1].recoverWeeks >= rows[i].recoverWeeks));
+});
@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS } from "../src/engine/scenarioSchema.js";
+import { evaluateSolution, normalizeAssignment, splitsOf, withSplit } from "../src/engine/evaluate.js";
+import { optimize } from "../src/engine/optimize.js";
+
+const mock = generateMockNetwork(137);
+const params = { ...Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def])), demandMultiplier: 1, serviceTarget: 0.9 };
+
+test("a split names its largest share and collapses to one site", () => {
+  const pick = withSplit({ supplierId: "S1" }, "supplier", { S1: 0.3, S2: 0.7 });
+  assert.equal(pick.supplierId, "S2");
+  assert.deepEqual(splitsOf(pick, "supplier"), [["S1", 0.3], ["S2", 0.7]]);
+  assert.deepEqual(withSplit(pick, "supplier", { S3: 1 }), { supplierId: "S3" });
+});
+
+test("split shares divide the load across suppliers and sites", () => {
+  const network = { ...mock, lrus: mock.lrus.slice(0, 1) };
+  const assignment = normalizeAssignment({ L1: { supplierId: "S1", supplierShares: { S1: 0.6, S4: 0.4 }, assemblyId: "A1", assemblyShares: { A1: 0.5, A2: 0.5 } } }, network);
+  const { capacity } = evaluateSolution({ assignment, params, network });
+  assert.deepEqual([capacity.supLoad.S1, capacity.supLoad.S4, capacity.supLoad.S2], [4800, 3200, 0]);
+  assert.deepEqual([capacity.asmLoad.A1, capacity.asmLoad.A2], [4000, 4000]);
+});
+
+test("splits make room for an LRU no single site can build", () => {
+  const network = { ...mock, lrus: mock.lrus.slice(0, 1), customers: [] };
+  const big = { ...params, demandMultiplier: 2.5, allowOverflow: false };
+  assert.equal(optimize({ network, params: big, timeBudgetMs: 5_000 }).best, null);
+  const out = optimize({ network, params: big, allowSplits: true, timeBudgetMs: 10_000 });
+  assert.ok(out.best?.feasible);
+  assert.ok(splitsOf(out.best.assignment.L1, "supplier").length > 1);
+});
+
+test("service is the demand-weighted fill rate, with the worst LRU alongside", () => {
+  const assignment = normalizeAssignment({}, mock);
+  const res = evaluateSolution({ assignment, params, network: mock, lruEdits: { L1: { serviceTarget: 0.94 }, L3: { serviceTarget: 0.8 } } });
+  const lines = Object.values(res.lines);
+  const weighted = lines.reduce((acc, l) => acc + l.demand * l.service, 0) / lines.reduce((acc, l) => acc + l.demand, 0);
+  assert.ok(Math.abs(res.totals.serviceLevel - weighted) < 1e-12);
+  assert.equal(res.totals.serviceWorst, res.lines.L3.service);
+  assert.ok(res.lines.L1.service > res.lines.L2.service && res.lines.L2.service > res.lines.L3.service);
+  assert.ok(Math.abs(res.service.byDc.D1.service - weighted) < 1e-9);
+  assert.ok(res.feasible);
+});
+
+test("one LRU missing its own target makes the plan infeasible", () => {
+  const res = evaluateSolution({ assignment: normalizeAssignment({}, mock), params, network: mock, lruEdits: { L2: { serviceTarget: 0.99999 } } });
+  assert.ok(res.totals.serviceLevel > params.serviceTarget);
+  assert.deepEqual(res.service.misses.map((m) => m.lruId), ["L2"]);
+  assert.equal(res.feasible, false);
+});
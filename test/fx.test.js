@@ -0,0 +1,61 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS } from "../src/engine/scenarioSchema.js";
+import { evaluateSolution, normalizeAssignment } from "../src/engine/evaluate.js";
+import { DEFAULT_FX, fxExposure, toReporting, toUsd, usdPer, validateFx } from "../src/engine/fx.js";
+
+const mock = generateMockNetwork(137);
+const params = { ...Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def])), demandMultiplier: 1, serviceTarget: 0.9 };
+// S1 (L1's supplier) quotes in euros, like S3 (L3's), and A2 (L2's assembly site) pays in pesos
+const network = {
+  ...mock,
+  suppliers: mock.suppliers.map((s) => (s.id === "S1" ? { ...s, currency: "EUR" } : s)),
+  assemblySites: mock.assemblySites.map((a) => (a.id === "A2" ? { ...a, currency: "MXN" } : a)),
+};
+const assignment = normalizeAssignment({}, network);
+const at = (rates) => evaluateSolution({ assignment, params: { ...params, fx: { reporting: "USD", rates } }, network });
+const close = (a, b) => Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(b));
+
+test("local costs move with their exchange rate", () => {
+  const even = at({ EUR: 1, MXN: 1 }); const dear = at({ EUR: 1.25, MXN: 1 });
+  assert.ok(close(dear.fx.byCurrency.EUR, even.fx.byCurrency.EUR * 1.25));
+  assert.ok(close(dear.fx.byCurrency.MXN, even.fx.byCurrency.MXN));
+  // stock is held at the dearer material value, so the USD share rises a little too
+  assert.ok(dear.fx.byCurrency.USD >= even.fx.byCurrency.USD);
+  assert.ok(dear.cost - even.cost >= even.fx.byCurrency.EUR * 0.25 - 1e-6);
+});
+
+test("at rates of one the currencies change nothing", () => {
+  assert.equal(evaluateSolution({ assignment, params: { ...params, fx: { reporting: "USD", rates: { EUR: 1, MXN: 1 } } }, network: mock }).cost, at({ EUR: 1, MXN: 1 }).cost);
+});
+
+test("exposure shares add up to one and name the missing rates", () => {
+  const res = at({ EUR: 1.08 });
+  assert.deepEqual(res.fx.missing, ["MXN"]);
+  const exposure = fxExposure(res);
+  assert.ok(close(exposure.reduce((acc, e) => acc + e.share, 0), 1));
+  assert.ok(close(exposure.reduce((acc, e) => acc + e.amount, 0), res.cost));
+  assert.ok(exposure.every((e, i) => i === 0 || exposure[i - 1].amount >= e.amount));
+});
+
+test("conversions go through USD", () => {
+  const fx = { reporting: "EUR", rates: { EUR: 1.25 } };
+  assert.equal(usdPer(fx, "USD"), 1);
+  assert.equal(usdPer(fx, "JPY"), 1);
+  assert.equal(toUsd(100, { currency: "EUR" }, fx), 125);
+  assert.equal(toUsd(100, {}, fx), 100);
+  assert.equal(toReporting(125, fx), 100);
+});
+
+test("FX settings are cleaned against the network", () => {
+  assert.deepEqual(validateFx(null, network), { fx: DEFAULT_FX, notes: [] });
+  const { fx, notes } = validateFx({ reporting: "GBP", rates: { EUR: 1.1, usd: 2, MXN: -1 } }, network);
+  assert.deepEqual(fx, { reporting: "USD", rates: { EUR: 1.1 } });
+  assert.deepEqual(notes, [
+    'FX: dropped rate for "usd", which is not a three-letter currency code.',
+    "FX: the MXN rate must be a positive number of USD; dropped it.",
+    'FX: no rate for reporting currency "GBP"; reporting in USD.',
+    "FX: no rate for MXN (Supplier D, Assembly West); its costs convert 1:1 to USD.",
+  ]);
+});
@@ -0,0 +1,70 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS } from "../src/engine/scenarioSchema.js";
+import { evaluateSolution, normalizeAssignment } from "../src/engine/evaluate.js";
+import { defaultHorizon, evaluateHorizon, optimizeHorizon, periodInputs, resizeHorizon, switchedLrus } from "../src/engine/horizon.js";
+
+const network = generateMockNetwork(137);
+const params = { ...Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def])), demandMultiplier: 1, serviceTarget: 0.9 };
+const assignment = normalizeAssignment({}, network);
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.abs(expected), `${actual} ≠ ${expected}`);
+
+test("a constant plan over a year of quarters matches the annual evaluation", () => {
+  const { totals } = evaluateHorizon({ assignment, params, network, horizon: defaultHorizon(4, 4) });
+  const annual = evaluateSolution({ assignment, params, network });
+  assert.equal(totals.holdingCost + totals.switchCost, 0);
+  close(totals.cost, annual.cost);
+  close(totals.riskIndex, annual.totals.riskIndex);
+  close(totals.objective, annual.objective);
+});
+
+test("build-ahead stock is counted once when both tiers are short", () => {
+  const plan = normalizeAssignment({ L1: { supplierId: "S1", assemblyId: "A1" }, L3: { assemblyId: "A1" } }, network);
+  const horizon = { ...defaultHorizon(2, 4) };
+  horizon.periods[1] = { ...horizon.periods[1], capacity: { A1: 0.75, S1: 0.6 } };
+  const { periods } = evaluateHorizon({ assignment: plan, params, network, horizon });
+  // A1 builds L1 and L3 (2000 + 1250 a quarter) on 3750 a quarter, cut to 75% in the second
+  const a1 = network.assemblySites.find((a) => a.id === "A1").capacity / 4;
+  const shortfall = 2000 + 1250 - a1 * 0.75;
+  assert.ok(shortfall > 0 && shortfall < a1 - 3250);
+  // S1 (2000 a quarter on 1800) is short too, but the L1 units A1 builds early take their parts along
+  assert.ok(2000 - (2000 / 3250) * shortfall < network.suppliers.find((s) => s.id === "S1").capacity / 4 * 0.6);
+  close(periods[0].buildAhead, shortfall);
+  close(periods[0].endingInventory, shortfall);
+  close(periods[1].consumed, shortfall);
+  assert.equal(periods[1].endingInventory, 0);
+});
+
+test("a period carries its share of the year's demand and capacity", () => {
+  const horizon = defaultHorizon(4, 4);
+  const period = { ...horizon.periods[2], demand: { L1: 1.5 }, capacity: { S1: 0.5 } };
+  const inp = periodInputs({ network, params, horizon, period });
+  assert.equal(inp.lruEdits.L1.baseDemand, 8000 * 1.5 / 4);
+  assert.equal(inp.lruEdits.L2.baseDemand, 6500 / 4);
+  assert.equal(inp.network.suppliers.find((s) => s.id === "S1").capacity, 12000 * 0.5 / 4);
+  assert.equal(inp.network.suppliers.find((s) => s.id === "S2").capacity, 18000 / 4);
+});
+
+test("resizing a horizon keeps the multipliers of the periods that remain", () => {
+  const horizon = defaultHorizon(4, 4);
+  horizon.periods[1] = { ...horizon.periods[1], demand: { L1: 2 } };
+  const resized = resizeHorizon(horizon, 6, 12);
+  assert.equal(resized.periods.length, 6);
+  assert.deepEqual(resized.periods[1].demand, { L1: 2 });
+  assert.deepEqual(resized.periods.map((p) => p.name), ["M1", "M2", "M3", "M4", "M5", "M6"]);
+});
+
+test("the switching cost decides whether the plan follows a late outage", () => {
+  const small = { ...network, lrus: network.lrus.slice(0, 2), customers: [], transport: { ground: network.transport.ground, air: network.transport.air } };
+  const switches = (switchCost) => {
+    const horizon = { ...defaultHorizon(3, 4), switchCost };
+    horizon.periods[2] = { ...horizon.periods[2], capacity: { S1: 0, S4: 0 } };
+    const { periodAssignments, reasons } = optimizeHorizon({ assignment: normalizeAssignment({}, small), params, network: small, horizon, timeBudgetMs: 3_000 });
+    assert.deepEqual(reasons, []);
+    const plans = horizon.periods.map((p) => periodAssignments[p.id]);
+    return switchedLrus(plans[0], plans[1]).length + switchedLrus(plans[1], plans[2]).length;
+  };
+  assert.ok(switches(0) > 0);
+  assert.equal(switches(1e12), 0);
+});
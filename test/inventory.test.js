@@ -0,0 +1,47 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS } from "../src/engine/scenarioSchema.js";
+import { evaluateSolution, normalizeAssignment } from "../src/engine/evaluate.js";
+import { dcStock, normalCdf, normalQuantile, transitDays } from "../src/engine/inventory.js";
+
+const network = generateMockNetwork(137);
+const params = { ...Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def])), demandMultiplier: 1, serviceTarget: 0.9 };
+const stock = (over) => dcStock({ annualDemand: 3650, leadTimeDays: 30, fillTarget: 0.98, ...over });
+
+test("safety stock is the least that reaches the fill target", () => {
+  const s = stock();
+  assert.ok(Math.abs(s.fillRate - 0.98) < 1e-6);
+  assert.equal(s.orderQty, 10 * 14);
+  assert.equal(s.cycle, 70);
+  assert.ok(Math.abs(s.reorderPoint - (10 * 30 + s.safety)) < 1e-9);
+  assert.ok(stock({ fillTarget: 0.995 }).safety > s.safety);
+  assert.ok(stock({ leadTimeDays: 60 }).safety > s.safety);
+  assert.ok(stock({ reviewDays: 28 }).safety < s.safety);
+});
+
+test("certain demand and lead time need no safety stock", () => {
+  const s = stock({ demandCv: 0, leadTimeCv: 0 });
+  assert.deepEqual([s.safety, s.z, s.fillRate], [0, 0, 1]);
+  assert.equal(stock({ annualDemand: 0 }).safety, 0);
+});
+
+test("an unreachable target stops at the largest safety factor", () => {
+  const s = stock({ fillTarget: 1 });
+  assert.equal(s.z, 4);
+  assert.ok(s.fillRate < 1);
+});
+
+test("normal helpers and transit time", () => {
+  for (const p of [0.01, 0.3, 0.5, 0.9, 0.999]) assert.ok(Math.abs(normalCdf(normalQuantile(p)) - p) < 1e-6, String(p));
+  assert.equal(transitDays({ milesPerDay: 500, handlingDays: 2 }, "ground", 3), 8);
+  assert.equal(transitDays(undefined, "air", 4), 2);
+});
+
+test("noisier demand holds more stock in the results", () => {
+  const assignment = normalizeAssignment({}, network);
+  const calm = evaluateSolution({ assignment, params: { ...params, demandCv: 0.1 }, network });
+  const noisy = evaluateSolution({ assignment, params: { ...params, demandCv: 0.6 }, network });
+  assert.ok(noisy.totals.inventory > calm.totals.inventory);
+  assert.equal(noisy.totals.material, calm.totals.material);
+});
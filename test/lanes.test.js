@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { addMode, generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS } from "../src/engine/scenarioSchema.js";
+import { evaluateSolution, normalizeAssignment } from "../src/engine/evaluate.js";
+import { MISSING_LANE_MILES, laneLookup, laneMode, missingLanes, modesBetween, unitTons } from "../src/engine/lanes.js";
+
+const network = addMode(generateMockNetwork(137), "oceanTruck");
+const supplier = network.suppliers.find((s) => s.region.id === "MX");
+const site = network.assemblySites.find((a) => a.region.id === "NA");
+
+test("a multimodal mode is closed on a lane that bans one of its legs", () => {
+  const lane = network.lanes.find((l) => l.origin === "MX" && l.destination === "NA");
+  assert.equal(lane.modes.ocean.available, false);
+  assert.equal(laneMode(network, lane, "oceanTruck").available, false);
+  assert.ok(!modesBetween(network, supplier, site).includes("oceanTruck"));
+});
+
+test("a multimodal mode follows its legs, not its own lane setting", () => {
+  const lane = network.lanes.find((l) => l.origin === "AP" && l.destination === "NA");
+  assert.equal(lane.modes.ground.available, false);
+  assert.equal(laneMode(network, lane, "oceanTruck").available, false);
+  assert.equal(laneMode(network, { ...lane, modes: {} }, "oceanTruck").available, true);
+  assert.equal(laneMode(network, null, "oceanTruck").available, true);
+});
+
+const base = generateMockNetwork(137);
+const assignment = normalizeAssignment({}, base);
+const params = { ...Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def])), demandMultiplier: 1, serviceTarget: 0.9 };
+const s1 = base.suppliers.find((s) => s.id === "S1"); const a1 = base.assemblySites.find((a) => a.id === "A1");
+
+test("a site-to-site lane wins over the lane between their regions", () => {
+  const region = laneLookup(base)(s1, a1);
+  assert.equal(region.origin, s1.region.id);
+  const direct = { origin: "S1", destination: "A1", thousandMiles: 0.1, modes: {} };
+  assert.equal(laneLookup({ ...base, lanes: [...base.lanes, direct] })(s1, a1), direct);
+});
+
+test("lane settings override the network rate and the transit time", () => {
+  const lane = { origin: "S1", destination: "A1", thousandMiles: 0.9, modes: { ground: { transitDays: 9, costPerTonMi: 1 } } };
+  assert.deepEqual(laneMode(base, lane, "ground"), { available: true, thousandMiles: 0.9, transitDays: 9, costPerTonMi: 1, carbonPerTonMi: base.transport.ground.carbonPerTonMi });
+  assert.equal(laneMode(base, lane, "air").costPerTonMi, base.transport.air.costPerTonMi);
+  const dear = evaluateSolution({ assignment, params, network: { ...base, lanes: [lane, ...base.lanes] } });
+  const cheap = evaluateSolution({ assignment, params, network: { ...base, lanes: [{ ...lane, modes: { ground: { costPerTonMi: 0.01 } } }, ...base.lanes] } });
+  assert.ok(dear.totals.transportCost > cheap.totals.transportCost);
+});
+
+test("a closed mode blocks the LRU and a missing lane falls back to the default distance", () => {
+  const closed = { origin: "S1", destination: "A1", thousandMiles: 0.9, modes: { [assignment.L1.supMode]: { available: false } } };
+  const blocked = evaluateSolution({ assignment, params, network: { ...base, lanes: [closed, ...base.lanes] } });
+  assert.deepEqual(blocked.laneIssues.map((i) => [i.lruId, i.kind, i.from, i.to]), [["L1", "unavailable", "S1", "A1"]]);
+  assert.ok(blocked.lines.L1.blocked && !blocked.feasible);
+  const noLanes = { ...base, lanes: base.lanes.filter((l) => !(l.origin === s1.region.id && l.destination === a1.region.id)) };
+  assert.ok(evaluateSolution({ assignment, params, network: noLanes }).laneIssues.some((i) => i.kind === "missing" && i.from === "S1"));
+  assert.ok(missingLanes(noLanes).some((m) => m.origin === s1.region.id && m.destination === a1.region.id));
+  assert.equal(laneMode(base, null, "ground").thousandMiles, MISSING_LANE_MILES);
+});
+
+test("freight is billed on volumetric weight when it is larger", () => {
+  assert.deepEqual(unitTons({ unitWeightKg: 10, unitVolumeM3: 0.3 }, "air", base.transport.air), { actual: 0.01, chargeable: 0.3 * 0.167 });
+  assert.deepEqual(unitTons({ unitWeightKg: 500, unitVolumeM3: 0.1 }, "ocean", base.transport.ocean), { actual: 0.5, chargeable: 0.5 });
+});
@@ -0,0 +1,42 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { NODE_SIZE, graphNodes, layoutBounds, nodePositions, tierLayout, validateLayout } from "../src/engine/layout.js";
+
+const network = generateMockNetwork(137);
+
+test("each tier gets its own centred row", () => {
+  const { width, positions } = tierLayout(network);
+  const row = (list) => list.map((n) => positions[n.id]);
+  for (const [t, list] of [network.suppliers, network.assemblySites, network.dcs, network.customers].entries()) {
+    const ps = row(list);
+    assert.ok(ps.every((p) => p.y === ps[0].y), `tier ${t}`);
+    assert.ok(ps.every((p, i) => i === 0 || p.x > ps[i - 1].x));
+    assert.ok(Math.abs(ps[0].x + ps.at(-1).x + NODE_SIZE.width - width) <= 1, `tier ${t} centred`);
+  }
+  assert.ok(positions.S1.y < positions.A1.y && positions.A1.y < positions.D1.y && positions.D1.y < positions.C1.y);
+});
+
+test("a network without customers takes three rows, and a wide tier widens the canvas", () => {
+  assert.ok(tierLayout({ ...network, customers: [] }).height < tierLayout(network).height);
+  const many = { ...network, suppliers: Array.from({ length: 12 }, (_, i) => ({ ...network.suppliers[0], id: `S${i + 1}` })) };
+  const { width, positions } = tierLayout(many);
+  assert.ok(width > tierLayout(network).width);
+  assert.ok(Object.values(positions).every((p) => p.x >= 0 && p.x + NODE_SIZE.width <= width));
+});
+
+test("moved nodes keep their place and the bounds grow to show them", () => {
+  const positions = nodePositions(network, { S1: [-300, 900], X9: [1, 1] });
+  assert.deepEqual(positions.S1, { x: -300, y: 900 });
+  assert.equal(positions.X9, undefined);
+  assert.deepEqual(positions.A1, tierLayout(network).positions.A1);
+  const box = layoutBounds(network, positions);
+  assert.ok(box.x <= -300 && box.y + box.height >= 900 + NODE_SIZE.height);
+});
+
+test("saved layouts are cleaned against the network", () => {
+  const { layout, notes } = validateLayout({ S1: [10.4, 20.6], A1: ["a", 1], X1: [0, 0], X2: [0, 0] }, network);
+  assert.deepEqual(layout, { S1: [10, 21] });
+  assert.deepEqual(notes, ['Graph layout: dropped the invalid position of "A1".', "Graph layout: dropped positions of 2 nodes not in the network."]);
+  assert.equal(graphNodes(network).length, network.suppliers.length + network.assemblySites.length + network.dcs.length + network.customers.length);
+});
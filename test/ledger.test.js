@@ -0,0 +1,42 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS } from "../src/engine/scenarioSchema.js";
+import { evaluateSolution, normalizeAssignment } from "../src/engine/evaluate.js";
+import { filterLedger, rollupLedger } from "../src/engine/ledger.js";
+
+const network = generateMockNetwork(137);
+const params = { ...Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def])), demandMultiplier: 1, serviceTarget: 0.9 };
+const assignment = normalizeAssignment({}, network);
+const close = (a, b) => Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(b));
+const sum = (entries, key = "amount") => entries.reduce((acc, e) => acc + (e[key] ?? 0), 0);
+
+test("the ledger adds up to the cost and carbon, overflow included", () => {
+  assert.equal(evaluateSolution({ assignment, params, network }).ledger, undefined);
+  for (const demandMultiplier of [1, 1.6]) {
+    const res = evaluateSolution({ assignment, params: { ...params, demandMultiplier }, network, withLedger: true });
+    assert.ok(close(sum(res.ledger), res.cost), `×${demandMultiplier}`);
+    assert.ok(close(sum(res.ledger, "carbonKg"), res.totals.carbonKg));
+    assert.equal(res.ledger.some((e) => e.component === "overflow"), demandMultiplier > 1);
+  }
+});
+
+test("roll-ups match the per-LRU and per-component totals", () => {
+  const res = evaluateSolution({ assignment, params, network, withLedger: true });
+  for (const g of rollupLedger(res.ledger, "lru", network)) assert.ok(close(g.amount, res.lines[g.key].cost), g.key);
+  const byComponent = Object.fromEntries(rollupLedger(res.ledger, "component", network).map((g) => [g.key, g.amount]));
+  for (const [component, total] of [["material", "material"], ["tariffs", "tariffs"], ["transport", "transportCost"], ["assembly", "assembly"], ["overhead", "overhead"], ["inventory", "inventory"]])
+    assert.ok(close(byComponent[component], res.totals[total]), component);
+  const lanes = rollupLedger(res.ledger, "lane", network);
+  assert.ok(lanes.every((g, i) => i === 0 || lanes[i - 1].amount >= g.amount));
+});
+
+test("filters narrow the drill-down to one node, lane or LRU", () => {
+  const { ledger } = evaluateSolution({ assignment, params, network, withLedger: true });
+  const s1 = filterLedger(ledger, { node: "S1" });
+  assert.ok(s1.length && s1.every((e) => e.from === "S1" || e.to === "S1"));
+  assert.ok(s1.every((e) => e.lruId === "L1"));
+  const inbound = filterLedger(ledger, { lru: "L1", stage: "inbound", component: "material" });
+  assert.deepEqual(inbound.map((e) => `${e.from}→${e.to}`), ["S1→A1"]);
+  assert.deepEqual(filterLedger(ledger, { lane: "S1→A1", lru: "L1" }).filter((e) => e.stage !== "inbound"), []);
+});
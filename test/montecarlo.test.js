@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS } from "../src/engine/scenarioSchema.js";
+import { evaluateSolution, normalizeAssignment } from "../src/engine/evaluate.js";
+import { defaultMonteCarlo, runMonteCarlo, sampleFactor } from "../src/engine/montecarlo.js";
+
+const network = generateMockNetwork(137);
+const params = { ...Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def])), demandMultiplier: 1, serviceTarget: 0.9 };
+const assignment = normalizeAssignment({}, network);
+const run = (config) => {
+  const { elapsedMs, ...res } = runMonteCarlo({ assignment, params, network, config: { ...defaultMonteCarlo(), samples: 200, ...config } });
+  return res;
+};
+
+test("the same seed gives the same draws", () => {
+  const config = { unitCost: { kind: "triangular", min: 0.9, mode: 1, max: 1.2 }, tariff: { kind: "lognormal", sigma: 0.2 } };
+  assert.deepEqual(run(config), run(config));
+  assert.notEqual(run({ ...config, seed: 1 }).cost.mean, run(config).cost.mean);
+});
+
+test("with every input fixed each draw is the deterministic result", () => {
+  const res = run({ demand: { kind: "fixed" }, reliabilitySd: 0, samples: 20 });
+  const base = evaluateSolution({ assignment, params, network });
+  assert.ok(Math.abs(res.cost.mean - base.cost) < 1e-6 * base.cost);
+  assert.ok(res.cost.sd < 1e-6);
+  assert.ok(Math.abs(res.service.mean - base.totals.serviceLevel) < 1e-9);
+});
+
+test("CVaR is no lower than VaR", () => {
+  const { cost } = run({});
+  assert.ok(cost.sd > 0);
+  assert.ok(cost.cvar >= cost.var && cost.var >= cost.p50);
+});
+
+test("factors sit at their centre for a median draw and stay in range", () => {
+  assert.equal(sampleFactor({ kind: "normal", sd: 0.1 }, 0), 1);
+  assert.ok(Math.abs(sampleFactor({ kind: "uniform", min: 0.8, max: 1.4 }, 0) - 1.1) < 1e-6);
+  assert.equal(sampleFactor({ kind: "normal", sd: 0.5 }, -3), 0);
+  assert.equal(sampleFactor({ kind: "fixed" }, 2), 1);
+  for (const x of [-4, -1, 0, 1, 4]) {
+    const v = sampleFactor({ kind: "triangular", min: 0.9, mode: 1, max: 1.2 }, x);
+    assert.ok(v >= 0.9 && v <= 1.2);
+  }
+});
@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { addMode, generateMockNetwork, importNetworkFiles, modesRemovedWith, networkFromJSON, removeMode, toNetworkJSON } from "../src/engine/network.js";
+
+const base = generateMockNetwork(137);
+const withOceanTruck = addMode(base, "oceanTruck");
+
+test("removing a mode also removes the multimodal modes built on it", () => {
+  assert.deepEqual(modesRemovedWith(withOceanTruck, "ocean"), ["ocean", "oceanTruck"]);
+  const next = removeMode(withOceanTruck, "ocean");
+  assert.deepEqual(Object.keys(next.transport).sort(), ["air", "ground"]);
+  assert.ok(next.lanes.every((l) => !("ocean" in l.modes) && !("oceanTruck" in l.modes)));
+});
+
+test("a removal whose cascade would leave no modes is refused", () => {
+  const { ocean, ground, oceanTruck } = withOceanTruck.transport;
+  const network = { ...withOceanTruck, transport: { ocean, ground, oceanTruck } };
+  const oceanOnly = removeMode(network, "ground");
+  assert.deepEqual(Object.keys(oceanOnly.transport), ["ocean"]);
+  const oceanAndTruck = { ...network, transport: { ocean, oceanTruck } };
+  assert.equal(removeMode(oceanAndTruck, "ocean"), oceanAndTruck);
+  assert.deepEqual(Object.keys(removeMode(oceanAndTruck, "oceanTruck").transport), ["ocean"]);
+});
+
+test("a network survives a JSON round trip", () => {
+  const { network, errors } = networkFromJSON(JSON.parse(JSON.stringify(toNetworkJSON(withOceanTruck))), base);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(toNetworkJSON(network), toNetworkJSON(withOceanTruck));
+});
+
+test("CSV files replace their table and keep the rest from the base network", () => {
+  const text = "id,name,region,unitCost,leadTimeDays,reliability,capacity,tariffRate\nS9,\"Acme, Inc.\",EU,120,30,0.97,9000,0.02\n";
+  const { network, errors } = importNetworkFiles([{ name: "suppliers.csv", text }], base);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(network.suppliers.map((s) => [s.id, s.name, s.region.id]), [["S9", "Acme, Inc.", "EU"]]);
+  assert.deepEqual(network.assemblySites, base.assemblySites);
+});
+
+test("import errors name the file, row and field", () => {
+  const text = "id,name,region,unitCost,leadTimeDays,reliability,capacity,tariffRate\nS9,Bad,XX,-5,30,0.97,9000,0.02\n";
+  const { network, errors } = importNetworkFiles([{ name: "suppliers.csv", text }, { name: "notes.csv", text: "a\n1\n" }], base);
+  assert.equal(network, null);
+  assert.ok(errors.some((e) => e.source === "suppliers.csv" && e.row === 2 && e.field === "region"));
+  assert.ok(errors.some((e) => e.source === "suppliers.csv" && e.field === "unitCost"));
+  assert.ok(errors.some((e) => e.source === "notes.csv"));
+});
@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS } from "../src/engine/scenarioSchema.js";
+import { evaluateSolution } from "../src/engine/evaluate.js";
+import { optimize } from "../src/engine/optimize.js";
+
+const params = { ...Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def])), demandMultiplier: 1, serviceTarget: 0.9 };
+// two LRUs, no customers and two modes keep the brute force at 64 picks per LRU
+const mock = generateMockNetwork(137);
+const network = { ...mock, lrus: mock.lrus.slice(0, 2), customers: [], transport: { ground: mock.transport.ground, air: mock.transport.air } };
+
+function picks() {
+  const out = [];
+  for (const s of network.suppliers) for (const a of network.assemblySites) for (const d of network.dcs)
+    for (const supMode of ["ground", "air"]) for (const dcMode of ["ground", "air"]) out.push({ supplierId: s.id, assemblyId: a.id, dcId: d.id, supMode, dcMode });
+  return out;
+}
+
+function bruteForce(p) {
+  let best = null;
+  for (const a of picks()) for (const b of picks()) {
+    const res = evaluateSolution({ assignment: { L1: a, L2: b }, params: p, network });
+    if (res.feasible && (!best || res.objective < best.objective)) best = res;
+  }
+  return best;
+}
+
+test("branch and bound finds the brute-force optimum", () => {
+  const brute = bruteForce(params);
+  const out = optimize({ network, params, timeBudgetMs: 20_000 });
+  assert.ok(out.complete);
+  assert.ok(Math.abs(out.best.objective - brute.objective) <= 1e-6 * brute.objective);
+});
+
+test("a heavy risk weight moves the optimum, which still matches brute force", () => {
+  const heavy = { ...params, riskWeight: 50 };
+  const brute = bruteForce(heavy);
+  const out = optimize({ network, params: heavy, timeBudgetMs: 20_000 });
+  assert.ok(Math.abs(out.best.objective - brute.objective) <= 1e-6 * brute.objective);
+  assert.notDeepEqual(out.best.assignment, optimize({ network, params, timeBudgetMs: 20_000 }).best.assignment);
+});
+
+test("an impossible service target returns no assignment and a reason", () => {
+  const out = optimize({ network, params: { ...params, serviceTarget: 0.9999 }, timeBudgetMs: 5_000 });
+  assert.equal(out.best, null);
+  assert.ok(out.reasons.length > 0);
+});
+
+test("a binding region carbon cap moves the optimum, which still matches brute force", () => {
+  const free = optimize({ network, params, timeBudgetMs: 20_000 }).best;
+  assert.ok(free.carbon.byRegion.MX > 50_000);
+  const capped = { ...params, regionCarbonCapsKg: { MX: 50_000 } };
+  const brute = bruteForce(capped);
+  const out = optimize({ network, params: capped, timeBudgetMs: 20_000 });
+  assert.ok(out.complete);
+  assert.ok(Math.abs(out.best.objective - brute.objective) <= 1e-6 * brute.objective);
+  assert.ok((out.best.carbon.byRegion.MX ?? 0) <= 50_000);
+  assert.ok(out.best.cost > free.cost);
+});
+
+test("a network cap below the carbon floor is explained", () => {
+  const out = optimize({ network, params: { ...params, carbonCapKg: 1_000 }, timeBudgetMs: 5_000 });
+  assert.equal(out.best, null);
+  assert.ok(out.carbonFloorKg > 1_000);
+  assert.ok(out.reasons.every((r) => r.includes("network carbon cap")), out.reasons.join("\n"));
+});
+
+test("forbid and volume rules exclude the free optimum, and the result still matches brute force", () => {
+  const rules = [{ id: "R1", kind: "forbid", on: "supplier", target: "S4", lruIds: [] }, { id: "R2", kind: "volume", on: "assembly", target: "A1", max: 7_000, lruIds: [] }];
+  const free = optimize({ network, params, timeBudgetMs: 20_000 }).best;
+  assert.equal(free.assignment.L2.supplierId, "S4");
+  assert.equal(free.assignment.L1.assemblyId, "A1");
+  const ruled = { ...params, rules };
+  const brute = bruteForce(ruled);
+  const out = optimize({ network, params: ruled, timeBudgetMs: 20_000 });
+  assert.ok(out.complete && out.best.feasible);
+  assert.ok(Math.abs(out.best.objective - brute.objective) <= 1e-6 * brute.objective);
+  assert.ok(Object.values(out.best.assignment).every((p) => p.supplierId !== "S4"));
+  assert.ok(Object.values(out.best.assignment).filter((p) => p.assemblyId === "A1").length <= 1);
+});
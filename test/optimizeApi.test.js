@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS } from "../src/engine/scenarioSchema.js";
+import { evaluateSolution, normalizeAssignment } from "../src/engine/evaluate.js";
+import { optimizeRequestBody, optimizeResult, validateOptimizeRequest } from "../src/engine/optimizeApi.js";
+
+const network = generateMockNetwork(137);
+const params = { ...Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def])), demandMultiplier: 1, serviceTarget: 0.9 };
+const body = () => JSON.parse(JSON.stringify(optimizeRequestBody({ network, params, lruEdits: { L1: { baseDemand: 9000 } }, timeBudgetMs: 2_000 })));
+
+test("a request sent over the wire rebuilds the same network", () => {
+  const { request, errors } = validateOptimizeRequest(body());
+  assert.deepEqual(errors, []);
+  assert.equal(request.timeBudgetMs, 2_000);
+  assert.equal(request.allowSplits, false);
+  const assignment = normalizeAssignment({}, network);
+  const local = evaluateSolution({ assignment, params, network, lruEdits: { L1: { baseDemand: 9000 } } });
+  const remote = evaluateSolution({ assignment, params: request.params, network: request.network, lruEdits: request.lruEdits });
+  assert.ok(Math.abs(local.cost - remote.cost) < 1e-6 * local.cost);
+});
+
+test("invalid requests list every problem and carry no request", () => {
+  const bad = body();
+  bad.version = 2;
+  bad.params.serviceTarget = 1.5;
+  delete bad.params.allowOverflow;
+  bad.lruEdits = { L1: { baseDemand: -1 } };
+  bad.timeBudgetMs = 50;
+  const { request, errors } = validateOptimizeRequest(bad);
+  assert.equal(request, null);
+  for (const part of ["version must be 1", "params.serviceTarget", "params.allowOverflow", "lruEdits.L1.baseDemand", "timeBudgetMs"]) assert.ok(errors.some((e) => e.includes(part)), part);
+  assert.deepEqual(validateOptimizeRequest([]).errors, ["Request body must be a JSON object."]);
+});
+
+test("ids are checked against the network sent with the request", () => {
+  const bad = body();
+  bad.lruEdits = { L9: { baseDemand: 10 } };
+  bad.params.regionCarbonCapsKg = { XX: 1000 };
+  const { errors } = validateOptimizeRequest(bad);
+  assert.deepEqual(errors, ["params.regionCarbonCapsKg.XX does not match any region in the network.", "lruEdits.L9 does not match any LRU in the network."]);
+});
+
+test("network table errors are reported with their row", () => {
+  const bad = body();
+  bad.network.suppliers[0].capacity = "lots";
+  const { request, errors } = validateOptimizeRequest(bad);
+  assert.equal(request, null);
+  assert.deepEqual(errors, ['network: scenario, row 1, field "capacity": expected a number, got "lots"']);
+});
+
+test("an optimize result is optimal, timed out or infeasible", () => {
+  const best = { assignment: {}, objective: 2, cost: 1, totals: { serviceLevel: 0.95 } };
+  assert.equal(optimizeResult({ best, complete: true, reasons: [], stats: {} }).status, "optimal");
+  assert.equal(optimizeResult({ best, complete: false, reasons: [], stats: {} }).status, "timeout");
+  const none = optimizeResult({ best: null, complete: true, reasons: ["no feasible pick"], stats: {} });
+  assert.deepEqual([none.status, none.assignment, none.cost, none.reasons], ["infeasible", null, null, ["no feasible pick"]]);
+});
@@ -0,0 +1,47 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS } from "../src/engine/scenarioSchema.js";
+import { normalizeAssignment, splitsOf } from "../src/engine/evaluate.js";
+import { dominates, neighbours, nonDominated, paretoFrontier } from "../src/engine/pareto.js";
+
+const network = generateMockNetwork(137);
+const params = { ...Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def])), demandMultiplier: 1, serviceTarget: 0.9 };
+
+const point = (cost, risk, carbon, service) => ({ metrics: { cost, risk, carbon, service } });
+
+test("dominance minimises cost, risk and carbon and maximises service", () => {
+  assert.ok(dominates(point(1, 1, 1, 0.95), point(2, 1, 1, 0.95)));
+  assert.ok(dominates(point(1, 1, 1, 0.96), point(1, 1, 1, 0.95)));
+  assert.ok(!dominates(point(1, 1, 1, 0.95), point(1, 1, 1, 0.95)));
+  assert.ok(!dominates(point(1, 2, 1, 0.95), point(2, 1, 1, 0.95)));
+  assert.ok(dominates(point(1, 2, 1, 0.95), point(2, 1, 1, 0.95), ["cost"]));
+});
+
+test("nonDominated keeps only the trade-offs", () => {
+  const a = point(1, 3, 1, 0.9); const b = point(3, 1, 1, 0.9); const c = point(3, 3, 1, 0.9); const d = point(1, 3, 1, 0.9);
+  assert.deepEqual(nonDominated([a, b, c, d]), [a, b, d]);
+  assert.deepEqual(nonDominated([a, b, c], ["risk"]), [b]);
+});
+
+test("neighbours keep and vary multi-source splits", () => {
+  const assignment = normalizeAssignment({ L1: { supplierId: "S1", supplierShares: { S1: 0.7, S4: 0.3 } } }, network);
+  const l1 = neighbours(assignment, network).filter((a) => a.L2 === assignment.L2 && a.L3 === assignment.L3).map((a) => splitsOf(a.L1, "supplier"));
+  const has = (split) => l1.some((s) => JSON.stringify(s) === JSON.stringify(split));
+  assert.ok(has([["S1", 0.7], ["S4", 0.3]]));
+  assert.ok(has([["S2", 0.7], ["S4", 0.3]]));
+  assert.ok(has([["S1", 0.7], ["S3", 0.3]]));
+  assert.ok(has([["S2", 1]]));
+});
+
+test("the neighbourhood search stops at the time budget", () => {
+  const timeBudgetMs = 2500;
+  const { elapsedMs } = paretoFrontier({ network, params, riskWeights: [0], carbonPrices: [0], serviceSteps: [0], rounds: 5, timeBudgetMs });
+  assert.ok(elapsedMs < timeBudgetMs + 500, `${elapsedMs} ms`);
+});
+
+test("no frontier point dominates another", () => {
+  const { frontier, evaluated } = paretoFrontier({ network, params, riskWeights: [0, 2], carbonPrices: [0, 0.5], serviceSteps: [0], timeBudgetMs: 3_000 });
+  assert.ok(frontier.length > 1 && evaluated >= frontier.length);
+  for (const p of frontier) assert.ok(!frontier.some((q) => q !== p && dominates(q, p)));
+});
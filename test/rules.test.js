@@ -0,0 +1,57 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { addMode, generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS } from "../src/engine/scenarioSchema.js";
+import { evaluateSolution, normalizeAssignment, withSplit } from "../src/engine/evaluate.js";
+import { lineViolations, validateRules } from "../src/engine/rules.js";
+
+const network = addMode(generateMockNetwork(137), "oceanTruck");
+const lru = network.lrus[0];
+const pick = (supMode) => normalizeAssignment({ [lru.id]: { supMode } }, network)[lru.id];
+
+test("a forbidden mode catches multimodal modes that use it", () => {
+  const rules = [{ id: "R1", kind: "forbid", on: "mode", target: "ocean", lruIds: [] }];
+  assert.equal(lineViolations(rules, network, lru, pick("oceanTruck")).length, 1);
+  assert.equal(lineViolations(rules, network, lru, pick("air")).length, 0);
+});
+
+test("a required mode is met by a multimodal mode that uses it", () => {
+  const rules = [{ id: "R1", kind: "require", on: "mode", target: "ground", lruIds: [lru.id] }];
+  const p = { ...pick("oceanTruck"), dcMode: "air", lastMode: "air" };
+  assert.equal(lineViolations(rules, network, lru, p).length, 0);
+  assert.equal(lineViolations(rules, network, lru, { ...p, supMode: "air" }).length, 1);
+});
+
+const base = generateMockNetwork(137);
+const params = { ...Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def])), demandMultiplier: 1, serviceTarget: 0.9 };
+const assignment = normalizeAssignment({}, base);
+
+test("a forbidden supplier makes the LRU's line and the result infeasible", () => {
+  const rules = [{ id: "R1", kind: "forbid", on: "supplier", target: "S1", lruIds: ["L1"] }];
+  const res = evaluateSolution({ assignment, params: { ...params, rules }, network: base });
+  assert.deepEqual(res.violations.map((v) => [v.ruleId, v.lruId]), [["R1", "L1"]]);
+  assert.equal(res.feasible, false);
+  assert.ok(evaluateSolution({ assignment, params: { ...params, rules: [{ ...rules[0], lruIds: ["L2"] }] }, network: base }).feasible);
+});
+
+test("share rules bound each LRU's split and volume rules the sum over LRUs", () => {
+  const split = normalizeAssignment({ L1: withSplit(assignment.L1, "supplier", { S1: 0.7, S4: 0.3 }) }, base);
+  const share = (max) => evaluateSolution({ assignment: split, params: { ...params, rules: [{ id: "R1", kind: "share", on: "supplier", target: "*", max, lruIds: ["L1"] }] }, network: base }).violations;
+  assert.deepEqual(share(0.6).map((v) => v.target), ["S1"]);
+  assert.deepEqual(share(0.7), []);
+  const volume = (max) => evaluateSolution({ assignment, params: { ...params, rules: [{ id: "R2", kind: "volume", on: "assembly", target: "A1", max, lruIds: [] }] }, network: base }).violations;
+  assert.match(volume(12_000)[0].message, /^13,000 units through .* above the maximum of 12,000 \(rule R2\)$/);
+  assert.deepEqual(volume(13_000), []);
+});
+
+test("rules that do not fit the network are dropped with a note", () => {
+  const { rules, notes } = validateRules([
+    { id: "ok", kind: "forbid", on: "supplier", target: "S1", lruIds: ["L1", "L9"] },
+    { id: "gone", kind: "forbid", on: "supplier", target: "S9" },
+    { id: "star", kind: "forbid", on: "supplier", target: "*" },
+    { id: "open", kind: "volume", on: "dc", target: "D1" },
+    { id: "bad", kind: "nope", on: "dc", target: "D1" },
+  ], base);
+  assert.deepEqual(rules, [{ id: "ok", kind: "forbid", on: "supplier", target: "S1", lruIds: ["L1"] }]);
+  assert.equal(notes.length, 4);
+});
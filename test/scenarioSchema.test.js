@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { normalizeAssignment } from "../src/engine/evaluate.js";
+import { PARAM_SPECS, SCHEMA_VERSION, decodeShareHash, encodeShareHash, migrateScenario, openShareHash, toScenarioDoc, validateScenario } from "../src/engine/scenarioSchema.js";
+
+const network = generateMockNetwork(137);
+const params = Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def]));
+const known = { masters: ["baseline"], variants: ["base"], profiles: ["pnc"] };
+const assignment = normalizeAssignment({ L1: { supplierId: "S4" } }, network);
+
+test("a current scenario opens from its share link unchanged", async () => {
+  const doc = toScenarioDoc({ master: "baseline", variant: "base", profileId: "pnc", params, assignment, lruEdits: { L1: { baseDemand: 9000 } } });
+  const hash = await encodeShareHash(doc);
+  assert.match(hash, /^#z\./);
+  const { scenario, notes, fromVersion } = await openShareHash(hash, network, known);
+  assert.deepEqual(notes, []);
+  assert.equal(fromVersion, SCHEMA_VERSION);
+  assert.deepEqual(scenario.params, params);
+  assert.deepEqual(scenario.assignment, assignment);
+  assert.deepEqual(scenario.lruEdits, { L1: { baseDemand: 9000 } });
+});
+
+test("an unversioned link migrates through every version", async () => {
+  const v1 = { master: "baseline", variant: "base", params: { serviceTarget: 0.95 }, assignment: { L1: { supplierId: "S4", assemblyId: "A1", dcId: "D1", mode: "air" } } };
+  const { scenario, notes, fromVersion } = await openShareHash(`#${btoa(encodeURIComponent(JSON.stringify(v1)))}`, network, known);
+  assert.equal(fromVersion, 1);
+  assert.equal(notes.filter((n) => n.startsWith("Migrated")).length, SCHEMA_VERSION - 1);
+  assert.deepEqual([scenario.assignment.L1.supMode, scenario.assignment.L1.dcMode], ["air", "air"]);
+  assert.equal(scenario.params.serviceTarget, 0.95);
+  assert.equal(scenario.params.reviewDays, 14);
+  assert.equal(scenario.params.tariffs, null);
+});
+
+test("documents from a newer app and broken links are refused", async () => {
+  assert.throws(() => migrateScenario({ schemaVersion: SCHEMA_VERSION + 1 }), /newer than this app supports/);
+  const hash = await encodeShareHash({ schemaVersion: SCHEMA_VERSION });
+  await assert.rejects(decodeShareHash(hash.slice(0, 8)), /truncated or corrupted/);
+});
+
+test("validation clamps, defaults and drops what does not fit the network", () => {
+  const { doc } = migrateScenario({ schemaVersion: SCHEMA_VERSION, master: "gone", params: { ...params, serviceTarget: 7, bogus: 1 }, assignment: { ...assignment, L9: assignment.L1 }, lruEdits: { L9: { baseDemand: 1 } } });
+  const { scenario, notes } = validateScenario(doc, network, known);
+  assert.equal(scenario.master, "baseline");
+  assert.equal(scenario.params.serviceTarget, PARAM_SPECS.serviceTarget.max);
+  assert.equal(scenario.assignment.L9, undefined);
+  assert.deepEqual(scenario.lruEdits, {});
+  for (const part of ['Unknown master "gone"', "params.serviceTarget 7", 'unknown param "bogus"', 'unknown LRU "L9"']) assert.ok(notes.some((n) => n.includes(part)), part);
+});
@@ -0,0 +1,78 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS } from "../src/engine/scenarioSchema.js";
+import { evaluateSolution, normalizeAssignment } from "../src/engine/evaluate.js";
+import { filterScenarios, fromBundle, parseTags, sortScenarios, toBundle, uniqueName, upgradeScenario } from "../src/engine/scenarios.js";
+
+const network = generateMockNetwork(137);
+const params = { ...Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def])), demandMultiplier: 1, serviceTarget: 0.9 };
+const snapshot = (id, p) => {
+  const assignment = normalizeAssignment({}, network);
+  return { id, name: id, master: "base", variant: "base", params: p, assignment, metrics: evaluateSolution({ assignment, params: p, network }), ts: "2026-01-01T00:00:00.000Z" };
+};
+const roundTrip = (scenarios) => fromBundle(JSON.parse(JSON.stringify(toBundle(scenarios))));
+
+test("a feasible scenario survives a JSON round trip", () => {
+  const s = snapshot("sc-ok", params);
+  const { scenarios, errors } = roundTrip([s]);
+  assert.deepEqual(errors, []);
+  assert.equal(scenarios[0].metrics.cost, s.metrics.cost);
+});
+
+test("an infeasible scenario round-trips with an infinite cost", () => {
+  const s = snapshot("sc-over", { ...params, demandMultiplier: 20, allowOverflow: false });
+  assert.equal(s.metrics.cost, Infinity);
+  const bundle = JSON.parse(JSON.stringify(toBundle([s])));
+  assert.equal(bundle.scenarios[0].metrics.cost, null);
+  const { scenarios, errors } = fromBundle(bundle);
+  assert.deepEqual(errors, []);
+  assert.equal(scenarios.length, 1);
+  assert.equal(scenarios[0].metrics.cost, Infinity);
+  assert.equal(scenarios[0].metrics.objective, Infinity);
+  assert.equal(scenarios[0].metrics.feasible, false);
+});
+
+test("metrics without a cost are still rejected", () => {
+  const { scenarios, errors } = fromBundle([{ name: "broken", params: {}, assignment: {}, metrics: { totals: {} } }]);
+  assert.equal(scenarios.length, 0);
+  assert.match(errors[0], /metrics has no cost\/totals/);
+});
+
+const library = [
+  { id: "a", name: "Base", description: "as-is network", tags: ["q3"], folder: "", master: "base", variant: "base", ts: "2026-01-01", updatedAt: "2026-03-01", metrics: { cost: 300, totals: { serviceLevel: 0.91 } } },
+  { id: "b", name: "Nearshore", description: "move L1 to Mexico", tags: ["q3", "nearshore"], folder: "Americas", master: "base", variant: "mx", ts: "2026-02-01", updatedAt: "2026-02-15", metrics: { cost: 200, totals: { serviceLevel: 0.95 } } },
+  { id: "c", name: "Dual source", description: "split L2", tags: ["risk"], folder: "Americas", master: "alt", variant: "dual", ts: "2026-01-15", updatedAt: "2026-04-01", metrics: { cost: 250, totals: { serviceLevel: 0.93 } } },
+].map(upgradeScenario);
+const ids = (list) => list.map((s) => s.id);
+
+test("search needs every word, across name, description, folder and tags", () => {
+  assert.deepEqual(ids(filterScenarios(library, { query: "mexico q3" })), ["b"]);
+  assert.deepEqual(ids(filterScenarios(library, { query: "americas" })), ["b", "c"]);
+  assert.deepEqual(ids(filterScenarios(library, { query: "mexico risk" })), []);
+  assert.deepEqual(ids(filterScenarios(library, { folder: "" })), ["a"]);
+  assert.deepEqual(ids(filterScenarios(library, { folder: "Americas", tag: "q3" })), ["b"]);
+});
+
+test("scenarios sort by each key, most recent first by default", () => {
+  assert.deepEqual(ids(sortScenarios(library)), ["c", "a", "b"]);
+  assert.deepEqual(ids(sortScenarios(library, "created")), ["b", "c", "a"]);
+  assert.deepEqual(ids(sortScenarios(library, "name")), ["a", "c", "b"]);
+  assert.deepEqual(ids(sortScenarios(library, "cost")), ["b", "c", "a"]);
+  assert.deepEqual(ids(sortScenarios(library, "service")), ["b", "c", "a"]);
+});
+
+test("names and tags are deduplicated", () => {
+  assert.equal(uniqueName("Base", library), "Base 2");
+  assert.equal(uniqueName("Base", [...library, { name: "Base 2" }]), "Base 3");
+  assert.equal(uniqueName("New", library), "New");
+  assert.deepEqual(parseTags(" q3, risk ,, q3 "), ["q3", "risk"]);
+});
+
+test("an imported scenario whose id is taken comes in as a copy", () => {
+  const { scenarios, errors } = fromBundle(toBundle([{ ...library[0], params: {}, assignment: {} }]), library);
+  assert.deepEqual(errors, []);
+  assert.notEqual(scenarios[0].id, "a");
+  assert.equal(scenarios[0].name, "Base 2");
+  assert.match(fromBundle({ format: "pcs-sim/scenario-library", version: 99, scenarios: [] }).errors[0], /newer than this app supports/);
+});
@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS } from "../src/engine/scenarioSchema.js";
+import { evaluateSolution, normalizeAssignment } from "../src/engine/evaluate.js";
+import { optimize } from "../src/engine/optimize.js";
+import { assignmentChanges, optimalSensitivity, pickChanges, runSensitivity } from "../src/engine/sensitivity.js";
+
+const params = { ...Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def])), demandMultiplier: 1, serviceTarget: 0.9 };
+const mock = generateMockNetwork(137);
+// two LRUs, no customers and two modes keep each re-optimization to a few milliseconds
+const network = { ...mock, lrus: mock.lrus.slice(0, 2), customers: [], transport: { ground: mock.transport.ground, air: mock.transport.air } };
+
+test("tornado rows hold the assignment and sort by swing", () => {
+  const assignment = normalizeAssignment({}, mock);
+  const rows = runSensitivity({ assignment, params, network: mock });
+  assert.ok(rows.every((r, i) => i === 0 || rows[i - 1].delta >= r.delta));
+  const labor = rows.find((r) => r.key === "laborRate");
+  const at = (key, value) => evaluateSolution({ assignment, params: { ...params, [key]: value }, network: mock }).objective;
+  assert.deepEqual([labor.low, labor.high], [at("laborRate", 65), at("laborRate", 85)]);
+  assert.equal(rows.find((r) => r.key === "riskWeight").delta, Math.abs(at("riskWeight", params.riskWeight + 0.1) - at("riskWeight", params.riskWeight - 0.1)));
+});
+
+test("a breakeven brackets the value where the optimum changes", () => {
+  const tests = [{ key: "laborRate", label: "Labor Rate", delta: 10 }];
+  const { breakevens, complete } = optimalSensitivity({ network, params, tests, steps: 1, tolerance: 0.05, timeBudgetMs: 20_000 });
+  assert.ok(complete);
+  assert.equal(breakevens.length, 1);
+  const [b] = breakevens;
+  assert.ok(b.value > 65 && b.value < 75);
+  assert.ok(Math.abs(b.distance - (75 - b.value) / 10) < 1e-12);
+  const best = (laborRate) => optimize({ network, params: { ...params, laborRate }, timeBudgetMs: 10_000 }).best.assignment;
+  assert.deepEqual(best(b.value + 0.5), b.from);
+  assert.deepEqual(best(b.value - 0.5), b.to);
+  assert.deepEqual(b.changes, assignmentChanges(network, b.from, b.to));
+  assert.match(b.text, /^At Labor Rate 7\d(\.\d+)? the optimum moves /);
+});
+
+test("a breakeven past which nothing is feasible says so", () => {
+  const tests = [{ key: "serviceTarget", label: "Service Target", delta: 0.03 }];
+  const { breakevens, series } = optimalSensitivity({ network, params, tests, steps: 2, timeBudgetMs: 20_000 });
+  assert.equal(series[0].points.at(-1).status, "infeasible");
+  const last = breakevens.find((b) => b.to === null);
+  assert.match(last.text, /the optimum becomes infeasible$/);
+});
+
+test("pick changes name each stage and leg that moved", () => {
+  const from = { supplierId: "S1", assemblyId: "A1", dcId: "D1", supMode: "ground", dcMode: "ground" };
+  const to = { ...from, supplierId: "S4", supplierShares: { S4: 0.6, S1: 0.4 }, dcMode: "air" };
+  assert.deepEqual(pickChanges(network, from, to), [`from ${network.suppliers[0].name} to ${network.suppliers[3].name} 60% + ${network.suppliers[0].name} 40%`, "DC leg from ground to air"]);
+  assert.deepEqual(pickChanges(network, from, { ...from }), []);
+});
@@ -0,0 +1,64 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS } from "../src/engine/scenarioSchema.js";
+import { evaluateSolution, normalizeAssignment } from "../src/engine/evaluate.js";
+import { toCSV } from "../src/engine/csv.js";
+import { axisValues, defaultAxis, runSweep, sweepCSV, validateSweep } from "../src/engine/sweep.js";
+
+const params = { ...Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def])), demandMultiplier: 1, serviceTarget: 0.9 };
+const mock = generateMockNetwork(137);
+const network = { ...mock, lrus: mock.lrus.slice(0, 2), customers: [], transport: { ground: mock.transport.ground, air: mock.transport.air } };
+const assignment = normalizeAssignment({}, network);
+const x = { key: "laborRate", min: 60, max: 90, steps: 3 };
+const y = { key: "demandMultiplier", min: 0.5, max: 1.5, steps: 3 };
+
+test("axes are evenly spaced and checked against each lever's range", () => {
+  assert.deepEqual(axisValues(x), [60, 75, 90]);
+  assert.deepEqual(defaultAxis("laborRate", 75), { key: "laborRate", min: 60, max: 90, steps: 5 });
+  assert.deepEqual(defaultAxis("serviceTarget", 0.95, 3).max, PARAM_SPECS.serviceTarget.max);
+  assert.deepEqual(validateSweep(x, y), []);
+  assert.deepEqual(validateSweep({ ...x, max: 500, steps: 1 }, x), [
+    "X axis: Labor Rate ($/h) must run from low to high within 40–120.",
+    "X axis: steps must be a whole number from 2 to 15.",
+    "Pick two different levers.",
+  ]);
+  assert.throws(() => runSweep({ network, params, assignment, x: { ...x, key: "nope" }, y }), /unknown lever "nope"/);
+});
+
+test("a fixed-assignment sweep evaluates every grid point, row by y value", () => {
+  const sweep = runSweep({ network, params, assignment, x, y });
+  assert.equal(sweep.cells.length, 3);
+  assert.ok(sweep.cells.every((row) => row.length === 3));
+  const cell = sweep.cells[2][0];
+  assert.deepEqual([cell.x, cell.y], [60, 1.5]);
+  const res = evaluateSolution({ assignment, params: { ...params, laborRate: 60, demandMultiplier: 1.5 }, network });
+  assert.equal(cell.cost, res.cost);
+  assert.equal(cell.status, res.feasible ? "feasible" : "infeasible");
+  assert.ok(sweep.cells[0][0].cost < sweep.cells[0][2].cost);
+});
+
+test("a re-optimizing sweep is never worse than the fixed assignment", () => {
+  const fixed = runSweep({ network, params, assignment, x, y });
+  const opt = runSweep({ network, params, assignment, x, y, reoptimize: true, timeBudgetMs: 20_000 });
+  assert.ok(opt.complete);
+  opt.cells.flat().forEach((c, i) => {
+    const f = fixed.cells.flat()[i];
+    if (f.feasible) assert.ok(c.status === "optimal" && c.objective <= f.objective + 1e-6);
+  });
+});
+
+test("the sweep exports one CSV row per point", () => {
+  // S1 can make 10,000 units: L1's 8,000 fit at ×1 but not at ×1.5, and an overloaded site has no cost
+  const tight = { ...network, suppliers: network.suppliers.map((s) => (s.id === "S1" ? { ...s, capacity: 10_000 } : s)) };
+  const sweep = runSweep({ network: tight, params: { ...params, allowOverflow: false }, assignment, x, y: { key: "demandMultiplier", min: 1, max: 1.5, steps: 3 } });
+  const lines = sweepCSV(sweep).trim().split("\n");
+  assert.equal(lines[0], "laborRate,demandMultiplier,status,feasible,objective,cost,serviceLevel");
+  assert.equal(lines.length, 1 + 9);
+  assert.match(lines[1], /^60,1,feasible,true,[\d.]+,[\d.]+,0\.9\d*$/);
+  assert.match(lines.at(-1), /^90,1.5,infeasible,false,,,0\.\d+$/);
+});
+
+test("CSV cells are quoted when needed and blank when missing", () => {
+  assert.equal(toCSV([{ a: 'say "hi"', b: "x,y", c: Infinity }, { a: 1 }], ["a", "b", "c"]), 'a,b,c\n"say ""hi""","x,y",\n1,,\n');
+});
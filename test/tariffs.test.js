@@ -0,0 +1,95 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS } from "../src/engine/scenarioSchema.js";
+import { evaluateSolution, normalizeAssignment } from "../src/engine/evaluate.js";
+import { dutiesByLane, dutyRate, regionalContent, sampleTariffs, scaleTariffs, validateTariffs } from "../src/engine/tariffs.js";
+
+const network = generateMockNetwork(137);
+const params = { ...Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def])), demandMultiplier: 1, serviceTarget: 0.9 };
+const crossing = { origin: "AP", destination: "NA", tariffClass: "general" };
+
+test("a negative shock never books a negative duty", () => {
+  const tariffs = { ...sampleTariffs(network, "2026-06-01"), shocks: [{ id: "SH1", origin: "AP", destination: "*", tariffClass: "*", add: -0.5 }] };
+  const d = dutyRate(tariffs, crossing);
+  assert.equal(d.rate, 0);
+  assert.equal(d.shocked, true);
+});
+
+test("shocks that take more than the whole rate off are dropped", () => {
+  const raw = { asOf: "2026-06-01", schedule: [], agreements: [], shocks: [
+    { id: "SH1", origin: "AP", destination: "*", tariffClass: "*", add: -1.5 },
+    { id: "SH2", origin: "AP", destination: "*", tariffClass: "*", add: -0.02 },
+  ] };
+  const { tariffs, notes } = validateTariffs(raw, network);
+  assert.deepEqual(tariffs.shocks.map((s) => s.id), ["SH2"]);
+  assert.match(notes[0], /SH1/);
+});
+
+test("scaling by origin also scales the general \"*\" rows", () => {
+  const tariffs = sampleTariffs(network, "2026-06-01");
+  const before = dutyRate(tariffs, { origin: "EU", destination: "NA", tariffClass: "general" }).rate;
+  const scaled = scaleTariffs(tariffs, { EU: 2 });
+  assert.equal(dutyRate(scaled, { origin: "EU", destination: "NA", tariffClass: "general" }).rate, before * 2);
+  assert.equal(dutyRate(scaled, { origin: "AP", destination: "NA", tariffClass: "general" }).rate, before);
+});
+
+test("a dated rate change takes over on its from date", () => {
+  const electrical = { origin: "AP", destination: "NA", tariffClass: "electrical" };
+  assert.equal(dutyRate(sampleTariffs(network, "2026-06-01"), electrical).rate, 0.075);
+  assert.equal(dutyRate({ ...sampleTariffs(network, "2026-06-01"), asOf: "2027-01-01" }, electrical).rate, 0.15);
+  // the class-specific row beats the general "*" row into North America
+  assert.equal(dutyRate(sampleTariffs(network, "2026-06-01"), { ...electrical, tariffClass: "thermal" }).rate, 0.035);
+});
+
+test("\"*\" rows only match goods crossing a border", () => {
+  const tariffs = { asOf: "2026-06-01", schedule: [{ id: "T1", origin: "*", destination: "*", tariffClass: "*", rate: 0.1 }], agreements: [], shocks: [] };
+  assert.equal(dutyRate(tariffs, { origin: "EU", destination: "NA", tariffClass: "general" }).rate, 0.1);
+  assert.deepEqual(dutyRate(tariffs, { origin: "NA", destination: "NA", tariffClass: "general", fallback: 0.02 }), { rate: 0.02, base: 0.02, basis: "supplier", agreement: null, shocked: false });
+});
+
+test("an agreement's preferential rate needs enough regional content", () => {
+  const tariffs = sampleTariffs(network, "2026-06-01");
+  const crossing = { origin: "MX", destination: "NA", tariffClass: "avionics" };
+  const made = [{ region: "MX", value: 50 }, { region: "NA", value: 20 }, { region: "AP", value: 30 }];
+  assert.equal(regionalContent(made, ["NA", "MX"]), 0.7);
+  assert.equal(regionalContent([], ["NA"]), 1);
+  assert.deepEqual(dutyRate(tariffs, { ...crossing, content: (m) => regionalContent(made, m) }), { rate: 0, base: 0.035, basis: "schedule", agreement: "USMCA", shocked: false });
+  const mostlyAsian = [{ region: "MX", value: 40 }, { region: "AP", value: 60 }];
+  assert.equal(dutyRate(tariffs, { ...crossing, content: (m) => regionalContent(mostlyAsian, m) }).rate, 0.035);
+  // Europe is not a member, whatever the content
+  assert.equal(dutyRate(tariffs, { ...crossing, origin: "EU" }).agreement, null);
+});
+
+test("evaluateSolution levies the schedule on every crossing and lists the duties", () => {
+  // L2 from Mexico qualifies for USMCA; L1 stays in North America; L3 comes from Europe
+  const assignment = normalizeAssignment({ L2: { supplierId: "S4", assemblyId: "A2" } }, network);
+  const flat = evaluateSolution({ assignment, params: { ...params, tariffs: null }, network });
+  const res = evaluateSolution({ assignment, params: { ...params, tariffs: sampleTariffs(network, "2026-06-01") }, network });
+  assert.ok(flat.duties.every((d) => d.stage === "inbound" && d.basis === "supplier"));
+  const inbound = (lruId) => res.duties.find((d) => d.lruId === lruId && d.stage === "inbound");
+  assert.equal(res.duties.some((d) => d.lruId === "L1" && d.stage === "inbound"), false);
+  assert.equal(inbound("L2").agreement, "USMCA");
+  assert.equal(inbound("L2").duty, 0);
+  assert.ok(Math.abs(inbound("L3").duty - inbound("L3").value * 0.035) < 1e-6);
+  // finished goods pay again on their way to the European and Asian customers
+  assert.deepEqual([...new Set(res.duties.filter((d) => d.stage === "lastMile").map((d) => d.destination))].sort(), ["AP", "EU"]);
+  const total = res.duties.reduce((acc, d) => acc + d.duty, 0);
+  assert.ok(Math.abs(total - res.totals.tariffs) < 1e-6);
+  const lanes = dutiesByLane(res.duties);
+  assert.ok(Math.abs(lanes.reduce((acc, l) => acc + l.duty, 0) - total) < 1e-6);
+  assert.ok(lanes.every((l, i) => i === 0 || lanes[i - 1].duty >= l.duty));
+  assert.deepEqual(lanes.find((l) => l.origin === "MX").agreements, ["USMCA"]);
+});
+
+test("validateTariffs drops malformed entries and fixes a bad as-of date", () => {
+  const raw = { asOf: "June", schedule: [{ id: "T1", origin: "ZZ", destination: "NA", tariffClass: "*", rate: 0.1 }, { id: "T2", origin: "*", destination: "NA", tariffClass: "*", rate: 0.1, from: "2027" }, { id: "T3", origin: "*", destination: "NA", tariffClass: "*", rate: 0.1 }],
+    agreements: [{ id: "AG1", name: "X", members: ["NA", "MX"], tariffClass: "*", rate: 0, minContent: 1.2 }], shocks: [{ id: "SH1", origin: "AP", destination: "*", tariffClass: "*", stage: "customs", add: 0.1 }] };
+  const { tariffs, notes } = validateTariffs(raw, network);
+  assert.deepEqual(tariffs.schedule.map((r) => r.id), ["T3"]);
+  assert.deepEqual([tariffs.agreements.length, tariffs.shocks.length], [0, 0]);
+  assert.match(tariffs.asOf, /^\d{4}-\d{2}-\d{2}$/);
+  assert.equal(notes.length, 5);
+  assert.deepEqual(validateTariffs(null, network), { tariffs: null, notes: [] });
+  assert.equal(validateTariffs([], network).tariffs, null);
+});
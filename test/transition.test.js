@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateMockNetwork } from "../src/engine/network.js";
+import { PARAM_SPECS } from "../src/engine/scenarioSchema.js";
+import { evaluateSolution, normalizeAssignment, splitsOf, withSplit } from "../src/engine/evaluate.js";
+import { optimize } from "../src/engine/optimize.js";
+import { defaultTransition, lruSwitching, transitionPlan, validateTransition } from "../src/engine/transition.js";
+
+const network = generateMockNetwork(137);
+const params = { ...Object.fromEntries(Object.entries(PARAM_SPECS).map(([k, s]) => [k, s.def])), demandMultiplier: 1, serviceTarget: 0.9 };
+const baseline = normalizeAssignment({}, network);
+const transition = defaultTransition(baseline);
+
+test("only sites new to an LRU cost anything", () => {
+  const moved = lruSwitching(transition, "L1", { ...baseline.L1, supplierId: "S4" });
+  assert.deepEqual(moved.newSites.map((s) => [s.kind, s.id, s.oneTime]), [["supplier", "S4", 120_000 + 80_000 + 15_000]]);
+  assert.equal(moved.annualized, 215_000 / 3);
+  assert.equal(moved.leadWeeks, 26);
+  const dual = withSplit(baseline.L1, "supplier", { S1: 0.6, S4: 0.4 });
+  assert.equal(lruSwitching({ ...transition, baseline: { L1: dual } }, "L1", baseline.L1).oneTime, 0);
+  assert.equal(lruSwitching({ ...transition, baseline: { L1: dual } }, "L1", baseline.L1).changed, true);
+  assert.equal(lruSwitching(transition, "L1", { ...baseline.L1, dcId: "D2", supMode: "air" }).changed, false);
+  const custom = { ...transition, siteCosts: { A2: { tooling: 1, qualification: 0, firstArticle: 0, leadWeeks: 2 } } };
+  assert.equal(lruSwitching(custom, "L1", { ...baseline.L1, assemblyId: "A2" }).oneTime, 1);
+});
+
+test("switching costs go into the objective, not the run-rate cost, and a change budget binds", () => {
+  const assignment = { ...baseline, L1: { ...baseline.L1, supplierId: "S4" } };
+  const free = evaluateSolution({ assignment, params, network });
+  const res = evaluateSolution({ assignment, params: { ...params, transition }, network });
+  assert.equal(res.cost, free.cost);
+  assert.ok(Math.abs(res.objective - free.objective - 215_000 / 3) < 1e-6);
+  assert.deepEqual([res.transition.changes, res.transition.oneTime, res.transition.overBudget], [1, 215_000, false]);
+  const capped = evaluateSolution({ assignment, params: { ...params, transition: { ...transition, maxChanges: 0 } }, network });
+  assert.equal(capped.transition.overBudget, true);
+  assert.equal(capped.feasible, false);
+});
+
+test("the plan lists each move with its payback", () => {
+  const assignment = { ...baseline, L1: { ...baseline.L1, supplierId: "S4" } };
+  const p = { ...params, transition };
+  const result = evaluateSolution({ assignment, params: p, network }); const baselineResult = evaluateSolution({ assignment: baseline, params: p, network });
+  const { moves, totals } = transitionPlan({ result, baselineResult, assignment, transition });
+  assert.deepEqual(moves.map((m) => m.lruId), ["L1"]);
+  // S4 costs L1 more than S1 a year, so the move never pays back
+  assert.equal(moves[0].annualSavings, baselineResult.lines.L1.cost - result.lines.L1.cost);
+  assert.ok(moves[0].annualSavings < 0);
+  assert.equal(moves[0].paybackMonths, null);
+  assert.equal(totals.readyWeek, 26);
+});
+
+test("with no changes allowed the optimizer keeps the baseline sourcing", () => {
+  const small = { ...network, lrus: network.lrus.slice(0, 2), customers: [], transport: { ground: network.transport.ground, air: network.transport.air } };
+  const start = normalizeAssignment({}, small);
+  const free = optimize({ network: small, params, timeBudgetMs: 10_000 }).best;
+  const moved = Object.keys(start).filter((id) => JSON.stringify(splitsOf(free.assignment[id], "supplier")) !== JSON.stringify(splitsOf(start[id], "supplier")));
+  assert.ok(moved.length > 0);
+  const out = optimize({ network: small, params: { ...params, transition: { ...defaultTransition(start), maxChanges: 0 } }, timeBudgetMs: 10_000 });
+  assert.equal(out.best.transition.changes, 0);
+  for (const id of Object.keys(start)) assert.equal(out.best.assignment[id].supplierId, start[id].supplierId);
+});
+
+test("a transition is cleaned against the network", () => {
+  const { transition: t, notes } = validateTransition({ baseline: { L1: baseline.L1 }, siteCosts: { S9: { tooling: 1 }, S1: { tooling: -1, leadWeeks: 4 } }, maxChanges: 1.5, amortizeYears: 0 }, network);
+  assert.deepEqual(t.siteCosts, { S1: { leadWeeks: 4 } });
+  assert.equal(t.maxChanges, null);
+  assert.equal(t.amortizeYears, 3);
+  assert.deepEqual(Object.keys(t.baseline), network.lrus.map((l) => l.id));
+  assert.equal(notes.length, 5);
+  assert.deepEqual(validateTransition(null, network), { transition: null, notes: [] });
+});
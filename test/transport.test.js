@@ -0,0 +1,43 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { addMode, generateMockNetwork, updateMode } from "../src/engine/network.js";
+import { billedTons, composeTransport, ownModeFields, parseVia } from "../src/engine/transport.js";
+
+const network = generateMockNetwork(137);
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+test("a multimodal mode's rates are the distance-weighted rates of its legs", () => {
+  const { transport } = addMode(network, "oceanTruck");
+  const { ocean, ground, oceanTruck } = transport;
+  assert.ok(close(oceanTruck.costPerTonMi, 0.85 * ocean.costPerTonMi + 0.15 * ground.costPerTonMi));
+  assert.ok(close(oceanTruck.carbonPerTonMi, 0.85 * ocean.carbonPerTonMi + 0.15 * ground.carbonPerTonMi));
+  assert.ok(close(oceanTruck.milesPerDay, 1 / (0.85 / 300 + 0.15 / 450)));
+  assert.equal(oceanTruck.handlingDays, 1 + 2);
+  assert.equal(oceanTruck.volumetricTonsPerM3, 1);
+});
+
+test("editing a leg mode re-derives the modes built on it", () => {
+  const net = addMode(network, "oceanTruck");
+  const edited = updateMode(net, "ground", { costPerTonMi: net.transport.ground.costPerTonMi + 1 });
+  assert.ok(close(edited.transport.oceanTruck.costPerTonMi, net.transport.oceanTruck.costPerTonMi + 0.15));
+  assert.deepEqual(Object.keys(ownModeFields(edited.transport.oceanTruck)).sort(), ["label", "risk", "transferDays", "via"]);
+});
+
+test("legs must be existing single modes", () => {
+  const { errors } = composeTransport({ ...network.transport, a: { via: [{ mode: "rail", share: 1 }] }, b: { via: [{ mode: "ocean", share: 0.5 }, { mode: "a", share: 0.5 }] } });
+  assert.deepEqual(errors, ['mode "a": via "rail" must be existing single (not multimodal) modes', 'mode "b": via "a" must be existing single (not multimodal) modes']);
+  assert.equal(addMode(network, "railTruck"), network);
+});
+
+test("via text parses to shares that sum to one", () => {
+  assert.deepEqual(parseVia("ocean:3; ground:1"), [{ mode: "ocean", share: 0.75 }, { mode: "ground", share: 0.25 }]);
+  assert.equal(parseVia("ocean"), null);
+  assert.equal(parseVia("ocean:1;ground:0"), null);
+});
+
+test("a minimum shipment bills small flows up to a full load per review period", () => {
+  assert.equal(billedTons(10, { minShipmentTons: 20 }, 73), 100);
+  assert.equal(billedTons(500, { minShipmentTons: 20 }, 73), 500);
+  assert.equal(billedTons(10, {}, 73), 10);
+  assert.equal(billedTons(0, { minShipmentTons: 20 }, 73), 0);
+});